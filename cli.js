@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+// Command-line entry point - one-off checks and maintenance without running the server.
+//
+//   node cli.js check [brand...] [--notify]    evaluate brands (and with --notify, alert on changes)
+//   node cli.js vendors                        vendors in the shop and the brand each maps to
+//   node cli.js webhooks list                  webhook subscriptions registered in Shopify
+//   node cli.js webhooks sync [--dry-run]      register the webhooks the monitor needs
+//   node cli.js notify test [--channel a,b]    send a test notification
+//   node cli.js state show [brand]             notification state (one brand: its history)
+//   node cli.js state reset <brand...>|--all   forget notification state so the next check alerts again
+//
+// Every command takes --shop <id> (one store; default all) and --json (machine-readable
+// output on stdout). Configuration comes from the same environment variables as the
+// server. Logs go to stderr and only warnings are shown unless --verbose is given.
+//
+// Exit codes: 0 success, 1 the command failed (e.g. a check or delivery failed), 2 usage error.
+//
+// The CLI reads and writes the server's data files. With the JSON stores, don't run
+// commands that change state (check --notify, state reset) while the server is running -
+// it keeps its own copy in memory and would overwrite the change. Use the HTTP API then.
+//
+// check --notify alerts on what it sees right away, without MIN_DWELL_MINUTES: the
+// re-check that waits out the dwell time needs the server's job queue.
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  check [brand...]            Check stock for all monitored brands, or the ones named
+      --notify                Send alerts for state changes, as a webhook-triggered check would
+  vendors                     List vendors and the brand each maps to
+  webhooks list               List webhook subscriptions in Shopify
+  webhooks sync               Register required webhooks and remove stale ones
+      --base-url <url>        Address to register (default PUBLIC_URL)
+      --dry-run               Only show what would change
+  notify test                 Send a test notification
+      --channel <a,b>         Only these channels (default all configured)
+  state show [brand]          Notification state of every brand, or one brand's history
+  state reset <brand...>      Forget notification state for these brands
+      --all                   ...or for every brand
+
+Options:
+  --shop <id>                 Only this store (with several stores)
+  --json                      JSON output
+  --verbose                   Show info logs on stderr
+  --help                      Show this help`;
+
+const FLAGS = ['json', 'verbose', 'help', 'notify', 'dry-run', 'all'];
+const OPTIONS = ['shop', 'base-url', 'channel'];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (OPTIONS.includes(name)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++index];
+      if (value === undefined || value === '') {
+        throw new UsageError(`--${name} needs a value`);
+      }
+      options[name] = value;
+    } else {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+  }
+  return { positional, options };
+}
+
+// Plain-text table; values are shown as-is, null and undefined as "-"
+function formatTable(rows, columns) {
+  if (rows.length === 0) {
+    return '(none)';
+  }
+  const cell = value => (value === null || value === undefined || value === '' ? '-' : String(value));
+  const widths = columns.map(({ key, label }) =>
+    Math.max(label.length, ...rows.map(row => cell(row[key]).length)));
+  const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+  return [
+    line(columns.map(({ label }) => label)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => line(columns.map(({ key }) => cell(row[key]))))
+  ].join('\n');
+}
+
+function output(options, json, text) {
+  process.stdout.write(`${options.json ? JSON.stringify(json, null, 2) : text}\n`);
+}
+
+function statusOf(stockStatus) {
+  if (stockStatus.allOOS) {
+    return 'OOS';
+  }
+  return stockStatus.lowStock ? 'LOW_STOCK' : 'IN_STOCK';
+}
+
+function createCommands(monitor) {
+  const {
+    CONFIG,
+    stores,
+    storeFor,
+    brandsFor,
+    brandLabel,
+    brandRegistry,
+    stateStore,
+    outbox,
+    acks,
+    dwell,
+    notifier,
+    checkBrandStock,
+    applyStockStatus,
+    describeVendors,
+    sendTestNotification
+  } = monitor;
+  const { stateKey, splitStateKey } = require('./lib/stores');
+  const { mapWithConcurrency } = require('./lib/concurrency');
+  const { listWebhooks } = require('./lib/webhook-subscriptions');
+
+  function selectedStores(options) {
+    if (!options.shop) {
+      return stores;
+    }
+    const store = storeFor(options.shop);
+    if (!store) {
+      throw new UsageError(`Unknown store "${options.shop}" - one of: ${stores.map(entry => entry.id).join(', ')}`);
+    }
+    return [store];
+  }
+
+  function inSelectedStores(options, shop) {
+    return selectedStores(options).some(store => store.id === shop);
+  }
+
+  // A state key back into its store and brand; null for stores that aren't configured
+  function splitKey(key) {
+    const { storeId, brand } = splitStateKey(key, stores.map(store => store.id));
+    return { shop: stores.some(store => store.id === storeId) ? storeId : null, brand };
+  }
+
+  // { store, brand } for the named brands (paused ones too), or every monitored brand
+  function selectedPairs(options, names) {
+    const brands = names.map(name => {
+      const brand = brandRegistry.get(name);
+      if (!brand) {
+        throw new UsageError(`Unknown brand "${name}" - registered: ${brandRegistry.list().map(entry => entry.name).join(', ')}`);
+      }
+      return brand.name;
+    });
+    return selectedStores(options).flatMap(store =>
+      (brands.length > 0 ? brands.filter(brand => store.carries(brand)) : brandsFor(store)).map(brand => ({ store, brand })));
+  }
+
+  async function check(args, options) {
+    const pairs = selectedPairs(options, args);
+    const checks = await mapWithConcurrency(pairs, CONFIG.BRAND_CHECK_CONCURRENCY, async ({ store, brand }) => {
+      try {
+        return { stockStatus: await checkBrandStock(store, brand, { source: 'cli' }) };
+      } catch (error) {
+        return { error: error.message };
+      }
+    });
+
+    const results = [];
+    for (const [index, { store, brand }] of pairs.entries()) {
+      const { stockStatus, error } = checks[index];
+      if (stockStatus && options.notify) {
+        await applyStockStatus(store, brand, stockStatus, { useDwell: false });
+      }
+      results.push({
+        brand,
+        shop: store.id,
+        label: brandLabel(store, brand),
+        status: stockStatus ? statusOf(stockStatus) : 'ERROR',
+        notifiedState: await stateStore.getState(stateKey(store.id, brand)),
+        inStockProducts: stockStatus ? stockStatus.inStockProducts : null,
+        totalProducts: stockStatus ? stockStatus.totalProducts : null,
+        totalUnits: stockStatus ? stockStatus.totalUnits : null,
+        reason: stockStatus ? stockStatus.reason || stockStatus.lowStockReason : null,
+        error: error || null
+      });
+    }
+
+    output(options, { brands: results }, formatTable(results.map(result => ({
+      ...result,
+      inStock: result.status === 'ERROR' ? null : `${result.inStockProducts}/${result.totalProducts}`,
+      detail: result.error || result.reason
+    })), [
+      { key: 'label', label: 'BRAND' },
+      { key: 'status', label: 'STATUS' },
+      { key: 'notifiedState', label: 'NOTIFIED' },
+      { key: 'inStock', label: 'IN STOCK' },
+      { key: 'totalUnits', label: 'UNITS' },
+      { key: 'detail', label: 'DETAIL' }
+    ]));
+    return results.some(result => result.error) ? 1 : 0;
+  }
+
+  async function vendors(args, options) {
+    const results = [];
+    for (const store of selectedStores(options)) {
+      results.push(await describeVendors(store));
+    }
+    const rows = results.flatMap(result => result.vendors.map(vendor => ({ ...vendor, shop: result.shop })));
+    output(options, { shops: results }, formatTable(rows, [
+      ...(stores.length > 1 ? [{ key: 'shop', label: 'SHOP' }] : []),
+      { key: 'vendor', label: 'VENDOR' },
+      { key: 'brand', label: 'BRAND' },
+      { key: 'enabled', label: 'MONITORED' }
+    ]));
+    return 0;
+  }
+
+  async function webhooks([action], options) {
+    if (action === 'list') {
+      const results = [];
+      for (const store of selectedStores(options)) {
+        results.push({ shop: store.id, webhooks: await listWebhooks(store.shopify) });
+      }
+      const rows = results.flatMap(result => result.webhooks.map(webhook => ({ ...webhook, shop: result.shop })));
+      output(options, { shops: results }, formatTable(rows, [
+        ...(stores.length > 1 ? [{ key: 'shop', label: 'SHOP' }] : []),
+        { key: 'id', label: 'ID' },
+        { key: 'topic', label: 'TOPIC' },
+        { key: 'address', label: 'ADDRESS' },
+        { key: 'created_at', label: 'CREATED' }
+      ]));
+      return 0;
+    }
+
+    if (action === 'sync') {
+      const baseUrl = options['base-url'] || CONFIG.PUBLIC_URL;
+      if (!baseUrl) {
+        throw new UsageError('No address to register - set PUBLIC_URL or pass --base-url');
+      }
+      const dryRun = !!options['dry-run'];
+      const results = [];
+      for (const store of selectedStores(options)) {
+        results.push({ shop: store.id, ...await store.webhookReconciler.reconcile({ dryRun, baseUrl }) });
+      }
+      // Dry runs list the plan; otherwise what was done and whether it worked
+      const rows = results.flatMap(({ shop, plan, results: applied }) => [
+        ...plan.keep.map(webhook => ({ shop, action: 'keep', ...webhook, result: 'ok' })),
+        ...(dryRun ?
+          [...plan.create.map(webhook => ({ shop, action: 'create', ...webhook })), ...plan.remove.map(webhook => ({ shop, action: 'remove', ...webhook }))] :
+          applied.map(entry => ({ shop, ...entry, result: entry.success ? 'ok' : `failed: ${JSON.stringify(entry.error)}` })))
+      ]);
+      output(options, { dryRun, baseUrl, shops: results }, formatTable(rows, [
+        ...(stores.length > 1 ? [{ key: 'shop', label: 'SHOP' }] : []),
+        { key: 'action', label: dryRun ? 'PLANNED' : 'ACTION' },
+        { key: 'topic', label: 'TOPIC' },
+        { key: 'address', label: 'ADDRESS' },
+        { key: 'reason', label: 'REASON' },
+        ...(dryRun ? [] : [{ key: 'result', label: 'RESULT' }])
+      ]));
+      return results.some(result => result.results.some(entry => !entry.success)) ? 1 : 0;
+    }
+
+    throw new UsageError('Usage: webhooks list|sync');
+  }
+
+  async function notify([action], options) {
+    if (action !== 'test') {
+      throw new UsageError('Usage: notify test [--channel a,b]');
+    }
+    const channels = options.channel ? options.channel.split(',').map(name => name.trim()) : null;
+    const unknown = (channels || []).filter(name => !notifier.hasChannel(name));
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown or unconfigured channel(s): ${unknown.join(', ')}`);
+    }
+    const result = await sendTestNotification(channels);
+    output(options, {
+      success: result.success,
+      delivered: result.delivered,
+      failed: result.failed,
+      deliveries: result.results
+    }, formatTable(result.results.map(delivery => ({
+      ...delivery,
+      result: delivery.success ? 'sent' : `failed: ${delivery.error}`
+    })), [
+      { key: 'channel', label: 'CHANNEL' },
+      { key: 'result', label: 'RESULT' }
+    ]));
+    return result.success ? 0 : 1;
+  }
+
+  async function state([action, ...names], options) {
+    if (action === 'show') {
+      if (names.length > 1) {
+        throw new UsageError('Usage: state show [brand]');
+      }
+      if (names.length === 1) {
+        const rows = [];
+        for (const { store, brand } of selectedPairs(options, names)) {
+          const key = stateKey(store.id, brand);
+          rows.push({
+            brand: key,
+            snooze: brandRegistry.activeSnooze(brand),
+            acknowledgement: acks.current(key),
+            dwell: dwell.list().find(candidate => candidate.key === key) || null,
+            history: await stateStore.getHistory(key)
+          });
+        }
+        output(options, { brands: rows }, rows.map(row => [
+          `${row.brand}${row.snooze ? ` (snoozed until ${row.snooze.until})` : ''}` +
+            `${row.acknowledgement ? ` (acknowledged by ${row.acknowledgement.acknowledgedBy})` : ''}`,
+          formatTable(row.history.slice().reverse(), [
+            { key: 'timestamp', label: 'SINCE' },
+            { key: 'state', label: 'STATE' },
+            { key: 'inStockProducts', label: 'IN STOCK' },
+            { key: 'totalProducts', label: 'PRODUCTS' }
+          ])
+        ].join('\n')).join('\n\n'));
+        return 0;
+      }
+
+      const rows = Object.entries(await stateStore.getAllStates())
+        .map(([key, last]) => ({ key, ...splitKey(key), ...last }))
+        .filter(row => inSelectedStores(options, row.shop));
+      output(options, { states: rows }, formatTable(rows.map(row => ({
+        ...row,
+        acknowledgedBy: (acks.current(row.key) || {}).acknowledgedBy,
+        snoozedUntil: (brandRegistry.activeSnooze(row.brand) || {}).until
+      })), [
+        { key: 'key', label: 'BRAND' },
+        { key: 'state', label: 'STATE' },
+        { key: 'timestamp', label: 'SINCE' },
+        { key: 'acknowledgedBy', label: 'ACKNOWLEDGED BY' },
+        { key: 'snoozedUntil', label: 'SNOOZED UNTIL' }
+      ]));
+      return 0;
+    }
+
+    if (action === 'reset') {
+      if (names.length === 0 && !options.all) {
+        throw new UsageError('Usage: state reset <brand...> | --all');
+      }
+      const keys = options.all ?
+        Object.keys(await stateStore.getAllStates()).filter(key => inSelectedStores(options, splitKey(key).shop)) :
+        selectedPairs(options, names).map(({ store, brand }) => stateKey(store.id, brand));
+      const rows = [];
+      for (const key of keys) {
+        const removed = await stateStore.resetState(key);
+        // Nothing pending or half-observed should carry the old state forward
+        outbox.supersede(key, 'reset');
+        dwell.clear(key);
+        acks.clear(key);
+        rows.push({ brand: key, transitionsRemoved: removed });
+      }
+      output(options, { reset: rows }, formatTable(rows, [
+        { key: 'brand', label: 'BRAND' },
+        { key: 'transitionsRemoved', label: 'TRANSITIONS REMOVED' }
+      ]));
+      return 0;
+    }
+
+    throw new UsageError('Usage: state show|reset');
+  }
+
+  return { check, vendors, webhooks, notify, state };
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  const { positional: [command, ...args], options } = parsed;
+  if (!command || options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return command || options.help ? 0 : 2;
+  }
+
+  // Keep stdout for results: quiet logs unless asked, readable when shown
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || (options.verbose ? 'info' : 'warn');
+  process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+  const monitor = require('./server');
+  const commands = createCommands(monitor);
+  if (!commands[command]) {
+    process.stderr.write(`Unknown command "${command}"\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  try {
+    return await commands[command](args, options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      process.stderr.write(`${error.message}\n`);
+      return 2;
+    }
+    process.stderr.write(`❌ ${error.body ? JSON.stringify(error.body) : error.message}\n`);
+    return 1;
+  } finally {
+    // Stock points from checks are buffered - write them before the process ends
+    monitor.stateStore.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs, formatTable };
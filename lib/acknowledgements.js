@@ -0,0 +1,117 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./json-file');
+
+// Alert acknowledgements - someone has seen a brand alert and is handling it.
+//
+// Alert emails carry a signed link (/ack/<token>) so recipients can acknowledge without
+// an API key. The token names the brand's state key and the state it alerted about, and
+// expires after `linkDays`. An acknowledgement only counts while the brand is still in
+// that state: the next transition clears it (the history keeps every acknowledgement).
+
+const MAX_HISTORY = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+function createAcknowledgementStore({ filePath = './data/acknowledgements.json', secret = null, linkDays = 30 } = {}) {
+  let data = { current: {}, history: [] };
+
+  if (fs.existsSync(filePath)) {
+    try {
+      data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      log.error(`❌ Could not read acknowledgements file ${filePath}:`, error.message);
+      log.warn('⚠️  Starting with no acknowledgements');
+    }
+  }
+
+  function save() {
+    writeJsonAtomic(filePath, data);
+  }
+
+  function sign(payload) {
+    return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+  }
+
+  // Token for an alert's acknowledge link, or null when links are disabled (no secret)
+  function createToken({ key, brand, state }) {
+    if (!secret) {
+      return null;
+    }
+    const payload = base64url(JSON.stringify({
+      k: key,
+      b: brand,
+      s: state,
+      t: Date.now(),
+      e: Date.now() + linkDays * DAY_MS
+    }));
+    return `${payload}.${sign(payload)}`;
+  }
+
+  // { key, brand, state, issuedAt } for a valid token; throws with a readable reason otherwise
+  function verifyToken(token) {
+    if (!secret) {
+      throw new Error('Acknowledge links are not enabled');
+    }
+    const [payload, signature] = String(token || '').split('.');
+    const expected = payload ? sign(payload) : '';
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('This acknowledge link is invalid');
+    }
+    const { k, b, s, t, e } = JSON.parse(fromBase64url(payload));
+    if (Date.now() > e) {
+      throw new Error('This acknowledge link has expired');
+    }
+    return { key: k, brand: b, state: s, issuedAt: new Date(t).toISOString() };
+  }
+
+  function acknowledge({ key, brand, state }, { by, note = null, via = 'link' }) {
+    const record = {
+      id: crypto.randomUUID(),
+      key,
+      brand,
+      state,
+      acknowledgedBy: String(by).trim(),
+      acknowledgedAt: new Date().toISOString(),
+      note: note ? String(note).trim().slice(0, 1000) : null,
+      via
+    };
+    data.current[key] = record;
+    data.history.push(record);
+    if (data.history.length > MAX_HISTORY) {
+      data.history = data.history.slice(-MAX_HISTORY);
+    }
+    save();
+    return { ...record };
+  }
+
+  // The brand's state changed - earlier acknowledgements no longer apply
+  function clear(key) {
+    if (data.current[key]) {
+      delete data.current[key];
+      save();
+    }
+  }
+
+  return {
+    enabled: !!secret,
+    createToken,
+    verifyToken,
+    acknowledge,
+    clear,
+    current: key => (data.current[key] ? { ...data.current[key] } : null),
+    // Newest first, optionally for one state key
+    history: ({ key } = {}) => data.history.filter(record => !key || record.key === key).slice().reverse()
+  };
+}
+
+module.exports = { createAcknowledgementStore };
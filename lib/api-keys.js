@@ -0,0 +1,126 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./json-file');
+
+// API keys for the admin, trigger and debug endpoints.
+//
+// Scopes are ordered - each one includes the ones before it:
+//   read      view state, jobs, brands, templates, audit data
+//   trigger   run checks, sweeps, test notifications and job replays
+//   admin     change configuration, manage keys, register webhooks
+//
+// Only a SHA-256 hash of each key is stored. Keys are 32 random bytes, so a plain
+// hash is enough - the plaintext is shown once, when the key is created.
+
+const SCOPES = ['read', 'trigger', 'admin'];
+const KEY_PREFIX = 'imk_';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function hasScope(scopes, required) {
+  const needed = SCOPES.indexOf(required);
+  return scopes.some(scope => SCOPES.indexOf(scope) >= needed);
+}
+
+// Key as returned by the API - never includes the hash
+function describeKey(record) {
+  const { hash, ...rest } = record;
+  return { ...rest };
+}
+
+// `bootstrapKey` (ADMIN_API_KEY) is an admin key that lives only in the environment,
+// so there's always a way in to create the first stored key.
+function createApiKeyStore({ filePath = './data/api-keys.json', bootstrapKey = null } = {}) {
+  let data = { keys: [] };
+
+  if (fs.existsSync(filePath)) {
+    try {
+      data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      throw new Error(`Could not read API keys ${filePath}: ${error.message}`);
+    }
+  }
+
+  const bootstrap = bootstrapKey ? {
+    id: 'bootstrap',
+    name: 'ADMIN_API_KEY',
+    scopes: ['admin'],
+    hash: hashKey(bootstrapKey)
+  } : null;
+
+  function save() {
+    writeJsonAtomic(filePath, data);
+  }
+
+  // Create a key. Returns { key, record } - the plaintext key is not kept anywhere.
+  function create({ name, scopes }) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Key name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+    }
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scope(s): ${unknown.join(', ')} (valid: ${SCOPES.join(', ')})`);
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      // Enough of the key to recognise it in a list without being usable
+      preview: key.slice(0, KEY_PREFIX.length + 6) + '…',
+      hash: hashKey(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+    data.keys.push(record);
+    save();
+    return { key, record: describeKey(record) };
+  }
+
+  // Look a presented key up. Returns the key record (without hash) or null.
+  function verify(key) {
+    if (!key) {
+      return null;
+    }
+    const presented = Buffer.from(hashKey(key), 'hex');
+    const candidates = bootstrap ? [bootstrap, ...data.keys] : data.keys;
+    const match = candidates.find(record =>
+      !record.revokedAt && crypto.timingSafeEqual(presented, Buffer.from(record.hash, 'hex'))
+    );
+    if (!match) {
+      return null;
+    }
+    if (match !== bootstrap) {
+      // Not saved on every request - persisted with the next key change
+      match.lastUsedAt = new Date().toISOString();
+    }
+    return describeKey(match);
+  }
+
+  function revoke(id) {
+    const record = data.keys.find(key => key.id === id && !key.revokedAt);
+    if (!record) {
+      return null;
+    }
+    record.revokedAt = new Date().toISOString();
+    save();
+    return describeKey(record);
+  }
+
+  return {
+    create,
+    verify,
+    revoke,
+    list: () => data.keys.map(describeKey),
+    hasKeys: () => !!bootstrap || data.keys.some(key => !key.revokedAt)
+  };
+}
+
+module.exports = { SCOPES, hasScope, createApiKeyStore };
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const { hasScope } = require('./api-keys');
+const { log } = require('./logger');
+
+// Express middleware for API key auth, per-key rate limiting and the access audit log.
+//
+// Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>" - never in the
+// query string, where they'd end up in proxy logs. Every request that isn't public is
+// written to the access log (JSON lines) together with the key that made it.
+
+const MAX_LOG_READ = 1000;
+// The log is rotated to <file>.1 when it grows past this
+const MAX_LOG_BYTES = 5 * 1024 * 1024;
+const ROTATE_CHECK_EVERY = 500;
+
+function presentedKey(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length).trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+// Fixed-window counter per key. Returns { allowed, retryAfterMs }.
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();
+
+  return function take(id) {
+    const now = Date.now();
+    let window = windows.get(id);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+    if (window.count >= max) {
+      return { allowed: false, retryAfterMs: window.resetAt - now };
+    }
+    window.count++;
+    return { allowed: true, retryAfterMs: 0 };
+  };
+}
+
+// `isPublic(req)` marks routes that skip auth entirely (webhooks, health checks)
+function createAuth({ keyStore, auditPath = './data/access-log.jsonl', isPublic = () => false, rateLimit }) {
+  const limiter = createRateLimiter(rateLimit);
+  let writes = 0;
+
+  function rotateIfLarge() {
+    try {
+      if (fs.statSync(auditPath).size > MAX_LOG_BYTES) {
+        fs.renameSync(auditPath, `${auditPath}.1`);
+      }
+    } catch (error) {
+      // Nothing to rotate yet
+    }
+  }
+
+  function writeAudit(entry) {
+    if (++writes % ROTATE_CHECK_EVERY === 0) {
+      rotateIfLarge();
+    }
+    try {
+      fs.mkdirSync(path.dirname(auditPath), { recursive: true });
+      fs.appendFileSync(auditPath, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      log.error('❌ Could not write access log:', error.message);
+    }
+  }
+
+  // Resolve the caller's key (if any) and log the request once it has been answered
+  function authenticate(req, res, next) {
+    if (isPublic(req)) {
+      return next();
+    }
+
+    const started = Date.now();
+    req.apiKey = keyStore.verify(presentedKey(req));
+
+    res.on('finish', () => {
+      writeAudit({
+        timestamp: new Date(started).toISOString(),
+        keyId: req.apiKey ? req.apiKey.id : null,
+        keyName: req.apiKey ? req.apiKey.name : null,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        ip: req.ip,
+        durationMs: Date.now() - started
+      });
+    });
+
+    next();
+  }
+
+  // Route guard: 401 without a valid key, 403 when the key lacks the scope
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.apiKey) {
+        return res.status(401).json({ success: false, error: 'Missing or invalid API key' });
+      }
+      if (!hasScope(req.apiKey.scopes, scope)) {
+        return res.status(403).json({ success: false, error: `API key lacks the "${scope}" scope` });
+      }
+      next();
+    };
+  }
+
+  // For endpoints that send notifications or scan the catalog. Use after requireScope.
+  function limitRate(req, res, next) {
+    const { allowed, retryAfterMs } = limiter(req.apiKey.id);
+    if (!allowed) {
+      log.warn(`🚦 Rate limit hit by key "${req.apiKey.name}" on ${req.method} ${req.path}`);
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      return res.status(429).json({ success: false, error: 'Rate limit exceeded, try again later' });
+    }
+    next();
+  }
+
+  // Most recent access log entries, newest first
+  function getAuditLog({ keyId, limit = 100 } = {}) {
+    if (!fs.existsSync(auditPath)) {
+      return [];
+    }
+    const lines = fs.readFileSync(auditPath, 'utf8').split('\n').filter(Boolean);
+    let entries = [];
+    for (const line of lines.slice(-MAX_LOG_READ)) {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Skip a line cut short by a crash
+      }
+    }
+    if (keyId) {
+      entries = entries.filter(entry => entry.keyId === keyId);
+    }
+    return entries.slice(-limit).reverse();
+  }
+
+  rotateIfLarge();
+
+  return { authenticate, requireScope, limitRate, getAuditLog };
+}
+
+module.exports = { createAuth, createRateLimiter };
@@ -0,0 +1,8 @@
+// Exponential backoff for the nth attempt (1-based), capped at `maxDelayMs`.
+// Up to 20% jitter is added so retries don't all fire together.
+function backoffDelay(attempts, { baseDelayMs, maxDelayMs }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempts - 1));
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+module.exports = { backoffDelay };
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./json-file');
+
+// Brand registry - the brands we monitor, managed at runtime instead of via env var.
+//
+// Each brand has a canonical name (used for state, subscriptions and stock rules) plus
+// optional aliases: other vendor strings in Shopify that belong to the same brand.
+// Vendor matching is case-insensitive and ignores extra whitespace, so "nike ",
+// "NIKE" and "Nike" all resolve to the same brand.
+
+function normalizeVendor(vendor) {
+  return String(vendor || '').normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function cleanName(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ');
+}
+
+function createBrandRegistry({ filePath = './data/brands.json', seedBrands = [] } = {}) {
+  let data = { brands: [] };
+  const isNew = !fs.existsSync(filePath);
+
+  if (!isNew) {
+    try {
+      data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      throw new Error(`Could not read brand registry ${filePath}: ${error.message}`);
+    }
+  }
+
+  function save() {
+    writeJsonAtomic(filePath, data);
+  }
+
+  // Find the brand whose name or alias matches a vendor string
+  function findByVendor(vendor) {
+    const normalized = normalizeVendor(vendor);
+    return data.brands.find(brand =>
+      normalizeVendor(brand.name) === normalized ||
+      brand.aliases.some(alias => normalizeVendor(alias) === normalized)
+    ) || null;
+  }
+
+  function get(name) {
+    const normalized = normalizeVendor(name);
+    return data.brands.find(brand => normalizeVendor(brand.name) === normalized) || null;
+  }
+
+  // Names and aliases must be unique across the whole registry
+  function assertVendorsAvailable(vendors, exceptBrand) {
+    for (const vendor of vendors) {
+      const owner = findByVendor(vendor);
+      if (owner && owner !== exceptBrand) {
+        throw new Error(`"${vendor}" already belongs to brand "${owner.name}"`);
+      }
+    }
+  }
+
+  function cleanAliases(aliases, name) {
+    if (aliases === undefined) {
+      return [];
+    }
+    if (!Array.isArray(aliases)) {
+      throw new Error('aliases must be an array of vendor names');
+    }
+    const cleaned = [];
+    for (const alias of aliases.map(cleanName).filter(Boolean)) {
+      const normalized = normalizeVendor(alias);
+      if (normalized !== normalizeVendor(name) && !cleaned.some(existing => normalizeVendor(existing) === normalized)) {
+        cleaned.push(alias);
+      }
+    }
+    return cleaned;
+  }
+
+  function add({ name, aliases, enabled = true }) {
+    const brandName = cleanName(name);
+    if (!brandName) {
+      throw new Error('Brand name is required');
+    }
+    const brandAliases = cleanAliases(aliases, brandName);
+    assertVendorsAvailable([brandName, ...brandAliases], null);
+
+    const now = new Date().toISOString();
+    const brand = { name: brandName, aliases: brandAliases, enabled: enabled !== false, createdAt: now, updatedAt: now };
+    data.brands.push(brand);
+    save();
+    return { ...brand };
+  }
+
+  // Update aliases and/or the enabled flag. Renaming isn't supported - state is keyed by name.
+  function update(name, { aliases, enabled }) {
+    const brand = get(name);
+    if (!brand) {
+      return null;
+    }
+    if (aliases !== undefined) {
+      const brandAliases = cleanAliases(aliases, brand.name);
+      assertVendorsAvailable(brandAliases, brand);
+      brand.aliases = brandAliases;
+    }
+    if (enabled !== undefined) {
+      brand.enabled = enabled !== false;
+    }
+    brand.updatedAt = new Date().toISOString();
+    save();
+    return { ...brand };
+  }
+
+  // Silence a brand's alerts until a date. Checks and state tracking carry on, so the
+  // brand's state is current when the snooze ends.
+  function snooze(name, { until, reason = null, by = null } = {}) {
+    const brand = get(name);
+    if (!brand) {
+      return null;
+    }
+    const untilDate = new Date(until);
+    if (!until || Number.isNaN(untilDate.getTime())) {
+      throw new Error('until must be an ISO date, e.g. 2024-06-01 or 2024-06-01T08:00:00Z');
+    }
+    if (untilDate <= new Date()) {
+      throw new Error('until must be in the future');
+    }
+    const now = new Date().toISOString();
+    brand.snooze = { until: untilDate.toISOString(), reason: reason ? String(reason).trim() : null, by, at: now };
+    brand.updatedAt = now;
+    save();
+    return { ...brand };
+  }
+
+  function unsnooze(name) {
+    const brand = get(name);
+    if (!brand) {
+      return null;
+    }
+    brand.snooze = null;
+    brand.updatedAt = new Date().toISOString();
+    save();
+    return { ...brand };
+  }
+
+  // The brand's snooze if it's still running, otherwise null
+  function activeSnooze(name, date = new Date()) {
+    const brand = get(name);
+    return brand && brand.snooze && brand.snooze.until > date.toISOString() ? { ...brand.snooze } : null;
+  }
+
+  function remove(name) {
+    const brand = get(name);
+    if (!brand) {
+      return false;
+    }
+    data.brands = data.brands.filter(existing => existing !== brand);
+    save();
+    return true;
+  }
+
+  // First run: import BRANDS_TO_MONITOR so existing deployments keep working
+  if (isNew && seedBrands.length > 0) {
+    for (const name of seedBrands) {
+      if (!findByVendor(name)) {
+        add({ name });
+      }
+    }
+    log.info(`🏷️  Brand registry created from BRANDS_TO_MONITOR (${data.brands.length} brands)`);
+  }
+
+  return {
+    findByVendor,
+    get: name => {
+      const brand = get(name);
+      return brand ? { ...brand } : null;
+    },
+    add,
+    update,
+    snooze,
+    unsnooze,
+    activeSnooze,
+    remove,
+    list: () => data.brands.map(brand => ({ ...brand })),
+    // Canonical names of brands that aren't paused
+    monitoredBrands: () => data.brands.filter(brand => brand.enabled).map(brand => brand.name),
+    // The brand name a vendor string or alias belongs to (as given when it's no brand of ours)
+    canonicalName: name => {
+      const brand = findByVendor(name);
+      return brand ? brand.name : name;
+    },
+    // Every Shopify vendor string that belongs to a brand
+    vendorsFor: name => {
+      const brand = get(name);
+      return brand ? [brand.name, ...brand.aliases] : [name];
+    }
+  };
+}
+
+module.exports = { createBrandRegistry, normalizeVendor };
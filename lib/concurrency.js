@@ -0,0 +1,19 @@
+// Run `fn` over `items` with at most `limit` calls in flight.
+// Resolves with the results in input order; rejects with the first error.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
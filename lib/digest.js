@@ -0,0 +1,150 @@
+const fs = require('fs');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./json-file');
+
+// Scheduled stock digest - one overview of every monitored brand for the managers.
+//
+// A digest lists each brand's in-stock/total counts and calls out:
+//   - brands whose status (in stock / low stock / OOS) changed since the last digest
+//   - brands trending toward OOS: not OOS yet, but low on stock or with fewer products
+//     in stock than at the start of the period
+//   - products that went out of stock since the last digest
+//
+// Comparisons are against a snapshot saved when a digest is delivered, so a preview
+// (or a digest that failed to send) doesn't move the baseline.
+
+const DEFAULT_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+function brandStatus(stockStatus) {
+  if (stockStatus.allOOS) {
+    return 'OOS';
+  }
+  return stockStatus.lowStock ? 'LOW_STOCK' : 'IN_STOCK';
+}
+
+// Why a brand that isn't OOS looks like it's heading there, or null if it doesn't
+function trendReason(stockStatus, startPoint) {
+  const reasons = [];
+  if (startPoint && stockStatus.inStockProducts < startPoint.inStockProducts) {
+    reasons.push(`products in stock fell from ${startPoint.inStockProducts} to ${stockStatus.inStockProducts}`);
+  }
+  if (stockStatus.lowStock) {
+    reasons.push(`low stock: ${stockStatus.lowStockReason}`);
+  }
+  return reasons.length > 0 ? reasons.join('; ') : null;
+}
+
+// Assemble a digest.
+// checks: [{ brand, shop, stockStatus, startPoint, error }] - startPoint is the brand's stock
+//         history point at the start of the period (or null), shop the store's admin URL
+// previous: snapshot of the last delivered digest (or null)
+function buildDigest(checks, { previous = null, since }) {
+  const brands = [];
+  const changed = [];
+  const trending = [];
+  const newlyOOSProducts = [];
+  const snapshot = {};
+
+  for (const { brand, shop, stockStatus, startPoint, error } of checks) {
+    const before = previous ? previous.brands[brand] : null;
+    if (error) {
+      brands.push({ brand, status: 'ERROR', error });
+      // Keep the old baseline so the next digest still reports what happened
+      if (before) {
+        snapshot[brand] = before;
+      }
+      continue;
+    }
+
+    const status = brandStatus(stockStatus);
+    const oosProducts = stockStatus.products.filter(product => !product.inStock);
+    snapshot[brand] = { status, oosProductIds: oosProducts.map(product => product.id) };
+
+    brands.push({
+      brand,
+      status,
+      inStockProducts: stockStatus.inStockProducts,
+      totalProducts: stockStatus.totalProducts,
+      totalUnits: stockStatus.totalUnits
+    });
+
+    if (before && before.status !== status) {
+      changed.push({ brand, from: before.status, to: status });
+    }
+
+    const reason = status === 'OOS' ? null : trendReason(stockStatus, startPoint);
+    if (reason) {
+      trending.push({
+        brand,
+        inStockProducts: stockStatus.inStockProducts,
+        totalProducts: stockStatus.totalProducts,
+        totalUnits: stockStatus.totalUnits,
+        reason
+      });
+    }
+
+    // Without a baseline every OOS product would look new
+    if (before) {
+      const wasOOS = new Set(before.oosProductIds.map(String));
+      for (const product of oosProducts) {
+        if (!wasOOS.has(String(product.id))) {
+          newlyOOSProducts.push({ brand, shop, id: product.id, title: product.title });
+        }
+      }
+    }
+  }
+
+  // Closest to running out first
+  const share = item => item.totalProducts > 0 ? item.inStockProducts / item.totalProducts : 1;
+  trending.sort((a, b) => share(a) - share(b));
+
+  const count = status => brands.filter(item => item.status === status).length;
+  return {
+    generatedAt: new Date().toISOString(),
+    since,
+    firstDigest: !previous,
+    totals: {
+      brands: brands.length,
+      inStock: count('IN_STOCK'),
+      lowStock: count('LOW_STOCK'),
+      outOfStock: count('OOS'),
+      failed: count('ERROR')
+    },
+    brands,
+    changed,
+    trending,
+    newlyOOSProducts,
+    snapshot
+  };
+}
+
+// Remembers the last delivered digest
+function createDigestLog({ filePath = './data/digest.json' } = {}) {
+  let last = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      last = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      log.error(`❌ Could not read digest state ${filePath}:`, error.message);
+    }
+  }
+
+  // Start of the next digest's period: the last delivery, or one period back
+  function periodStart(periodMs = DEFAULT_PERIOD_MS) {
+    return last ? last.sentAt : new Date(Date.now() - periodMs).toISOString();
+  }
+
+  function recordSent(digest) {
+    last = { sentAt: digest.generatedAt, brands: digest.snapshot };
+    writeJsonAtomic(filePath, last);
+  }
+
+  return {
+    getLast: () => last,
+    periodStart,
+    recordSent
+  };
+}
+
+module.exports = { brandStatus, buildDigest, createDigestLog };
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./json-file');
+
+// Minimum dwell time - a transition (e.g. a brand going out of stock) is only reported
+// once it has held for `dwellMs`. Brands that flap out of and back into stock within
+// the window never alert.
+//
+// Candidates are kept per state key and persisted, so a restart doesn't reset the clock.
+
+function createDwellTracker({ filePath = './data/dwell.json', dwellMs = 0 } = {}) {
+  let data = { candidates: {} };
+
+  if (dwellMs > 0 && fs.existsSync(filePath)) {
+    try {
+      data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      log.error(`❌ Could not read dwell state ${filePath}:`, error.message);
+    }
+  }
+
+  function save() {
+    writeJsonAtomic(filePath, data);
+  }
+
+  // A check saw `transition` for `key`. Returns { ready, isNew, since, dueAt }:
+  // ready once the same transition has been seen continuously for dwellMs.
+  function observe(key, transition) {
+    const now = Date.now();
+    let candidate = data.candidates[key];
+    let isNew = false;
+    if (!candidate || candidate.transition !== transition) {
+      candidate = { transition, since: now };
+      data.candidates[key] = candidate;
+      isNew = true;
+      save();
+    }
+    const dueAt = candidate.since + dwellMs;
+    return { ready: now >= dueAt, isNew, since: new Date(candidate.since).toISOString(), dueAt };
+  }
+
+  // Forget a candidate - reported, or the brand went back. Returns the candidate or null.
+  function clear(key) {
+    const candidate = data.candidates[key] || null;
+    if (candidate) {
+      delete data.candidates[key];
+      save();
+    }
+    return candidate;
+  }
+
+  function list() {
+    return Object.entries(data.candidates).map(([key, candidate]) => ({
+      key,
+      transition: candidate.transition,
+      since: new Date(candidate.since).toISOString(),
+      dueAt: new Date(candidate.since + dwellMs).toISOString()
+    }));
+  }
+
+  return { enabled: dwellMs > 0, dwellMs, observe, clear, list };
+}
+
+module.exports = { createDwellTracker };
@@ -0,0 +1,271 @@
+const fs = require('fs');
+const { normalizeVendor } = require('./brand-registry');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./json-file');
+
+// Local inventory model, so a webhook doesn't mean re-downloading a whole vendor.
+//
+// Holds the products of every synced vendor plus available quantities keyed by
+// inventory item and location. A vendor is loaded in one go (replaceVendorProducts),
+// then kept current from inventory_levels/update payloads (applyLevelUpdate).
+// Products come back in the same shape the GraphQL layer returns, with each
+// variant's inventory_quantity recomputed from the cached per-location levels.
+//
+// Optionally persisted to a JSON file so a restart starts warm; writes are batched.
+
+const SAVE_DELAY_MS = 2000;
+
+// `activeOnly` must match the inventory service's, so the cache counts the same products
+function createInventoryCache({ filePath = null, activeOnly = false } = {}) {
+  let data = {
+    // { [productId]: { id, title, vendor, variants: [...] } }
+    products: {},
+    // { [inventoryItemId]: { [locationId]: { available, updatedAt } } }
+    levels: {},
+    // { [normalized vendor]: ISO time of the last full load }
+    syncedVendors: {}
+  };
+
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+      log.info(`🗃️  Loaded inventory cache: ${Object.keys(data.products).length} products`);
+    } catch (error) {
+      log.error(`❌ Could not read inventory cache ${filePath}:`, error.message);
+    }
+  }
+
+  // inventory item -> product id, rebuilt whenever products change
+  let itemIndex = new Map();
+  function reindex() {
+    itemIndex = new Map();
+    for (const product of Object.values(data.products)) {
+      for (const variant of product.variants) {
+        itemIndex.set(String(variant.inventory_item_id), String(product.id));
+      }
+    }
+  }
+  reindex();
+
+  let saveTimer = null;
+  function scheduleSave() {
+    if (!filePath || saveTimer) {
+      return;
+    }
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        writeJsonAtomic(filePath, data, { pretty: false });
+      } catch (error) {
+        log.error('❌ Could not save inventory cache:', error.message);
+      }
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  function isSynced(vendors) {
+    return vendors.every(vendor => data.syncedVendors[normalizeVendor(vendor)]);
+  }
+
+  // Replace everything cached for these vendors with a fresh load from Shopify.
+  // `levels` is { [inventoryItemId]: { [locationId]: available } } for all locations.
+  // Returns how many cached quantities disagreed with the fresh data (drift).
+  function replaceVendorProducts(vendors, products, levels) {
+    const wanted = new Set(vendors.map(normalizeVendor));
+    const now = new Date().toISOString();
+    let drift = 0;
+
+    // Take the vendors' products (and their levels) out, keeping the old levels to compare
+    const previousLevels = {};
+    for (const [id, product] of Object.entries(data.products)) {
+      if (wanted.has(normalizeVendor(product.vendor))) {
+        for (const variant of product.variants) {
+          const itemId = String(variant.inventory_item_id);
+          previousLevels[itemId] = data.levels[itemId];
+          delete data.levels[itemId];
+        }
+        delete data.products[id];
+      }
+    }
+
+    for (const product of products) {
+      for (const variant of product.variants) {
+        const itemId = String(variant.inventory_item_id);
+        const fresh = levels[itemId] || {};
+        const cached = previousLevels[itemId];
+        if (cached) {
+          for (const locationId of new Set([...Object.keys(cached), ...Object.keys(fresh)])) {
+            if ((cached[locationId]?.available || 0) !== (fresh[locationId] || 0)) {
+              drift++;
+            }
+          }
+        }
+        data.levels[itemId] = {};
+        for (const [locationId, available] of Object.entries(fresh)) {
+          data.levels[itemId][locationId] = { available, updatedAt: now };
+        }
+      }
+      data.products[String(product.id)] = {
+        id: product.id,
+        title: product.title,
+        vendor: product.vendor,
+        variants: product.variants.map(variant => ({ ...variant }))
+      };
+    }
+
+    for (const vendor of wanted) {
+      data.syncedVendors[vendor] = now;
+    }
+    reindex();
+    scheduleSave();
+    return drift;
+  }
+
+  // Apply an inventory_levels/update payload.
+  // Returns the product the item belongs to, or null if it isn't cached (unknown item).
+  function applyLevelUpdate({ inventoryItemId, locationId, available, updatedAt }) {
+    const itemId = String(inventoryItemId);
+    const productId = itemIndex.get(itemId);
+    if (!productId) {
+      return null;
+    }
+
+    const itemLevels = data.levels[itemId] || (data.levels[itemId] = {});
+    const current = itemLevels[String(locationId)];
+    const at = updatedAt || new Date().toISOString();
+    // Shopify doesn't guarantee delivery order - never let an older update win
+    if (!current || Date.parse(current.updatedAt) <= Date.parse(at)) {
+      itemLevels[String(locationId)] = { available: available || 0, updatedAt: at };
+      scheduleSave();
+    }
+    return data.products[productId];
+  }
+
+  function variantWithQuantity(variant) {
+    const itemLevels = data.levels[String(variant.inventory_item_id)];
+    if (!itemLevels || Object.keys(itemLevels).length === 0) {
+      return { ...variant };
+    }
+    const total = Object.values(itemLevels).reduce((sum, level) => sum + level.available, 0);
+    return { ...variant, inventory_quantity: total };
+  }
+
+  function getProductsForVendors(vendors) {
+    const wanted = new Set(vendors.map(normalizeVendor));
+    return Object.values(data.products)
+      .filter(product => wanted.has(normalizeVendor(product.vendor)))
+      .map(product => ({ ...product, variants: product.variants.map(variantWithQuantity) }));
+  }
+
+  // Same shape as the GraphQL layer: { [inventory_item_id]: { [location_id]: available } }
+  function getInventoryLevels(inventoryItemIds, locationIds) {
+    const wantedLocations = new Set(locationIds.map(String));
+    const levels = {};
+    for (const itemId of inventoryItemIds.map(String)) {
+      levels[itemId] = {};
+      for (const [locationId, level] of Object.entries(data.levels[itemId] || {})) {
+        if (wantedLocations.has(locationId)) {
+          levels[itemId][locationId] = level.available;
+        }
+      }
+    }
+    return levels;
+  }
+
+  function vendorOfProduct(productId) {
+    return data.products[String(productId)]?.vendor || null;
+  }
+
+  function removeProduct(productId) {
+    const product = data.products[String(productId)];
+    if (!product) {
+      return null;
+    }
+    for (const variant of product.variants) {
+      delete data.levels[String(variant.inventory_item_id)];
+    }
+    delete data.products[String(productId)];
+    reindex();
+    scheduleSave();
+    return product;
+  }
+
+  // Apply a products/create or products/update payload (REST shape).
+  // Only products of synced vendors are kept - with activeOnly, only active ones. A product
+  // with inventory items we have no levels for makes its vendor reload on the next check,
+  // since the payload only carries totals, not per-location quantities.
+  function upsertProduct(product) {
+    const counted = !activeOnly || !product.status || product.status === 'active';
+    if (!counted || !data.syncedVendors[normalizeVendor(product.vendor)]) {
+      removeProduct(product.id);
+      return;
+    }
+
+    // Drop levels of variants that no longer exist, keep the rest
+    const existing = data.products[String(product.id)];
+    const itemIds = new Set(product.variants.map(variant => String(variant.inventory_item_id)));
+    for (const variant of existing ? existing.variants : []) {
+      if (!itemIds.has(String(variant.inventory_item_id))) {
+        delete data.levels[String(variant.inventory_item_id)];
+      }
+    }
+
+    if ([...itemIds].some(itemId => !data.levels[itemId])) {
+      removeProduct(product.id);
+      forgetVendors([product.vendor]);
+      return;
+    }
+
+    data.products[String(product.id)] = {
+      id: product.id,
+      title: product.title,
+      vendor: product.vendor,
+      variants: product.variants.map(variant => ({ ...variant }))
+    };
+    reindex();
+    scheduleSave();
+  }
+
+  // Forget vendors (e.g. a brand was removed) so they're reloaded if they come back
+  function forgetVendors(vendors) {
+    const unwanted = new Set(vendors.map(normalizeVendor));
+    for (const [id, product] of Object.entries(data.products)) {
+      if (unwanted.has(normalizeVendor(product.vendor))) {
+        for (const variant of product.variants) {
+          delete data.levels[String(variant.inventory_item_id)];
+        }
+        delete data.products[id];
+      }
+    }
+    for (const vendor of unwanted) {
+      delete data.syncedVendors[vendor];
+    }
+    reindex();
+    scheduleSave();
+  }
+
+  function getStatus() {
+    return {
+      persisted: !!filePath,
+      products: Object.keys(data.products).length,
+      inventoryItems: itemIndex.size,
+      syncedVendors: { ...data.syncedVendors }
+    };
+  }
+
+  return {
+    isSynced,
+    replaceVendorProducts,
+    applyLevelUpdate,
+    getProductsForVendors,
+    getInventoryLevels,
+    forgetVendors,
+    vendorOfProduct,
+    upsertProduct,
+    removeProduct,
+    hasItem: inventoryItemId => itemIndex.has(String(inventoryItemId)),
+    getStatus
+  };
+}
+
+module.exports = { createInventoryCache };
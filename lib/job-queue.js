@@ -0,0 +1,219 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { backoffDelay } = require('./backoff');
+const { writeJsonAtomic } = require('./json-file');
+
+// Persistent local job queue for webhook processing.
+// - Jobs survive restarts (JSON file, written on every change)
+// - Failed jobs are retried with exponential backoff, then dead-lettered
+// - Webhook deliveries are deduplicated by their X-Shopify-Webhook-Id
+// - Jobs with the same coalesce key collapse into one pending job
+// - A job keeps the correlation id it was queued under (the webhook id, or the request
+//   or job that queued it), so everything it logs can be traced back to its webhook
+
+// Shopify retries failed deliveries for up to 48 hours
+const SEEN_WEBHOOK_TTL_MS = 48 * 60 * 60 * 1000;
+const MAX_DEAD_LETTER = 1000;
+
+function createJobQueue({
+  filePath = './data/queue.json',
+  handlers = {},
+  maxAttempts = 5,
+  baseDelayMs = 5000,
+  maxDelayMs = 10 * 60 * 1000,
+  pollIntervalMs = 1000
+} = {}) {
+  let data = { jobs: [], deadLetter: [], seenWebhookIds: {} };
+
+  if (fs.existsSync(filePath)) {
+    try {
+      data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+      log.info(`📬 Loaded job queue: ${data.jobs.length} pending, ${data.deadLetter.length} dead`);
+    } catch (error) {
+      log.error(`❌ Could not read queue file ${filePath}:`, error.message);
+      log.warn('⚠️  Starting with an empty job queue');
+    }
+  }
+
+  let timer = null;
+  let processing = false;
+  const runningJobIds = new Set();
+
+  function save() {
+    writeJsonAtomic(filePath, data);
+  }
+
+  function pruneSeenWebhookIds() {
+    const cutoff = Date.now() - SEEN_WEBHOOK_TTL_MS;
+    for (const [id, seenAt] of Object.entries(data.seenWebhookIds)) {
+      if (seenAt < cutoff) {
+        delete data.seenWebhookIds[id];
+      }
+    }
+  }
+
+  // Save an enqueue, or undo it in memory and rethrow. The webhook id only counts as seen
+  // once the job is on disk - otherwise Shopify's redelivery would be dropped as a duplicate.
+  function saveEnqueued(webhookId, undo) {
+    if (webhookId) {
+      data.seenWebhookIds[webhookId] = Date.now();
+    }
+    try {
+      save();
+    } catch (error) {
+      if (webhookId) {
+        delete data.seenWebhookIds[webhookId];
+      }
+      undo();
+      throw error;
+    }
+  }
+
+  // Add a job. Returns { job, duplicate, coalesced }.
+  function enqueue(type, payload, { webhookId, coalesceKey, delayMs = 0 } = {}) {
+    if (webhookId) {
+      pruneSeenWebhookIds();
+      if (data.seenWebhookIds[webhookId]) {
+        return { job: null, duplicate: true, coalesced: false };
+      }
+    }
+
+    // Only coalesce into jobs that haven't started yet
+    if (coalesceKey) {
+      const existing = data.jobs.find(job =>
+        job.type === type && job.coalesceKey === coalesceKey && !runningJobIds.has(job.id)
+      );
+      if (existing) {
+        const coalescedCount = existing.coalescedCount;
+        existing.coalescedCount = (coalescedCount || 0) + 1;
+        log.debug(`🧩 Coalesced into job ${existing.type} ${existing.id}`, { jobCorrelationId: existing.correlationId });
+        saveEnqueued(webhookId, () => {
+          existing.coalescedCount = coalescedCount;
+        });
+        return { job: existing, duplicate: false, coalesced: true };
+      }
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      webhookId: webhookId || null,
+      correlationId: webhookId || log.currentContext().correlationId || null,
+      coalesceKey: coalesceKey || null,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      runAt: Date.now() + delayMs,
+      lastError: null
+    };
+    data.jobs.push(job);
+    saveEnqueued(webhookId, () => {
+      data.jobs = data.jobs.filter(queued => queued !== job);
+    });
+    return { job, duplicate: false, coalesced: false };
+  }
+
+  function runJob(job) {
+    return log.withContext({ correlationId: job.correlationId || job.id, jobId: job.id, jobType: job.type }, () => runJobInContext(job));
+  }
+
+  async function runJobInContext(job) {
+    const handler = handlers[job.type];
+    runningJobIds.add(job.id);
+    job.attempts++;
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler for job type "${job.type}"`);
+      }
+      await handler(job.payload, job);
+      data.jobs = data.jobs.filter(j => j.id !== job.id);
+    } catch (error) {
+      job.lastError = error.message;
+      if (job.attempts >= maxAttempts) {
+        log.error(`💀 Job ${job.type} ${job.id} failed ${job.attempts} times, moving to dead letter:`, error.message);
+        data.jobs = data.jobs.filter(j => j.id !== job.id);
+        data.deadLetter.push({ ...job, failedAt: new Date().toISOString() });
+        if (data.deadLetter.length > MAX_DEAD_LETTER) {
+          data.deadLetter = data.deadLetter.slice(-MAX_DEAD_LETTER);
+        }
+      } else {
+        const delay = backoffDelay(job.attempts, { baseDelayMs, maxDelayMs });
+        job.runAt = Date.now() + delay;
+        log.warn(`🔁 Job ${job.type} ${job.id} failed (attempt ${job.attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+      }
+    } finally {
+      runningJobIds.delete(job.id);
+      save();
+    }
+  }
+
+  // Process due jobs one at a time, oldest first
+  async function processDueJobs() {
+    if (processing) {
+      return;
+    }
+    processing = true;
+    try {
+      let job;
+      while ((job = data.jobs
+        .filter(j => j.runAt <= Date.now())
+        .sort((a, b) => a.runAt - b.runAt)[0])) {
+        await runJob(job);
+      }
+    } finally {
+      processing = false;
+    }
+  }
+
+  function start() {
+    if (timer) {
+      return;
+    }
+    timer = setInterval(() => {
+      processDueJobs().catch(error => log.error('❌ Job worker error:', error.message));
+    }, pollIntervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Move a dead-lettered job back into the queue with a fresh attempt count
+  function replay(jobId) {
+    const deadJob = data.deadLetter.find(job => job.id === jobId);
+    if (!deadJob) {
+      return null;
+    }
+    data.deadLetter = data.deadLetter.filter(job => job.id !== jobId);
+    const { failedAt, ...job } = deadJob;
+    Object.assign(job, { attempts: 0, runAt: Date.now(), lastError: null });
+    data.jobs.push(job);
+    save();
+    return job;
+  }
+
+  function replayAll() {
+    return data.deadLetter.map(job => job.id).map(replay);
+  }
+
+  function getStatus() {
+    return {
+      pending: data.jobs.length,
+      running: runningJobIds.size,
+      dead: data.deadLetter.length,
+      jobs: data.jobs.map(job => ({
+        ...job,
+        runAt: new Date(job.runAt).toISOString(),
+        running: runningJobIds.has(job.id)
+      })),
+      deadLetter: data.deadLetter.map(job => ({ ...job, runAt: new Date(job.runAt).toISOString() }))
+    };
+  }
+
+  return { enqueue, start, stop, replay, replayAll, getStatus, processDueJobs };
+}
+
+module.exports = { createJobQueue };
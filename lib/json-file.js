@@ -0,0 +1,13 @@
+const fs = require('fs');
+const path = require('path');
+
+// Write `data` as JSON to a temp file and rename it into place, so a crash mid-write
+// can't leave a truncated file behind. Creates the directory if needed.
+function writeJsonAtomic(filePath, data, { pretty = true } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data));
+  fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = { writeJsonAtomic };
@@ -0,0 +1,156 @@
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging shared by the server and every module.
+//
+//   log.info('📬 Webhook queued', { topic });   ->   {"time":"…","level":"info","msg":"📬 Webhook queued","topic":"…","correlationId":"…"}
+//
+// LOG_LEVEL (debug | info | warn | error, default info) sets the verbosity - request
+// dumps and other debugging output are logged at debug level. LOG_FORMAT=pretty prints
+// readable lines instead of JSON for local development.
+//
+// Correlation: withContext() attaches fields (e.g. the Shopify webhook id) to every line
+// logged while a request or job is handled, including from the Shopify client and the
+// notifier, without passing anything around.
+//
+// Redaction: values of keys that look like credentials (token, secret, password, hmac,
+// authorization, api key, signature, cookie) and token-shaped strings anywhere in a
+// message are replaced before anything is written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /token|secret|password|passwd|hmac|authorization|api[-_]?key|signature|cookie/i;
+const SENSITIVE_VALUE = [
+  // Shopify access tokens and shared secrets
+  /\bshp(?:at|ca|pa|ss)_[A-Za-z0-9]+/g,
+  // Our own API keys
+  /\bimk_[A-Za-z0-9_-]+/g,
+  // SendGrid keys
+  /\bSG\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+  /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi
+];
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+const settings = { level: 'info', format: 'json' };
+
+function configureLogger({ level, format } = {}) {
+  if (level) {
+    if (!LEVELS[level]) {
+      throw new Error(`Invalid LOG_LEVEL "${level}" (use ${Object.keys(LEVELS).join(', ')})`);
+    }
+    settings.level = level;
+  }
+  if (format) {
+    if (!['json', 'pretty'].includes(format)) {
+      throw new Error(`Invalid LOG_FORMAT "${format}" (use json or pretty)`);
+    }
+    settings.format = format;
+  }
+}
+
+function redactString(text) {
+  return SENSITIVE_VALUE.reduce((result, pattern) =>
+    result.replace(pattern, match => (/^(bearer|basic)\s/i.test(match) ? `${match.split(/\s+/)[0]} ${REDACTED}` : REDACTED)), text);
+}
+
+function serializeError(error) {
+  const fields = { name: error.name, message: redactString(error.message) };
+  for (const key of ['code', 'status', 'requestId']) {
+    if (error[key] !== undefined && error[key] !== null) {
+      fields[key] = error[key];
+    }
+  }
+  if (settings.level === 'debug' && error.stack) {
+    fields.stack = redactString(error.stack);
+  }
+  return fields;
+}
+
+// Deep copy with sensitive keys and token-like strings masked
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return `<Buffer ${value.length} bytes>`;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) && item !== null && item !== undefined && typeof item !== 'boolean' ?
+      REDACTED :
+      redact(item, depth + 1);
+  }
+  return copy;
+}
+
+// Accepts console-style arguments: plain objects become fields, an Error becomes `error`,
+// anything else is appended to the message.
+function write(level, message, args) {
+  if (LEVELS[level] < LEVELS[settings.level]) {
+    return;
+  }
+
+  const fields = {};
+  const extra = [];
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      fields.error = arg;
+    } else if (arg && typeof arg === 'object' && !Array.isArray(arg) && !Buffer.isBuffer(arg)) {
+      Object.assign(fields, arg);
+    } else if (arg !== undefined) {
+      extra.push(typeof arg === 'string' ? arg : util.inspect(arg, { breakLength: Infinity, depth: 3 }));
+    }
+  }
+  const msg = redactString([String(message), ...extra].join(' ').trim());
+  const entry = { time: new Date().toISOString(), level, msg, ...redact(context.getStore() || {}), ...redact(fields) };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (settings.format === 'pretty') {
+    const { time, level: entryLevel, msg: text, correlationId, ...rest } = entry;
+    const prefix = correlationId ? `[${String(correlationId).slice(0, 8)}] ` : '';
+    const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${prefix}${text}${details}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+// Run fn with extra fields (e.g. { correlationId }) on every line it logs
+function withContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+function currentContext() {
+  return context.getStore() || {};
+}
+
+function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+const log = {
+  debug: (message, ...args) => write('debug', message, args),
+  info: (message, ...args) => write('info', message, args),
+  warn: (message, ...args) => write('warn', message, args),
+  error: (message, ...args) => write('error', message, args),
+  isDebug: () => settings.level === 'debug',
+  withContext,
+  currentContext,
+  newCorrelationId
+};
+
+module.exports = { log, configureLogger, redact, LEVELS };
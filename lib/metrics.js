@@ -0,0 +1,134 @@
+// Prometheus metrics in the text exposition format (version 0.0.4), served at /metrics.
+//
+// Counters and histograms are updated as things happen. Values that already live
+// elsewhere (Shopify client stats, notifier stats, queue depth, brand stock) are read
+// when scraped, through collectors registered with `collect()`.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {}).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(Number(value)) ? 'NaN' : String(Number(value));
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = new Map();
+  const collectors = [];
+
+  function register(name, help, type) {
+    const fullName = `${prefix}${name}`;
+    if (metrics.has(fullName)) {
+      throw new Error(`Metric ${fullName} is already registered`);
+    }
+    const metric = { name: fullName, help, type, series: new Map() };
+    metrics.set(fullName, metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, create) {
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels: { ...labels }, ...create() });
+    }
+    return metric.series.get(key);
+  }
+
+  function counter(name, help) {
+    const metric = register(name, help, 'counter');
+    return {
+      inc(labels = {}, value = 1) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+      }
+    };
+  }
+
+  function gauge(name, help) {
+    const metric = register(name, help, 'gauge');
+    return {
+      set(labels = {}, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      }
+    };
+  }
+
+  function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    const metric = register(name, help, 'histogram');
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe(labels = {}, value) {
+        const series = seriesFor(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+        metric.buckets.forEach((bound, index) => {
+          if (value <= bound) {
+            series.counts[index]++;
+          }
+        });
+        series.sum += value;
+        series.count++;
+      }
+    };
+  }
+
+  // fn() returns (or resolves with) [{ name, help, type, samples: [{ labels, value }] }],
+  // with names relative to the prefix
+  function collect(fn) {
+    collectors.push(fn);
+  }
+
+  function renderMetric(lines, { name, help, type }, samples) {
+    lines.push(`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    for (const { suffix = '', labels, value } of samples) {
+      lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+
+  async function render() {
+    const lines = [];
+
+    for (const metric of metrics.values()) {
+      const samples = [];
+      for (const series of metric.series.values()) {
+        if (metric.type === 'histogram') {
+          metric.buckets.forEach((bound, index) => {
+            samples.push({ suffix: '_bucket', labels: { ...series.labels, le: formatValue(bound) }, value: series.counts[index] });
+          });
+          samples.push({ suffix: '_bucket', labels: { ...series.labels, le: '+Inf' }, value: series.count });
+          samples.push({ suffix: '_sum', labels: series.labels, value: series.sum });
+          samples.push({ suffix: '_count', labels: series.labels, value: series.count });
+        } else {
+          samples.push({ labels: series.labels, value: series.value });
+        }
+      }
+      renderMetric(lines, metric, samples);
+    }
+
+    for (const collector of collectors) {
+      for (const family of await collector()) {
+        renderMetric(lines, { ...family, name: `${prefix}${family.name}` }, family.samples);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, collect, render };
+}
+
+module.exports = { createMetricsRegistry, DEFAULT_BUCKETS };
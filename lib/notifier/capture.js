@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../logger');
+
+// Capture channel for tests and local development - appends every notification to a
+// JSON Lines file instead of sending it, so nothing needs real email or chat accounts:
+//   {"event":"oos","subject":"…","message":"…","html":"…","recipients":[…],"data":{…},"timestamp":"…"}
+function createCaptureChannel({ name = 'capture', filePath }) {
+  return {
+    name,
+    type: 'capture',
+    isEmail: false,
+
+    async send({ type, subject, message, html, data, recipients }) {
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, JSON.stringify({
+          event: type,
+          subject,
+          message,
+          html: html || null,
+          recipients: recipients || [],
+          data: data || {},
+          timestamp: new Date().toISOString()
+        }) + '\n');
+        log.info(`📼 Notification captured (${type}):`, subject);
+        return { success: true };
+      } catch (error) {
+        log.error('❌ Could not capture notification:', error.message);
+        return { success: false, error: error.message };
+      }
+    }
+  };
+}
+
+module.exports = { createCaptureChannel };
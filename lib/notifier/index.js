@@ -0,0 +1,202 @@
+const { createSmtpChannel } = require('./smtp');
+const { createSendGridChannel } = require('./sendgrid');
+const { createSlackChannel } = require('./slack');
+const { createTeamsChannel } = require('./teams');
+const { createWebhookChannel } = require('./webhook');
+const { createCaptureChannel } = require('./capture');
+const { log } = require('../logger');
+
+// Event types the monitor emits. Each can be routed to its own set of channels.
+const EVENT_TYPES = ['oos', 'back_in_stock', 'low_stock', 'check_summary', 'digest', 'all_stores_oos', 'webhook_alert', 'alert_batch', 'test'];
+
+// Build the configured channels. Only channels with credentials are created.
+function createChannels(config) {
+  const channels = [];
+
+  // SendGrid first: it's the preferred email method when both are configured
+  if (config.SENDGRID_API_KEY) {
+    channels.push(createSendGridChannel({
+      apiKey: config.SENDGRID_API_KEY,
+      from: config.EMAIL_FROM,
+      to: config.EMAIL_TO
+    }));
+  }
+  if (config.EMAIL_PASSWORD) {
+    channels.push(createSmtpChannel({
+      from: config.EMAIL_FROM,
+      to: config.EMAIL_TO,
+      password: config.EMAIL_PASSWORD
+    }));
+  }
+  if (config.SLACK_WEBHOOK_URL) {
+    channels.push(createSlackChannel({ webhookUrl: config.SLACK_WEBHOOK_URL }));
+  }
+  if (config.TEAMS_WEBHOOK_URL) {
+    channels.push(createTeamsChannel({ webhookUrl: config.TEAMS_WEBHOOK_URL }));
+  }
+  if (config.NOTIFY_WEBHOOK_URL) {
+    channels.push(createWebhookChannel({
+      url: config.NOTIFY_WEBHOOK_URL,
+      secret: config.NOTIFY_WEBHOOK_SECRET
+    }));
+  }
+  if (config.NOTIFY_CAPTURE_PATH) {
+    channels.push(createCaptureChannel({ filePath: config.NOTIFY_CAPTURE_PATH }));
+  }
+
+  return channels;
+}
+
+// Routes map an event type (or "default") to channel names, e.g.
+//   { "default": ["email", "slack"], "low_stock": ["slack"], "check_summary": ["email"] }
+// "email" means the primary email channel (SendGrid if configured, otherwise SMTP).
+// Without routes, every event goes to the primary email channel plus all non-email channels.
+function createNotifier({ channels, routes = {} }) {
+  const byName = new Map(channels.map(channel => [channel.name, channel]));
+  const primaryEmail = channels.find(channel => channel.isEmail) || null;
+  // Delivery counts per channel and event type, for /metrics and /health
+  const stats = new Map(channels.map(channel => [channel.name, {
+    sent: {},
+    failed: {},
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null
+  }]));
+
+  function recordDelivery(channelName, eventType, result) {
+    const channelStats = stats.get(channelName);
+    if (!channelStats) {
+      return;
+    }
+    const now = new Date().toISOString();
+    if (result.success) {
+      channelStats.sent[eventType] = (channelStats.sent[eventType] || 0) + 1;
+      channelStats.lastSuccessAt = now;
+    } else {
+      channelStats.failed[eventType] = (channelStats.failed[eventType] || 0) + 1;
+      channelStats.lastFailureAt = now;
+      channelStats.lastError = result.error || null;
+    }
+  }
+
+  function resolveNames(names) {
+    const resolved = [];
+    for (const name of names) {
+      const actual = name === 'email' ? primaryEmail?.name : name;
+      if (actual && !resolved.includes(actual)) {
+        resolved.push(actual);
+      }
+    }
+    return resolved;
+  }
+
+  const defaultNames = resolveNames([
+    'email',
+    ...channels.filter(channel => !channel.isEmail).map(channel => channel.name)
+  ]);
+
+  // Fail fast on typos in the routing config
+  for (const [eventType, names] of Object.entries(routes)) {
+    if (eventType !== 'default' && !EVENT_TYPES.includes(eventType)) {
+      throw new Error(`Unknown event type "${eventType}" in notification routes`);
+    }
+    if (!Array.isArray(names)) {
+      throw new Error(`Notification route for "${eventType}" must be an array of channel names`);
+    }
+    for (const name of names) {
+      if (name !== 'email' && !byName.has(name)) {
+        throw new Error(`Notification route "${eventType}" uses unknown or unconfigured channel "${name}"`);
+      }
+    }
+  }
+
+  function routeFor(eventType) {
+    const names = routes[eventType] || routes.default;
+    return names ? resolveNames(names) : defaultNames;
+  }
+
+  // Channel names an event goes to: its route (or an explicit list), narrowed by `only`
+  function resolveChannels(eventType, { channels: channelNames, only } = {}) {
+    let names = channelNames ? resolveNames(channelNames) : routeFor(eventType);
+    if (only) {
+      names = names.filter(name => byName.get(name)?.isEmail === (only === 'email'));
+    }
+    return names;
+  }
+
+  // Deliver an event to its routed channels (or an explicit list) and report per-channel results.
+  // `message` is the plain-text body; email channels prefer `html` when it's given.
+  // `recipients` only applies to email channels; chat and webhook channels are team-wide.
+  // `only: 'email' | 'other'` narrows the routed channels, e.g. for per-recipient emails.
+  async function notify(eventType, { subject, message, html, data, recipients }, { channels: channelNames, only } = {}) {
+    const names = resolveChannels(eventType, { channels: channelNames, only });
+
+    if (names.length === 0) {
+      // Narrowing with `only` legitimately leaves nothing when e.g. no chat channels exist
+      if (!only) {
+        log.error(`❌ No notification channels configured for ${eventType}`);
+      }
+      return { success: false, error: 'No notification channels configured', delivered: 0, failed: 0, results: [] };
+    }
+
+    const results = await Promise.all(names.map(async name => {
+      const channel = byName.get(name);
+      if (!channel) {
+        return { channel: name, success: false, error: 'Channel not configured' };
+      }
+      const result = await channel.send({ type: eventType, subject, message, html, data, recipients });
+      recordDelivery(name, eventType, result);
+      return { channel: name, type: channel.type, ...result };
+    }));
+
+    const failures = results.filter(result => !result.success);
+    return {
+      success: failures.length < results.length,
+      error: failures.length > 0 ? failures.map(result => `${result.channel}: ${result.error}`).join('; ') : undefined,
+      delivered: results.length - failures.length,
+      failed: failures.length,
+      results
+    };
+  }
+
+  function getStats() {
+    return channels.map(channel => ({ name: channel.name, type: channel.type, ...stats.get(channel.name) }));
+  }
+
+  // Probe every channel. Channels that can't be probed without sending something
+  // (chat and webhook channels) report how their last delivery went instead.
+  async function checkChannels() {
+    return Promise.all(channels.map(async channel => {
+      const { lastSuccessAt, lastFailureAt, lastError } = stats.get(channel.name);
+      if (typeof channel.verify === 'function') {
+        const result = await channel.verify();
+        return { name: channel.name, type: channel.type, reachable: result.success, checked: true, error: result.error || null };
+      }
+      const lastFailed = !!lastFailureAt && (!lastSuccessAt || lastFailureAt > lastSuccessAt);
+      return {
+        name: channel.name,
+        type: channel.type,
+        reachable: lastSuccessAt || lastFailureAt ? !lastFailed : null,
+        checked: false,
+        error: lastFailed ? lastError : null
+      };
+    }));
+  }
+
+  return {
+    notify,
+    routeFor,
+    resolveChannels,
+    getStats,
+    checkChannels,
+    primaryEmail,
+    channels: channels.map(channel => ({ name: channel.name, type: channel.type })),
+    hasChannel: name => byName.has(name) || (name === 'email' && !!primaryEmail)
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  createChannels,
+  createNotifier
+};
@@ -0,0 +1,24 @@
+const fetch = require('node-fetch');
+
+// POST a JSON payload and turn the response into a channel delivery result
+async function postJson(url, payload, { headers = {}, timeoutMs = 10000 } = {}) {
+  try {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const response = await fetch(url, {
+      method: 'POST',
+      timeout: timeoutMs,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      return { success: false, error: `${response.status} ${response.statusText}: ${error.slice(0, 500)}` };
+    }
+    return { success: true, status: response.status };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = { postJson };
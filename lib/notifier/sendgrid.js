@@ -0,0 +1,84 @@
+const fetch = require('node-fetch');
+const { escapeHtml } = require('../templates');
+const { log } = require('../logger');
+
+// Used when the caller didn't render an HTML template
+function fallbackHtml(subject, message) {
+  return `<h2>${escapeHtml(subject)}</h2><pre style="font-family: monospace; white-space: pre-wrap;">${escapeHtml(message)}</pre>`;
+}
+
+// SendGrid API email channel (recommended for production - SMTP often gets blocked by hosts).
+// `to` is the default recipient; an event can override it with its own `recipients`.
+function createSendGridChannel({ name = 'sendgrid', apiKey, from, to, timeoutMs = 15000 }) {
+  return {
+    name,
+    type: 'sendgrid',
+    isEmail: true,
+
+    // Reachability check for /health: the API key must be accepted (no email is sent)
+    async verify() {
+      try {
+        const response = await fetch('https://api.sendgrid.com/v3/scopes', {
+          timeout: timeoutMs,
+          headers: { 'Authorization': `Bearer ${apiKey}` }
+        });
+        return response.ok ?
+          { success: true } :
+          { success: false, error: `${response.status} ${response.statusText}` };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
+    async send({ subject, message, html, recipients }) {
+      const toList = recipients && recipients.length > 0 ? recipients : [to];
+      try {
+        const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+          method: 'POST',
+          timeout: timeoutMs,
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            // One personalization per recipient, so recipients don't see each other
+            personalizations: toList.map(email => ({
+              to: [{ email: email }]
+            })),
+            from: { 
+              email: from,
+              name: 'Shopify Inventory Monitor'
+            },
+            subject: subject,
+            // SendGrid wants text/plain before text/html
+            content: [
+              { type: 'text/plain', value: message },
+              { type: 'text/html', value: html || fallbackHtml(subject, message) }
+            ],
+            // Anti-spam headers
+            tracking_settings: {
+              click_tracking: { enable: false },
+              open_tracking: { enable: false }
+            },
+            // Email category for analytics
+            categories: ['inventory-alert']
+          })
+        });
+        
+        if (response.ok) {
+          log.info('✅ Email sent via SendGrid', { subject, recipients: toList });
+          return { success: true, recipients: toList };
+        } else {
+          const error = await response.text();
+          log.error('❌ SendGrid error:', error);
+          return { success: false, error: error };
+        }
+      } catch (error) {
+        log.error('❌ SendGrid request failed:', error.message);
+        return { success: false, error: error.message };
+      }
+    }
+  };
+}
+
+module.exports = { createSendGridChannel };
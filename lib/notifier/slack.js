@@ -0,0 +1,31 @@
+const { postJson } = require('./post-json');
+const { log } = require('../logger');
+
+// Slack incoming webhook channel
+function createSlackChannel({ name = 'slack', webhookUrl, timeoutMs }) {
+  return {
+    name,
+    type: 'slack',
+    isEmail: false,
+
+    async send({ subject, message }) {
+      const result = await postJson(webhookUrl, {
+        // Fallback text for notifications; the blocks carry the formatted message
+        text: subject,
+        blocks: [
+          { type: 'header', text: { type: 'plain_text', text: subject.slice(0, 150), emoji: true } },
+          { type: 'section', text: { type: 'mrkdwn', text: '```' + message.slice(0, 2900) + '```' } }
+        ]
+      }, { timeoutMs });
+
+      if (result.success) {
+        log.info('✅ Slack message sent:', subject);
+      } else {
+        log.error('❌ Slack error:', result.error);
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { createSlackChannel };
@@ -0,0 +1,98 @@
+const nodemailer = require('nodemailer');
+const { escapeHtml } = require('../templates');
+const { log } = require('../logger');
+
+// SMTP email channel (Gmail by default).
+// `to` is the default recipient; an event can override it with its own `recipients`.
+function createSmtpChannel({ name = 'smtp', host = 'smtp.gmail.com', port = 465, from, to, password, timeoutMs = 15000 }) {
+  const transporter = nodemailer.createTransport({
+    host: host,
+    port: port,
+    secure: port === 465,
+    auth: {
+      user: from,
+      pass: password
+    },
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 10000
+  });
+  
+  // Verify SMTP connection
+  transporter.verify(function(error, success) {
+    if (error) {
+      log.error('❌ SMTP connection failed:', error.message);
+      log.warn('⚠️  Consider using SendGrid instead - add SENDGRID_API_KEY to env vars');
+    } else {
+      log.info('✅ SMTP server is ready to send messages');
+    }
+  });
+
+  return {
+    name,
+    type: 'smtp',
+    isEmail: true,
+
+    // Reachability check for /health: connect and authenticate without sending anything
+    async verify() {
+      try {
+        await transporter.verify();
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+
+    // Send with a hard timeout - a stuck SMTP connection shouldn't hang the caller.
+    // Each recipient gets their own message so addresses aren't shared. When some of them
+    // fail, `failedRecipients` says who still needs it, so a retry doesn't email the others again.
+    async send({ subject, message, html, recipients }) {
+      const toList = recipients && recipients.length > 0 ? recipients : [to];
+      const messageIds = [];
+      const delivered = [];
+      const failed = [];
+      let lastError = null;
+      for (const recipient of toList) {
+        let timer = null;
+        try {
+          const timeoutPromise = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Email send timeout after ${timeoutMs / 1000} seconds`)), timeoutMs);
+          });
+          
+          const sendPromise = transporter.sendMail({
+            from: from,
+            to: recipient,
+            subject: subject,
+            text: message,
+            html: html || `<div style="font-family: monospace; white-space: pre-wrap;">${escapeHtml(message)}</div>`
+          });
+          
+          const info = await Promise.race([sendPromise, timeoutPromise]);
+          messageIds.push(info.messageId);
+          delivered.push(recipient);
+        } catch (error) {
+          log.error('❌ SMTP error:', error.code, error.message, { recipient });
+          failed.push(recipient);
+          lastError = error;
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+      
+      if (failed.length > 0) {
+        return {
+          success: false,
+          error: lastError.message,
+          code: lastError.code,
+          recipients: delivered,
+          failedRecipients: failed
+        };
+      }
+      log.info('✅ Email sent via SMTP', { subject, recipients: toList });
+      log.debug('📧 SMTP message ids', { messageIds });
+      return { success: true, messageId: messageIds[0], messageIds: messageIds, recipients: toList };
+    }
+  };
+}
+
+module.exports = { createSmtpChannel };
@@ -0,0 +1,39 @@
+const { postJson } = require('./post-json');
+const { log } = require('../logger');
+
+// Colour the card by event so OOS alerts stand out in the channel
+const THEME_COLORS = {
+  oos: 'D9534F',
+  low_stock: 'F0AD4E',
+  back_in_stock: '5CB85C'
+};
+
+// Microsoft Teams incoming webhook channel (legacy MessageCard format)
+function createTeamsChannel({ name = 'teams', webhookUrl, timeoutMs }) {
+  return {
+    name,
+    type: 'teams',
+    isEmail: false,
+
+    async send({ type, subject, message }) {
+      const result = await postJson(webhookUrl, {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: subject,
+        themeColor: THEME_COLORS[type] || '6C757D',
+        title: subject,
+        // Teams collapses single newlines, so make each line its own
+        text: message.replace(/\n/g, '<br>')
+      }, { timeoutMs });
+
+      if (result.success) {
+        log.info('✅ Teams message sent:', subject);
+      } else {
+        log.error('❌ Teams error:', result.error);
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { createTeamsChannel };
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { postJson } = require('./post-json');
+const { log } = require('../logger');
+
+// Generic HTTP POST channel for ops tooling - sends the event as JSON.
+// When a secret is set, the body is signed with HMAC-SHA256 so receivers can verify it:
+//   X-Inventory-Monitor-Signature: sha256=<hex digest of the raw body>
+function createWebhookChannel({ name = 'webhook', url, secret, timeoutMs }) {
+  return {
+    name,
+    type: 'webhook',
+    isEmail: false,
+
+    async send({ type, subject, message, data }) {
+      const body = JSON.stringify({
+        event: type,
+        subject,
+        message,
+        data: data || {},
+        timestamp: new Date().toISOString()
+      });
+
+      const headers = { 'X-Inventory-Monitor-Event': type };
+      if (secret) {
+        headers['X-Inventory-Monitor-Signature'] = 'sha256=' +
+          crypto.createHmac('sha256', secret).update(body).digest('hex');
+      }
+
+      const result = await postJson(url, body, { headers, timeoutMs });
+      if (result.success) {
+        log.info(`✅ Webhook notification sent (${type}):`, subject);
+      } else {
+        log.error('❌ Webhook notification error:', result.error);
+      }
+      return result;
+    }
+  };
+}
+
+module.exports = { createWebhookChannel };
@@ -0,0 +1,443 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { backoffDelay } = require('./backoff');
+const { writeJsonAtomic } = require('./json-file');
+
+// Persistent notification outbox - alerts are saved before they're sent and retried
+// until every channel has them.
+// - Entries survive restarts (JSON file, written on every change)
+// - Each channel is tracked on its own, so a retry doesn't repeat a Slack message
+//   because the email failed
+// - When a channel fails, its fallback (e.g. smtp for sendgrid) is tried straight away
+// - onNotified runs once, when the first channel delivers - that's when a brand's state
+//   counts as notified
+// - Entries can carry a dedupe key (the brand's state key): a newer alert for the same
+//   key supersedes one that hasn't been delivered yet
+// - After maxAttempts rounds an entry is marked failed; it can be resent by hand
+// - While holdUntil() returns a time (quiet hours), entries are held instead of sent.
+//   Once it passes, held entries for the same channels and recipients go out as one
+//   notification built by batch(entries)
+
+const MAX_FINISHED_ENTRIES = 1000;
+// Entries whose notification hasn't fully gone out yet
+const UNFINISHED_STATUSES = ['pending', 'held', 'batched'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Entry meta for listings, without the bulky stock statuses and digest snapshots
+function summarizeMeta(meta) {
+  const { stockStatus, digest, alerts, ...rest } = meta;
+  return {
+    ...rest,
+    ...(alerts ? { alerts: alerts.map(({ stockStatus: ignored, ...alert }) => alert) } : {}),
+    ...(digest ? { digest: { generatedAt: digest.generatedAt } } : {})
+  };
+}
+
+function createOutbox({
+  filePath = './data/outbox.json',
+  notifier,
+  fallbacks = {},
+  onNotified = async () => {},
+  holdUntil = () => null,
+  batch = null,
+  maxAttempts = 8,
+  baseDelayMs = 30000,
+  maxDelayMs = 60 * 60 * 1000,
+  pollIntervalMs = 5000,
+  retentionDays = 7
+}) {
+  for (const [channel, fallback] of Object.entries(fallbacks)) {
+    if (!notifier.hasChannel(channel) || !notifier.hasChannel(fallback)) {
+      throw new Error(`Notification fallback "${channel}" -> "${fallback}" uses an unconfigured channel`);
+    }
+  }
+
+  let data = { entries: [] };
+
+  if (fs.existsSync(filePath)) {
+    try {
+      data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+      const pending = data.entries.filter(entry => entry.status === 'pending').length;
+      log.info(`📮 Loaded notification outbox: ${pending} pending`);
+    } catch (error) {
+      log.error(`❌ Could not read outbox file ${filePath}:`, error.message);
+      log.warn('⚠️  Starting with an empty notification outbox');
+    }
+  }
+
+  let timer = null;
+  let processing = false;
+  const inFlight = new Set();
+
+  function save() {
+    writeJsonAtomic(filePath, data);
+  }
+
+  // Drop old finished entries; failed ones stay until resent or pushed out by newer ones
+  function prune() {
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+    data.entries = data.entries.filter(entry =>
+      UNFINISHED_STATUSES.includes(entry.status) || entry.status === 'failed' || entry.createdAt >= cutoff);
+    const finished = data.entries.filter(entry => !UNFINISHED_STATUSES.includes(entry.status));
+    if (finished.length > MAX_FINISHED_ENTRIES) {
+      const dropped = new Set(finished.slice(0, finished.length - MAX_FINISHED_ENTRIES).map(entry => entry.id));
+      data.entries = data.entries.filter(entry => !dropped.has(entry.id));
+    }
+  }
+
+  async function deliverTo(entry, name, target) {
+    const { eventType } = entry;
+    // After a partial failure only the recipients still missing it are sent to again
+    const notification = target.recipients ? { ...entry.notification, recipients: target.recipients } : entry.notification;
+    let result = await notifier.notify(eventType, notification, { channels: [name] });
+    target.attempts++;
+    const failedRecipients = result.success ? null : (result.results && result.results[0] && result.results[0].failedRecipients) || null;
+    const remaining = failedRecipients ? { ...notification, recipients: failedRecipients } : notification;
+    // A fallback that's already one of the entry's channels gets the notification anyway
+    const fallback = fallbacks[name];
+    if (!result.success && fallback && !entry.channels[fallback]) {
+      log.warn(`↪️  ${name} failed, trying fallback ${fallback}`, { outboxId: entry.id, error: result.error });
+      const fallbackResult = await notifier.notify(eventType, remaining, { channels: [fallback] });
+      if (fallbackResult.success) {
+        target.via = fallback;
+        result = fallbackResult;
+      }
+    }
+    if (result.success) {
+      target.status = 'delivered';
+      target.deliveredAt = new Date().toISOString();
+      target.lastError = null;
+      target.recipients = null;
+    } else {
+      target.lastError = (result.results && result.results[0] && result.results[0].error) || result.error || 'Delivery failed';
+      if (failedRecipients) {
+        target.recipients = failedRecipients;
+      }
+    }
+  }
+
+  // The entries a first delivery notified about: the entry itself, or for a batch the held
+  // entries it replaced (which are finished now, one way or the other)
+  function notifiedBy(entry) {
+    if (!entry.meta || !entry.meta.batchOf) {
+      return [entry];
+    }
+    const notified = [];
+    for (const id of entry.meta.batchOf) {
+      const original = data.entries.find(candidate => candidate.id === id);
+      if (!original || original.status !== 'batched') {
+        continue;
+      }
+      if (original.supersededBy) {
+        original.status = 'superseded';
+      } else {
+        Object.assign(original, { status: 'delivered', notifiedAt: entry.notifiedAt });
+        notified.push(original);
+      }
+    }
+    save();
+    return notified;
+  }
+
+  // One delivery round: every channel that doesn't have the notification yet
+  async function attempt(entry) {
+    inFlight.add(entry.id);
+    try {
+      entry.attempts++;
+      entry.lastAttemptAt = new Date().toISOString();
+      for (const [name, target] of Object.entries(entry.channels)) {
+        if (target.status !== 'delivered') {
+          await deliverTo(entry, name, target);
+        }
+      }
+
+      const undelivered = Object.entries(entry.channels).filter(([, target]) => target.status !== 'delivered');
+      entry.lastError = undelivered.length > 0 ?
+        undelivered.map(([name, target]) => `${name}: ${target.lastError}`).join('; ') :
+        null;
+
+      const firstDelivery = !entry.notifiedAt && undelivered.length < Object.keys(entry.channels).length;
+      if (firstDelivery) {
+        entry.notifiedAt = new Date().toISOString();
+      }
+
+      if (entry.supersededBy && undelivered.length > 0) {
+        entry.status = 'superseded';
+        entry.nextAttemptAt = null;
+      } else if (undelivered.length === 0) {
+        entry.status = 'delivered';
+        entry.nextAttemptAt = null;
+        log.info(`📮 Notification ${entry.eventType} delivered`, { outboxId: entry.id, attempts: entry.attempts });
+      } else if (entry.attempts >= maxAttempts) {
+        entry.status = 'failed';
+        entry.nextAttemptAt = null;
+        log.error(`💀 Notification ${entry.eventType} "${entry.notification.subject}" failed ${entry.attempts} times, giving up:`, entry.lastError, { outboxId: entry.id });
+      } else {
+        entry.nextAttemptAt = Date.now() + backoffDelay(entry.attempts, { baseDelayMs, maxDelayMs });
+        log.warn(`🔁 Notification ${entry.eventType} not delivered (attempt ${entry.attempts}/${maxAttempts}), retrying in ${Math.round((entry.nextAttemptAt - Date.now()) / 1000)}s:`, entry.lastError, { outboxId: entry.id });
+      }
+      save();
+
+      // A newer notification for the same key decides the state now
+      if (firstDelivery && !entry.supersededBy) {
+        for (const notified of notifiedBy(entry)) {
+          try {
+            await onNotified(notified);
+          } catch (error) {
+            log.error('❌ Error handling delivered notification:', error.message, { outboxId: notified.id });
+          }
+        }
+      }
+    } finally {
+      inFlight.delete(entry.id);
+    }
+    return entry;
+  }
+
+  // Stop delivering pending entries for a key. `by` is the id of the entry replacing them,
+  // or a short reason when the state changed without a new notification.
+  function supersede(dedupeKey, by = 'state_changed') {
+    let count = 0;
+    for (const entry of data.entries) {
+      if (entry.dedupeKey !== dedupeKey || !UNFINISHED_STATUSES.includes(entry.status) || entry.supersededBy) {
+        continue;
+      }
+      // An entry being delivered right now is stopped once its attempt finishes, and
+      // one in a batch just isn't counted as notified when the batch goes out
+      entry.supersededBy = by;
+      if (!inFlight.has(entry.id) && entry.status !== 'batched') {
+        entry.status = 'superseded';
+        entry.nextAttemptAt = null;
+      }
+      count++;
+      log.info(`📮 Pending ${entry.eventType} notification superseded`, { outboxId: entry.id, supersededBy: by });
+    }
+    if (count > 0) {
+      save();
+    }
+    return count;
+  }
+
+  // Save a notification and make the first delivery attempt. Resolves with the entry.
+  // notification: { subject, message, html, data, recipients } as for notifier.notify
+  // options: { channels, only } as for notifier.notify, plus:
+  //   dedupeKey - pending entries with the same key are superseded by this one
+  //   meta      - kept with the entry and handed to onNotified
+  async function send(eventType, notification, { channels, only, dedupeKey = null, meta = null } = {}) {
+    const names = notifier.resolveChannels(eventType, { channels, only });
+    if (names.length === 0) {
+      // Nothing to retry - narrowing with `only` legitimately leaves nothing
+      if (!only) {
+        log.error(`❌ No notification channels configured for ${eventType}`);
+      }
+      return null;
+    }
+
+    const entry = newEntry(eventType, notification, names, { dedupeKey, meta });
+    if (dedupeKey) {
+      supersede(dedupeKey, entry.id);
+    }
+    prune();
+    data.entries.push(entry);
+    if (holdIfQuiet(entry)) {
+      save();
+      return entry;
+    }
+    save();
+    return attempt(entry);
+  }
+
+  function newEntry(eventType, notification, names, { dedupeKey = null, meta = null } = {}) {
+    return {
+      id: crypto.randomUUID(),
+      eventType,
+      notification,
+      channels: Object.fromEntries(names.map(name => [name, { status: 'pending', attempts: 0, via: null, deliveredAt: null, lastError: null }])),
+      dedupeKey,
+      meta,
+      correlationId: log.currentContext().correlationId || null,
+      status: 'pending',
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      lastAttemptAt: null,
+      nextAttemptAt: Date.now(),
+      heldUntil: null,
+      notifiedAt: null,
+      supersededBy: null,
+      lastError: null
+    };
+  }
+
+  // Hold an entry that would go out during quiet hours. Returns true when held.
+  function holdIfQuiet(entry) {
+    const until = holdUntil(entry);
+    if (!until) {
+      return false;
+    }
+    entry.status = 'held';
+    entry.heldUntil = until.getTime();
+    entry.nextAttemptAt = null;
+    log.info(`🌙 Quiet hours - ${entry.eventType} notification held until ${until.toISOString()}`, { outboxId: entry.id });
+    return true;
+  }
+
+  // Held entries whose quiet period is over. One on its own is simply sent; several for
+  // the same channels and recipients are replaced by a single batch notification.
+  function releaseHeld() {
+    const due = data.entries.filter(entry => entry.status === 'held' && entry.heldUntil <= Date.now());
+    if (due.length === 0) {
+      return;
+    }
+
+    const groups = new Map();
+    for (const entry of due) {
+      const groupKey = JSON.stringify([Object.keys(entry.channels).sort(), (entry.notification.recipients || []).slice().sort()]);
+      groups.set(groupKey, [...(groups.get(groupKey) || []), entry]);
+    }
+
+    for (const entries of groups.values()) {
+      if (entries.length === 1 || !batch) {
+        for (const entry of entries) {
+          Object.assign(entry, { status: 'pending', nextAttemptAt: Date.now() });
+        }
+        continue;
+      }
+      const batchEntry = newEntry('alert_batch', {
+        ...batch(entries),
+        recipients: entries[0].notification.recipients
+      }, Object.keys(entries[0].channels), { meta: { batchOf: entries.map(entry => entry.id) } });
+      for (const entry of entries) {
+        Object.assign(entry, { status: 'batched', batchId: batchEntry.id, nextAttemptAt: null });
+      }
+      data.entries.push(batchEntry);
+      log.info(`🌅 Quiet hours over - sending ${entries.length} held notification(s) as one batch`, { outboxId: batchEntry.id });
+    }
+    save();
+  }
+
+  // Deliver entries that are due, oldest first
+  async function processDue() {
+    if (processing) {
+      return;
+    }
+    processing = true;
+    try {
+      releaseHeld();
+      let entry;
+      while ((entry = data.entries
+        .filter(candidate => candidate.status === 'pending' && !inFlight.has(candidate.id) && candidate.nextAttemptAt <= Date.now())
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0])) {
+        const current = entry;
+        // Retries wait for quiet hours to end too
+        if (holdIfQuiet(current)) {
+          save();
+          continue;
+        }
+        await log.withContext({ correlationId: current.correlationId || current.id, outboxId: current.id }, () => attempt(current));
+      }
+    } finally {
+      processing = false;
+    }
+  }
+
+  function start() {
+    if (timer) {
+      return;
+    }
+    timer = setInterval(() => {
+      processDue().catch(error => log.error('❌ Outbox worker error:', error.message));
+    }, pollIntervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // The newest undelivered entry for a dedupe key, or null
+  function pendingFor(dedupeKey) {
+    const pending = data.entries.filter(entry =>
+      entry.dedupeKey === dedupeKey && UNFINISHED_STATUSES.includes(entry.status) && !entry.notifiedAt && !entry.supersededBy);
+    return pending.length > 0 ? pending[pending.length - 1] : null;
+  }
+
+  // Try a pending or failed entry again now, with a fresh attempt count.
+  // Returns null for unknown ids; throws for entries that can't be resent.
+  async function resend(id) {
+    const entry = data.entries.find(candidate => candidate.id === id);
+    if (!entry) {
+      return null;
+    }
+    if (entry.status === 'delivered' || entry.status === 'superseded') {
+      throw new Error(`Notification is ${entry.status} and can't be resent`);
+    }
+    if (entry.status === 'batched') {
+      throw new Error(`Notification is part of batch ${entry.batchId} - resend that instead`);
+    }
+    if (inFlight.has(entry.id)) {
+      throw new Error('Notification is being delivered right now');
+    }
+    Object.assign(entry, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), heldUntil: null });
+    save();
+    return attempt(entry);
+  }
+
+  async function resendFailed() {
+    const failed = data.entries.filter(entry => entry.status === 'failed').map(entry => entry.id);
+    const results = [];
+    for (const id of failed) {
+      results.push(await resend(id));
+    }
+    return results;
+  }
+
+  function describe(entry) {
+    return {
+      ...entry,
+      nextAttemptAt: entry.nextAttemptAt ? new Date(entry.nextAttemptAt).toISOString() : null,
+      heldUntil: entry.heldUntil ? new Date(entry.heldUntil).toISOString() : null
+    };
+  }
+
+  // Entries newest first, optionally only one status; without `full` the message bodies are left out
+  function list({ status, full = false } = {}) {
+    return data.entries
+      .filter(entry => !status || entry.status === status)
+      .slice()
+      .reverse()
+      .map(entry => {
+        const described = describe(entry);
+        if (!full) {
+          const { message, html, bodyHtml, data: eventData, ...notification } = entry.notification;
+          described.notification = notification;
+          if (entry.meta) {
+            described.meta = summarizeMeta(entry.meta);
+          }
+        }
+        return described;
+      });
+  }
+
+  function get(id) {
+    const entry = data.entries.find(candidate => candidate.id === id);
+    return entry ? describe(entry) : null;
+  }
+
+  function getStatus() {
+    const count = status => data.entries.filter(entry => entry.status === status).length;
+    return {
+      pending: count('pending'),
+      held: count('held'),
+      batched: count('batched'),
+      failed: count('failed'),
+      delivered: count('delivered'),
+      superseded: count('superseded'),
+      fallbacks
+    };
+  }
+
+  return { send, start, stop, processDue, pendingFor, supersede, resend, resendFailed, list, get, getStatus };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,70 @@
+// Quiet hours - a daily window (e.g. "22:00-07:00") in which alerts are held back and
+// delivered together once it ends. Times are wall-clock times in the given timezone.
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+function parseTime(value, spec) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid quiet hours "${spec}" - use HH:MM-HH:MM, e.g. 22:00-07:00`);
+  }
+  return Number(match[1]) * 3600 + Number(match[2]) * 60;
+}
+
+// Seconds since local midnight in `timeZone` (the server's zone when null)
+function localSeconds(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timeZone || undefined,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const value = type => Number(parts.find(part => part.type === type).value);
+  return value('hour') * 3600 + value('minute') * 60 + value('second') + date.getMilliseconds() / 1000;
+}
+
+function createQuietHours({ spec, timezone = null } = {}) {
+  if (!spec) {
+    return { enabled: false, isActive: () => false, endsAt: () => null, describe: () => null };
+  }
+
+  const [startText, endText, ...rest] = spec.split('-');
+  if (endText === undefined || rest.length > 0) {
+    throw new Error(`Invalid quiet hours "${spec}" - use HH:MM-HH:MM, e.g. 22:00-07:00`);
+  }
+  const start = parseTime(startText, spec);
+  const end = parseTime(endText, spec);
+  if (start === end) {
+    throw new Error(`Invalid quiet hours "${spec}" - start and end are the same`);
+  }
+  if (timezone) {
+    // Throws a RangeError for unknown zones
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+  }
+
+  // The window may wrap past midnight (22:00-07:00)
+  function isActive(date = new Date()) {
+    const now = localSeconds(date, timezone);
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  // When the current quiet period ends, or null outside quiet hours
+  function endsAt(date = new Date()) {
+    if (!isActive(date)) {
+      return null;
+    }
+    const now = localSeconds(date, timezone);
+    const secondsLeft = (end - now + DAY_SECONDS) % DAY_SECONDS;
+    return new Date(date.getTime() + Math.ceil(secondsLeft * 1000));
+  }
+
+  return {
+    enabled: true,
+    isActive,
+    endsAt,
+    describe: () => `${startText.trim()}-${endText.trim()}${timezone ? ` (${timezone})` : ''}`
+  };
+}
+
+module.exports = { createQuietHours };
@@ -0,0 +1,97 @@
+const cron = require('node-cron');
+const { log } = require('./logger');
+
+// Cron-driven background task that never overlaps itself.
+// If a run is still going when the next tick fires, the tick is skipped.
+function createScheduledTask({ name, cronExpression, timezone, task }) {
+  if (cronExpression && !cron.validate(cronExpression)) {
+    throw new Error(`Invalid cron expression for ${name}: "${cronExpression}"`);
+  }
+
+  const status = {
+    name,
+    schedule: cronExpression || null,
+    timezone: timezone || null,
+    enabled: !!cronExpression,
+    paused: false,
+    running: false,
+    runCount: 0,
+    skippedRuns: 0,
+    lastRunStartedAt: null,
+    lastRunFinishedAt: null,
+    lastRunDurationMs: null,
+    lastError: null,
+    lastResult: null
+  };
+
+  let cronTask = null;
+
+  // Run the task now. Returns null if a run is already in progress.
+  function run(trigger = 'manual') {
+    // Cron runs get a correlation id of their own; manual runs keep the request's
+    const correlationId = log.currentContext().correlationId || log.newCorrelationId();
+    return log.withContext({ correlationId, task: name }, () => runTask(trigger));
+  }
+
+  async function runTask(trigger) {
+    if (status.running) {
+      log.info(`⏭️  ${name} already running, skipping ${trigger} run`);
+      status.skippedRuns++;
+      return null;
+    }
+
+    status.running = true;
+    status.lastRunStartedAt = new Date().toISOString();
+    const startedAt = Date.now();
+    log.info(`🔄 ${name} started (${trigger})`);
+
+    try {
+      status.lastResult = await task(trigger);
+      status.lastError = null;
+      log.info(`✅ ${name} finished in ${Date.now() - startedAt}ms`);
+      return status.lastResult;
+    } catch (error) {
+      status.lastError = error.message;
+      log.error(`❌ ${name} failed:`, error.message);
+      throw error;
+    } finally {
+      status.running = false;
+      status.runCount++;
+      status.lastRunFinishedAt = new Date().toISOString();
+      status.lastRunDurationMs = Date.now() - startedAt;
+    }
+  }
+
+  function start() {
+    if (!cronExpression || cronTask) {
+      return;
+    }
+    const options = timezone ? { timezone } : {};
+    cronTask = cron.schedule(cronExpression, () => {
+      if (status.paused) {
+        return;
+      }
+      // Errors are already logged and kept in status.lastError
+      run('scheduled').catch(() => {});
+    }, options);
+    log.info(`⏰ ${name} scheduled: ${cronExpression}${timezone ? ` (${timezone})` : ''}`);
+  }
+
+  function stop() {
+    if (cronTask) {
+      cronTask.stop();
+      cronTask = null;
+    }
+  }
+
+  return {
+    run,
+    start,
+    stop,
+    pause() { status.paused = true; },
+    resume() { status.paused = false; },
+    getStatus() { return { ...status }; }
+  };
+}
+
+module.exports = { createScheduledTask };
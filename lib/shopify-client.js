@@ -0,0 +1,282 @@
+const fetch = require('node-fetch');
+const { log } = require('./logger');
+
+// Shared Shopify Admin API client - every REST and GraphQL call goes through here.
+//
+//  - API version comes from config (SHOPIFY_API_VERSION) instead of being hard-coded
+//  - 429s wait for Retry-After; 5xx, network errors and timeouts back off and retry
+//    (REST writes and GraphQL mutations are only retried on 429, since Shopify may have applied them)
+//  - GraphQL waits for the cost-based throttle bucket to refill (see below)
+//  - Failures are thrown as ShopifyApiError (or a subclass) with status/code attached
+//  - Call counts, retries and latency are kept per operation for /admin/shopify/metrics
+//
+// GraphQL responses report the query cost and bucket state in `extensions.cost`:
+//   { requestedQueryCost, actualQueryCost,
+//     throttleStatus: { maximumAvailable, currentlyAvailable, restoreRate } }
+// We remember the bucket state and what each query asked for last time, and wait for
+// the bucket to refill before sending a query that wouldn't fit.
+
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const MAX_THROTTLE_RETRIES = 5;
+
+class ShopifyApiError extends Error {
+  constructor(message, { status = null, code = null, retryable = false, body = null, requestId = null } = {}) {
+    super(message);
+    this.name = 'ShopifyApiError';
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.body = body;
+    this.requestId = requestId;
+  }
+}
+
+// 429 from REST, or THROTTLED from GraphQL, that didn't clear within the retries
+class ShopifyThrottledError extends ShopifyApiError {
+  constructor(message, details) {
+    super(message, { code: 'THROTTLED', retryable: true, ...details });
+    this.name = 'ShopifyThrottledError';
+  }
+}
+
+class ShopifyTimeoutError extends ShopifyApiError {
+  constructor(message, details) {
+    super(message, { code: 'TIMEOUT', retryable: true, ...details });
+    this.name = 'ShopifyTimeoutError';
+  }
+}
+
+// HTTP 200 with a top-level `errors` array
+class ShopifyGraphqlError extends ShopifyApiError {
+  constructor(errors, details) {
+    super(`GraphQL errors: ${errors.map(error => error.message).join('; ')}`, { code: 'GRAPHQL', body: errors, ...details });
+    this.name = 'ShopifyGraphqlError';
+    this.errors = errors;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Name used for metrics: "graphql vendorInventory", "GET webhooks.json"
+function graphqlOperationName(query) {
+  const match = query.match(/^\s*(?:query|mutation)\s+(\w+)/);
+  return `graphql ${match ? match[1] : 'anonymous'}`;
+}
+
+function createShopifyClient({
+  shop,
+  accessToken,
+  apiVersion = '2024-10',
+  timeoutMs = 15000,
+  maxRetries = 4,
+  baseDelayMs = 500,
+  maxDelayMs = 30000
+}) {
+  const baseUrl = `${shop}/admin/api/${apiVersion}`;
+  const metrics = {};
+  // Last reported GraphQL bucket state, and when we saw it
+  let bucket = null;
+  // Requested cost of each GraphQL query text the last time it ran
+  const lastCost = new Map();
+
+  function metricsFor(operation) {
+    return metrics[operation] || (metrics[operation] = {
+      requests: 0,
+      errors: 0,
+      retries: 0,
+      throttled: 0,
+      totalLatencyMs: 0,
+      maxLatencyMs: 0,
+      lastError: null
+    });
+  }
+
+  // Exponential backoff with jitter, or Shopify's Retry-After when it sent one
+  function retryDelay(attempt, retryAfterHeader) {
+    const retryAfter = parseFloat(retryAfterHeader);
+    if (!Number.isNaN(retryAfter)) {
+      return Math.min(retryAfter * 1000, maxDelayMs);
+    }
+    const delay = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  // One HTTP call with retries. Resolves with the node-fetch response and parsed JSON body.
+  async function send(operation, url, { method = 'GET', body, retryOnServerError = true } = {}) {
+    const stats = metricsFor(operation);
+
+    for (let attempt = 0; ; attempt++) {
+      stats.requests++;
+      const started = Date.now();
+      let error;
+
+      try {
+        const response = await fetch(url, {
+          method,
+          headers: {
+            'X-Shopify-Access-Token': accessToken,
+            'Content-Type': 'application/json'
+          },
+          body: body === undefined ? undefined : JSON.stringify(body),
+          timeout: timeoutMs
+        });
+        const latency = Date.now() - started;
+        stats.totalLatencyMs += latency;
+        stats.maxLatencyMs = Math.max(stats.maxLatencyMs, latency);
+        log.debug(`🛍️  Shopify ${operation}`, { status: response.status, latencyMs: latency, attempt: attempt + 1 });
+
+        const text = await response.text();
+        let json = null;
+        try {
+          json = text ? JSON.parse(text) : null;
+        } catch (parseError) {
+          json = null;
+        }
+        if (response.ok) {
+          return { response, json };
+        }
+
+        const details = { status: response.status, body: json || text, requestId: response.headers.get('X-Request-Id') };
+        if (response.status === 429) {
+          stats.throttled++;
+          error = new ShopifyThrottledError(`${operation} throttled (429)`, details);
+          error.retryAfter = response.headers.get('Retry-After');
+        } else {
+          const retryable = RETRYABLE_STATUSES.includes(response.status) && retryOnServerError;
+          error = new ShopifyApiError(`${operation} failed: ${response.status} ${response.statusText}`, { ...details, retryable });
+        }
+      } catch (fetchError) {
+        const latency = Date.now() - started;
+        stats.totalLatencyMs += latency;
+        stats.maxLatencyMs = Math.max(stats.maxLatencyMs, latency);
+        error = fetchError.type === 'request-timeout' ?
+          new ShopifyTimeoutError(`${operation} timed out after ${timeoutMs}ms`, { retryable: retryOnServerError }) :
+          new ShopifyApiError(`${operation} failed: ${fetchError.message}`, { code: fetchError.code || 'NETWORK', retryable: retryOnServerError });
+      }
+
+      if (!error.retryable || attempt >= maxRetries) {
+        stats.errors++;
+        stats.lastError = { message: error.message, at: new Date().toISOString() };
+        throw error;
+      }
+
+      const delay = retryDelay(attempt, error.retryAfter);
+      stats.retries++;
+      log.warn(`🔁 ${error.message} - retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+      await sleep(delay);
+    }
+  }
+
+  // REST call relative to the versioned Admin API, e.g. rest('GET', '/webhooks.json').
+  // Resolves with { data, headers }.
+  async function rest(method, path, body) {
+    const operation = `${method} ${path.split('?')[0].replace(/\/\d+/g, '/:id').replace(/^\//, '')}`;
+    const { response, json } = await send(operation, `${baseUrl}${path}`, {
+      method,
+      body,
+      retryOnServerError: method === 'GET'
+    });
+    return { data: json, headers: response.headers };
+  }
+
+  // GraphQL points available now, counting what has been restored since the last response
+  function availableNow() {
+    if (!bucket) {
+      return Infinity;
+    }
+    const restored = (Date.now() - bucket.seenAt) / 1000 * bucket.restoreRate;
+    return Math.min(bucket.maximumAvailable, bucket.currentlyAvailable + restored);
+  }
+
+  // Wait until `cost` points are available and take them. Callers go one at a time and
+  // the points are taken off the bucket straight away, so concurrent queries don't all
+  // count the same headroom; the next response reports the real bucket state again.
+  let pointsQueue = Promise.resolve();
+  function waitForPoints(cost) {
+    const turn = pointsQueue.then(async () => {
+      const missing = cost - availableNow();
+      if (missing > 0 && bucket) {
+        const waitMs = Math.ceil(missing / bucket.restoreRate * 1000);
+        log.info(`🐢 GraphQL throttle: waiting ${waitMs}ms for ${Math.ceil(missing)} cost points`);
+        await sleep(waitMs);
+      }
+      if (bucket && cost > 0) {
+        bucket = { ...bucket, currentlyAvailable: availableNow() - cost, seenAt: Date.now() };
+      }
+    });
+    pointsQueue = turn.catch(() => {});
+    return turn;
+  }
+
+  // Run a GraphQL query and resolve with `data`
+  async function graphql(query, variables = {}) {
+    const operation = graphqlOperationName(query);
+    // Like REST writes, a mutation may have been applied before a 5xx or timeout - only 429s are retried
+    const isMutation = /^\s*mutation\b/.test(query);
+
+    for (let attempt = 0; ; attempt++) {
+      await waitForPoints(lastCost.get(query) || 0);
+
+      const { response, json } = await send(operation, `${baseUrl}/graphql.json`, {
+        method: 'POST',
+        body: { query, variables },
+        retryOnServerError: !isMutation
+      });
+
+      const cost = json?.extensions?.cost;
+      if (cost) {
+        lastCost.set(query, cost.requestedQueryCost);
+        if (cost.throttleStatus) {
+          bucket = { ...cost.throttleStatus, seenAt: Date.now() };
+        }
+      }
+
+      const errors = json?.errors || [];
+      const requestId = response.headers.get('X-Request-Id');
+      if (errors.some(error => error.extensions?.code === 'THROTTLED')) {
+        metricsFor(operation).throttled++;
+        if (attempt >= MAX_THROTTLE_RETRIES) {
+          throw new ShopifyThrottledError(`${operation} throttled`, { body: errors, requestId });
+        }
+        // With cost information, the wait for points at the top of the loop covers it
+        if (!cost || !bucket) {
+          // No cost information to go on - back off for a second
+          await sleep(1000);
+        }
+        continue;
+      }
+
+      if (errors.length > 0) {
+        metricsFor(operation).errors++;
+        throw new ShopifyGraphqlError(errors, { requestId });
+      }
+
+      return json.data;
+    }
+  }
+
+  function getMetrics() {
+    const operations = {};
+    for (const [operation, stats] of Object.entries(metrics)) {
+      operations[operation] = {
+        ...stats,
+        avgLatencyMs: stats.requests > 0 ? Math.round(stats.totalLatencyMs / stats.requests) : 0
+      };
+    }
+    return {
+      apiVersion,
+      graphqlThrottle: bucket ? { ...bucket, currentlyAvailable: Math.floor(availableNow()) } : null,
+      operations
+    };
+  }
+
+  return { apiVersion, rest, graphql, getMetrics };
+}
+
+module.exports = {
+  ShopifyApiError,
+  ShopifyThrottledError,
+  ShopifyTimeoutError,
+  ShopifyGraphqlError,
+  createShopifyClient
+};
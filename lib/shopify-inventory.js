@@ -0,0 +1,272 @@
+const fetch = require('node-fetch');
+const { normalizeVendor } = require('./brand-registry');
+const { log } = require('./logger');
+
+// Vendor inventory from the Admin GraphQL API.
+//
+// Asks only for what the stock rules need (variant quantities, inventory policy and
+// tracking) instead of full product payloads. Products come back in the REST-like
+// shape evaluateBrandStock expects:
+//   { id, title, vendor, variants: [{ id, inventory_item_id, inventory_quantity,
+//                                     inventory_policy, inventory_management }] }
+//
+// For the full sweep, bulkProductsByVendor runs one bulk operation for every brand
+// instead of paging through each vendor separately.
+
+// Keeps the per-page query cost well under Shopify's 1000 point limit
+const PRODUCTS_PER_PAGE = 25;
+const VARIANTS_PER_PAGE = 25;
+const ITEMS_PER_LEVELS_QUERY = 25;
+const LOCATIONS_PER_ITEM = 25;
+
+const VARIANT_FIELDS = `
+  id
+  legacyResourceId
+  inventoryQuantity
+  inventoryPolicy
+  inventoryItem { legacyResourceId tracked }
+`;
+
+const PRODUCTS_QUERY = `
+  query vendorInventory($query: String!, $after: String) {
+    products(first: ${PRODUCTS_PER_PAGE}, after: $after, query: $query) {
+      edges {
+        node {
+          id
+          legacyResourceId
+          title
+          vendor
+          variants(first: ${VARIANTS_PER_PAGE}) {
+            edges { node { ${VARIANT_FIELDS} } }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const MORE_VARIANTS_QUERY = `
+  query moreVariants($id: ID!, $after: String) {
+    product(id: $id) {
+      variants(first: ${VARIANTS_PER_PAGE}, after: $after) {
+        edges { node { ${VARIANT_FIELDS} } }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+const LEVELS_QUERY = `
+  query inventoryLevels($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on InventoryItem {
+        legacyResourceId
+        inventoryLevels(first: ${LOCATIONS_PER_ITEM}) {
+          edges {
+            node {
+              location { legacyResourceId }
+              quantities(names: ["available"]) { name quantity }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Product search string for the products of any of the vendors, e.g.
+// (vendor:"Nike" OR vendor:"Nike Inc.")
+// Like the REST products.json?vendor= lookup, draft and archived products count towards a
+// brand's stock. With `activeOnly` they're left out: ... AND status:active
+function vendorSearch(vendors, { activeOnly = false } = {}) {
+  const anyVendor = vendors
+    .map(vendor => `vendor:"${String(vendor).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`)
+    .join(' OR ');
+  return activeOnly ? `(${anyVendor}) AND status:active` : `(${anyVendor})`;
+}
+
+function toVariant(node) {
+  return {
+    id: Number(node.legacyResourceId),
+    inventory_item_id: Number(node.inventoryItem.legacyResourceId),
+    inventory_quantity: node.inventoryQuantity || 0,
+    inventory_policy: String(node.inventoryPolicy || '').toLowerCase(),
+    inventory_management: node.inventoryItem.tracked ? 'shopify' : null
+  };
+}
+
+function toProduct(node, variants) {
+  return {
+    id: Number(node.legacyResourceId),
+    title: node.title,
+    vendor: node.vendor,
+    variants
+  };
+}
+
+// `graphql(query, variables)` runs an Admin API call and resolves with `data`.
+// `activeOnly` only counts active products (ACTIVE_PRODUCTS_ONLY) - see vendorSearch.
+function createInventoryService({ graphql, activeOnly = false, bulkPollIntervalMs = 2000, bulkTimeoutMs = 30 * 60 * 1000 }) {
+  async function remainingVariants(productId, after) {
+    const variants = [];
+    while (after) {
+      const data = await graphql(MORE_VARIANTS_QUERY, { id: productId, after });
+      const connection = data.product.variants;
+      variants.push(...connection.edges.map(edge => toVariant(edge.node)));
+      after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    }
+    return variants;
+  }
+
+  // Every product whose vendor is one of `vendors` (compared case-insensitively)
+  async function getProductsForVendors(vendors) {
+    const wanted = new Set(vendors.map(normalizeVendor));
+    const products = [];
+    let after = null;
+
+    do {
+      const data = await graphql(PRODUCTS_QUERY, { query: vendorSearch(vendors, { activeOnly }), after });
+      for (const { node } of data.products.edges) {
+        // Shopify's search is fuzzier than we want ("Nike" also finds "Nike Kids")
+        if (!wanted.has(normalizeVendor(node.vendor))) {
+          continue;
+        }
+        const variants = node.variants.edges.map(edge => toVariant(edge.node));
+        if (node.variants.pageInfo.hasNextPage) {
+          variants.push(...await remainingVariants(node.id, node.variants.pageInfo.endCursor));
+        }
+        products.push(toProduct(node, variants));
+      }
+      after = data.products.pageInfo.hasNextPage ? data.products.pageInfo.endCursor : null;
+    } while (after);
+
+    return products;
+  }
+
+  // Available quantities per location for a set of inventory items (locationIds null = all).
+  // Returns { [inventory_item_id]: { [location_id]: available } }
+  async function getInventoryLevels(inventoryItemIds, locationIds = null) {
+    const wantedLocations = locationIds ? new Set(locationIds.map(String)) : null;
+    const levels = {};
+
+    for (let i = 0; i < inventoryItemIds.length; i += ITEMS_PER_LEVELS_QUERY) {
+      const ids = inventoryItemIds.slice(i, i + ITEMS_PER_LEVELS_QUERY)
+        .map(id => `gid://shopify/InventoryItem/${id}`);
+      const data = await graphql(LEVELS_QUERY, { ids });
+
+      for (const item of data.nodes) {
+        if (!item) {
+          continue;
+        }
+        const itemLevels = levels[String(item.legacyResourceId)] = {};
+        for (const { node } of item.inventoryLevels.edges) {
+          const locationId = String(node.location.legacyResourceId);
+          if (!wantedLocations || wantedLocations.has(locationId)) {
+            itemLevels[locationId] = node.quantities.find(quantity => quantity.name === 'available')?.quantity || 0;
+          }
+        }
+      }
+    }
+
+    return levels;
+  }
+
+  async function startBulkQuery(bulkQuery) {
+    const data = await graphql(`
+      mutation runBulkQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation { id status }
+          userErrors { field message }
+        }
+      }
+    `, { query: bulkQuery });
+    const userErrors = data.bulkOperationRunQuery.userErrors || [];
+    if (userErrors.length > 0) {
+      throw new Error(`Bulk operation rejected: ${userErrors.map(error => error.message).join('; ')}`);
+    }
+    return data.bulkOperationRunQuery.bulkOperation.id;
+  }
+
+  async function waitForBulkOperation(id) {
+    const deadline = Date.now() + bulkTimeoutMs;
+    while (Date.now() < deadline) {
+      const data = await graphql(`
+        query bulkOperation($id: ID!) {
+          node(id: $id) {
+            ... on BulkOperation { id status errorCode objectCount url }
+          }
+        }
+      `, { id });
+      const operation = data.node;
+      if (operation.status === 'COMPLETED') {
+        return operation;
+      }
+      if (['FAILED', 'CANCELED', 'EXPIRED'].includes(operation.status)) {
+        throw new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+      }
+      await sleep(bulkPollIntervalMs);
+    }
+    throw new Error(`Bulk operation did not finish within ${Math.round(bulkTimeoutMs / 1000)}s`);
+  }
+
+  // Products for many vendors in one bulk operation.
+  // Returns a Map of normalized vendor -> products.
+  async function bulkProductsByVendor(vendors) {
+    const id = await startBulkQuery(`
+      {
+        products(query: ${JSON.stringify(vendorSearch(vendors, { activeOnly }))}) {
+          edges {
+            node {
+              id
+              legacyResourceId
+              title
+              vendor
+              variants { edges { node { ${VARIANT_FIELDS} } } }
+            }
+          }
+        }
+      }
+    `);
+    log.info(`📦 Bulk inventory query started for ${vendors.length} vendor(s)`);
+    const operation = await waitForBulkOperation(id);
+
+    const byVendor = new Map(vendors.map(vendor => [normalizeVendor(vendor), []]));
+    // No url means the query matched nothing
+    if (!operation.url) {
+      return byVendor;
+    }
+
+    const response = await fetch(operation.url);
+    if (!response.ok) {
+      throw new Error(`Could not download bulk operation results: ${response.status} ${response.statusText}`);
+    }
+
+    // JSONL: each product line is followed by its variant lines (which carry __parentId)
+    const productsById = new Map();
+    for (const line of (await response.text()).split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      const node = JSON.parse(line);
+      if (node.__parentId) {
+        productsById.get(node.__parentId)?.variants.push(toVariant(node));
+      } else {
+        productsById.set(node.id, toProduct(node, []));
+      }
+    }
+
+    for (const product of productsById.values()) {
+      byVendor.get(normalizeVendor(product.vendor))?.push(product);
+    }
+    log.info(`📦 Bulk inventory query finished: ${operation.objectCount} object(s)`);
+    return byVendor;
+  }
+
+  return { getProductsForVendors, getInventoryLevels, bulkProductsByVendor };
+}
+
+module.exports = { createInventoryService, vendorSearch };
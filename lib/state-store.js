@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./json-file');
+
+// Persistent brand notification state.
+// Every OOS / LOW_STOCK / IN_STOCK transition is appended to the brand's history, so the
+// latest entry tells us what we last notified about even after a restart.
+//
+// Separately, every stock evaluation is kept as a time-series point (stock history),
+// whether or not it changed anything. Points older than `retentionDays` are pruned.
+
+// Keep history bounded so the JSON file doesn't grow forever
+const MAX_HISTORY_PER_BRAND = 500;
+const MAX_POINTS_PER_BRAND = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Stock points arrive with every evaluation; the JSON file is rewritten at most this often for them
+const POINTS_SAVE_DELAY_MS = 2000;
+
+function buildReconciliation(stockStatus = {}, error = null) {
+  return {
+    reconciledAt: new Date().toISOString(),
+    totalProducts: stockStatus.totalProducts ?? null,
+    inStockProducts: stockStatus.inStockProducts ?? null,
+    error: error
+  };
+}
+
+function buildStockPoint(stockStatus, source) {
+  return {
+    timestamp: new Date().toISOString(),
+    source,
+    allOOS: !!stockStatus.allOOS,
+    lowStock: !!stockStatus.lowStock,
+    totalProducts: stockStatus.totalProducts ?? null,
+    inStockProducts: stockStatus.inStockProducts ?? null,
+    oosProducts: stockStatus.oosProducts ?? null,
+    totalUnits: stockStatus.totalUnits ?? null,
+    ruleFired: stockStatus.ruleFired || null
+  };
+}
+
+function cutoffFor(retentionDays) {
+  return new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+}
+
+function buildTransition(state, stockStatus = {}) {
+  return {
+    state,
+    timestamp: new Date().toISOString(),
+    totalProducts: stockStatus.totalProducts ?? null,
+    inStockProducts: stockStatus.inStockProducts ?? null,
+    oosProducts: stockStatus.oosProducts ?? null
+  };
+}
+
+// JSON file store - zero dependencies, fine for a single instance
+function createJsonStateStore(filePath, { retentionDays = 90 } = {}) {
+  let data = { brands: {} };
+
+  if (fs.existsSync(filePath)) {
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      data.brands = data.brands || {};
+    } catch (error) {
+      log.error(`❌ Could not read state file ${filePath}:`, error.message);
+      log.warn('⚠️  Starting with empty notification state');
+    }
+  }
+
+  // Write to a temp file and rename so a crash mid-write can't corrupt the state
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    writeJsonAtomic(filePath, data);
+  }
+
+  // Stock points are only history, so they're written in batches rather than on every
+  // evaluation. Transitions still save straight away (taking any pending points with them),
+  // and pending points are written by flush() - the server and CLI close the store on the way out.
+  let saveTimer = null;
+  function scheduleSave() {
+    if (saveTimer) {
+      return;
+    }
+    saveTimer = setTimeout(() => {
+      try {
+        save();
+      } catch (error) {
+        log.error('❌ Could not save stock history:', error.message);
+      }
+    }, POINTS_SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  function flush() {
+    if (saveTimer) {
+      save();
+    }
+  }
+
+  return {
+    type: 'json',
+    flush,
+    close: flush,
+
+    async getState(brand) {
+      const history = data.brands[brand]?.history || [];
+      return history.length > 0 ? history[history.length - 1].state : null;
+    },
+
+    async recordTransition(brand, state, stockStatus) {
+      const transition = buildTransition(state, stockStatus);
+      const entry = data.brands[brand] || (data.brands[brand] = { history: [] });
+      entry.history.push(transition);
+      if (entry.history.length > MAX_HISTORY_PER_BRAND) {
+        entry.history = entry.history.slice(-MAX_HISTORY_PER_BRAND);
+      }
+      save();
+      return transition;
+    },
+
+    async getHistory(brand) {
+      return (data.brands[brand]?.history || []).slice();
+    },
+
+    // Forget the brand's notification state, so the next check alerts as if it were new.
+    // Stock history is kept. Returns the number of transitions removed.
+    async resetState(brand) {
+      const removed = data.brands[brand]?.history.length || 0;
+      if (removed > 0) {
+        data.brands[brand].history = [];
+        save();
+      }
+      return removed;
+    },
+
+    async recordReconciliation(brand, stockStatus, error) {
+      const reconciliation = buildReconciliation(stockStatus, error);
+      const entry = data.brands[brand] || (data.brands[brand] = { history: [] });
+      entry.lastReconciliation = reconciliation;
+      save();
+      return reconciliation;
+    },
+
+    async getReconciliations() {
+      const reconciliations = {};
+      for (const [brand, entry] of Object.entries(data.brands)) {
+        if (entry.lastReconciliation) {
+          reconciliations[brand] = entry.lastReconciliation;
+        }
+      }
+      return reconciliations;
+    },
+
+    async getAllStates() {
+      const states = {};
+      for (const [brand, entry] of Object.entries(data.brands)) {
+        const last = entry.history[entry.history.length - 1];
+        if (last) {
+          states[brand] = last;
+        }
+      }
+      return states;
+    },
+
+    async recordStockPoint(brand, stockStatus, source) {
+      const point = buildStockPoint(stockStatus, source);
+      const entry = data.brands[brand] || (data.brands[brand] = { history: [] });
+      const cutoff = cutoffFor(retentionDays);
+      entry.points = (entry.points || []).filter(existing => existing.timestamp >= cutoff);
+      entry.points.push(point);
+      if (entry.points.length > MAX_POINTS_PER_BRAND) {
+        entry.points = entry.points.slice(-MAX_POINTS_PER_BRAND);
+      }
+      scheduleSave();
+      return point;
+    },
+
+    // Points in [from, to] (ISO strings, either may be omitted), oldest first
+    async getStockPoints(brand, { from, to } = {}) {
+      return (data.brands[brand]?.points || []).filter(point =>
+        (!from || point.timestamp >= from) && (!to || point.timestamp <= to)
+      );
+    },
+
+    // The latest point before a time - the brand's stock status when a range starts
+    async getStockPointBefore(brand, timestamp) {
+      const earlier = (data.brands[brand]?.points || []).filter(point => point.timestamp < timestamp);
+      return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+    },
+
+    async getStockHistoryBrands() {
+      return Object.keys(data.brands).filter(brand => (data.brands[brand].points || []).length > 0);
+    }
+  };
+}
+
+// SQLite store - better for large histories; needs the optional better-sqlite3 package
+function createSqliteStateStore(filePath, { retentionDays = 90 } = {}) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STATE_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS brand_transitions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      brand TEXT NOT NULL,
+      state TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      total_products INTEGER,
+      in_stock_products INTEGER,
+      oos_products INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_brand_transitions_brand ON brand_transitions (brand, id);
+    CREATE TABLE IF NOT EXISTS brand_stock_points (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      brand TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      source TEXT,
+      all_oos INTEGER NOT NULL,
+      low_stock INTEGER NOT NULL,
+      total_products INTEGER,
+      in_stock_products INTEGER,
+      oos_products INTEGER,
+      total_units INTEGER,
+      rule_fired TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_brand_stock_points_brand ON brand_stock_points (brand, timestamp);
+    CREATE TABLE IF NOT EXISTS brand_reconciliations (
+      brand TEXT PRIMARY KEY,
+      reconciled_at TEXT NOT NULL,
+      total_products INTEGER,
+      in_stock_products INTEGER,
+      error TEXT
+    );
+  `);
+
+  const insertStmt = db.prepare(`
+    INSERT INTO brand_transitions (brand, state, timestamp, total_products, in_stock_products, oos_products)
+    VALUES (@brand, @state, @timestamp, @totalProducts, @inStockProducts, @oosProducts)
+  `);
+  const latestStmt = db.prepare(
+    'SELECT state FROM brand_transitions WHERE brand = ? ORDER BY id DESC LIMIT 1'
+  );
+  const historyStmt = db.prepare(`
+    SELECT state, timestamp, total_products AS totalProducts,
+           in_stock_products AS inStockProducts, oos_products AS oosProducts
+    FROM brand_transitions WHERE brand = ? ORDER BY id ASC
+  `);
+  const resetStmt = db.prepare('DELETE FROM brand_transitions WHERE brand = ?');
+  const allStatesStmt = db.prepare(`
+    SELECT brand, state, timestamp, total_products AS totalProducts,
+           in_stock_products AS inStockProducts, oos_products AS oosProducts
+    FROM brand_transitions
+    WHERE id IN (SELECT MAX(id) FROM brand_transitions GROUP BY brand)
+  `);
+  const upsertReconciliationStmt = db.prepare(`
+    INSERT INTO brand_reconciliations (brand, reconciled_at, total_products, in_stock_products, error)
+    VALUES (@brand, @reconciledAt, @totalProducts, @inStockProducts, @error)
+    ON CONFLICT (brand) DO UPDATE SET
+      reconciled_at = excluded.reconciled_at,
+      total_products = excluded.total_products,
+      in_stock_products = excluded.in_stock_products,
+      error = excluded.error
+  `);
+  const insertPointStmt = db.prepare(`
+    INSERT INTO brand_stock_points (brand, timestamp, source, all_oos, low_stock, total_products,
+                                    in_stock_products, oos_products, total_units, rule_fired)
+    VALUES (@brand, @timestamp, @source, @allOOS, @lowStock, @totalProducts,
+            @inStockProducts, @oosProducts, @totalUnits, @ruleFired)
+  `);
+  const prunePointsStmt = db.prepare('DELETE FROM brand_stock_points WHERE brand = ? AND timestamp < ?');
+  const pointColumns = `
+    timestamp, source, all_oos AS allOOS, low_stock AS lowStock, total_products AS totalProducts,
+    in_stock_products AS inStockProducts, oos_products AS oosProducts, total_units AS totalUnits,
+    rule_fired AS ruleFired
+  `;
+  const pointsStmt = db.prepare(`
+    SELECT ${pointColumns} FROM brand_stock_points
+    WHERE brand = @brand AND timestamp >= @from AND timestamp <= @to
+    ORDER BY timestamp ASC, id ASC
+  `);
+  const pointBeforeStmt = db.prepare(`
+    SELECT ${pointColumns} FROM brand_stock_points
+    WHERE brand = ? AND timestamp < ?
+    ORDER BY timestamp DESC, id DESC LIMIT 1
+  `);
+  const pointBrandsStmt = db.prepare('SELECT DISTINCT brand FROM brand_stock_points');
+  // SQLite has no booleans
+  const toPoint = row => row && { ...row, allOOS: !!row.allOOS, lowStock: !!row.lowStock };
+  const reconciliationsStmt = db.prepare(`
+    SELECT brand, reconciled_at AS reconciledAt, total_products AS totalProducts,
+           in_stock_products AS inStockProducts, error
+    FROM brand_reconciliations
+  `);
+
+  return {
+    type: 'sqlite',
+    // Every write goes straight to the database
+    flush() {},
+
+    close() {
+      db.close();
+    },
+
+    async getState(brand) {
+      const row = latestStmt.get(brand);
+      return row ? row.state : null;
+    },
+
+    async recordTransition(brand, state, stockStatus) {
+      const transition = buildTransition(state, stockStatus);
+      insertStmt.run({ brand, ...transition });
+      return transition;
+    },
+
+    async getHistory(brand) {
+      return historyStmt.all(brand);
+    },
+
+    async resetState(brand) {
+      return resetStmt.run(brand).changes;
+    },
+
+    async recordReconciliation(brand, stockStatus, error) {
+      const reconciliation = buildReconciliation(stockStatus, error);
+      upsertReconciliationStmt.run({ brand, ...reconciliation });
+      return reconciliation;
+    },
+
+    async getReconciliations() {
+      const reconciliations = {};
+      for (const { brand, ...reconciliation } of reconciliationsStmt.all()) {
+        reconciliations[brand] = reconciliation;
+      }
+      return reconciliations;
+    },
+
+    async getAllStates() {
+      const states = {};
+      for (const { brand, ...last } of allStatesStmt.all()) {
+        states[brand] = last;
+      }
+      return states;
+    },
+
+    async recordStockPoint(brand, stockStatus, source) {
+      const point = buildStockPoint(stockStatus, source);
+      insertPointStmt.run({ brand, ...point, allOOS: point.allOOS ? 1 : 0, lowStock: point.lowStock ? 1 : 0 });
+      prunePointsStmt.run(brand, cutoffFor(retentionDays));
+      return point;
+    },
+
+    async getStockPoints(brand, { from, to } = {}) {
+      return pointsStmt.all({ brand, from: from || '', to: to || '9999' }).map(toPoint);
+    },
+
+    async getStockPointBefore(brand, timestamp) {
+      return toPoint(pointBeforeStmt.get(brand, timestamp)) || null;
+    },
+
+    async getStockHistoryBrands() {
+      return pointBrandsStmt.all().map(row => row.brand);
+    }
+  };
+}
+
+// Pick a store implementation from config
+function createStateStore({ type = 'json', path: storePath, retentionDays } = {}) {
+  if (type === 'json') {
+    return createJsonStateStore(storePath || './data/state.json', { retentionDays });
+  }
+  if (type === 'sqlite') {
+    return createSqliteStateStore(storePath || './data/state.db', { retentionDays });
+  }
+  throw new Error(`Unknown STATE_STORE type: ${type} (expected "json" or "sqlite")`);
+}
+
+module.exports = {
+  createStateStore,
+  createJsonStateStore,
+  createSqliteStateStore
+};
@@ -0,0 +1,93 @@
+// Stock history reporting - turns the per-brand time series of stock evaluations
+// into trend figures (time spent OOS, OOS episodes) and CSV exports.
+//
+// A brand's status is taken to hold from one point until the next, so a range is
+// summarised from the last point before it plus every point inside it.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Time out of stock, number of OOS episodes and the longest episode within [from, to].
+// `before` is the latest point before `from` (or null); `points` are sorted oldest first.
+function summarizeStockHistory(before, points, { from, to }) {
+  const start = Date.parse(from);
+  // Nothing is known about the future
+  const end = Math.min(Date.parse(to), Date.now());
+  const timeline = before ? [{ ...before, timestamp: from }, ...points] : points;
+
+  let oosMs = 0;
+  let coveredMs = 0;
+  let episodes = 0;
+  let longestEpisodeMs = 0;
+  let episodeMs = 0;
+  let previouslyOOS = false;
+
+  timeline.forEach((point, index) => {
+    const segmentStart = Math.max(start, Date.parse(point.timestamp));
+    const next = timeline[index + 1];
+    const segmentEnd = Math.min(end, next ? Date.parse(next.timestamp) : end);
+    const duration = Math.max(0, segmentEnd - segmentStart);
+    coveredMs += duration;
+
+    if (point.allOOS) {
+      if (!previouslyOOS) {
+        episodes++;
+        episodeMs = 0;
+      }
+      oosMs += duration;
+      episodeMs += duration;
+      longestEpisodeMs = Math.max(longestEpisodeMs, episodeMs);
+    }
+    previouslyOOS = point.allOOS;
+  });
+
+  const last = timeline[timeline.length - 1] || null;
+  return {
+    from,
+    to,
+    points: points.length,
+    oosHours: round(oosMs / HOUR_MS),
+    // Share of the time we have data for, not of the whole range
+    oosPercent: coveredMs > 0 ? round(oosMs / coveredMs * 100) : null,
+    oosEpisodes: episodes,
+    longestEpisodeHours: round(longestEpisodeMs / HOUR_MS),
+    currentlyOOS: last ? last.allOOS : null,
+    lastEvaluatedAt: points.length > 0 ? points[points.length - 1].timestamp : (before ? before.timestamp : null)
+  };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: array of objects; columns: keys to export, in order
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvValue(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Parse ?from=&to= (ISO dates or date-times). Defaults to the last `defaultDays` days.
+// Throws with a readable message on invalid input.
+function parseRange({ from, to }, { defaultDays = 30 } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - defaultDays * 24 * HOUR_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw new Error('from and to must be ISO dates, e.g. 2024-05-01 or 2024-05-01T12:00:00Z');
+  }
+  if (start > end) {
+    throw new Error('from must be before to');
+  }
+  return { from: start.toISOString(), to: end.toISOString() };
+}
+
+module.exports = { summarizeStockHistory, toCsv, parseRange };
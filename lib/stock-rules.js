@@ -0,0 +1,208 @@
+const fs = require('fs');
+const { normalizeVendor } = require('./brand-registry');
+
+// Stock rules - decide when a brand counts as "effectively out of stock".
+//
+// Rule fields:
+//   minInStockProducts    brand is OOS when fewer than this many products are in stock
+//   minUnitsPerProduct    a product is in stock when it has at least this many units
+//   locationIds           only count inventory at these locations (null = all, via inventory_quantity)
+//   ignoreContinueSelling skip variants with inventory_policy "continue" (sell when OOS)
+//   ignoreUntracked       skip variants whose inventory isn't tracked by Shopify
+//   lowStockProducts      warn when fewer than this many products are in stock (null = off)
+//   lowStockUnits         warn when the brand's total units fall below this (null = off)
+//   lowStockHysteresis    how far above a threshold (as a fraction) stock must climb
+//                         before the warning clears, so we don't flap around the line
+//
+// The defaults reproduce the original behaviour: OOS only when every product is at zero.
+const DEFAULT_RULE = {
+  minInStockProducts: 1,
+  minUnitsPerProduct: 1,
+  locationIds: null,
+  ignoreContinueSelling: false,
+  ignoreUntracked: false,
+  lowStockProducts: null,
+  lowStockUnits: null,
+  lowStockHysteresis: 0.2
+};
+
+const RULE_FIELDS = Object.keys(DEFAULT_RULE);
+
+function validateRule(rule, label) {
+  for (const key of Object.keys(rule)) {
+    if (!RULE_FIELDS.includes(key)) {
+      throw new Error(`Unknown stock rule field "${key}" in ${label}`);
+    }
+  }
+  for (const key of ['minInStockProducts', 'minUnitsPerProduct']) {
+    if (rule[key] !== undefined && (!Number.isInteger(rule[key]) || rule[key] < 1)) {
+      throw new Error(`Stock rule ${label}.${key} must be a positive integer`);
+    }
+  }
+  for (const key of ['lowStockProducts', 'lowStockUnits']) {
+    if (rule[key] !== undefined && rule[key] !== null && (!Number.isInteger(rule[key]) || rule[key] < 1)) {
+      throw new Error(`Stock rule ${label}.${key} must be a positive integer or null`);
+    }
+  }
+  if (rule.lowStockHysteresis !== undefined && !(typeof rule.lowStockHysteresis === 'number' && rule.lowStockHysteresis >= 0)) {
+    throw new Error(`Stock rule ${label}.lowStockHysteresis must be a number >= 0`);
+  }
+  if (rule.locationIds !== undefined && rule.locationIds !== null && !Array.isArray(rule.locationIds)) {
+    throw new Error(`Stock rule ${label}.locationIds must be an array of location IDs`);
+  }
+}
+
+// Load rules from a JSON file (STOCK_RULES_PATH) or inline JSON (STOCK_RULES):
+// { "default": { ...rule }, "brands": { "Brand Name": { ...rule } } }
+// Brand keys match case-insensitively, and by alias when `canonicalName` maps a vendor
+// string to its brand's name (the brand registry's canonicalName).
+function loadStockRules({ filePath, json, canonicalName = name => name } = {}) {
+  let config = {};
+  if (filePath) {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else if (json) {
+    config = JSON.parse(json);
+  }
+
+  const defaults = config.default || {};
+  const brands = config.brands || {};
+  validateRule(defaults, 'default');
+  for (const [brand, rule] of Object.entries(brands)) {
+    validateRule(rule, `brands["${brand}"]`);
+  }
+
+  const defaultRule = { ...DEFAULT_RULE, ...defaults };
+  // Resolved on every lookup - aliases can be added to the registry at runtime
+  const sameBrand = (key, brand) => normalizeVendor(canonicalName(key)) === normalizeVendor(canonicalName(brand));
+
+  return {
+    defaultRule,
+    brandRules: brands,
+    getRuleForBrand(brand) {
+      const key = Object.keys(brands).find(candidate => sameBrand(candidate, brand));
+      return { ...defaultRule, ...(key ? brands[key] : {}) };
+    },
+    // Rule keys that belong to none of these brands (likely a typo or a removed brand)
+    unmatchedBrandKeys(monitoredBrands) {
+      return Object.keys(brands).filter(key => !monitoredBrands.some(brand => sameBrand(key, brand)));
+    }
+  };
+}
+
+function isVariantIgnored(variant, rule) {
+  if (rule.ignoreContinueSelling && variant.inventory_policy === 'continue') {
+    return true;
+  }
+  if (rule.ignoreUntracked && !variant.inventory_management) {
+    return true;
+  }
+  return false;
+}
+
+// Units for one variant under the rule. `levels` maps inventory_item_id -> { location_id: available }
+function variantUnits(variant, rule, levels) {
+  if (rule.locationIds && rule.locationIds.length > 0) {
+    const byLocation = levels?.[String(variant.inventory_item_id)] || {};
+    return rule.locationIds.reduce((sum, locationId) => sum + (byLocation[String(locationId)] || 0), 0);
+  }
+  return variant.inventory_quantity || 0;
+}
+
+// Low-stock thresholds with hysteresis:
+// - lowStock:          below a threshold right now (enter the LOW_STOCK state)
+// - lowStockRecovered: comfortably above every threshold (safe to leave LOW_STOCK)
+// Anything in between keeps whatever state the brand is already in.
+function evaluateLowStock({ inStockProducts, totalUnits }, rule) {
+  const checks = [
+    { threshold: rule.lowStockProducts, value: inStockProducts, label: 'products in stock' },
+    { threshold: rule.lowStockUnits, value: totalUnits, label: 'units in stock' }
+  ].filter(check => check.threshold);
+
+  if (checks.length === 0) {
+    return { lowStock: false, lowStockRecovered: true, lowStockReason: null };
+  }
+
+  const below = checks.filter(check => check.value < check.threshold);
+  const recovered = checks.every(check =>
+    check.value >= Math.ceil(check.threshold * (1 + rule.lowStockHysteresis))
+  );
+
+  return {
+    lowStock: below.length > 0,
+    lowStockRecovered: recovered,
+    lowStockReason: below.length > 0 ?
+      below.map(check => `${check.value} ${check.label} (warning below ${check.threshold})`).join('; ') :
+      null
+  };
+}
+
+// Evaluate a brand's products against a rule.
+// Returns the stock summary plus which rule fired (if any) and a human-readable reason.
+function evaluateBrandStock(products, rule, levels = null) {
+  let totalProducts = 0;
+  let inStockProducts = 0;
+  let ignoredProducts = 0;
+  let totalUnits = 0;
+  const productStock = [];
+
+  for (const product of products) {
+    const variants = (product.variants || []).filter(variant => !isVariantIgnored(variant, rule));
+
+    // Nothing left to count (e.g. every variant sells when OOS) - leave the product out
+    if (variants.length === 0) {
+      ignoredProducts++;
+      continue;
+    }
+
+    totalProducts++;
+    const productUnits = variants.reduce((sum, variant) => sum + variantUnits(variant, rule, levels), 0);
+    const inStock = productUnits >= rule.minUnitsPerProduct;
+    if (inStock) {
+      inStockProducts++;
+    }
+    // Oversold products can go negative - don't let them cancel out other stock
+    totalUnits += Math.max(0, productUnits);
+    productStock.push({ id: product.id, title: product.title, units: productUnits, inStock });
+  }
+
+  const oosProducts = totalProducts - inStockProducts;
+  const result = {
+    allOOS: false,
+    totalProducts,
+    oosProducts,
+    inStockProducts,
+    ignoredProducts,
+    totalUnits,
+    // Lowest stock first, so callers can list the products closest to running out
+    products: productStock.sort((a, b) => a.units - b.units),
+    ruleFired: null,
+    reason: null,
+    ...evaluateLowStock({ inStockProducts, totalUnits }, rule),
+    rule
+  };
+
+  if (totalProducts === 0 || inStockProducts >= rule.minInStockProducts) {
+    return result;
+  }
+
+  result.allOOS = true;
+  const where = rule.locationIds && rule.locationIds.length > 0 ?
+    ` at location(s) ${rule.locationIds.join(', ')}` : '';
+
+  if (inStockProducts === 0 && rule.minUnitsPerProduct === 1) {
+    result.ruleFired = 'all_products_oos';
+    result.reason = `All ${totalProducts} products are out of stock${where}.`;
+  } else {
+    result.ruleFired = 'min_in_stock_products';
+    result.reason = `Only ${inStockProducts} of ${totalProducts} products have at least ` +
+      `${rule.minUnitsPerProduct} unit(s)${where} (minimum ${rule.minInStockProducts} required).`;
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_RULE,
+  loadStockRules,
+  evaluateBrandStock
+};
@@ -0,0 +1,313 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./json-file');
+const { normalizeVendor } = require('./brand-registry');
+
+// Automatic storefront actions - hide a brand when it goes OOS and show it again
+// when it comes back, instead of someone doing it by hand from the alert email.
+//
+// Config (BRAND_ACTIONS_PATH file or BRAND_ACTIONS inline JSON):
+// {
+//   "dryRun": true,
+//   "brands": {
+//     "Nike": [
+//       { "type": "collection_publication", "collectionId": "gid://shopify/Collection/1",
+//         "publicationId": "gid://shopify/Publication/2" },
+//       { "type": "metafield", "ownerId": "gid://shopify/Collection/1", "namespace": "custom",
+//         "key": "brand_hidden", "valueType": "boolean", "hiddenValue": "true", "visibleValue": "false" }
+//     ]
+//   }
+// }
+//
+// Every change (and every dry-run "would change") is written to the audit log together
+// with the value it replaced, which is what makes undo possible.
+
+const MAX_AUDIT_ENTRIES = 5000;
+
+const ACTION_TYPES = {
+  // Unpublish / publish a collection on one sales channel (publication)
+  collection_publication: {
+    required: ['collectionId', 'publicationId'],
+
+    async read(action, graphql) {
+      const data = await graphql(`
+        query collectionPublished($id: ID!, $publicationId: ID!) {
+          collection(id: $id) {
+            publishedOnPublication(publicationId: $publicationId)
+          }
+        }
+      `, { id: action.collectionId, publicationId: action.publicationId });
+      if (!data.collection) {
+        throw new Error(`Collection ${action.collectionId} not found`);
+      }
+      return data.collection.publishedOnPublication;
+    },
+
+    async write(action, graphql, published) {
+      const mutation = published ? 'publishablePublish' : 'publishableUnpublish';
+      const data = await graphql(`
+        mutation setPublished($id: ID!, $input: [PublicationInput!]!) {
+          ${mutation}(id: $id, input: $input) {
+            userErrors { field message }
+          }
+        }
+      `, { id: action.collectionId, input: [{ publicationId: action.publicationId }] });
+      throwOnUserErrors(data[mutation]);
+    },
+
+    targetValue(action, operation) {
+      return operation === 'show';
+    }
+  },
+
+  // Set a metafield (e.g. a theme flag the brand page reads) to a hidden/visible value
+  metafield: {
+    required: ['ownerId', 'namespace', 'key', 'hiddenValue', 'visibleValue'],
+
+    async read(action, graphql) {
+      const data = await graphql(`
+        query readMetafield($id: ID!, $namespace: String!, $key: String!) {
+          node(id: $id) {
+            ... on HasMetafields {
+              metafield(namespace: $namespace, key: $key) { value }
+            }
+          }
+        }
+      `, { id: action.ownerId, namespace: action.namespace, key: action.key });
+      if (!data.node) {
+        throw new Error(`Metafield owner ${action.ownerId} not found`);
+      }
+      return data.node.metafield ? data.node.metafield.value : null;
+    },
+
+    async write(action, graphql, value) {
+      if (value === null) {
+        const data = await graphql(`
+          mutation deleteMetafield($metafields: [MetafieldIdentifierInput!]!) {
+            metafieldsDelete(metafields: $metafields) {
+              userErrors { field message }
+            }
+          }
+        `, { metafields: [{ ownerId: action.ownerId, namespace: action.namespace, key: action.key }] });
+        throwOnUserErrors(data.metafieldsDelete);
+        return;
+      }
+
+      const data = await graphql(`
+        mutation setMetafield($metafields: [MetafieldsSetInput!]!) {
+          metafieldsSet(metafields: $metafields) {
+            userErrors { field message }
+          }
+        }
+      `, {
+        metafields: [{
+          ownerId: action.ownerId,
+          namespace: action.namespace,
+          key: action.key,
+          type: action.valueType || 'single_line_text_field',
+          value: String(value)
+        }]
+      });
+      throwOnUserErrors(data.metafieldsSet);
+    },
+
+    targetValue(action, operation) {
+      return operation === 'show' ? action.visibleValue : action.hiddenValue;
+    }
+  }
+};
+
+function throwOnUserErrors(payload) {
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    throw new Error(userErrors.map(error => error.message).join('; '));
+  }
+}
+
+function loadActionConfig({ filePath, json } = {}) {
+  let config = {};
+  if (filePath) {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else if (json) {
+    config = JSON.parse(json);
+  }
+
+  const brands = config.brands || {};
+  for (const [brand, actions] of Object.entries(brands)) {
+    if (!Array.isArray(actions)) {
+      throw new Error(`Actions for brand "${brand}" must be an array`);
+    }
+    for (const action of actions) {
+      const actionType = ACTION_TYPES[action.type];
+      if (!actionType) {
+        throw new Error(`Unknown action type "${action.type}" for brand "${brand}"`);
+      }
+      const missing = actionType.required.filter(field => action[field] === undefined);
+      if (missing.length > 0) {
+        throw new Error(`Action ${action.type} for brand "${brand}" is missing: ${missing.join(', ')}`);
+      }
+    }
+  }
+
+  return { dryRun: config.dryRun !== false, brands };
+}
+
+// `graphql(query, variables)` runs an Admin API call and resolves with `data`.
+// Brand keys in the config match case-insensitively, and by alias through `canonicalName`.
+function createStorefrontActions({ config, graphql, auditPath = './data/actions-audit.json', dryRun, canonicalName = name => name }) {
+  const isDryRun = dryRun !== undefined && dryRun !== null ? dryRun : config.dryRun;
+  let audit = [];
+
+  const sameBrand = (a, b) => normalizeVendor(canonicalName(a)) === normalizeVendor(canonicalName(b));
+
+  function actionsFor(brand) {
+    const key = Object.keys(config.brands).find(candidate => sameBrand(candidate, brand));
+    return key ? config.brands[key] : [];
+  }
+
+  if (fs.existsSync(auditPath)) {
+    try {
+      audit = JSON.parse(fs.readFileSync(auditPath, 'utf8'));
+    } catch (error) {
+      log.error(`❌ Could not read action audit log ${auditPath}:`, error.message);
+    }
+  }
+
+  function saveAudit() {
+    if (audit.length > MAX_AUDIT_ENTRIES) {
+      audit = audit.slice(-MAX_AUDIT_ENTRIES);
+    }
+    writeJsonAtomic(auditPath, audit);
+  }
+
+  function isConfigured(brand) {
+    return actionsFor(brand).length > 0;
+  }
+
+  // Run every configured action for a brand. operation is 'hide' or 'show'.
+  async function apply(brand, operation, trigger) {
+    const actions = actionsFor(brand);
+    const batchId = crypto.randomUUID();
+    const results = [];
+
+    for (const action of actions) {
+      const actionType = ACTION_TYPES[action.type];
+      const value = actionType.targetValue(action, operation);
+      const entry = {
+        id: crypto.randomUUID(),
+        batchId,
+        brand,
+        operation,
+        trigger,
+        action,
+        dryRun: isDryRun,
+        previousValue: null,
+        newValue: value,
+        success: false,
+        error: null,
+        timestamp: new Date().toISOString(),
+        undoneAt: null
+      };
+
+      try {
+        entry.previousValue = await actionType.read(action, graphql);
+        if (!isDryRun) {
+          await actionType.write(action, graphql, value);
+        }
+        entry.success = true;
+        log.info(`${isDryRun ? '🧪 [dry run] Would' : '🤖'} ${operation} ${brand} via ${action.type}: ${JSON.stringify(entry.previousValue)} → ${JSON.stringify(value)}`);
+      } catch (error) {
+        entry.error = error.message;
+        log.error(`❌ Auto-action ${action.type} failed for ${brand}:`, error.message);
+      }
+
+      audit.push(entry);
+      results.push(entry);
+    }
+
+    if (results.length > 0) {
+      saveAudit();
+    }
+
+    return {
+      configured: actions.length > 0,
+      dryRun: isDryRun,
+      operation,
+      success: results.every(result => result.success),
+      results
+    };
+  }
+
+  // Revert the most recent applied (non dry-run, not yet undone) batch for a brand
+  async function undoLast(brand) {
+    const last = [...audit].reverse().find(entry =>
+      sameBrand(entry.brand, brand) && entry.operation !== 'undo' && !entry.dryRun && entry.success && !entry.undoneAt
+    );
+    if (!last) {
+      return null;
+    }
+
+    const batch = audit.filter(entry => entry.batchId === last.batchId && entry.success && !entry.undoneAt);
+    const batchId = crypto.randomUUID();
+    const results = [];
+
+    for (const original of batch) {
+      const actionType = ACTION_TYPES[original.action.type];
+      const entry = {
+        id: crypto.randomUUID(),
+        batchId,
+        brand,
+        operation: 'undo',
+        trigger: `undo:${original.id}`,
+        action: original.action,
+        dryRun: false,
+        previousValue: original.newValue,
+        newValue: original.previousValue,
+        success: false,
+        error: null,
+        timestamp: new Date().toISOString(),
+        undoneAt: null
+      };
+
+      try {
+        await actionType.write(original.action, graphql, original.previousValue);
+        entry.success = true;
+        original.undoneAt = entry.timestamp;
+        log.info(`↩️  Undid ${original.operation} of ${brand} via ${original.action.type}`);
+      } catch (error) {
+        entry.error = error.message;
+        log.error(`❌ Undo of ${original.action.type} failed for ${brand}:`, error.message);
+      }
+
+      audit.push(entry);
+      results.push(entry);
+    }
+
+    saveAudit();
+    return { success: results.every(result => result.success), undone: last.operation, results };
+  }
+
+  function getAuditLog({ brand, limit = 100 } = {}) {
+    const entries = brand ? audit.filter(entry => sameBrand(entry.brand, brand)) : audit;
+    return entries.slice(-limit).reverse();
+  }
+
+  return {
+    dryRun: isDryRun,
+    isConfigured,
+    apply,
+    undoLast,
+    getAuditLog,
+    brands: Object.keys(config.brands),
+    // Configured brand keys that belong to none of these brands
+    unmatchedBrandKeys: monitoredBrands =>
+      Object.keys(config.brands).filter(key => !monitoredBrands.some(brand => sameBrand(key, brand)))
+  };
+}
+
+module.exports = {
+  ACTION_TYPES,
+  loadActionConfig,
+  createStorefrontActions
+};
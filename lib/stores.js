@@ -0,0 +1,109 @@
+const fs = require('fs');
+const { normalizeVendor } = require('./brand-registry');
+
+// Shopify stores monitored by this instance.
+//
+// Several stores come from SHOPIFY_STORES_PATH (file) or SHOPIFY_STORES (inline JSON):
+// [
+//   { "id": "eu", "name": "EU store", "shop": "https://acme-eu.myshopify.com",
+//     "accessToken": "shpat_...", "webhookSecret": "...",
+//     "brands": ["Nike", "Puma"],       optional - default: every registered brand
+//     "brandActions": { ... } }         optional - same format as BRAND_ACTIONS
+// ]
+// Without it, the single store configured by SHOPIFY_SHOP / SHOPIFY_ACCESS_TOKEN /
+// SHOPIFY_WEBHOOK_SECRET is used, with the id "default".
+//
+// Brand state is kept per store under "<store id>:<brand>". The "default" store keeps
+// plain brand names, so a single-store install (or a store configured with the id
+// "default") carries on with its existing state and history.
+
+const DEFAULT_STORE_ID = 'default';
+const STORE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// "https://acme.myshopify.com/" -> "acme.myshopify.com", as sent in X-Shopify-Shop-Domain
+function shopDomain(shop) {
+  try {
+    return new URL(shop).hostname.toLowerCase();
+  } catch (error) {
+    return String(shop).replace(/^https?:\/\//, '').replace(/\/.*$/, '').toLowerCase();
+  }
+}
+
+function validateStore(store, index) {
+  const label = store.id ? `store "${store.id}"` : `store #${index + 1}`;
+  if (!store.id || !STORE_ID_PATTERN.test(store.id)) {
+    throw new Error(`${label} needs an id of lowercase letters, digits, "-" or "_"`);
+  }
+  for (const field of ['shop', 'accessToken', 'webhookSecret']) {
+    if (!store[field]) {
+      throw new Error(`${label} is missing ${field}`);
+    }
+  }
+  if (store.brands !== undefined && store.brands !== null && !Array.isArray(store.brands)) {
+    throw new Error(`${label}: brands must be an array of brand names`);
+  }
+}
+
+function loadStores({ filePath, json, shop, accessToken, webhookSecret } = {}) {
+  let definitions;
+  if (filePath) {
+    definitions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else if (json) {
+    definitions = JSON.parse(json);
+  } else {
+    definitions = [{ id: DEFAULT_STORE_ID, shop, accessToken, webhookSecret, legacy: true }];
+  }
+
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error('Store config must be a non-empty array of stores');
+  }
+
+  const seenIds = new Set();
+  const seenDomains = new Set();
+  return definitions.map((store, index) => {
+    validateStore(store, index);
+    const domain = shopDomain(store.shop);
+    if (seenIds.has(store.id) || seenDomains.has(domain)) {
+      throw new Error(`Store "${store.id}" (${domain}) is configured twice`);
+    }
+    seenIds.add(store.id);
+    seenDomains.add(domain);
+
+    const brands = store.brands ? new Set(store.brands.map(normalizeVendor)) : null;
+    return {
+      id: store.id,
+      name: store.name || store.id,
+      shop: store.shop.replace(/\/+$/, ''),
+      domain,
+      accessToken: store.accessToken,
+      webhookSecret: store.webhookSecret,
+      brands: store.brands || null,
+      brandActions: store.brandActions || null,
+      legacy: !!store.legacy,
+      carries: brand => !brands || brands.has(normalizeVendor(brand))
+    };
+  });
+}
+
+// Key a brand's state (transitions, history, stock points) is stored under
+function stateKey(storeId, brand) {
+  return storeId === DEFAULT_STORE_ID ? brand : `${storeId}:${brand}`;
+}
+
+// A state key back into its store id and brand - the inverse of stateKey(). Brand names
+// may contain ":" themselves, so only the ids of configured stores are split off.
+function splitStateKey(key, storeIds) {
+  const storeId = storeIds.find(id => id !== DEFAULT_STORE_ID && key.startsWith(`${id}:`));
+  return storeId ? { storeId, brand: key.slice(storeId.length + 1) } : { storeId: DEFAULT_STORE_ID, brand: key };
+}
+
+// Per-store data file, e.g. ./data/webhooks.json -> ./data/webhooks.eu.json
+function storeFilePath(filePath, storeId) {
+  if (!filePath || storeId === DEFAULT_STORE_ID) {
+    return filePath;
+  }
+  const match = filePath.match(/^(.*?)(\.[^./\\]+)?$/);
+  return `${match[1]}.${storeId}${match[2] || ''}`;
+}
+
+module.exports = { DEFAULT_STORE_ID, shopDomain, loadStores, stateKey, splitStateKey, storeFilePath };
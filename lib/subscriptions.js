@@ -0,0 +1,146 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./json-file');
+
+// Brand subscriptions - which recipients get alerts for which brands.
+//
+// A subscription maps one recipient to one brand pattern:
+//   "Nike"            exact brand (case-insensitive)
+//   "Adidas*"         wildcard - * matches anything
+//   "group:outdoor"   every brand in the named group
+//
+// Brands nobody subscribes to fall back to the default recipients (EMAIL_TO),
+// so alerts are never silently dropped.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function createSubscriptionStore({ filePath = './data/subscriptions.json', defaultRecipients = [] } = {}) {
+  let data = { groups: {}, subscriptions: [] };
+
+  if (fs.existsSync(filePath)) {
+    try {
+      data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      log.error(`❌ Could not read subscriptions file ${filePath}:`, error.message);
+      log.warn('⚠️  Starting with no subscriptions - all alerts go to the default recipients');
+    }
+  }
+
+  function save() {
+    writeJsonAtomic(filePath, data);
+  }
+
+  function patternMatches(pattern, brand) {
+    if (pattern.startsWith('group:')) {
+      const members = data.groups[pattern.slice('group:'.length)] || [];
+      return members.some(member => patternMatches(member, brand));
+    }
+    return wildcardToRegExp(pattern).test(brand);
+  }
+
+  function validatePattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+      throw new Error('Brand pattern must be a non-empty string');
+    }
+    if (pattern.startsWith('group:') && !data.groups[pattern.slice('group:'.length)]) {
+      throw new Error(`Unknown brand group "${pattern.slice('group:'.length)}"`);
+    }
+  }
+
+  // Subscribe a recipient to one or more brand patterns. Existing identical subscriptions are reused.
+  function subscribe(recipient, patterns) {
+    if (!EMAIL_PATTERN.test(recipient || '')) {
+      throw new Error(`Invalid recipient email: ${recipient}`);
+    }
+    patterns.forEach(validatePattern);
+
+    const created = [];
+    for (const rawPattern of patterns) {
+      const pattern = rawPattern.trim();
+      const existing = data.subscriptions.find(sub =>
+        sub.recipient.toLowerCase() === recipient.toLowerCase() && sub.pattern.toLowerCase() === pattern.toLowerCase()
+      );
+      if (existing) {
+        created.push(existing);
+        continue;
+      }
+      const subscription = {
+        id: crypto.randomUUID(),
+        recipient,
+        pattern,
+        createdAt: new Date().toISOString()
+      };
+      data.subscriptions.push(subscription);
+      created.push(subscription);
+    }
+    save();
+    return created;
+  }
+
+  function unsubscribe(id) {
+    const before = data.subscriptions.length;
+    data.subscriptions = data.subscriptions.filter(sub => sub.id !== id);
+    if (data.subscriptions.length === before) {
+      return false;
+    }
+    save();
+    return true;
+  }
+
+  function setGroup(name, brands) {
+    if (!Array.isArray(brands) || brands.some(brand => typeof brand !== 'string' || brand.startsWith('group:'))) {
+      throw new Error('Group brands must be an array of brand names or wildcards');
+    }
+    data.groups[name] = brands.map(brand => brand.trim());
+    save();
+    return data.groups[name];
+  }
+
+  function deleteGroup(name) {
+    if (!data.groups[name]) {
+      return false;
+    }
+    if (data.subscriptions.some(sub => sub.pattern === `group:${name}`)) {
+      throw new Error(`Group "${name}" is still used by subscriptions`);
+    }
+    delete data.groups[name];
+    save();
+    return true;
+  }
+
+  // Recipients for one brand (default recipients if nobody subscribed)
+  function recipientsFor(brand) {
+    const recipients = [];
+    for (const sub of data.subscriptions) {
+      if (patternMatches(sub.pattern, brand) && !recipients.includes(sub.recipient)) {
+        recipients.push(sub.recipient);
+      }
+    }
+    return recipients.length > 0 ? recipients : defaultRecipients.slice();
+  }
+
+  // Group brands by recipient: { recipient: [brand, ...] }
+  function brandsByRecipient(brands) {
+    const grouped = {};
+    for (const brand of brands) {
+      for (const recipient of recipientsFor(brand)) {
+        (grouped[recipient] = grouped[recipient] || []).push(brand);
+      }
+    }
+    return grouped;
+  }
+
+  function list() {
+    return { groups: { ...data.groups }, subscriptions: data.subscriptions.slice(), defaultRecipients };
+  }
+
+  return { subscribe, unsubscribe, setGroup, deleteGroup, recipientsFor, brandsByRecipient, list };
+}
+
+module.exports = { createSubscriptionStore };
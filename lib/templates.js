@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const Mustache = require('mustache');
+
+// Notification templates.
+//
+// Each event has three Mustache templates in templates/:
+//   <name>.subject.mustache   subject line (plain text)
+//   <name>.text.mustache      plain-text body - also used for Slack/Teams/webhook
+//   <name>.html.mustache      HTML body, wrapped in layout.html.mustache
+//
+// Any file can be overridden by putting a file with the same name in TEMPLATES_DIR.
+// Overrides are read on every render, so they can be edited without a restart.
+// HTML templates escape {{values}} - only use {{{triple}}} for trusted markup.
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'templates');
+const TEMPLATE_NAMES = ['oos', 'back_in_stock', 'low_stock', 'check_summary', 'digest', 'all_stores_oos', 'webhook_alert', 'alert_batch', 'test'];
+const TEMPLATE_PARTS = ['subject', 'text', 'html'];
+const SHARED_FILES = ['layout.html.mustache', 'productTable.partial.mustache'];
+
+// Which products each brand alert lists, and how many
+const PRODUCT_TABLES = {
+  oos: { filter: product => !product.inStock, limit: 25 },
+  back_in_stock: { filter: product => product.inStock, limit: 25, highestFirst: true },
+  low_stock: { filter: product => product.inStock, limit: 10 }
+};
+
+const PLAIN_TEXT = { escape: value => String(value) };
+
+function escapeHtml(value) {
+  return Mustache.escape(String(value));
+}
+
+function createTemplateRenderer({ overrideDir = null } = {}) {
+  function resolve(fileName) {
+    if (overrideDir) {
+      const overridePath = path.join(overrideDir, fileName);
+      if (fs.existsSync(overridePath)) {
+        return { path: overridePath, origin: 'override' };
+      }
+    }
+    return { path: path.join(BUILTIN_DIR, fileName), origin: 'builtin' };
+  }
+
+  function load(fileName) {
+    return fs.readFileSync(resolve(fileName).path, 'utf8');
+  }
+
+  // Render a named template. Returns { subject, text, html, body } - body is the HTML before
+  // it's wrapped in the layout, for embedding in another email (e.g. a quiet-hours batch).
+  function render(name, context) {
+    if (!TEMPLATE_NAMES.includes(name)) {
+      throw new Error(`Unknown template "${name}"`);
+    }
+
+    const partials = { productTable: load('productTable.partial.mustache') };
+    const subject = Mustache.render(load(`${name}.subject.mustache`), context, partials, PLAIN_TEXT).trim();
+    const text = Mustache.render(load(`${name}.text.mustache`), context, partials, PLAIN_TEXT).trim();
+    const body = Mustache.render(load(`${name}.html.mustache`), context, partials);
+    const html = Mustache.render(load('layout.html.mustache'), {
+      // Emoji look odd in the big heading - keep them for the subject line only
+      title: subject.replace(/^[^\p{L}\p{N}"]+/u, '').trim(),
+      body
+    });
+
+    return { subject, text, html, body };
+  }
+
+  // Where each template file is coming from (built-in or override)
+  function describe() {
+    const templates = {};
+    for (const name of TEMPLATE_NAMES) {
+      templates[name] = {};
+      for (const part of TEMPLATE_PARTS) {
+        templates[name][part] = resolve(`${name}.${part}.mustache`).origin;
+      }
+    }
+    const shared = {};
+    for (const fileName of SHARED_FILES) {
+      shared[fileName] = resolve(fileName).origin;
+    }
+    return { overrideDir, templates, shared };
+  }
+
+  return { render, describe };
+}
+
+// Context for OOS / back-in-stock / low-stock alerts
+// ackUrl is the alert's acknowledge link, when acknowledge links are enabled
+function buildBrandAlertContext(name, brand, stockStatus, { autoActionNote = null, shop = null, ackUrl = null } = {}) {
+  const table = PRODUCT_TABLES[name] || PRODUCT_TABLES.oos;
+  let products = (stockStatus.products || []).filter(table.filter);
+  if (table.highestFirst) {
+    products = products.slice().reverse();
+  }
+
+  return {
+    brand,
+    reason: stockStatus.reason,
+    ruleFired: stockStatus.ruleFired,
+    allProductsOOS: stockStatus.ruleFired === 'all_products_oos',
+    totalProducts: stockStatus.totalProducts,
+    inStockProducts: stockStatus.inStockProducts,
+    oosProducts: stockStatus.oosProducts,
+    totalUnits: stockStatus.totalUnits,
+    lowStockReason: stockStatus.lowStockReason,
+    autoActionNote,
+    products: products.slice(0, table.limit).map(product => ({
+      title: product.title,
+      units: product.units,
+      adminUrl: (product.shop || shop) && product.id ? `${product.shop || shop}/admin/products/${product.id}` : null
+    })),
+    moreProducts: Math.max(0, products.length - table.limit) || null,
+    ackUrl,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Context for the consolidated /check-now summary.
+// items: [{ brand, totalProducts, reason, autoActionNote }]
+function buildCheckSummaryContext(items, { totalBrands, brandsOutOfStock }) {
+  return {
+    count: items.length,
+    items: items.map((item, index) => ({
+      index: index + 1,
+      brand: item.brand,
+      totalProducts: item.totalProducts,
+      reason: item.reason,
+      // Keep multi-line notes lined up under the numbered entry in the text email
+      autoActionNote: item.autoActionNote ? item.autoActionNote.replace(/\n/g, '\n   ') : null
+    })),
+    totalBrands,
+    brandsOutOfStock,
+    brandsInStock: totalBrands - brandsOutOfStock,
+    timestamp: new Date().toISOString()
+  };
+}
+
+const STATUS_LABELS = { IN_STOCK: 'In stock', LOW_STOCK: 'Low stock', OOS: 'Out of stock', ERROR: 'Check failed' };
+const DIGEST_PRODUCT_LIMIT = 50;
+
+// Context for the scheduled digest (see lib/digest.js for the digest itself)
+// Products link to the admin of their own store (product.shop), falling back to `shop`
+function buildDigestContext(digest, { shop = null } = {}) {
+  const label = status => STATUS_LABELS[status] || status;
+  return {
+    since: digest.since,
+    firstDigest: digest.firstDigest,
+    totals: digest.totals,
+    brands: digest.brands.map(item => ({ ...item, statusLabel: label(item.status) })),
+    changed: digest.changed.map(item => ({ ...item, fromLabel: label(item.from), toLabel: label(item.to) })),
+    hasChanged: digest.changed.length > 0,
+    trending: digest.trending,
+    hasTrending: digest.trending.length > 0,
+    newlyOOSProducts: digest.newlyOOSProducts.slice(0, DIGEST_PRODUCT_LIMIT).map(product => ({
+      ...product,
+      adminUrl: shop && product.id ? `${shop}/admin/products/${product.id}` : null
+    })),
+    hasNewlyOOSProducts: digest.newlyOOSProducts.length > 0,
+    moreNewlyOOSProducts: Math.max(0, digest.newlyOOSProducts.length - DIGEST_PRODUCT_LIMIT) || null,
+    timestamp: digest.generatedAt
+  };
+}
+
+// Context for the cross-store alert: a brand is OOS in every store that carries it
+function buildAllStoresOOSContext(brand, storeNames) {
+  return {
+    brand,
+    stores: storeNames.map(name => ({ name })),
+    storeCount: storeNames.length,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Context for the webhook subscription alert. `store` names the store when there are several.
+// recreated: [{ topic, address }], removed: [{ topic, address, reason }]
+function buildWebhookAlertContext({ recreated, removed, baseUrl, store = null }) {
+  return {
+    store,
+    recreated,
+    recreatedCount: recreated.length,
+    removed,
+    hasRemoved: removed.length > 0,
+    baseUrl,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Context for alerts held during quiet hours and sent together.
+// alerts: [{ subject, text, html, receivedAt }] - each one already rendered
+function buildAlertBatchContext(alerts, { quietHours = null } = {}) {
+  return {
+    count: alerts.length,
+    quietHours,
+    alerts: alerts.map((alert, index) => ({
+      index: index + 1,
+      subject: alert.subject,
+      // Keep multi-line bodies lined up under the numbered entry in the text email
+      text: (alert.text || '').replace(/\n/g, '\n   '),
+      // Body HTML only - a full layout document can't be nested in the batch's own layout
+      html: alert.html || null,
+      receivedAt: alert.receivedAt
+    })),
+    timestamp: new Date().toISOString()
+  };
+}
+
+function buildTestContext({ method, from, to }) {
+  return { method, from, to, timestamp: new Date().toISOString() };
+}
+
+// Sample data for previews. The brand name is deliberately awkward to show escaping.
+function buildSampleContext(name, { shop = 'https://example.myshopify.com' } = {}) {
+  const brand = 'Acme & Sons <Outdoor>';
+  const products = [
+    { id: 1001, title: 'Trail Jacket "Alpine"', units: 0, inStock: false },
+    { id: 1002, title: 'Rain Shell', units: 0, inStock: false },
+    { id: 1003, title: 'Hiking Socks (3-pack)', units: 2, inStock: true },
+    { id: 1004, title: 'Fleece Beanie', units: 5, inStock: true }
+  ];
+  const stockStatus = {
+    totalProducts: 4,
+    inStockProducts: name === 'oos' ? 0 : 2,
+    oosProducts: name === 'oos' ? 4 : 2,
+    totalUnits: name === 'oos' ? 0 : 7,
+    ruleFired: name === 'oos' ? 'all_products_oos' : null,
+    reason: name === 'oos' ? 'All 4 products are out of stock.' : null,
+    lowStockReason: name === 'oos' ? null : '7 units in stock (warning below 10)',
+    products: name === 'oos' ? products.map(product => ({ ...product, units: 0, inStock: false })) : products
+  };
+
+  if (name === 'check_summary') {
+    return buildCheckSummaryContext([
+      { brand, totalProducts: 4, reason: 'All 4 products are out of stock.', autoActionNote: '⚠️ ACTION REQUIRED: Hide this brand from your brand page.' },
+      { brand: 'Northwind', totalProducts: 12, reason: 'Only 1 of 12 products have at least 3 unit(s) (minimum 2 required).', autoActionNote: null }
+    ], { totalBrands: 10, brandsOutOfStock: 2 });
+  }
+  if (name === 'digest') {
+    return buildDigestContext({
+      generatedAt: new Date().toISOString(),
+      since: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+      firstDigest: false,
+      totals: { brands: 3, inStock: 1, lowStock: 1, outOfStock: 1, failed: 0 },
+      brands: [
+        { brand, status: 'OOS', inStockProducts: 0, totalProducts: 4, totalUnits: 0 },
+        { brand: 'Northwind', status: 'LOW_STOCK', inStockProducts: 2, totalProducts: 12, totalUnits: 6 },
+        { brand: 'Contoso', status: 'IN_STOCK', inStockProducts: 30, totalProducts: 31, totalUnits: 412 }
+      ],
+      changed: [{ brand, from: 'IN_STOCK', to: 'OOS' }],
+      trending: [{
+        brand: 'Northwind',
+        inStockProducts: 2,
+        totalProducts: 12,
+        totalUnits: 6,
+        reason: 'products in stock fell from 7 to 2; low stock: 6 units in stock (warning below 10)'
+      }],
+      newlyOOSProducts: products.slice(0, 2).map(product => ({ brand, id: product.id, title: product.title }))
+    }, { shop });
+  }
+  if (name === 'all_stores_oos') {
+    return buildAllStoresOOSContext(brand, ['US store', 'EU store', 'UK store']);
+  }
+  if (name === 'webhook_alert') {
+    return buildWebhookAlertContext({
+      recreated: [{ topic: 'inventory_levels/update', address: 'https://monitor.example.com/webhook/inventory' }],
+      removed: [{ topic: 'inventory_levels/update', address: 'https://old-host.example.com/webhook/inventory', reason: 'stale_address' }],
+      baseUrl: 'https://monitor.example.com'
+    });
+  }
+  if (name === 'alert_batch') {
+    return buildAlertBatchContext([
+      {
+        subject: `🚨 ALL ${brand} Products OUT OF STOCK`,
+        text: `"${brand}" is now out of stock. All 4 products are out of stock.`,
+        html: `<p><strong>${escapeHtml(brand)}</strong> is now out of stock. All 4 products are out of stock.</p>`,
+        receivedAt: new Date(Date.now() - 6 * 60 * 60 * 1000).toISOString()
+      },
+      {
+        subject: '⚠️ Northwind Running LOW ON STOCK',
+        text: '"Northwind" is running low: 6 units in stock (warning below 10).',
+        html: '<p><strong>Northwind</strong> is running low: 6 units in stock (warning below 10).</p>',
+        receivedAt: new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString()
+      }
+    ], { quietHours: '22:00-07:00' });
+  }
+  if (name === 'test') {
+    return buildTestContext({ method: 'sendgrid', from: 'alerts@example.com', to: 'team@example.com' });
+  }
+
+  const autoActionNote = name === 'oos' ?
+    '⚠️ ACTION REQUIRED: Hide this brand from your brand page.' :
+    '✅ ACTION REQUIRED: Show this brand on your brand page.';
+  return buildBrandAlertContext(name, brand, stockStatus, { autoActionNote, shop });
+}
+
+module.exports = {
+  TEMPLATE_NAMES,
+  escapeHtml,
+  createTemplateRenderer,
+  buildBrandAlertContext,
+  buildCheckSummaryContext,
+  buildDigestContext,
+  buildWebhookAlertContext,
+  buildAllStoresOOSContext,
+  buildAlertBatchContext,
+  buildTestContext,
+  buildSampleContext
+};
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const { log } = require('./logger');
+const { writeJsonAtomic } = require('./json-file');
+
+// Shopify webhook topics the monitor needs, and reconciliation of what's registered.
+//
+// Reconciling compares the desired topic/address pairs with webhooks.json and:
+//   - creates missing subscriptions
+//   - removes duplicates (the oldest subscription is kept)
+//   - removes subscriptions for our topics/paths that point at another host
+// Webhooks for other topics or paths are left alone and reported as "ignored".
+//
+// The last reconciled set is remembered so we can tell a first registration from
+// Shopify having dropped a subscription (which it does after repeated failures).
+
+const REQUIRED_TOPICS = [
+  { topic: 'inventory_levels/update', path: '/webhook/inventory' },
+  { topic: 'products/create', path: '/webhook/products' },
+  { topic: 'products/update', path: '/webhook/products' },
+  { topic: 'products/delete', path: '/webhook/products' }
+];
+
+// Shopify's REST maximum; webhooks.json returns 50 at a time by default
+const PAGE_SIZE = 250;
+
+function webhookAddress(baseUrl, urlPath) {
+  return baseUrl.replace(/\/+$/, '') + urlPath;
+}
+
+function pathOf(address) {
+  try {
+    return new URL(address).pathname.replace(/\/+$/, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+function describeWebhook(webhook) {
+  return { id: webhook.id, topic: webhook.topic, address: webhook.address };
+}
+
+// The page after this one from a REST Link header, as a path relative to the versioned API
+function nextPagePath(linkHeader) {
+  const next = (linkHeader || '').split(',').find(part => /rel="next"/.test(part));
+  const match = next && /<([^>]+)>/.exec(next);
+  if (!match) {
+    return null;
+  }
+  const url = new URL(match[1]);
+  return url.pathname.replace(/^.*\/admin\/api\/[^/]+/, '') + url.search;
+}
+
+// Every webhook subscription, following the Link header past the first page
+async function listWebhooks(shopify) {
+  const webhooks = [];
+  let nextPath = `/webhooks.json?limit=${PAGE_SIZE}`;
+  while (nextPath) {
+    const { data, headers } = await shopify.rest('GET', nextPath);
+    webhooks.push(...((data && data.webhooks) || []));
+    nextPath = nextPagePath(headers.get('link'));
+  }
+  return webhooks;
+}
+
+// Work out what needs to change. Returns { create, remove, keep, ignored }.
+function planWebhookChanges(existing, baseUrl) {
+  const plan = { create: [], remove: [], keep: [], ignored: [] };
+  const handled = new Set();
+  const ourPaths = new Set(REQUIRED_TOPICS.map(({ path: urlPath }) => urlPath));
+  const oldestFirst = existing.slice().sort((a, b) => a.id - b.id);
+
+  for (const { topic, path: urlPath } of REQUIRED_TOPICS) {
+    const address = webhookAddress(baseUrl, urlPath);
+    const matches = oldestFirst.filter(webhook => webhook.topic === topic && webhook.address === address);
+    if (matches.length === 0) {
+      plan.create.push({ topic, address });
+      continue;
+    }
+    plan.keep.push(describeWebhook(matches[0]));
+    for (const duplicate of matches.slice(1)) {
+      plan.remove.push({ ...describeWebhook(duplicate), reason: 'duplicate' });
+    }
+    matches.forEach(webhook => handled.add(webhook.id));
+  }
+
+  for (const webhook of oldestFirst) {
+    if (handled.has(webhook.id)) {
+      continue;
+    }
+    const ours = REQUIRED_TOPICS.some(({ topic }) => topic === webhook.topic) && ourPaths.has(pathOf(webhook.address));
+    if (ours) {
+      plan.remove.push({ ...describeWebhook(webhook), reason: 'stale_address' });
+    } else {
+      plan.ignored.push(describeWebhook(webhook));
+    }
+  }
+
+  return plan;
+}
+
+function createWebhookReconciler({ shopify, baseUrl = null, statePath = './data/webhooks.json' }) {
+  let state = { registered: [], lastReconciledAt: null };
+
+  if (fs.existsSync(statePath)) {
+    try {
+      state = { ...state, ...JSON.parse(fs.readFileSync(statePath, 'utf8')) };
+    } catch (error) {
+      log.error(`❌ Could not read webhook state ${statePath}:`, error.message);
+    }
+  }
+
+  function saveState() {
+    writeJsonAtomic(statePath, state);
+  }
+
+  // Compare and (unless dryRun) apply. Returns { dryRun, baseUrl, plan, results, recreated }.
+  // `recreated` lists created subscriptions that had been registered before.
+  async function reconcile({ dryRun = false, baseUrl: targetBaseUrl = baseUrl } = {}) {
+    if (!targetBaseUrl) {
+      throw new Error('No public base URL to register webhooks for (set PUBLIC_URL)');
+    }
+
+    const plan = planWebhookChanges(await listWebhooks(shopify), targetBaseUrl);
+    const wasRegistered = ({ topic, address }) =>
+      state.registered.some(entry => entry.topic === topic && entry.address === address);
+    const recreated = plan.create.filter(wasRegistered);
+
+    if (dryRun) {
+      return { dryRun, baseUrl: targetBaseUrl, plan, results: [], recreated };
+    }
+
+    const results = [];
+    for (const webhook of plan.create) {
+      try {
+        const { data: created } = await shopify.rest('POST', '/webhooks.json', {
+          webhook: { topic: webhook.topic, address: webhook.address, format: 'json' }
+        });
+        results.push({ action: 'create', ...webhook, id: created.webhook.id, success: true });
+      } catch (error) {
+        results.push({ action: 'create', ...webhook, success: false, error: error.body || error.message });
+      }
+    }
+    for (const webhook of plan.remove) {
+      try {
+        await shopify.rest('DELETE', `/webhooks/${webhook.id}.json`);
+        results.push({ action: 'remove', ...webhook, success: true });
+      } catch (error) {
+        results.push({ action: 'remove', ...webhook, success: false, error: error.body || error.message });
+      }
+    }
+
+    // Only what's really there now - a create that failed isn't registered, so it isn't
+    // reported as dropped by Shopify next time
+    state.registered = [
+      ...plan.keep,
+      ...results.filter(result => result.action === 'create' && result.success)
+    ].map(({ topic, address }) => ({ topic, address }));
+    state.lastReconciledAt = new Date().toISOString();
+    saveState();
+
+    return { dryRun, baseUrl: targetBaseUrl, plan, results, recreated };
+  }
+
+  return { reconcile, baseUrl };
+}
+
+module.exports = { REQUIRED_TOPICS, webhookAddress, planWebhookChanges, listWebhooks, createWebhookReconciler };
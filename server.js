@@ -1,7 +1,42 @@
 const express = require('express');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
-const fetch = require('node-fetch');
+const { createStateStore } = require('./lib/state-store');
+const { createScheduledTask } = require('./lib/scheduler');
+const { createJobQueue } = require('./lib/job-queue');
+const { loadStockRules, evaluateBrandStock } = require('./lib/stock-rules');
+const { loadActionConfig, createStorefrontActions } = require('./lib/storefront-actions');
+const { createChannels, createNotifier } = require('./lib/notifier');
+const { createSubscriptionStore } = require('./lib/subscriptions');
+const { createBrandRegistry, normalizeVendor } = require('./lib/brand-registry');
+const { SCOPES, createApiKeyStore } = require('./lib/api-keys');
+const { createAuth } = require('./lib/auth');
+const { createShopifyClient } = require('./lib/shopify-client');
+const { createInventoryService } = require('./lib/shopify-inventory');
+const { createInventoryCache } = require('./lib/inventory-cache');
+const { REQUIRED_TOPICS, listWebhooks, createWebhookReconciler } = require('./lib/webhook-subscriptions');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { summarizeStockHistory, toCsv, parseRange } = require('./lib/stock-history');
+const { buildDigest, createDigestLog } = require('./lib/digest');
+const { loadStores, stateKey, splitStateKey, storeFilePath } = require('./lib/stores');
+const { log, configureLogger } = require('./lib/logger');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { createOutbox } = require('./lib/outbox');
+const { createQuietHours } = require('./lib/quiet-hours');
+const { createDwellTracker } = require('./lib/dwell');
+const { createAcknowledgementStore } = require('./lib/acknowledgements');
+const {
+  TEMPLATE_NAMES,
+  escapeHtml,
+  createTemplateRenderer,
+  buildBrandAlertContext,
+  buildCheckSummaryContext,
+  buildDigestContext,
+  buildWebhookAlertContext,
+  buildAllStoresOOSContext,
+  buildAlertBatchContext,
+  buildTestContext,
+  buildSampleContext
+} = require('./lib/templates');
 
 const app = express();
 
@@ -22,570 +57,2439 @@ app.use((req, res, next) => {
   next();
 });
 
+// Everything logged while handling a request carries its correlation id - the Shopify
+// webhook id for webhooks, so a delivery can be followed through the jobs it queues
+app.use((req, res, next) => {
+  const correlationId = req.get('X-Shopify-Webhook-Id') || req.get('X-Request-Id') || log.newCorrelationId();
+  res.set('X-Request-Id', correlationId);
+  log.withContext({ correlationId }, next);
+});
+
+// Parse an integer env var, falling back to a default when unset or invalid
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
 // Configuration from environment variables
 const CONFIG = {
   SHOPIFY_SHOP: process.env.SHOPIFY_SHOP,
   SHOPIFY_ACCESS_TOKEN: process.env.SHOPIFY_ACCESS_TOKEN,
   SHOPIFY_WEBHOOK_SECRET: process.env.SHOPIFY_WEBHOOK_SECRET,
+  // Optional: several stores as a JSON file path or inline JSON (see lib/stores.js).
+  // Replaces the three SHOPIFY_* settings above.
+  SHOPIFY_STORES_PATH: process.env.SHOPIFY_STORES_PATH || null,
+  SHOPIFY_STORES: process.env.SHOPIFY_STORES || null,
+  // Alert when a brand is out of stock in every store that carries it
+  CROSS_STORE_ALERTS: process.env.CROSS_STORE_ALERTS === 'true',
+  SHOPIFY_API_VERSION: process.env.SHOPIFY_API_VERSION || '2024-10',
+  // Per-request timeout and how often transient Shopify failures are retried
+  SHOPIFY_TIMEOUT_MS: intFromEnv('SHOPIFY_TIMEOUT_MS', 15000),
+  SHOPIFY_MAX_RETRIES: intFromEnv('SHOPIFY_MAX_RETRIES', 4),
   EMAIL_FROM: process.env.EMAIL_FROM,
   EMAIL_TO: process.env.EMAIL_TO,
   EMAIL_PASSWORD: process.env.EMAIL_PASSWORD,
+  // Only used to seed the brand registry on first run - manage brands via /admin/brands after that
   BRANDS_TO_MONITOR: process.env.BRANDS_TO_MONITOR ? 
-    process.env.BRANDS_TO_MONITOR.split(',').map(b => b.trim()) : [],
+    process.env.BRANDS_TO_MONITOR.split(',').map(b => b.trim()).filter(Boolean) : [],
+  BRANDS_PATH: process.env.BRANDS_PATH || './data/brands.json',
   // Optional: Use SendGrid API key instead of SMTP
-  SENDGRID_API_KEY: process.env.SENDGRID_API_KEY || null
+  SENDGRID_API_KEY: process.env.SENDGRID_API_KEY || null,
+  // Optional: extra notification channels
+  SLACK_WEBHOOK_URL: process.env.SLACK_WEBHOOK_URL || null,
+  TEAMS_WEBHOOK_URL: process.env.TEAMS_WEBHOOK_URL || null,
+  NOTIFY_WEBHOOK_URL: process.env.NOTIFY_WEBHOOK_URL || null,
+  NOTIFY_WEBHOOK_SECRET: process.env.NOTIFY_WEBHOOK_SECRET || null,
+  // Optional: append every notification to this JSON Lines file instead of sending it (tests, local runs)
+  NOTIFY_CAPTURE_PATH: process.env.NOTIFY_CAPTURE_PATH || null,
+  // Optional: JSON map of event type -> channel names, e.g. {"low_stock":["slack"]}
+  NOTIFY_ROUTES: process.env.NOTIFY_ROUTES || null,
+  // Alerts wait in this outbox until delivered, retried with backoff up to NOTIFY_MAX_ATTEMPTS times
+  OUTBOX_PATH: process.env.OUTBOX_PATH || './data/outbox.json',
+  NOTIFY_MAX_ATTEMPTS: intFromEnv('NOTIFY_MAX_ATTEMPTS', 8),
+  NOTIFY_RETRY_BASE_MS: intFromEnv('NOTIFY_RETRY_BASE_MS', 30000),
+  // Optional: JSON map of channel -> channel tried when it fails, e.g. {"slack":"teams"}.
+  // With both email methods configured, SendGrid falls back to SMTP unless this says otherwise.
+  NOTIFY_FALLBACKS: process.env.NOTIFY_FALLBACKS || null,
+  // Optional: alerts raised in this daily window (e.g. "22:00-07:00") are held and sent as one batch when it ends
+  QUIET_HOURS: process.env.QUIET_HOURS || null,
+  QUIET_HOURS_TIMEZONE: process.env.QUIET_HOURS_TIMEZONE || null,
+  // Only alert on going out of / back in stock once the change has lasted this long (0 = alert at once)
+  MIN_DWELL_MINUTES: intFromEnv('MIN_DWELL_MINUTES', 0),
+  DWELL_STATE_PATH: process.env.DWELL_STATE_PATH || './data/dwell.json',
+  // Alert emails get an acknowledge link when this and PUBLIC_URL are set (signs the links)
+  ACK_SECRET: process.env.ACK_SECRET || null,
+  ACK_LINK_DAYS: intFromEnv('ACK_LINK_DAYS', 30),
+  ACKS_PATH: process.env.ACKS_PATH || './data/acknowledgements.json',
+  // Brand -> recipient subscriptions (brands nobody subscribes to go to EMAIL_TO)
+  SUBSCRIPTIONS_PATH: process.env.SUBSCRIPTIONS_PATH || './data/subscriptions.json',
+  // Optional: directory with template overrides (same file names as templates/)
+  TEMPLATES_DIR: process.env.TEMPLATES_DIR || null,
+  // Where brand notification state is persisted ('json' or 'sqlite')
+  STATE_STORE: process.env.STATE_STORE || 'json',
+  STATE_PATH: process.env.STATE_PATH || null,
+  // Stock history points older than this are pruned
+  STOCK_HISTORY_DAYS: intFromEnv('STOCK_HISTORY_DAYS', 90),
+  // Optional: cron expression for the background reconciliation sweep (e.g. "*/30 * * * *")
+  RECONCILE_CRON: process.env.RECONCILE_CRON || null,
+  RECONCILE_TIMEZONE: process.env.RECONCILE_TIMEZONE || null,
+  // Webhook job queue
+  QUEUE_PATH: process.env.QUEUE_PATH || './data/queue.json',
+  JOB_MAX_ATTEMPTS: intFromEnv('JOB_MAX_ATTEMPTS', 5),
+  // Wait for Shopify's inventory to propagate before looking an update up
+  WEBHOOK_PROPAGATION_DELAY_MS: intFromEnv('WEBHOOK_PROPAGATION_DELAY_MS', 3000),
+  // Updates to the same brand within this window share one stock check
+  COALESCE_WINDOW_MS: intFromEnv('COALESCE_WINDOW_MS', 10000),
+  // How many brands /check-now and the sweep check at the same time
+  BRAND_CHECK_CONCURRENCY: intFromEnv('BRAND_CHECK_CONCURRENCY', 4),
+  // Fetch the whole catalog with one bulk operation during the reconciliation sweep
+  RECONCILE_BULK: process.env.RECONCILE_BULK === 'true',
+  // Local inventory cache kept current by webhooks (set INVENTORY_CACHE=false to always ask Shopify)
+  INVENTORY_CACHE: process.env.INVENTORY_CACHE !== 'false',
+  INVENTORY_CACHE_PATH: process.env.INVENTORY_CACHE_PATH || null,
+  // Only count active products towards a brand's stock (default: drafts and archived too)
+  ACTIVE_PRODUCTS_ONLY: process.env.ACTIVE_PRODUCTS_ONLY === 'true',
+  // How often the cache is re-synced from Shopify to catch drift (missed webhooks)
+  INVENTORY_VERIFY_CRON: process.env.INVENTORY_VERIFY_CRON || '0 * * * *',
+  // Public base URL Shopify delivers webhooks to, e.g. https://monitor.example.com.
+  // When set, webhook subscriptions are reconciled at startup and on WEBHOOK_RECONCILE_CRON.
+  PUBLIC_URL: process.env.PUBLIC_URL || null,
+  WEBHOOK_RECONCILE_CRON: process.env.WEBHOOK_RECONCILE_CRON || '*/30 * * * *',
+  WEBHOOK_STATE_PATH: process.env.WEBHOOK_STATE_PATH || './data/webhooks.json',
+  // Optional: cron expression for the stock digest email, e.g. "0 8 * * *" (daily at 8:00)
+  // or "0 8 * * 1" (Mondays at 8:00), in DIGEST_TIMEZONE
+  DIGEST_CRON: process.env.DIGEST_CRON || null,
+  DIGEST_TIMEZONE: process.env.DIGEST_TIMEZONE || null,
+  DIGEST_STATE_PATH: process.env.DIGEST_STATE_PATH || './data/digest.json',
+  // Optional: per-brand stock rules as a JSON file path or inline JSON
+  STOCK_RULES_PATH: process.env.STOCK_RULES_PATH || null,
+  STOCK_RULES: process.env.STOCK_RULES || null,
+  // Optional: automatic hide/show storefront actions per brand (JSON file path or inline JSON)
+  BRAND_ACTIONS_PATH: process.env.BRAND_ACTIONS_PATH || null,
+  BRAND_ACTIONS: process.env.BRAND_ACTIONS || null,
+  // Overrides the config file's dryRun flag when set to "true" or "false"
+  AUTO_ACTIONS_DRY_RUN: process.env.AUTO_ACTIONS_DRY_RUN ? process.env.AUTO_ACTIONS_DRY_RUN === 'true' : null,
+  ACTIONS_AUDIT_PATH: process.env.ACTIONS_AUDIT_PATH || './data/actions-audit.json',
+  // API keys for everything except the Shopify webhook and /health
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY || null,
+  API_KEYS_PATH: process.env.API_KEYS_PATH || './data/api-keys.json',
+  ACCESS_LOG_PATH: process.env.ACCESS_LOG_PATH || './data/access-log.jsonl',
+  // Per-key limit on endpoints that send notifications or scan the catalog
+  TRIGGER_RATE_LIMIT: intFromEnv('TRIGGER_RATE_LIMIT', 5),
+  TRIGGER_RATE_WINDOW_MS: intFromEnv('TRIGGER_RATE_WINDOW_MS', 60000),
+  // debug | info | warn | error - request dumps and other debugging output need debug
+  LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+  // json (one object per line) or pretty (readable lines for local development)
+  LOG_FORMAT: process.env.LOG_FORMAT || 'json',
+  // /metrics needs a read key unless this is "true" (e.g. scraped from inside the cluster)
+  METRICS_PUBLIC: process.env.METRICS_PUBLIC === 'true',
+  // /health reports degraded when no webhook has arrived for this long (0 = don't check)
+  HEALTH_WEBHOOK_MAX_AGE_HOURS: intFromEnv('HEALTH_WEBHOOK_MAX_AGE_HOURS', 24),
+  // How long Shopify and notifier check results are reused, so probes don't hammer them
+  HEALTH_CACHE_MS: intFromEnv('HEALTH_CACHE_MS', 60000),
+  // /health answers 503 when degraded too, not only when down (per request: ?strict=true|false)
+  HEALTH_STRICT: process.env.HEALTH_STRICT === 'true'
 };
 
+try {
+  configureLogger({ level: CONFIG.LOG_LEVEL, format: CONFIG.LOG_FORMAT });
+} catch (error) {
+  log.error('❌', error.message);
+  process.exit(1);
+}
+
 // Validate configuration on startup
+const multiStore = !!(CONFIG.SHOPIFY_STORES_PATH || CONFIG.SHOPIFY_STORES);
 const requiredVars = [
-  'SHOPIFY_SHOP', 
-  'SHOPIFY_ACCESS_TOKEN', 
-  'SHOPIFY_WEBHOOK_SECRET',
+  ...(multiStore ? [] : ['SHOPIFY_SHOP', 'SHOPIFY_ACCESS_TOKEN', 'SHOPIFY_WEBHOOK_SECRET']),
   'EMAIL_FROM',
-  'EMAIL_TO',
-  'BRANDS_TO_MONITOR'
+  'EMAIL_TO'
 ];
 
 for (const varName of requiredVars) {
   if (!process.env[varName]) {
-    console.error(`❌ Missing required environment variable: ${varName}`);
+    log.error(`❌ Missing required environment variable: ${varName}`);
     process.exit(1);
   }
 }
 
-console.log('✅ Configuration loaded successfully');
-console.log(`📦 Monitoring ${CONFIG.BRANDS_TO_MONITOR.length} brands:`, CONFIG.BRANDS_TO_MONITOR);
-console.log(`📧 Email config: FROM=${CONFIG.EMAIL_FROM} TO=${CONFIG.EMAIL_TO}`);
-
-// Email setup - Choose method based on available credentials
-let transporter;
-let emailMethod = 'none';
-
-if (CONFIG.SENDGRID_API_KEY) {
-  // Use SendGrid API (recommended for production)
-  emailMethod = 'sendgrid';
-  console.log('📧 Using SendGrid API for emails');
-} else if (CONFIG.EMAIL_PASSWORD) {
-  // Use Gmail SMTP
-  emailMethod = 'smtp';
-  transporter = nodemailer.createTransport({
-    host: 'smtp.gmail.com',
-    port: 465,
-    secure: true,
-    auth: {
-      user: CONFIG.EMAIL_FROM,
-      pass: CONFIG.EMAIL_PASSWORD
-    },
-    connectionTimeout: 10000,
-    greetingTimeout: 10000,
-    socketTimeout: 10000
+let storeDefinitions;
+try {
+  storeDefinitions = loadStores({
+    filePath: CONFIG.SHOPIFY_STORES_PATH,
+    json: CONFIG.SHOPIFY_STORES,
+    shop: CONFIG.SHOPIFY_SHOP,
+    accessToken: CONFIG.SHOPIFY_ACCESS_TOKEN,
+    webhookSecret: CONFIG.SHOPIFY_WEBHOOK_SECRET
+  });
+} catch (error) {
+  log.error('❌ Invalid store config:', error.message);
+  process.exit(1);
+}
+
+log.info('✅ Configuration loaded successfully');
+log.info(`📧 Email config: FROM=${CONFIG.EMAIL_FROM} TO=${CONFIG.EMAIL_TO}`);
+
+let brandRegistry;
+try {
+  brandRegistry = createBrandRegistry({ filePath: CONFIG.BRANDS_PATH, seedBrands: CONFIG.BRANDS_TO_MONITOR });
+} catch (error) {
+  log.error('❌', error.message);
+  process.exit(1);
+}
+log.info(`📦 Monitoring ${brandRegistry.monitoredBrands().length} brands:`, brandRegistry.monitoredBrands());
+
+let stockRules;
+try {
+  stockRules = loadStockRules({
+    filePath: CONFIG.STOCK_RULES_PATH,
+    json: CONFIG.STOCK_RULES,
+    canonicalName: brandRegistry.canonicalName
+  });
+  log.info(`📏 Stock rules loaded: ${Object.keys(stockRules.brandRules).length} brand override(s)`);
+} catch (error) {
+  log.error('❌ Invalid stock rules:', error.message);
+  process.exit(1);
+}
+for (const key of stockRules.unmatchedBrandKeys(brandRegistry.monitoredBrands())) {
+  log.warn(`⚠️  Stock rule for "${key}" matches no monitored brand - it won't be used`);
+}
+
+// Notification setup - email (SendGrid or SMTP), Slack, Teams and generic webhook channels
+let notifier;
+try {
+  notifier = createNotifier({
+    channels: createChannels(CONFIG),
+    routes: CONFIG.NOTIFY_ROUTES ? JSON.parse(CONFIG.NOTIFY_ROUTES) : {}
+  });
+} catch (error) {
+  log.error('❌ Invalid notification config:', error.message);
+  process.exit(1);
+}
+
+const emailMethod = notifier.primaryEmail ? notifier.primaryEmail.type : 'none';
+log.info(`📧 Email method: ${emailMethod}`);
+log.info(`📣 Notification channels: ${notifier.channels.map(channel => channel.name).join(', ') || 'none'}`);
+
+const templates = createTemplateRenderer({ overrideDir: CONFIG.TEMPLATES_DIR });
+
+// Render a notification template into the { subject, message, html } the notifier expects
+function renderNotification(name, context) {
+  const rendered = templates.render(name, context);
+  return { subject: rendered.subject, message: rendered.text, html: rendered.html, bodyHtml: rendered.body };
+}
+
+const subscriptions = createSubscriptionStore({
+  filePath: CONFIG.SUBSCRIPTIONS_PATH,
+  defaultRecipients: [CONFIG.EMAIL_TO]
+});
+
+// Track last notification state to avoid spam (persisted across restarts)
+let stateStore;
+try {
+  stateStore = createStateStore({
+    type: CONFIG.STATE_STORE,
+    path: CONFIG.STATE_PATH,
+    retentionDays: CONFIG.STOCK_HISTORY_DAYS
+  });
+  log.info(`💾 Using ${stateStore.type} state store`);
+} catch (error) {
+  log.error('❌ Could not open state store:', error.message);
+  process.exit(1);
+}
+
+let quietHours;
+try {
+  quietHours = createQuietHours({ spec: CONFIG.QUIET_HOURS, timezone: CONFIG.QUIET_HOURS_TIMEZONE });
+} catch (error) {
+  log.error('❌', error.message);
+  process.exit(1);
+}
+if (quietHours.enabled) {
+  log.info(`🌙 Quiet hours: ${quietHours.describe()}`);
+}
+
+const dwell = createDwellTracker({ filePath: CONFIG.DWELL_STATE_PATH, dwellMs: CONFIG.MIN_DWELL_MINUTES * 60 * 1000 });
+if (dwell.enabled) {
+  log.info(`⏳ Minimum dwell time: ${CONFIG.MIN_DWELL_MINUTES} minute(s)`);
+}
+
+const acks = createAcknowledgementStore({
+  filePath: CONFIG.ACKS_PATH,
+  secret: CONFIG.PUBLIC_URL ? CONFIG.ACK_SECRET : null,
+  linkDays: CONFIG.ACK_LINK_DAYS
+});
+if (CONFIG.ACK_SECRET && !CONFIG.PUBLIC_URL) {
+  log.warn('⚠️  ACK_SECRET is set but PUBLIC_URL is not - alert emails won\'t have acknowledge links');
+}
+
+// Alerts held during quiet hours, rendered as one notification
+function renderAlertBatch(entries) {
+  return renderNotification('alert_batch', buildAlertBatchContext(entries.map(entry => ({
+    subject: entry.notification.subject,
+    text: entry.notification.message,
+    html: entry.notification.bodyHtml,
+    receivedAt: entry.createdAt
+  })), { quietHours: quietHours.describe() }));
+}
+
+// Alerts go through the outbox: saved first, retried until delivered, with a fallback channel
+let outbox;
+try {
+  const bothEmailMethods = notifier.hasChannel('sendgrid') && notifier.hasChannel('smtp');
+  outbox = createOutbox({
+    filePath: CONFIG.OUTBOX_PATH,
+    notifier,
+    fallbacks: CONFIG.NOTIFY_FALLBACKS ? JSON.parse(CONFIG.NOTIFY_FALLBACKS) : (bothEmailMethods ? { sendgrid: 'smtp' } : {}),
+    maxAttempts: CONFIG.NOTIFY_MAX_ATTEMPTS,
+    baseDelayMs: CONFIG.NOTIFY_RETRY_BASE_MS,
+    onNotified: onNotificationDelivered,
+    holdUntil: () => quietHours.endsAt(new Date()),
+    batch: renderAlertBatch
+  });
+} catch (error) {
+  log.error('❌ Invalid notification outbox config:', error.message);
+  process.exit(1);
+}
+
+// Everything that talks to one store: its API client, inventory cache, storefront
+// actions and webhook subscriptions. Data files get the store id in their name.
+function createStore(definition) {
+  // Every Shopify Admin API call goes through this client (retries, throttling, metrics)
+  const shopify = createShopifyClient({
+    shop: definition.shop,
+    accessToken: definition.accessToken,
+    apiVersion: CONFIG.SHOPIFY_API_VERSION,
+    timeoutMs: CONFIG.SHOPIFY_TIMEOUT_MS,
+    maxRetries: CONFIG.SHOPIFY_MAX_RETRIES
   });
-  console.log('📧 Using Gmail SMTP for emails');
+  const graphql = (query, variables) => shopify.graphql(query, variables);
   
-  // Verify SMTP connection
-  transporter.verify(function(error, success) {
-    if (error) {
-      console.error('❌ SMTP connection failed:', error.message);
-      console.error('⚠️  Consider using SendGrid instead - add SENDGRID_API_KEY to env vars');
-    } else {
-      console.log('✅ SMTP server is ready to send messages');
+  // BRAND_ACTIONS belongs to the store configured by SHOPIFY_SHOP; other stores bring their own
+  const actionConfig = definition.legacy ?
+    loadActionConfig({ filePath: CONFIG.BRAND_ACTIONS_PATH, json: CONFIG.BRAND_ACTIONS }) :
+    loadActionConfig({ json: definition.brandActions ? JSON.stringify(definition.brandActions) : null });
+  
+  return {
+    ...definition,
+    shopify,
+    inventory: createInventoryService({ graphql, activeOnly: CONFIG.ACTIVE_PRODUCTS_ONLY }),
+    inventoryCache: CONFIG.INVENTORY_CACHE ?
+      createInventoryCache({ filePath: storeFilePath(CONFIG.INVENTORY_CACHE_PATH, definition.id), activeOnly: CONFIG.ACTIVE_PRODUCTS_ONLY }) :
+      null,
+    storefrontActions: createStorefrontActions({
+      config: actionConfig,
+      graphql,
+      auditPath: storeFilePath(CONFIG.ACTIONS_AUDIT_PATH, definition.id),
+      dryRun: CONFIG.AUTO_ACTIONS_DRY_RUN,
+      canonicalName: brandRegistry.canonicalName
+    }),
+    webhookReconciler: createWebhookReconciler({
+      shopify,
+      baseUrl: CONFIG.PUBLIC_URL,
+      statePath: storeFilePath(CONFIG.WEBHOOK_STATE_PATH, definition.id)
+    })
+  };
+}
+
+let stores;
+try {
+  stores = storeDefinitions.map(createStore);
+} catch (error) {
+  log.error('❌ Invalid brand actions config:', error.message);
+  process.exit(1);
+}
+const storesById = new Map(stores.map(store => [store.id, store]));
+log.info(`🛍️  Shopify Admin API version ${CONFIG.SHOPIFY_API_VERSION}, ${stores.length} store(s): ${stores.map(store => `${store.id} (${store.domain})`).join(', ')}`);
+for (const store of stores) {
+  if (store.storefrontActions.brands.length > 0) {
+    log.info(`🤖 Auto-actions configured for ${store.storefrontActions.brands.length} brand(s) in ${store.id}${store.storefrontActions.dryRun ? ' (DRY RUN)' : ''}`);
+  }
+  for (const key of store.storefrontActions.unmatchedBrandKeys(brandRegistry.monitoredBrands())) {
+    log.warn(`⚠️  Auto-actions for "${key}" in ${store.id} match no monitored brand - they won't run`);
+  }
+}
+
+// Jobs queued before multi-store support carry no store id - they belong to the first store
+function storeFor(storeId) {
+  return storeId ? storesById.get(storeId) || null : stores[0];
+}
+
+// Monitored brands a store carries
+function brandsFor(store) {
+  return brandRegistry.monitoredBrands().filter(brand => store.carries(brand));
+}
+
+// How a brand is named in alerts - with the store when there's more than one
+function brandLabel(store, brand) {
+  return stores.length > 1 ? `${brand} (${store.name})` : brand;
+}
+
+// Store chosen with ?shop= (or "shop" in the body). Optional when there's only one store.
+// Sends the error response and returns null when it can't be resolved.
+function requestStore(req, res) {
+  const storeId = req.query.shop || (req.body && req.body.shop);
+  if (!storeId && stores.length === 1) {
+    return stores[0];
+  }
+  const store = storeId ? storesById.get(storeId) : null;
+  if (!store) {
+    res.status(storeId ? 404 : 400).json({
+      success: false,
+      error: `${storeId ? `Unknown store "${storeId}"` : 'shop is required'} - one of: ${stores.map(entry => entry.id).join(', ')}`
+    });
+  }
+  return store;
+}
+
+let apiKeys;
+try {
+  apiKeys = createApiKeyStore({ filePath: CONFIG.API_KEYS_PATH, bootstrapKey: CONFIG.ADMIN_API_KEY });
+} catch (error) {
+  log.error('❌', error.message);
+  process.exit(1);
+}
+
+const auth = createAuth({
+  keyStore: apiKeys,
+  auditPath: CONFIG.ACCESS_LOG_PATH,
+  // Acknowledge links carry their own signed token
+  isPublic: req => req.path.startsWith('/webhook/') || req.path.startsWith('/health') || req.path.startsWith('/ack/') ||
+    (CONFIG.METRICS_PUBLIC && req.path === '/metrics'),
+  rateLimit: { windowMs: CONFIG.TRIGGER_RATE_WINDOW_MS, max: CONFIG.TRIGGER_RATE_LIMIT }
+});
+app.use(auth.authenticate);
+
+// Route guards. Trigger endpoints are also rate limited per key.
+const canRead = auth.requireScope('read');
+const canTrigger = [auth.requireScope('trigger'), auth.limitRate];
+const canAdmin = auth.requireScope('admin');
+
+// Prometheus metrics (see /metrics). Updated where things happen; Shopify, notifier,
+// queue and stock figures are read from their owners when scraped (collectors below).
+const metrics = createMetricsRegistry({ prefix: 'inventory_monitor_' });
+const webhooksReceived = metrics.counter('webhooks_received_total', 'Webhook requests received, by endpoint');
+const webhooksVerified = metrics.counter('webhooks_verified_total', 'Webhooks that passed HMAC verification, by endpoint and store');
+const webhooksRejected = metrics.counter('webhooks_rejected_total', 'Webhooks rejected for a missing or invalid HMAC or an unknown shop, by endpoint');
+const jobsProcessed = metrics.counter('jobs_processed_total', 'Queued jobs processed, by type and result (success or error)');
+const jobDuration = metrics.histogram('job_duration_seconds', 'Time spent processing a queued job, by type');
+const webhookLatency = metrics.histogram('webhook_processing_latency_seconds',
+  'Time from a webhook being received to its job finishing, including queue and propagation delays, by job type',
+  { buckets: [1, 2.5, 5, 10, 15, 30, 60, 120, 300, 900] });
+// Last verified webhook per store, for /health and /metrics
+const lastWebhookAt = new Map();
+
+function recordWebhook(endpoint, store) {
+  if (!store) {
+    webhooksRejected.inc({ endpoint });
+    return;
+  }
+  webhooksVerified.inc({ endpoint, store: store.id });
+  lastWebhookAt.set(store.id, Date.now());
+}
+
+// Job handler wrapper that records duration, result and end-to-end webhook latency
+function timedJob(type, handler) {
+  return async (payload, job) => {
+    const started = Date.now();
+    let result = 'success';
+    try {
+      await handler(payload, job);
+    } catch (error) {
+      result = 'error';
+      throw error;
+    } finally {
+      jobDuration.observe({ type }, (Date.now() - started) / 1000);
+      jobsProcessed.inc({ type, result });
+      if (job.webhookId && result === 'success') {
+        webhookLatency.observe({ type }, (Date.now() - Date.parse(job.createdAt)) / 1000);
+      }
+    }
+  };
+}
+
+// Verify webhook authenticity - CRITICAL FIX
+// The store is identified by X-Shopify-Shop-Domain and the HMAC checked with its secret.
+// Returns the store the webhook came from, or null if it isn't authentic.
+function verifyWebhook(req) {
+  const hmac = req.get('X-Shopify-Hmac-Sha256');
+  
+  if (!hmac) {
+    log.warn('⚠️  No HMAC header found');
+    return null;
+  }
+  
+  if (!req.rawBody) {
+    log.warn('⚠️  No raw body available for verification');
+    return null;
+  }
+  
+  const domain = (req.get('X-Shopify-Shop-Domain') || '').toLowerCase();
+  // Shopify always sends the domain; hand-made test requests to a single store may not
+  const store = domain ? stores.find(entry => entry.domain === domain) : (stores.length === 1 ? stores[0] : null);
+  if (!store) {
+    log.warn(`⚠️  Webhook from unknown shop "${domain || 'no X-Shopify-Shop-Domain'}"`);
+    return null;
+  }
+  
+  const generatedHash = crypto
+    .createHmac('sha256', store.webhookSecret)
+    .update(req.rawBody) // Use Buffer directly, don't convert to string
+    .digest('base64');
+
+  // Never log the HMACs themselves - only whether they matched
+  log.debug('🔐 HMAC verification', { store: store.id, match: generatedHash === hmac });
+
+  // timingSafeEqual avoids timing attacks (recommended)
+  try {
+    return crypto.timingSafeEqual(Buffer.from(generatedHash), Buffer.from(hmac)) ? store : null;
+  } catch (err) {
+    log.warn('❌ timingSafeEqual failed:', err.message);
+    return null;
+  }
+}
+
+// Load a brand's products and all their inventory levels from Shopify into the cache.
+// Returns how many cached quantities were out of date.
+async function loadBrandIntoCache(store, brand) {
+  const vendors = brandRegistry.vendorsFor(brand);
+  const products = await store.inventory.getProductsForVendors(vendors);
+  const inventoryItemIds = products.flatMap(product => product.variants.map(variant => variant.inventory_item_id));
+  const levels = inventoryItemIds.length > 0 ? await store.inventory.getInventoryLevels(inventoryItemIds) : {};
+  return store.inventoryCache.replaceVendorProducts(vendors, products, levels);
+}
+
+// Every (store, brand) pair to check, for the sweeps that cover all stores
+function storeBrandPairs() {
+  return stores.flatMap(store => brandsFor(store).map(brand => ({ store, brand })));
+}
+
+// Full sync of the cache - at startup and on INVENTORY_VERIFY_CRON.
+// Results are keyed by brand state key ("<store>:<brand>", plain brand for the default store).
+async function syncInventoryCache() {
+  const summary = { synced: 0, failed: 0, drift: 0, brands: {} };
+  
+  await mapWithConcurrency(storeBrandPairs(), CONFIG.BRAND_CHECK_CONCURRENCY, async ({ store, brand }) => {
+    const key = stateKey(store.id, brand);
+    try {
+      const drift = await loadBrandIntoCache(store, brand);
+      summary.synced++;
+      summary.drift += drift;
+      summary.brands[key] = { drift };
+      if (drift > 0) {
+        log.info(`🗃️  Inventory cache drift for ${brandLabel(store, brand)}: ${drift} level(s) corrected`);
+      }
+    } catch (error) {
+      log.error(`❌ Inventory cache sync failed for ${brandLabel(store, brand)}:`, error.message);
+      summary.failed++;
+      summary.brands[key] = { error: error.message };
+    }
+  });
+  
+  log.info(`🗃️  Inventory cache synced: ${summary.synced} brand(s), ${summary.drift} correction(s), ${summary.failed} failure(s)`);
+  return summary;
+}
+
+let inventorySync = null;
+if (CONFIG.INVENTORY_CACHE) {
+  try {
+    inventorySync = createScheduledTask({
+      name: 'Inventory cache verification',
+      cronExpression: CONFIG.INVENTORY_VERIFY_CRON,
+      task: syncInventoryCache
+    });
+  } catch (error) {
+    log.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+// Check whether a brand is effectively OOS under its stock rule.
+// Products are collected across every vendor string (name and aliases) of the brand -
+// from the inventory cache when it's on, otherwise from Shopify - unless the caller
+// already has them (e.g. from the bulk sweep).
+// Every evaluation is recorded in the stock history, tagged with its `source`.
+async function checkBrandStock(store, brand, { products = null, source = 'manual' } = {}) {
+  const { inventory, inventoryCache } = store;
+  const rule = stockRules.getRuleForBrand(brand);
+  const vendors = brandRegistry.vendorsFor(brand);
+  const fromCache = !products && !!inventoryCache;
+  if (fromCache) {
+    if (!inventoryCache.isSynced(vendors)) {
+      await loadBrandIntoCache(store, brand);
+    }
+    products = inventoryCache.getProductsForVendors(vendors);
+  } else if (!products) {
+    products = await inventory.getProductsForVendors(vendors);
+  }
+  
+  // Per-location rules need inventory levels; inventory_quantity is the sum over all locations
+  let levels = null;
+  if (rule.locationIds && rule.locationIds.length > 0 && products.length > 0) {
+    const inventoryItemIds = products.flatMap(product =>
+      (product.variants || []).map(variant => variant.inventory_item_id)
+    );
+    levels = fromCache ?
+      inventoryCache.getInventoryLevels(inventoryItemIds, rule.locationIds) :
+      await inventory.getInventoryLevels(inventoryItemIds, rule.locationIds);
+  }
+  
+  const stockStatus = evaluateBrandStock(products, rule, levels);
+  try {
+    await stateStore.recordStockPoint(stateKey(store.id, brand), stockStatus, source);
+  } catch (error) {
+    // History is for reporting - never let it break alerting
+    log.error(`❌ Could not record stock history for ${brandLabel(store, brand)}:`, error.message);
+  }
+  return stockStatus;
+}
+
+// Email line telling the team whether the brand page was updated automatically
+function describeAutoAction(actionResult) {
+  const manual = actionResult.operation === 'hide' ?
+    '⚠️ ACTION REQUIRED: Hide this brand from your brand page.' :
+    '✅ ACTION REQUIRED: Show this brand on your brand page.';
+  const verb = actionResult.operation === 'hide' ? 'hidden' : 'shown';
+  
+  if (!actionResult.configured) {
+    return manual;
+  }
+  if (!actionResult.success) {
+    const errors = actionResult.results.filter(result => !result.success).map(result => `${result.action.type}: ${result.error}`);
+    return `❌ Automatic update failed (${errors.join('; ')})\n${manual}`;
+  }
+  if (actionResult.dryRun) {
+    return `🧪 DRY RUN: the brand would have been ${verb} automatically (${actionResult.results.length} action(s)).\n${manual}`;
+  }
+  return `🤖 Brand ${verb} automatically (${actionResult.results.length} action(s)). No action required.`;
+}
+
+// Record a brand's new state, once its alert has been delivered (or can't be)
+async function recordBrandState({ key, state, stockStatus, brand }) {
+  await stateStore.recordTransition(key, state, stockStatus);
+  // An acknowledgement is for the state it was given in
+  acks.clear(key);
+  if (state === 'OOS') {
+    await checkAllStoresOOS(brand);
+  }
+}
+
+// Outbox callback: the first channel has delivered the notification
+async function onNotificationDelivered(entry) {
+  const meta = entry.meta || {};
+  if (meta.state) {
+    await recordBrandState(meta);
+  }
+  // A /check-now summary covers several brands, and the team and each recipient get their own
+  for (const alert of meta.alerts || []) {
+    const pendingAlert = outbox.pendingFor(alert.key);
+    if (pendingAlert && pendingAlert.meta.state === alert.state) {
+      outbox.supersede(alert.key);
+    }
+    if ((await stateStore.getState(alert.key)) !== alert.state) {
+      await recordBrandState(alert);
+    }
+  }
+  if (meta.digest) {
+    digestLog.recordSent(meta.digest);
+  }
+}
+
+// Queue a brand alert. The brand's state only changes once a channel has delivered it,
+// so an alert that never gets through is raised again by the next check.
+async function sendBrandAlert(eventType, notification, { key, state, stockStatus, brand }) {
+  const meta = { key, state, stockStatus, brand };
+  
+  // Back where it was before an alert that hasn't gone out yet (e.g. held for quiet hours).
+  // A brand we've never alerted about counts as in stock.
+  if (outbox.pendingFor(key) && state === ((await stateStore.getState(key)) || 'IN_STOCK')) {
+    log.info(`↩️  ${brand} is back to ${state} before its last alert went out - dropping that alert`);
+    outbox.supersede(key, 'reverted');
+    return;
+  }
+  
+  const snooze = brandRegistry.activeSnooze(brand);
+  if (snooze) {
+    log.info(`🔕 ${brand} is snoozed until ${snooze.until} - ${eventType} alert not sent`);
+    outbox.supersede(key, 'snoozed');
+    await recordBrandState(meta);
+    return;
+  }
+  
+  const entry = await outbox.send(eventType, notification, { dedupeKey: key, meta });
+  if (!entry) {
+    // Nothing could ever deliver it - don't raise the alert again on every check
+    await recordBrandState(meta);
+  }
+}
+
+// The alert's acknowledge link, or null when acknowledge links aren't set up
+function ackUrlFor({ key, brand, state }) {
+  const token = acks.createToken({ key, brand, state });
+  return token ? `${CONFIG.PUBLIC_URL.replace(/\/+$/, '')}/ack/${token}` : null;
+}
+
+// The state a brand was last alerted in. An alert still waiting in the outbox is the
+// state we're heading to - don't raise it twice.
+async function lastAlertedState(key) {
+  const pendingAlert = outbox.pendingFor(key);
+  return pendingAlert ? pendingAlert.meta.state : stateStore.getState(key);
+}
+
+// Which alert a brand's stock status calls for: 'oos', 'back_in_stock', 'low_stock',
+// 'recovered' or null. Going out of / back in stock must last MIN_DWELL_MINUTES first -
+// until then the transition comes back as `dwelling` and a re-check is scheduled.
+// Shared by every path that alerts: webhooks, the sweep, /check-now and the CLI.
+// `useDwell: false` reports transitions straight away (the CLI can't wait for a re-check).
+async function stockTransition(store, vendor, stockStatus, { useDwell = true } = {}) {
+  const key = stateKey(store.id, vendor);
+  const label = brandLabel(store, vendor);
+  const lastState = await lastAlertedState(key);
+  
+  let transition = null;
+  if (stockStatus.allOOS && lastState !== 'OOS') {
+    transition = 'oos';
+  } else if (!stockStatus.allOOS && stockStatus.inStockProducts > 0 && lastState === 'OOS') {
+    transition = 'back_in_stock';
+  } else if (!stockStatus.allOOS && stockStatus.lowStock && lastState !== 'LOW_STOCK' && lastState !== 'OOS') {
+    transition = 'low_stock';
+  } else if (!stockStatus.allOOS && lastState === 'LOW_STOCK' && stockStatus.lowStockRecovered) {
+    transition = 'recovered';
+  }
+  
+  if (useDwell && dwell.enabled && (transition === 'oos' || transition === 'back_in_stock')) {
+    const candidate = dwell.observe(key, transition);
+    if (!candidate.ready) {
+      if (candidate.isNew) {
+        log.info(`⏳ ${label} looks ${transition === 'oos' ? 'out of stock' : 'back in stock'} - alerting at ${new Date(candidate.dueAt).toISOString()} if it stays that way`);
+      }
+      // Re-check when the dwell time is up, even if no webhook comes in
+      scheduleBrandCheck(store, vendor, { delayMs: candidate.dueAt - Date.now(), coalesceKey: `dwell:${key}` });
+      return { transition: null, dwelling: transition };
+    }
+  }
+  const flapped = dwell.clear(key);
+  if (flapped && flapped.transition !== transition) {
+    log.info(`↩️  ${label} flapped back within the dwell time - no ${flapped.transition} alert`);
+  }
+  return { transition, dwelling: null };
+}
+
+// Send OOS / low-stock / back-in-stock alerts when a brand's stock status changes.
+// Shared by the webhook handler and the scheduled reconciliation sweep.
+// Returns the transition it acted on, or null.
+async function applyStockStatus(store, vendor, stockStatus, { useDwell = true } = {}) {
+  const key = stateKey(store.id, vendor);
+  const label = brandLabel(store, vendor);
+  const alertContext = (name, state, extras) =>
+    buildBrandAlertContext(name, label, stockStatus, { shop: store.shop, ackUrl: ackUrlFor({ key, brand: vendor, state }), ...extras });
+  
+  log.info(`📊 ${label}: ${stockStatus.inStockProducts}/${stockStatus.totalProducts} in stock`);
+  
+  const { transition } = await stockTransition(store, vendor, stockStatus, { useDwell });
+  
+  // Brand is OOS under its stock rule - send alert if state changed
+  if (transition === 'oos') {
+    log.info(`🚨 ${label} - OUT OF STOCK (${stockStatus.ruleFired})`);
+    const actionResult = await store.storefrontActions.apply(vendor, 'hide', 'OOS');
+    await sendBrandAlert('oos', {
+      ...renderNotification('oos', alertContext('oos', 'OOS', { autoActionNote: describeAutoAction(actionResult) })),
+      data: { brand: vendor, shop: store.id, state: 'OOS', stockStatus: stockStatus, autoAction: actionResult },
+      recipients: subscriptions.recipientsFor(vendor)
+    }, { key, state: 'OOS', stockStatus, brand: vendor });
+  }
+  
+  // At least one product back in stock
+  else if (transition === 'back_in_stock') {
+    log.info(`✅ ${label} - BACK IN STOCK`);
+    const actionResult = await store.storefrontActions.apply(vendor, 'show', 'IN_STOCK');
+    // Coming back with only a trickle of stock counts as low, so we don't warn again straight away
+    const state = stockStatus.lowStock ? 'LOW_STOCK' : 'IN_STOCK';
+    await sendBrandAlert('back_in_stock', {
+      ...renderNotification('back_in_stock', alertContext('back_in_stock', state, { autoActionNote: describeAutoAction(actionResult) })),
+      data: { brand: vendor, shop: store.id, state: 'IN_STOCK', stockStatus: stockStatus, autoAction: actionResult },
+      recipients: subscriptions.recipientsFor(vendor)
+    }, { key, state, stockStatus, brand: vendor });
+  }
+  
+  // Dropped below a low-stock threshold - early warning before it goes fully OOS
+  else if (transition === 'low_stock') {
+    log.info(`⚠️  ${label} - LOW STOCK (${stockStatus.lowStockReason})`);
+    const context = alertContext('low_stock', 'LOW_STOCK');
+    await sendBrandAlert('low_stock', {
+      ...renderNotification('low_stock', context),
+      data: { brand: vendor, shop: store.id, state: 'LOW_STOCK', stockStatus: stockStatus, closestToOOS: context.products },
+      recipients: subscriptions.recipientsFor(vendor)
+    }, { key, state: 'LOW_STOCK', stockStatus, brand: vendor });
+  }
+  
+  // Comfortably above the low-stock thresholds again - clear the warning quietly
+  else if (transition === 'recovered') {
+    log.info(`✅ ${label} - stock recovered above low-stock thresholds`);
+    // A low-stock warning that hasn't gone out yet is no longer news
+    outbox.supersede(key);
+    await recordBrandState({ key, state: 'IN_STOCK', stockStatus, brand: vendor });
+  }
+  
+  return transition;
+}
+
+// A brand's notification state in every store that carries it
+async function crossStoreRollup(brand) {
+  const carrying = stores.filter(store => store.carries(brand));
+  const states = {};
+  for (const store of carrying) {
+    states[store.id] = await stateStore.getState(stateKey(store.id, brand));
+  }
+  const values = Object.values(states);
+  return {
+    brand,
+    stores: states,
+    oosInAllStores: values.length > 0 && values.every(state => state === 'OOS'),
+    oosInStores: carrying.filter(store => states[store.id] === 'OOS').map(store => store.id)
+  };
+}
+
+// With CROSS_STORE_ALERTS, alert once a brand has gone OOS in the last store that had it
+async function checkAllStoresOOS(brand) {
+  if (!CONFIG.CROSS_STORE_ALERTS) {
+    return;
+  }
+  const rollup = await crossStoreRollup(brand);
+  // A brand only one store carries already had that store's alert
+  if (!rollup.oosInAllStores || Object.keys(rollup.stores).length < 2) {
+    return;
+  }
+  const snooze = brandRegistry.activeSnooze(brand);
+  if (snooze) {
+    log.info(`🔕 ${brand} is out of stock in every store but snoozed until ${snooze.until} - no alert`);
+    return;
+  }
+  const storeNames = stores.filter(store => rollup.stores[store.id] !== undefined).map(store => store.name);
+  log.info(`🚨 ${brand} - OUT OF STOCK IN ALL ${storeNames.length} STORES`);
+  await outbox.send('all_stores_oos', {
+    ...renderNotification('all_stores_oos', buildAllStoresOOSContext(brand, storeNames)),
+    data: { brand, stores: rollup.stores },
+    recipients: subscriptions.recipientsFor(brand)
+  }, { dedupeKey: `all_stores:${brand}` });
+}
+
+// Products for every brand from one bulk operation: { [brand]: products }.
+// Returns null when the bulk query fails, so the sweep can fall back to per-brand queries.
+async function bulkProductsForBrands(store, brands) {
+  try {
+    const vendors = brands.flatMap(brand => brandRegistry.vendorsFor(brand));
+    const byVendor = await store.inventory.bulkProductsByVendor(vendors);
+    const byBrand = {};
+    for (const brand of brands) {
+      byBrand[brand] = brandRegistry.vendorsFor(brand).flatMap(vendor => byVendor.get(normalizeVendor(vendor)) || []);
+    }
+    return byBrand;
+  } catch (error) {
+    log.error(`❌ Bulk inventory query failed for ${store.id}, checking brands one by one:`, error.message);
+    return null;
+  }
+}
+
+// Re-check every monitored brand in every store - catches anything missed or dropped webhooks left behind.
+// Results are keyed by brand state key ("<store>:<brand>", plain brand for the default store).
+async function reconcileAllBrands() {
+  const summary = { checked: 0, failed: 0, brands: {} };
+  
+  for (const store of stores) {
+    const brands = brandsFor(store);
+    const preloaded = CONFIG.RECONCILE_BULK && brands.length > 0 ? await bulkProductsForBrands(store, brands) : null;
+    
+    await mapWithConcurrency(brands, CONFIG.BRAND_CHECK_CONCURRENCY, async brand => {
+      const key = stateKey(store.id, brand);
+      try {
+        // The sweep is the safety net for missed webhooks, so it never trusts the cache as-is
+        if (store.inventoryCache && !preloaded) {
+          await loadBrandIntoCache(store, brand);
+        }
+        const stockStatus = await checkBrandStock(store, brand, {
+          products: preloaded ? preloaded[brand] : null,
+          source: 'reconcile'
+        });
+        await applyStockStatus(store, brand, stockStatus);
+        await stateStore.recordReconciliation(key, stockStatus, null);
+        summary.checked++;
+        summary.brands[key] = {
+          inStockProducts: stockStatus.inStockProducts,
+          totalProducts: stockStatus.totalProducts,
+          allOOS: stockStatus.allOOS
+        };
+      } catch (error) {
+        // One failing brand shouldn't stop the rest of the sweep
+        log.error(`❌ Reconciliation failed for ${brandLabel(store, brand)}:`, error.message);
+        await stateStore.recordReconciliation(key, null, error.message);
+        summary.failed++;
+        summary.brands[key] = { error: error.message };
+      }
+    });
+  }
+  
+  return summary;
+}
+
+let reconciler;
+try {
+  reconciler = createScheduledTask({
+    name: 'Brand reconciliation',
+    cronExpression: CONFIG.RECONCILE_CRON,
+    timezone: CONFIG.RECONCILE_TIMEZONE,
+    task: reconcileAllBrands
+  });
+} catch (error) {
+  log.error('❌', error.message);
+  process.exit(1);
+}
+
+// List every product vendor in the shop (for picking brands from real values)
+async function getShopVendors(store) {
+  const vendors = [];
+  let after = null;
+  
+  do {
+    const data = await store.shopify.graphql(`
+      query productVendors($after: String) {
+        productVendors(first: 250, after: $after) {
+          edges { node }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `, { after });
+    
+    vendors.push(...data.productVendors.edges.map(edge => edge.node));
+    after = data.productVendors.pageInfo.hasNextPage ? data.productVendors.pageInfo.endCursor : null;
+  } while (after);
+  
+  return vendors;
+}
+
+// Every vendor in a store and the registered brand (if any) it maps to
+async function describeVendors(store) {
+  const vendors = await getShopVendors(store);
+  return {
+    shop: store.id,
+    total: vendors.length,
+    vendors: vendors.map(vendor => {
+      const brand = brandRegistry.findByVendor(vendor);
+      return { vendor: vendor, brand: brand ? brand.name : null, enabled: brand ? brand.enabled : null };
+    })
+  };
+}
+
+// Look up the product (and its vendor) that an inventory item belongs to.
+// Throws on API errors so the job queue retries; returns null if Shopify has no match.
+async function findProductForInventoryItem(store, inventoryItemId) {
+  // Use GraphQL to efficiently find the product by inventory_item_id
+  const data = await store.shopify.graphql(`
+    query getInventoryItem($id: ID!) {
+      inventoryItem(id: $id) {
+        variant {
+          product {
+            vendor
+            title
+          }
+        }
+      }
+    }
+  `, { id: `gid://shopify/InventoryItem/${inventoryItemId}` });
+  
+  return data?.inventoryItem?.variant?.product || null;
+}
+
+// Make one store's webhook subscriptions match what we need, and alert if any had been dropped
+async function reconcileStoreWebhooks(store) {
+  const result = await store.webhookReconciler.reconcile();
+  const failed = result.results.filter(entry => !entry.success);
+  log.info(`🪝 Webhook subscriptions (${store.id}): ${result.plan.keep.length} ok, ${result.plan.create.length} created, ` +
+    `${result.plan.remove.length} removed, ${failed.length} failed`);
+  
+  if (result.recreated.length > 0) {
+    log.warn(`⚠️  Shopify had dropped ${result.recreated.length} webhook subscription(s) in ${store.id}, recreated`);
+    await outbox.send('webhook_alert', {
+      ...renderNotification('webhook_alert', buildWebhookAlertContext({
+        recreated: result.recreated,
+        removed: result.plan.remove,
+        baseUrl: result.baseUrl,
+        store: stores.length > 1 ? store.name : null
+      })),
+      data: { shop: store.id, recreated: result.recreated, removed: result.plan.remove }
+    });
+  }
+  if (failed.length > 0) {
+    throw new Error(`Could not apply ${failed.length} webhook change(s) in ${store.id}: ${failed.map(entry => `${entry.action} ${entry.topic}`).join(', ')}`);
+  }
+  return result;
+}
+
+// Reconcile every store; one failing store doesn't stop the others. Returns { [store id]: result }.
+async function reconcileWebhookSubscriptions() {
+  const results = {};
+  const errors = [];
+  for (const store of stores) {
+    try {
+      results[store.id] = await reconcileStoreWebhooks(store);
+    } catch (error) {
+      errors.push(error.body ? `${store.id}: ${JSON.stringify(error.body)}` : error.message);
+      results[store.id] = { error: error.body || error.message };
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return stores.length === 1 ? results[stores[0].id] : results;
+}
+
+let webhookSync;
+try {
+  webhookSync = createScheduledTask({
+    name: 'Webhook subscription reconciliation',
+    cronExpression: CONFIG.PUBLIC_URL ? CONFIG.WEBHOOK_RECONCILE_CRON : null,
+    task: reconcileWebhookSubscriptions
+  });
+} catch (error) {
+  log.error('❌', error.message);
+  process.exit(1);
+}
+
+const digestLog = createDigestLog({ filePath: CONFIG.DIGEST_STATE_PATH });
+
+// Check every monitored brand in every store and assemble the digest, without sending it
+async function generateDigest() {
+  const since = digestLog.periodStart();
+  const checks = await mapWithConcurrency(storeBrandPairs(), CONFIG.BRAND_CHECK_CONCURRENCY, async ({ store, brand }) => {
+    const label = brandLabel(store, brand);
+    try {
+      const stockStatus = await checkBrandStock(store, brand, { source: 'digest' });
+      const startPoint = await stateStore.getStockPointBefore(stateKey(store.id, brand), since);
+      return { brand: label, shop: store.shop, stockStatus, startPoint };
+    } catch (error) {
+      log.error(`❌ Digest check failed for ${label}:`, error.message);
+      return { brand: label, error: error.message };
     }
   });
+  return buildDigest(checks, { previous: digestLog.getLast(), since });
+}
+
+function renderDigest(digest) {
+  return renderNotification('digest', buildDigestContext(digest));
+}
+
+// Email the digest through the outbox. The baseline for the next one only moves once this one was delivered.
+async function sendDigest() {
+  const digest = await generateDigest();
+  const { snapshot, ...data } = digest;
+  // A newer digest replaces one still waiting to go out; the outbox records it once delivered
+  const entry = await outbox.send('digest', { ...renderDigest(digest), data }, {
+    only: 'email',
+    dedupeKey: 'digest',
+    meta: { digest: { generatedAt: digest.generatedAt, snapshot } }
+  });
+  if (!entry) {
+    throw new Error('Digest not sent: no email channel configured');
+  }
+  log.info(`📊 Digest ${entry.notifiedAt ? 'sent' : 'queued'}: ${digest.totals.brands} brand(s), ${digest.changed.length} change(s), ` +
+    `${digest.trending.length} trending, ${digest.newlyOOSProducts.length} product(s) newly OOS`);
+  return { sentAt: entry.notifiedAt, generatedAt: digest.generatedAt, totals: digest.totals, status: entry.status, outboxId: entry.id, lastError: entry.lastError };
+}
+
+let digestTask;
+try {
+  digestTask = createScheduledTask({
+    name: 'Stock digest',
+    cronExpression: CONFIG.DIGEST_CRON,
+    timezone: CONFIG.DIGEST_TIMEZONE,
+    task: sendDigest
+  });
+} catch (error) {
+  log.error('❌', error.message);
+  process.exit(1);
 }
 
-// Track last notification state to avoid spam
-const lastNotificationState = {};
+// Job: an inventory level changed - find its brand and schedule a (coalesced) brand check
+async function processInventoryUpdate({ shop, inventoryItemId, locationId, available, updatedAt }) {
+  const store = storeFor(shop);
+  if (!store) {
+    log.info(`⏭️  Store "${shop}" is no longer configured, skipping`);
+    return;
+  }
+  const { inventoryCache } = store;
+  
+  // Known items are updated in the cache straight from the payload - no API call needed
+  let product = null;
+  if (inventoryCache && locationId !== undefined && available !== undefined) {
+    product = inventoryCache.applyLevelUpdate({ inventoryItemId, locationId, available, updatedAt });
+    if (product) {
+      log.debug(`🗃️  Inventory cache updated (${store.id}): item ${inventoryItemId} @ location ${locationId} = ${available}`);
+    }
+  }
+  const cached = !!product;
+  
+  if (!product) {
+    log.info(`🔍 Looking up product for inventory item: ${inventoryItemId} (${store.id})`);
+    product = await findProductForInventoryItem(store, inventoryItemId);
+  }
+  
+  if (!product?.vendor) {
+    log.warn('❌ Could not find vendor for this inventory item', { store: store.id, inventoryItemId });
+    return;
+  }
+  
+  log.info(`📦 Inventory changed for ${product.vendor}: ${product.title}`, { store: store.id, inventoryItemId, cached });
+  
+  // Check if this brand is in our monitoring list (case-insensitive, aliases included)
+  const brand = brandRegistry.findByVendor(product.vendor);
+  if (!brand || !store.carries(brand.name)) {
+    log.info(`⏭️  Brand "${product.vendor}" is not in monitoring list${brand ? ` for ${store.id}` : ''}, skipping`);
+    return;
+  }
+  if (!brand.enabled) {
+    log.info(`⏸️  Brand "${brand.name}" is paused, skipping`);
+    return;
+  }
+  const vendor = brand.name;
+  
+  // An item the cache didn't know (e.g. a new variant) - reload the brand on its next check
+  if (inventoryCache && !cached) {
+    inventoryCache.forgetVendors(brandRegistry.vendorsFor(vendor));
+  }
+  
+  scheduleBrandCheck(store, vendor);
+}
+
+// Many updates to the same brand within the window trigger a single check
+function scheduleBrandCheck(store, vendor, { delayMs = CONFIG.COALESCE_WINDOW_MS, coalesceKey = stateKey(store.id, vendor) } = {}) {
+  const label = brandLabel(store, vendor);
+  const { coalesced } = jobQueue.enqueue('brand_check', { shop: store.id, vendor }, { coalesceKey, delayMs });
+  log.info(coalesced ?
+    `🧩 Stock check for ${label} already pending, coalesced` :
+    `⏳ Stock check for ${label} scheduled in ${Math.round(delayMs / 1000)}s`);
+}
+
+// Job: a product was created, updated or deleted - re-check the brands it affects.
+// A vendor change re-checks both the old and the new brand.
+async function processProductChange({ shop, topic, product }) {
+  const store = storeFor(shop);
+  if (!store) {
+    log.info(`⏭️  Store "${shop}" is no longer configured, skipping`);
+    return;
+  }
+  const { inventoryCache } = store;
+  
+  // The cache is the only place that remembers a product's previous vendor
+  const previousVendor = inventoryCache ? inventoryCache.vendorOfProduct(product.id) : null;
+  let vendors;
+  
+  if (topic === 'products/delete') {
+    if (inventoryCache) {
+      inventoryCache.removeProduct(product.id);
+    }
+    log.info(`🗑️  Product ${product.id} deleted in ${store.id}${previousVendor ? ` (${previousVendor})` : ''}`);
+    // Without the cache we can't tell which brand lost a product, so re-check them all
+    vendors = previousVendor ? [previousVendor] : (inventoryCache ? [] : brandsFor(store));
+  } else {
+    if (inventoryCache) {
+      inventoryCache.upsertProduct(product);
+    }
+    vendors = [product.vendor];
+    if (previousVendor && brandRegistry.findByVendor(previousVendor) !== brandRegistry.findByVendor(product.vendor)) {
+      log.info(`🔀 Product "${product.title}" moved from ${previousVendor} to ${product.vendor}`);
+      vendors.push(previousVendor);
+    } else {
+      log.info(`📦 Product "${product.title}" ${topic === 'products/create' ? 'created' : 'updated'} (${product.vendor}, ${product.status || 'active'})`);
+    }
+  }
+  
+  const brands = new Set();
+  for (const vendor of vendors) {
+    const brand = brandRegistry.findByVendor(vendor);
+    if (brand && brand.enabled && store.carries(brand.name)) {
+      brands.add(brand.name);
+    }
+  }
+  if (brands.size === 0) {
+    log.info('⏭️  No monitored brand affected, skipping');
+  }
+  for (const brand of brands) {
+    scheduleBrandCheck(store, brand);
+  }
+}
+
+// Job: re-evaluate one brand and send alerts on state changes
+async function processBrandCheck({ shop, vendor }) {
+  const store = storeFor(shop);
+  if (!store) {
+    log.info(`⏭️  Store "${shop}" is no longer configured, skipping`);
+    return;
+  }
+  log.info(`🔍 Checking stock for: ${brandLabel(store, vendor)}`);
+  const stockStatus = await checkBrandStock(store, vendor, { source: 'webhook' });
+  await applyStockStatus(store, vendor, stockStatus);
+}
+
+const jobQueue = createJobQueue({
+  filePath: CONFIG.QUEUE_PATH,
+  maxAttempts: CONFIG.JOB_MAX_ATTEMPTS,
+  handlers: {
+    inventory_update: timedJob('inventory_update', processInventoryUpdate),
+    product_change: timedJob('product_change', processProductChange),
+    brand_check: timedJob('brand_check', processBrandCheck)
+  }
+});
+
+// Main webhook handler - verify, enqueue, respond. Processing happens in the job worker.
+app.post('/webhook/inventory', (req, res) => {
+  log.info('📥 Webhook received', { topic: req.get('X-Shopify-Topic') || null });
+  webhooksReceived.inc({ endpoint: 'inventory' });
+  log.debug('📋 Webhook request', { headers: req.headers, bodyType: typeof req.body, rawBodyLength: req.rawBody?.length || 0 });
+  
+  // Verify webhook is from Shopify, and which store sent it
+  const store = verifyWebhook(req);
+  recordWebhook('inventory', store);
+  if (!store) {
+    log.warn('❌ Invalid webhook signature');
+    return res.status(401).send('Unauthorized');
+  }
+  
+  log.info(`✅ Webhook verified (${store.id})`);
+  
+  // Handle test webhooks (they often have empty bodies)
+  if (!req.body || Object.keys(req.body).length === 0) {
+    log.info('⚠️  Empty webhook body (likely a test webhook)');
+    log.info('✅ Test webhook received successfully');
+    return res.status(200).send('OK - Test webhook received');
+  }
+  
+  log.debug('📄 Webhook body', { body: req.body });
+  
+  const inventoryItemId = req.body.inventory_item_id;
+  
+  if (!inventoryItemId) {
+    log.info('⚠️  No inventory_item_id in webhook, skipping');
+    return res.status(200).send('OK');
+  }
+  
+  try {
+    // Give Shopify's inventory system a moment to propagate before we query it.
+    // Items in the inventory cache are updated from the payload itself, so they needn't wait.
+    const { duplicate } = jobQueue.enqueue('inventory_update', {
+      shop: store.id,
+      inventoryItemId,
+      locationId: req.body.location_id,
+      available: req.body.available,
+      updatedAt: req.body.updated_at
+    }, {
+      webhookId: req.get('X-Shopify-Webhook-Id'),
+      delayMs: store.inventoryCache && store.inventoryCache.hasItem(inventoryItemId) ? 0 : CONFIG.WEBHOOK_PROPAGATION_DELAY_MS
+    });
+    
+    if (duplicate) {
+      log.info('⏭️  Duplicate webhook delivery, already queued');
+      return res.status(200).send('OK - Duplicate');
+    }
+    
+    log.info('📬 Webhook queued for processing');
+    res.status(200).send('OK');
+  } catch (error) {
+    // Couldn't persist the job - let Shopify retry the delivery
+    log.error('❌ Error queueing webhook:', error);
+    res.status(500).send('Error');
+  }
+});
+
+// Product lifecycle webhooks (products/create, products/update, products/delete).
+// The topic comes from the X-Shopify-Topic header; all three share this address.
+const PRODUCT_TOPICS = REQUIRED_TOPICS.filter(({ path }) => path === '/webhook/products').map(({ topic }) => topic);
+
+app.post('/webhook/products', (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  log.info(`📥 Product webhook received (${topic || 'no topic'})`);
+  webhooksReceived.inc({ endpoint: 'products' });
+  
+  const store = verifyWebhook(req);
+  recordWebhook('products', store);
+  if (!store) {
+    log.warn('❌ Invalid webhook signature');
+    return res.status(401).send('Unauthorized');
+  }
+  
+  if (!PRODUCT_TOPICS.includes(topic)) {
+    log.warn(`⚠️  Unexpected topic "${topic}", ignoring`);
+    return res.status(200).send('OK - Ignored topic');
+  }
+  
+  if (!req.body || !req.body.id) {
+    log.info('⚠️  Product webhook without a product id (likely a test webhook)');
+    return res.status(200).send('OK - Test webhook received');
+  }
+  
+  log.debug('📄 Webhook body', { body: req.body });
+  
+  // Keep only what the stock check needs - product payloads can be large
+  const product = {
+    id: req.body.id,
+    title: req.body.title,
+    vendor: req.body.vendor,
+    status: req.body.status,
+    variants: (req.body.variants || []).map(variant => ({
+      id: variant.id,
+      inventory_item_id: variant.inventory_item_id,
+      inventory_quantity: variant.inventory_quantity,
+      inventory_policy: variant.inventory_policy,
+      inventory_management: variant.inventory_management
+    }))
+  };
+  
+  try {
+    const { duplicate } = jobQueue.enqueue('product_change', { shop: store.id, topic, product }, {
+      webhookId: req.get('X-Shopify-Webhook-Id')
+    });
+    log.info(duplicate ? '⏭️  Duplicate webhook delivery, already queued' : '📬 Product webhook queued for processing');
+    res.status(200).send(duplicate ? 'OK - Duplicate' : 'OK');
+  } catch (error) {
+    // Couldn't persist the job - let Shopify retry the delivery
+    log.error('❌ Error queueing webhook:', error);
+    res.status(500).send('Error');
+  }
+});
+
+// Columns of the stock history CSV exports
+const STOCK_POINT_COLUMNS = ['timestamp', 'source', 'allOOS', 'lowStock', 'totalProducts', 'inStockProducts',
+  'oosProducts', 'totalUnits', 'ruleFired'];
+const STOCK_SUMMARY_COLUMNS = ['brand', 'from', 'to', 'points', 'oosHours', 'oosPercent', 'oosEpisodes',
+  'longestEpisodeHours', 'currentlyOOS', 'lastEvaluatedAt'];
+
+async function stockHistorySummary(brand, range) {
+  const [before, points] = await Promise.all([
+    stateStore.getStockPointBefore(brand, range.from),
+    stateStore.getStockPoints(brand, range)
+  ]);
+  return { summary: summarizeStockHistory(before, points, range), points };
+}
+
+// Trend per brand over a period (?from=&to=, default last 30 days; ?format=csv).
+// Sorted by time spent out of stock, so chronically under-stocked brands come first.
+app.get('/admin/stock-history', canRead, async (req, res) => {
+  let range;
+  try {
+    range = parseRange(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  
+  try {
+    const monitored = storeBrandPairs().map(({ store, brand }) => stateKey(store.id, brand));
+    const brands = new Set([...monitored, ...await stateStore.getStockHistoryBrands()]);
+    const rows = [];
+    for (const brand of brands) {
+      const { summary } = await stockHistorySummary(brand, range);
+      rows.push({ brand, ...summary });
+    }
+    rows.sort((a, b) => b.oosHours - a.oosHours || b.oosEpisodes - a.oosEpisodes);
+    
+    if (req.query.format === 'csv') {
+      res.type('text/csv').attachment('stock-history-summary.csv').send(toCsv(rows, STOCK_SUMMARY_COLUMNS));
+    } else {
+      res.json({ from: range.from, to: range.to, brands: rows });
+    }
+  } catch (error) {
+    log.error('❌ Error reading stock history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Every stock evaluation of one brand in a period, plus its trend summary (?format=csv for the points).
+// ?shop= picks the store (or pass the full "<store>:<brand>" key as the brand).
+app.get('/admin/stock-history/:brand', canRead, async (req, res) => {
+  let range;
+  try {
+    range = parseRange(req.query);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  
+  try {
+    const key = req.query.shop ? stateKey(req.query.shop, req.params.brand) : req.params.brand;
+    const { summary, points } = await stockHistorySummary(key, range);
+    if (req.query.format === 'csv') {
+      const fileName = `stock-history-${key.replace(/[^\w-]+/g, '_')}.csv`;
+      res.type('text/csv').attachment(fileName).send(toCsv(points, STOCK_POINT_COLUMNS));
+    } else {
+      res.json({ brand: key, summary, points });
+    }
+  } catch (error) {
+    log.error('❌ Error reading stock history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Job queue status: pending jobs and dead letters
+app.get('/admin/jobs', canRead, (req, res) => {
+  res.json(jobQueue.getStatus());
+});
+
+// Replay every dead-lettered job
+app.post('/admin/jobs/dead/replay', canTrigger, (req, res) => {
+  const replayed = jobQueue.replayAll();
+  log.info(`🔁 Replaying ${replayed.length} dead job(s)`);
+  res.json({ success: true, replayed: replayed.length });
+});
+
+// Replay one dead-lettered job
+app.post('/admin/jobs/dead/:id/replay', canTrigger, (req, res) => {
+  const job = jobQueue.replay(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Dead job not found' });
+  }
+  log.info(`🔁 Replaying dead job ${job.type} ${job.id}`);
+  res.json({ success: true, job: job });
+});
+
+const OUTBOX_STATUSES = ['pending', 'held', 'batched', 'failed', 'delivered', 'superseded'];
+
+// Notification outbox: ?status=pending|held|batched|failed|delivered|superseded, ?full=true for message bodies.
+// Held entries are waiting for quiet hours to end; batched ones went out in a single alert_batch entry.
+app.get('/admin/notifications', canRead, (req, res) => {
+  const { status } = req.query;
+  if (status && !OUTBOX_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+  }
+  res.json({
+    ...outbox.getStatus(),
+    quietHours: quietHours.enabled ?
+      { window: quietHours.describe(), active: quietHours.isActive(), endsAt: quietHours.endsAt() } :
+      null,
+    notifications: outbox.list({ status, full: req.query.full === 'true' })
+  });
+});
+
+// Resend every failed notification
+app.post('/admin/notifications/resend', canTrigger, async (req, res) => {
+  try {
+    const entries = await outbox.resendFailed();
+    log.info(`🔁 Resent ${entries.length} failed notification(s)`);
+    res.json({
+      success: true,
+      resent: entries.length,
+      delivered: entries.filter(entry => entry.status === 'delivered').length,
+      notifications: entries.map(entry => ({ id: entry.id, status: entry.status, lastError: entry.lastError }))
+    });
+  } catch (error) {
+    log.error('❌ Error resending notifications:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/admin/notifications/:id', canRead, (req, res) => {
+  const entry = outbox.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'Notification not found' });
+  }
+  res.json(entry);
+});
+
+// Resend one pending or failed notification now
+app.post('/admin/notifications/:id/resend', canTrigger, async (req, res) => {
+  try {
+    const entry = await outbox.resend(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+    log.info(`🔁 Resent notification ${entry.eventType} ${entry.id}: ${entry.status}`);
+    res.json({ success: entry.status === 'delivered', notification: outbox.get(entry.id) });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+// Figures owned by other modules, read when /metrics is scraped
+metrics.collect(() => {
+  const families = { requests: [], errors: [], retries: [], throttled: [], latency: [] };
+  for (const store of stores) {
+    for (const [operation, stats] of Object.entries(store.shopify.getMetrics().operations)) {
+      const labels = { store: store.id, operation };
+      families.requests.push({ labels, value: stats.requests });
+      families.errors.push({ labels, value: stats.errors });
+      families.retries.push({ labels, value: stats.retries });
+      families.throttled.push({ labels, value: stats.throttled });
+      families.latency.push({ labels, value: stats.totalLatencyMs / 1000 });
+    }
+  }
+  return [
+    { name: 'shopify_api_requests_total', help: 'Shopify Admin API requests including retries, by store and operation', type: 'counter', samples: families.requests },
+    { name: 'shopify_api_errors_total', help: 'Shopify Admin API calls that failed after retries, by store and operation', type: 'counter', samples: families.errors },
+    { name: 'shopify_api_retries_total', help: 'Shopify Admin API retries, by store and operation', type: 'counter', samples: families.retries },
+    { name: 'shopify_api_throttled_total', help: 'Shopify Admin API 429 responses, by store and operation', type: 'counter', samples: families.throttled },
+    { name: 'shopify_api_latency_seconds_total', help: 'Total time spent waiting for Shopify Admin API responses, by store and operation', type: 'counter', samples: families.latency }
+  ];
+});
+
+metrics.collect(() => {
+  const sent = [];
+  const failed = [];
+  for (const channel of notifier.getStats()) {
+    for (const [event, value] of Object.entries(channel.sent)) {
+      sent.push({ labels: { channel: channel.name, method: channel.type, event }, value });
+    }
+    for (const [event, value] of Object.entries(channel.failed)) {
+      failed.push({ labels: { channel: channel.name, method: channel.type, event }, value });
+    }
+  }
+  return [
+    { name: 'notifications_sent_total', help: 'Notifications delivered, by channel, method (smtp, sendgrid, slack, ...) and event type', type: 'counter', samples: sent },
+    { name: 'notifications_failed_total', help: 'Notification deliveries that failed, by channel, method and event type', type: 'counter', samples: failed }
+  ];
+});
+
+metrics.collect(() => {
+  const queue = jobQueue.getStatus();
+  const outboxStatus = outbox.getStatus();
+  return [
+    { name: 'job_queue_pending', help: 'Jobs waiting or running', type: 'gauge', samples: [{ value: queue.pending }] },
+    { name: 'job_queue_dead', help: 'Jobs in the dead letter queue', type: 'gauge', samples: [{ value: queue.dead }] },
+    { name: 'notification_outbox_pending', help: 'Notifications waiting for delivery or a retry', type: 'gauge', samples: [{ value: outboxStatus.pending }] },
+    { name: 'notification_outbox_failed', help: 'Notifications that gave up after their last retry', type: 'gauge', samples: [{ value: outboxStatus.failed }] },
+    {
+      name: 'last_webhook_timestamp_seconds',
+      help: 'Unix time of the last verified webhook per store (since startup)',
+      type: 'gauge',
+      samples: [...lastWebhookAt].map(([store, at]) => ({ labels: { store }, value: at / 1000 }))
+    }
+  ];
+});
+
+// Brand stock from each brand's latest stock evaluation
+metrics.collect(async () => {
+  const families = { inStock: [], products: [], units: [], oos: [], low: [] };
+  for (const { store, brand } of storeBrandPairs()) {
+    const point = await stateStore.getStockPointBefore(stateKey(store.id, brand), '9999');
+    if (!point) {
+      continue;
+    }
+    const labels = { store: store.id, brand };
+    families.inStock.push({ labels, value: point.inStockProducts ?? NaN });
+    families.products.push({ labels, value: point.totalProducts ?? NaN });
+    families.units.push({ labels, value: point.totalUnits ?? NaN });
+    families.oos.push({ labels, value: point.allOOS ? 1 : 0 });
+    families.low.push({ labels, value: point.lowStock ? 1 : 0 });
+  }
+  return [
+    { name: 'brand_in_stock_products', help: 'Products of the brand in stock at the last evaluation', type: 'gauge', samples: families.inStock },
+    { name: 'brand_products', help: 'Products of the brand at the last evaluation', type: 'gauge', samples: families.products },
+    { name: 'brand_units', help: 'Units of the brand available at the last evaluation', type: 'gauge', samples: families.units },
+    { name: 'brand_out_of_stock', help: '1 if the brand was out of stock under its stock rule at the last evaluation', type: 'gauge', samples: families.oos },
+    { name: 'brand_low_stock', help: '1 if the brand was low on stock at the last evaluation', type: 'gauge', samples: families.low }
+  ];
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', CONFIG.METRICS_PUBLIC ? [] : canRead, async (req, res) => {
+  try {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(await metrics.render());
+  } catch (error) {
+    log.error('❌ Error rendering metrics:', error);
+    res.status(500).type('text/plain').send(`# Error rendering metrics: ${error.message}\n`);
+  }
+});
+
+// Readiness checks for /health. Shopify and notifier results are cached for
+// HEALTH_CACHE_MS so frequent probes don't turn into API traffic.
+const startedAt = Date.now();
+const healthCache = new Map();
+
+async function cachedCheck(key, check) {
+  const cached = healthCache.get(key);
+  if (cached && Date.now() - cached.checkedAt < CONFIG.HEALTH_CACHE_MS) {
+    return { ...cached.result, checkedAt: new Date(cached.checkedAt).toISOString() };
+  }
+  const result = await check();
+  const checkedAt = Date.now();
+  healthCache.set(key, { result, checkedAt });
+  return { ...result, checkedAt: new Date(checkedAt).toISOString() };
+}
+
+// The access token works if Shopify answers a cheap authenticated call
+async function checkShopifyToken(store) {
+  try {
+    await store.shopify.rest('GET', '/shop.json');
+    return { status: 'ok' };
+  } catch (error) {
+    const rejected = error.status === 401 || error.status === 403;
+    return { status: 'fail', error: rejected ? `Access token rejected (${error.status})` : error.message };
+  }
+}
+
+async function checkNotifier() {
+  const channels = await notifier.checkChannels();
+  if (channels.length === 0) {
+    return { status: 'fail', error: 'No notification channels configured', channels };
+  }
+  const unreachable = channels.filter(channel => channel.reachable === false);
+  let status = 'ok';
+  if (unreachable.length === channels.length) {
+    status = 'fail';
+  } else if (unreachable.length > 0) {
+    status = 'warn';
+  }
+  return { status, channels };
+}
+
+// Alerts that gave up need someone to look at them (and resend)
+function checkOutbox() {
+  const { pending, failed } = outbox.getStatus();
+  return {
+    status: failed > 0 ? 'warn' : 'ok',
+    pending,
+    failed,
+    ...(failed > 0 && { error: `${failed} notification(s) could not be delivered - see /admin/notifications?status=failed` })
+  };
+}
+
+// Webhooks stop arriving when Shopify drops the subscription or can't reach us
+function checkWebhookActivity() {
+  const maxAgeMs = CONFIG.HEALTH_WEBHOOK_MAX_AGE_HOURS * 60 * 60 * 1000;
+  const perStore = {};
+  let status = 'ok';
+  for (const store of stores) {
+    const last = lastWebhookAt.get(store.id) || null;
+    const silentForMs = Date.now() - (last || startedAt);
+    const stale = maxAgeMs > 0 && silentForMs > maxAgeMs;
+    if (stale) {
+      status = 'warn';
+    }
+    perStore[store.id] = {
+      lastWebhookAt: last ? new Date(last).toISOString() : null,
+      silentForHours: Math.round(silentForMs / 36000) / 100,
+      ...(stale && { error: `No webhook for more than ${CONFIG.HEALTH_WEBHOOK_MAX_AGE_HOURS}h` })
+    };
+  }
+  return { status, maxAgeHours: CONFIG.HEALTH_WEBHOOK_MAX_AGE_HOURS || null, stores: perStore };
+}
+
+// Health check endpoint - 200 when ok, 503 when down. Degraded (warnings) answers 200 by
+// default, so a readiness probe doesn't take us out of rotation and stop webhooks arriving;
+// with ?strict=true (or HEALTH_STRICT=true) it answers 503 like down.
+app.get('/health', async (req, res) => {
+  const shopifyStores = {};
+  await Promise.all(stores.map(async store => {
+    shopifyStores[store.id] = await cachedCheck(`shopify:${store.id}`, () => checkShopifyToken(store));
+  }));
+  // One store failing leaves the others monitored - only down when none can be reached
+  const failedStores = Object.values(shopifyStores).filter(result => result.status === 'fail').length;
+  let shopifyStatus = 'ok';
+  if (failedStores === stores.length) {
+    shopifyStatus = 'fail';
+  } else if (failedStores > 0) {
+    shopifyStatus = 'warn';
+  }
+
+  const checks = {
+    shopify: { status: shopifyStatus, stores: shopifyStores },
+    notifier: await cachedCheck('notifier', checkNotifier),
+    outbox: checkOutbox(),
+    webhooks: checkWebhookActivity()
+  };
+  const statuses = Object.values(checks).map(check => check.status);
+  let status = 'ok';
+  if (statuses.includes('fail')) {
+    status = 'down';
+  } else if (statuses.includes('warn')) {
+    status = 'degraded';
+  }
+
+  const strict = req.query.strict !== undefined ? req.query.strict === 'true' : CONFIG.HEALTH_STRICT;
+  res.status(status === 'down' || (status === 'degraded' && strict) ? 503 : 200).json({ 
+    status: status,
+    checks: checks,
+    emailMethod: emailMethod,
+    notificationChannels: notifier.channels,
+    monitoring: brandRegistry.monitoredBrands(),
+    stores: stores.map(store => ({ id: store.id, domain: store.domain, brands: brandsFor(store).length })),
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Liveness - the process is up and serving requests, without checking dependencies
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// Manual trigger endpoint for testing
+app.get('/check-now', canTrigger, async (req, res) => {
+  try {
+    log.info('🔄 Manual check triggered');
+    const results = {};
+    const oosbrands = [];
+    // One entry per brand per store that carries it; results are keyed by brand state key
+    const monitoredBrands = storeBrandPairs();
+    const statuses = await mapWithConcurrency(monitoredBrands, CONFIG.BRAND_CHECK_CONCURRENCY,
+      ({ store, brand }) => checkBrandStock(store, brand, { source: 'check_now' }));
+    
+    for (const [index, { store, brand }] of monitoredBrands.entries()) {
+      const stockStatus = statuses[index];
+      const key = stateKey(store.id, brand);
+      results[key] = stockStatus;
+      
+      // Collect brands that are out of stock under their stock rule
+      if (stockStatus.allOOS && stockStatus.totalProducts > 0) {
+        oosbrands.push({
+          brand: brand,
+          key: key,
+          label: brandLabel(store, brand),
+          store: store,
+          totalProducts: stockStatus.totalProducts,
+          reason: stockStatus.reason,
+          stockStatus: stockStatus
+        });
+      }
+    }
+    
+    // The same gates as webhook alerts: a brand that has only just gone out of stock waits
+    // out the minimum dwell time, and snoozed brands are left out of the summary
+    for (const item of oosbrands) {
+      const { transition, dwelling } = await stockTransition(item.store, item.brand, item.stockStatus);
+      item.dwelling = !!dwelling;
+      item.newlyOOS = transition === 'oos';
+      item.snooze = brandRegistry.activeSnooze(item.brand);
+      
+      // Hide newly OOS brands automatically where configured (already-OOS brands were handled before)
+      if (item.newlyOOS && item.store.storefrontActions.isConfigured(item.brand)) {
+        item.actionResult = await item.store.storefrontActions.apply(item.brand, 'hide', 'OOS');
+      }
+      if (item.newlyOOS && item.snooze) {
+        log.info(`🔕 ${item.label} is snoozed until ${item.snooze.until} - left out of the summary`);
+        outbox.supersede(item.key, 'snoozed');
+        await recordBrandState({ key: item.key, state: 'OOS', stockStatus: item.stockStatus, brand: item.brand });
+      }
+    }
+    
+    // Brands last alerted as OOS that are back get the back-in-stock alert and are shown
+    // again, as a webhook would do. Other in-stock brands are left alone - a manual check
+    // doesn't raise low-stock warnings.
+    const backInStock = [];
+    for (const [index, { store, brand }] of monitoredBrands.entries()) {
+      const stockStatus = statuses[index];
+      const key = stateKey(store.id, brand);
+      if (!stockStatus.allOOS && await lastAlertedState(key) === 'OOS' &&
+          await applyStockStatus(store, brand, stockStatus) === 'back_in_stock') {
+        backInStock.push(key);
+      }
+    }
+    
+    const alerting = oosbrands.filter(item => !item.dwelling && !item.snooze);
+    const gated = {
+      snoozed: oosbrands.filter(item => item.snooze).map(item => item.key),
+      awaitingDwell: oosbrands.filter(item => item.dwelling).map(item => item.key)
+    };
+    
+    // Send one consolidated email if any brands are OOS
+    if (alerting.length > 0) {
+      log.info(`📧 Found ${alerting.length} brand(s) out of stock, sending consolidated email`);
+      
+      // Render the consolidated summary for a set of OOS brands
+      const renderSummary = (items) => renderNotification('check_summary', buildCheckSummaryContext(
+        items.map(item => ({
+          brand: item.label,
+          totalProducts: item.totalProducts,
+          reason: item.reason,
+          autoActionNote: item.actionResult ? describeAutoAction(item.actionResult) : null
+        })),
+        { totalBrands: monitoredBrands.length, brandsOutOfStock: alerting.length }
+      ));
+      const summaryData = (items) => ({
+        oosBrands: items.map(item => ({ brand: item.brand, shop: item.store.id, totalProducts: item.totalProducts, reason: item.reason }))
+      });
+      
+      // Newly OOS brands in a summary have their state recorded once it's delivered
+      const summaryMeta = (items) => ({
+        alerts: items.filter(item => item.newlyOOS).map(item => ({ key: item.key, state: 'OOS', stockStatus: item.stockStatus, brand: item.brand }))
+      });
+      
+      // Team-wide channels (Slack, Teams, webhook) get the full summary
+      const sent = [];
+      const teamEntry = await outbox.send('check_summary', {
+        ...renderSummary(alerting),
+        data: summaryData(alerting)
+      }, { only: 'other', meta: summaryMeta(alerting) });
+      if (teamEntry) {
+        sent.push({ entry: teamEntry, items: alerting });
+      }
+      
+      // Each email recipient gets one consolidated email covering only the brands they subscribe to
+      const brandsByRecipient = subscriptions.brandsByRecipient(alerting.map(item => item.brand));
+      for (const [recipient, brands] of Object.entries(brandsByRecipient)) {
+        const items = alerting.filter(item => brands.includes(item.brand));
+        const emailEntry = await outbox.send('check_summary', {
+          ...renderSummary(items),
+          data: summaryData(items),
+          recipients: [recipient]
+        }, { only: 'email', meta: summaryMeta(items) });
+        if (emailEntry) {
+          sent.push({ entry: emailEntry, items, recipient, brands });
+        }
+      }
+      
+      // Retries and fallbacks happen in the outbox; this is how the first attempt went
+      const deliveries = sent.flatMap(({ entry, recipient, brands }) => Object.entries(entry.channels).map(([channel, target]) => ({
+        channel,
+        success: target.status === 'delivered',
+        via: target.via,
+        error: target.lastError || undefined,
+        outboxId: entry.id,
+        ...(recipient ? { recipient, brands } : {})
+      })));
+      const notifySuccess = deliveries.some(delivery => delivery.success);
+      if (notifySuccess) {
+        log.info(`✅ Consolidated OOS notification sent (${deliveries.filter(delivery => delivery.success).length}/${deliveries.length} deliveries)`);
+      } else if (sent.length > 0) {
+        log.warn('⚠️  Consolidated OOS notification not delivered yet - the outbox will retry');
+      } else {
+        log.error('❌ Failed to send OOS notification: no channels configured');
+      }
+      
+      // Brands no summary covers stay as they were - the next webhook or sweep raises their alert
+      for (const item of alerting) {
+        const covering = sent.filter(({ items }) => items.includes(item));
+        item.notified = covering.some(({ entry }) => !!entry.notifiedAt);
+        item.queued = !item.notified && covering.length > 0;
+      }
+      
+      // Add email status to response
+      res.json({
+        results: results,
+        summary: {
+          totalBrands: monitoredBrands.length,
+          brandsOutOfStock: oosbrands.length,
+          brandsInStock: monitoredBrands.length - oosbrands.length,
+          emailSent: notifySuccess,
+          deliveries: deliveries,
+          oosBrands: oosbrands.map(item => item.key),
+          backInStock: backInStock,
+          notNotified: alerting.filter(item => !item.notified).map(item => item.key),
+          queued: alerting.filter(item => item.queued).map(item => item.key),
+          ...gated,
+          autoActions: oosbrands.filter(item => item.actionResult).map(item => ({
+            brand: item.key,
+            dryRun: item.actionResult.dryRun,
+            success: item.actionResult.success
+          }))
+        }
+      });
+    } else {
+      const message = oosbrands.length > 0 ?
+        'Out-of-stock brands are snoozed or still within the minimum dwell time' :
+        'All brands have inventory in stock';
+      log.info(`✅ ${message}, no email needed`);
+      res.json({
+        results: results,
+        summary: {
+          totalBrands: monitoredBrands.length,
+          brandsOutOfStock: oosbrands.length,
+          brandsInStock: monitoredBrands.length - oosbrands.length,
+          emailSent: false,
+          deliveries: [],
+          oosBrands: oosbrands.map(item => item.key),
+          backInStock: backInStock,
+          ...gated,
+          message: message
+        }
+      });
+    }
+  } catch (error) {
+    log.error('❌ Error in manual check:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Acknowledge links from alert emails. GET only shows a confirmation form, so mail
+// scanners that follow links don't acknowledge anything; the form POSTs back here.
+function ackPage(res, status, title, body) {
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; max-width: 520px; margin: 40px auto; padding: 0 16px; color: #212529;">
+<h2>${escapeHtml(title)}</h2>
+${body}
+</body></html>`);
+}
+
+// The token's alert, or null after sending an error page. An acknowledgement is only
+// taken while the brand is still in the state the alert was about.
+async function ackFromToken(req, res) {
+  let alert;
+  try {
+    alert = acks.verifyToken(req.params.token);
+  } catch (error) {
+    ackPage(res, /expired/.test(error.message) ? 410 : 400, 'Link not valid', `<p>${escapeHtml(error.message)}.</p>`);
+    return null;
+  }
+  const currentState = await stateStore.getState(alert.key);
+  if (currentState !== alert.state) {
+    ackPage(res, 410, 'Alert no longer current',
+      `<p><strong>${escapeHtml(alert.brand)}</strong> has changed state since this alert (now ${escapeHtml(currentState || 'unknown')}), so there's nothing to acknowledge.</p>`);
+    return null;
+  }
+  return alert;
+}
+
+app.get('/ack/:token', async (req, res) => {
+  try {
+    const alert = await ackFromToken(req, res);
+    if (!alert) {
+      return;
+    }
+    const current = acks.current(alert.key);
+    ackPage(res, 200, `Acknowledge ${alert.brand} (${alert.state})`, `
+${current ? `<p>Already acknowledged by <strong>${escapeHtml(current.acknowledgedBy)}</strong> at ${escapeHtml(current.acknowledgedAt)}.</p>` : ''}
+<form method="post">
+  <p><label>Your name<br><input name="by" required maxlength="100" style="width: 100%; padding: 6px;"></label></p>
+  <p><label>Note (optional)<br><textarea name="note" rows="3" maxlength="1000" style="width: 100%; padding: 6px;"></textarea></label></p>
+  <p><button type="submit" style="padding: 8px 16px;">Acknowledge</button></p>
+</form>`);
+  } catch (error) {
+    log.error('❌ Error showing acknowledge page:', error);
+    ackPage(res, 500, 'Something went wrong', `<p>${escapeHtml(error.message)}</p>`);
+  }
+});
+
+app.post('/ack/:token', express.urlencoded({ extended: false, limit: '16kb' }), async (req, res) => {
+  try {
+    const alert = await ackFromToken(req, res);
+    if (!alert) {
+      return;
+    }
+    const by = req.body && typeof req.body.by === 'string' ? req.body.by.trim().slice(0, 100) : '';
+    if (!by) {
+      return ackPage(res, 400, 'Name required', '<p>Go back and enter your name so the team knows who is handling this.</p>');
+    }
+    const record = acks.acknowledge(alert, { by, note: req.body.note, via: 'link' });
+    log.info(`✋ ${alert.brand} ${alert.state} alert acknowledged by ${record.acknowledgedBy}`, { key: alert.key });
+    ackPage(res, 200, 'Acknowledged', `<p>Thanks, ${escapeHtml(record.acknowledgedBy)} - <strong>${escapeHtml(alert.brand)}</strong> (${escapeHtml(alert.state)}) is marked as being handled.</p>`);
+  } catch (error) {
+    log.error('❌ Error recording acknowledgement:', error);
+    ackPage(res, 500, 'Something went wrong', `<p>${escapeHtml(error.message)}</p>`);
+  }
+});
+
+// Acknowledgement history, newest first (?brand= and ?shop= for one brand)
+app.get('/admin/acknowledgements', canRead, (req, res) => {
+  const key = req.query.brand ? stateKey(req.query.shop || stores[0].id, req.query.brand) : undefined;
+  res.json({ acknowledgements: acks.history({ key }) });
+});
+
+// Acknowledge a brand's current alert without the email link: { note } (?shop= with several stores)
+app.post('/admin/acknowledgements/:brand', canTrigger, async (req, res) => {
+  const store = requestStore(req, res);
+  if (!store) {
+    return;
+  }
+  try {
+    const key = stateKey(store.id, req.params.brand);
+    const state = await stateStore.getState(key);
+    if (!state) {
+      return res.status(404).json({ success: false, error: 'No alert state for this brand' });
+    }
+    const record = acks.acknowledge({ key, brand: req.params.brand, state }, {
+      by: req.apiKey.name,
+      note: req.body && req.body.note,
+      via: 'api'
+    });
+    log.info(`✋ ${brandLabel(store, req.params.brand)} ${state} alert acknowledged by ${record.acknowledgedBy}`);
+    res.json({ success: true, acknowledgement: record });
+  } catch (error) {
+    log.error('❌ Error recording acknowledgement:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Notification state for every brand (latest transition)
+app.get('/admin/state', canRead, async (req, res) => {
+  try {
+    res.json({
+      store: stateStore.type,
+      brands: await stateStore.getAllStates(),
+      // Transitions waiting out MIN_DWELL_MINUTES before they're reported
+      dwell: dwell.enabled ? dwell.list() : null
+    });
+  } catch (error) {
+    log.error('❌ Error reading state:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Full transition history for one brand (?shop= picks the store, or pass the "<store>:<brand>" key)
+app.get('/admin/state/:brand', canRead, async (req, res) => {
+  try {
+    const key = req.query.shop ? stateKey(req.query.shop, req.params.brand) : req.params.brand;
+    // Snoozes are per brand, whichever store the key is for
+    const { brand } = splitStateKey(key, stores.map(store => store.id));
+    const history = await stateStore.getHistory(key);
+    res.json({
+      brand: key,
+      currentState: history.length > 0 ? history[history.length - 1].state : null,
+      snooze: brandRegistry.activeSnooze(brand),
+      acknowledgement: acks.current(key),
+      dwell: dwell.list().find(candidate => candidate.key === key) || null,
+      history: history
+    });
+  } catch (error) {
+    log.error('❌ Error reading state history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Each monitored brand's state across the stores that carry it, e.g. "OOS in all stores"
+app.get('/admin/rollup', canRead, async (req, res) => {
+  try {
+    const brands = [];
+    for (const brand of brandRegistry.monitoredBrands()) {
+      brands.push(await crossStoreRollup(brand));
+    }
+    res.json({
+      stores: stores.map(store => store.id),
+      oosInAllStores: brands.filter(item => item.oosInAllStores).map(item => item.brand),
+      brands: brands
+    });
+  } catch (error) {
+    log.error('❌ Error building cross-store rollup:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reconciliation schedule status and when each brand was last reconciled
+app.get('/admin/reconcile', canRead, async (req, res) => {
+  try {
+    res.json({
+      scheduler: reconciler.getStatus(),
+      brands: await stateStore.getReconciliations()
+    });
+  } catch (error) {
+    log.error('❌ Error reading reconciliation status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run a reconciliation sweep now (refuses to overlap a running sweep)
+app.post('/admin/reconcile/run', canTrigger, async (req, res) => {
+  if (reconciler.getStatus().running) {
+    return res.status(409).json({ success: false, error: 'Reconciliation already running' });
+  }
+  
+  try {
+    const summary = await reconciler.run('manual');
+    res.json({ success: true, summary: summary });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/admin/reconcile/pause', canAdmin, (req, res) => {
+  reconciler.pause();
+  log.info('⏸️  Scheduled reconciliation paused');
+  res.json({ success: true, scheduler: reconciler.getStatus() });
+});
+
+app.post('/admin/reconcile/resume', canAdmin, (req, res) => {
+  reconciler.resume();
+  log.info('▶️  Scheduled reconciliation resumed');
+  res.json({ success: true, scheduler: reconciler.getStatus() });
+});
+
+// Digest schedule and when the last one was delivered
+app.get('/admin/digest', canRead, (req, res) => {
+  const last = digestLog.getLast();
+  res.json({
+    scheduler: digestTask.getStatus(),
+    lastSentAt: last ? last.sentAt : null
+  });
+});
+
+// Generate the digest now without sending it (?format=json|text|html, default json)
+app.get('/admin/digest/preview', canTrigger, async (req, res) => {
+  try {
+    const digest = await generateDigest();
+    const { snapshot, ...data } = digest;
+    const rendered = renderDigest(digest);
+    if (req.query.format === 'html') {
+      res.type('html').send(rendered.html);
+    } else if (req.query.format === 'text') {
+      res.type('text').send(rendered.message);
+    } else {
+      res.json({ ...data, subject: rendered.subject });
+    }
+  } catch (error) {
+    log.error('❌ Error generating digest:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Generate and email the digest now
+app.post('/admin/digest/send', canTrigger, async (req, res) => {
+  if (digestTask.getStatus().running) {
+    return res.status(409).json({ success: false, error: 'A digest is already being sent' });
+  }
+  try {
+    const result = await digestTask.run('manual');
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Effective stock rules (global default plus per-brand overrides)
+app.get('/admin/stock-rules', canRead, (req, res) => {
+  const brands = {};
+  for (const brand of brandRegistry.monitoredBrands()) {
+    brands[brand] = stockRules.getRuleForBrand(brand);
+  }
+  res.json({ default: stockRules.defaultRule, brands: brands });
+});
+
+// Brand registry: every brand with its aliases and enabled flag
+app.get('/admin/brands', canRead, (req, res) => {
+  res.json({ brands: brandRegistry.list() });
+});
+
+// Add a brand: { "name": "Nike", "aliases": ["NIKE Inc."], "enabled": true }
+app.post('/admin/brands', canAdmin, (req, res) => {
+  try {
+    const brand = brandRegistry.add(req.body);
+    log.info(`🏷️  Brand added: ${brand.name}`);
+    res.status(201).json({ success: true, brand: brand });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update aliases and/or enabled flag
+app.patch('/admin/brands/:name', canAdmin, (req, res) => {
+  try {
+    const brand = brandRegistry.update(req.params.name, req.body);
+    if (!brand) {
+      return res.status(404).json({ success: false, error: 'Brand not found' });
+    }
+    log.info(`🏷️  Brand updated: ${brand.name}`);
+    res.json({ success: true, brand: brand });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/admin/brands/:name', canAdmin, (req, res) => {
+  const vendors = brandRegistry.vendorsFor(req.params.name);
+  if (!brandRegistry.remove(req.params.name)) {
+    return res.status(404).json({ success: false, error: 'Brand not found' });
+  }
+  for (const store of stores) {
+    if (store.inventoryCache) {
+      store.inventoryCache.forgetVendors(vendors);
+    }
+  }
+  log.info(`🗑️  Brand removed: ${req.params.name}`);
+  res.json({ success: true });
+});
+
+app.post('/admin/brands/:name/pause', canAdmin, (req, res) => {
+  const brand = brandRegistry.update(req.params.name, { enabled: false });
+  if (!brand) {
+    return res.status(404).json({ success: false, error: 'Brand not found' });
+  }
+  log.info(`⏸️  Brand paused: ${brand.name}`);
+  res.json({ success: true, brand: brand });
+});
+
+app.post('/admin/brands/:name/resume', canAdmin, (req, res) => {
+  const brand = brandRegistry.update(req.params.name, { enabled: true });
+  if (!brand) {
+    return res.status(404).json({ success: false, error: 'Brand not found' });
+  }
+  log.info(`▶️  Brand resumed: ${brand.name}`);
+  res.json({ success: true, brand: brand });
+});
 
-// Verify webhook authenticity - CRITICAL FIX
-function verifyWebhook(req) {
-  const hmac = req.get('X-Shopify-Hmac-Sha256');
-  
-  if (!hmac) {
-    console.log('⚠️  No HMAC header found');
-    return false;
+// Silence a brand's alerts until a date: { until, reason }. Its state is still tracked.
+app.post('/admin/brands/:name/snooze', canAdmin, (req, res) => {
+  const { until, reason } = req.body || {};
+  let brand;
+  try {
+    brand = brandRegistry.snooze(req.params.name, { until, reason, by: req.apiKey.name });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
   }
-  
-  if (!req.rawBody) {
-    console.log('⚠️  No raw body available for verification');
-    return false;
+  if (!brand) {
+    return res.status(404).json({ success: false, error: 'Brand not found' });
   }
-  
-  const generatedHash = crypto
-    .createHmac('sha256', CONFIG.SHOPIFY_WEBHOOK_SECRET)
-    .update(req.rawBody) // Use Buffer directly, don't convert to string
-    .digest('base64');
+  log.info(`🔕 Brand snoozed until ${brand.snooze.until}: ${brand.name} by ${req.apiKey.name}`);
+  res.json({ success: true, brand: brand });
+});
 
-  console.log('🔐 HMAC Verification:');
-  console.log('   Shopify HMAC:', hmac);
-  console.log('   Generated HMAC:', generatedHash);
-  console.log('   Match:', generatedHash === hmac);
+app.delete('/admin/brands/:name/snooze', canAdmin, (req, res) => {
+  const brand = brandRegistry.unsnooze(req.params.name);
+  if (!brand) {
+    return res.status(404).json({ success: false, error: 'Brand not found' });
+  }
+  log.info(`🔔 Brand unsnoozed: ${brand.name} by ${req.apiKey.name}`);
+  res.json({ success: true, brand: brand });
+});
 
-  // timingSafeEqual avoids timing attacks (recommended)
+// Every vendor in the shop, and which registered brand (if any) it maps to (?shop= with several stores)
+app.get('/admin/vendors', canRead, async (req, res) => {
+  const store = requestStore(req, res);
+  if (!store) {
+    return;
+  }
   try {
-    return crypto.timingSafeEqual(Buffer.from(generatedHash), Buffer.from(hmac));
-  } catch (err) {
-    console.log('❌ timingSafeEqual failed:', err.message);
-    return false;
+    res.json(await describeVendors(store));
+  } catch (error) {
+    log.error('❌ Error discovering vendors:', error);
+    res.status(500).json({ error: error.message });
   }
-}
+});
+
+// Notification templates and where each file comes from (built-in or override)
+app.get('/admin/templates', canRead, (req, res) => {
+  res.json(templates.describe());
+});
 
-// Fetch all products for a brand (handles pagination)
-async function getProductsForBrand(vendor) {
-  let allProducts = [];
-  let url = `${CONFIG.SHOPIFY_SHOP}/admin/api/2024-10/products.json?vendor=${encodeURIComponent(vendor)}&limit=250`;
+// Render a template with sample data without sending it (?format=html|text|json)
+app.get('/admin/templates/:name/preview', canRead, (req, res) => {
+  if (!TEMPLATE_NAMES.includes(req.params.name)) {
+    return res.status(404).json({ error: `Unknown template. Available: ${TEMPLATE_NAMES.join(', ')}` });
+  }
   
-  while (url) {
-    const response = await fetch(url, {
-      headers: {
-        'X-Shopify-Access-Token': CONFIG.SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Shopify API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    allProducts = allProducts.concat(data.products || []);
+  try {
+    const context = buildSampleContext(req.params.name, { shop: stores[0].shop });
+    const rendered = templates.render(req.params.name, context);
+    const format = req.query.format || 'html';
     
-    // Check for pagination
-    const linkHeader = response.headers.get('Link');
-    url = null;
-    if (linkHeader) {
-      const nextMatch = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
-      if (nextMatch) {
-        url = nextMatch[1];
-      }
+    if (format === 'text') {
+      res.type('text/plain').send(`Subject: ${rendered.subject}\n\n${rendered.text}`);
+    } else if (format === 'json') {
+      res.json({ template: req.params.name, context: context, ...rendered });
+    } else {
+      res.type('html').send(rendered.html);
     }
+  } catch (error) {
+    log.error('❌ Error rendering template preview:', error);
+    res.status(500).json({ error: error.message });
   }
-  
-  return allProducts;
-}
+});
 
-// Check if all products in brand are OOS
-async function checkBrandStock(vendor) {
-  const products = await getProductsForBrand(vendor);
-  
-  if (products.length === 0) {
-    return { 
-      allOOS: false, 
-      totalProducts: 0, 
-      oosProducts: 0,
-      inStockProducts: 0
-    };
+// Brand subscriptions: who gets alerts for which brands
+app.get('/admin/subscriptions', canRead, (req, res) => {
+  res.json(subscriptions.list());
+});
+
+// Subscribe a recipient: { "recipient": "a@b.com", "brands": ["Nike", "Adidas*", "group:outdoor"] }
+app.post('/admin/subscriptions', canAdmin, (req, res) => {
+  const { recipient, brand } = req.body;
+  const brands = req.body.brands || (brand ? [brand] : []);
+  if (!recipient || brands.length === 0) {
+    return res.status(400).json({ success: false, error: 'recipient and brands are required' });
   }
   
-  let totalProducts = products.length;
-  let oosProducts = 0;
-  
-  for (const product of products) {
-    let productTotalStock = 0;
-    
-    for (const variant of product.variants) {
-      productTotalStock += variant.inventory_quantity || 0;
-    }
-    
-    if (productTotalStock <= 0) {
-      oosProducts++;
-    }
+  try {
+    const created = subscriptions.subscribe(recipient, brands);
+    log.info(`📝 Subscribed ${recipient} to ${brands.join(', ')}`);
+    res.status(201).json({ success: true, subscriptions: created });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
   }
-  
-  return {
-    allOOS: totalProducts === oosProducts,
-    totalProducts,
-    oosProducts,
-    inStockProducts: totalProducts - oosProducts
-  };
-}
+});
 
-// Send email via SendGrid API
-async function sendEmailViaSendGrid(subject, message) {
-  try {
-    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${CONFIG.SENDGRID_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        personalizations: [{
-          to: [{ email: CONFIG.EMAIL_TO }]
-        }],
-        from: { 
-          email: CONFIG.EMAIL_FROM,
-          name: 'Shopify Inventory Monitor'
-        },
-        subject: subject,
-        content: [{
-          type: 'text/html',
-          value: `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-</head>
-<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-  <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
-    <h2 style="margin: 0; color: #212529;">${subject.replace(/🚨|✅/g, '').trim()}</h2>
-  </div>
-  <div style="background: white; padding: 20px; border-radius: 8px; border: 1px solid #dee2e6;">
-    <pre style="font-family: 'Courier New', monospace; white-space: pre-wrap; margin: 0; font-size: 14px;">${message}</pre>
-  </div>
-  <div style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #dee2e6; font-size: 12px; color: #6c757d;">
-    <p>This is an automated notification from your Shopify Brand Inventory Monitor.</p>
-    <p>Please do not reply to this email.</p>
-  </div>
-</body>
-</html>
-          `
-        }],
-        // Anti-spam headers
-        tracking_settings: {
-          click_tracking: { enable: false },
-          open_tracking: { enable: false }
-        },
-        // Email category for analytics
-        categories: ['inventory-alert']
-      })
-    });
-    
-    if (response.ok) {
-      console.log('✅ Email sent via SendGrid:', subject);
-      return { success: true, method: 'sendgrid' };
-    } else {
-      const error = await response.text();
-      console.error('❌ SendGrid error:', error);
-      return { success: false, error: error };
+app.delete('/admin/subscriptions/:id', canAdmin, (req, res) => {
+  if (!subscriptions.unsubscribe(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Subscription not found' });
+  }
+  log.info(`🗑️  Removed subscription ${req.params.id}`);
+  res.json({ success: true });
+});
+
+// Create or replace a brand group: { "brands": ["Patagonia", "North Face*"] }
+app.put('/admin/subscription-groups/:name', canAdmin, (req, res) => {
+  try {
+    const brands = subscriptions.setGroup(req.params.name, req.body.brands);
+    res.json({ success: true, group: req.params.name, brands: brands });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/admin/subscription-groups/:name', canAdmin, (req, res) => {
+  try {
+    if (!subscriptions.deleteGroup(req.params.name)) {
+      return res.status(404).json({ success: false, error: 'Group not found' });
     }
+    res.json({ success: true });
   } catch (error) {
-    console.error('❌ SendGrid request failed:', error.message);
-    return { success: false, error: error.message };
+    res.status(409).json({ success: false, error: error.message });
   }
-}
+});
+
+// Who would be notified about a brand
+app.get('/admin/subscriptions/recipients/:brand', canRead, (req, res) => {
+  res.json({ brand: req.params.brand, recipients: subscriptions.recipientsFor(req.params.brand) });
+});
+
+// Audit log of automatic storefront changes (optionally ?brand=...&limit=..., ?shop= with several stores)
+app.get('/admin/actions', canRead, (req, res) => {
+  const store = requestStore(req, res);
+  if (!store) {
+    return;
+  }
+  const { storefrontActions } = store;
+  res.json({
+    shop: store.id,
+    dryRun: storefrontActions.dryRun,
+    configuredBrands: storefrontActions.brands,
+    audit: storefrontActions.getAuditLog({
+      brand: req.query.brand,
+      limit: parseInt(req.query.limit, 10) || 100
+    })
+  });
+});
 
-// Send email via SMTP with timeout
-async function sendEmailViaSMTP(subject, message) {
+// Revert the last automatic change made for a brand
+app.post('/admin/actions/:brand/undo', canAdmin, async (req, res) => {
+  const store = requestStore(req, res);
+  if (!store) {
+    return;
+  }
   try {
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Email send timeout after 15 seconds')), 15000)
-    );
-    
-    const sendPromise = transporter.sendMail({
-      from: CONFIG.EMAIL_FROM,
-      to: CONFIG.EMAIL_TO,
-      subject: subject,
-      text: message,
-      html: `<div style="font-family: monospace; white-space: pre-wrap;">${message}</div>`
-    });
-    
-    const info = await Promise.race([sendPromise, timeoutPromise]);
-    console.log('✅ Email sent via SMTP:', subject);
-    console.log('📧 Message ID:', info.messageId);
-    return { success: true, messageId: info.messageId, method: 'smtp' };
+    const result = await store.storefrontActions.undoLast(req.params.brand);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'No applied action to undo for this brand' });
+    }
+    res.status(result.success ? 200 : 500).json(result);
   } catch (error) {
-    console.error('❌ SMTP error:', error.code, error.message);
-    return { success: false, error: error.message, code: error.code };
+    log.error('❌ Error undoing action:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-}
+});
 
-// Send email notification (auto-select method)
-async function sendEmail(subject, message) {
-  if (emailMethod === 'sendgrid') {
-    return await sendEmailViaSendGrid(subject, message);
-  } else if (emailMethod === 'smtp') {
-    return await sendEmailViaSMTP(subject, message);
-  } else {
-    console.error('❌ No email method configured');
-    return { success: false, error: 'No email credentials configured' };
+// Inventory cache contents and its verification schedule (per store when there are several)
+app.get('/admin/inventory-cache', canRead, (req, res) => {
+  if (!CONFIG.INVENTORY_CACHE) {
+    return res.json({ enabled: false });
   }
-}
+  if (stores.length === 1) {
+    return res.json({ enabled: true, ...stores[0].inventoryCache.getStatus(), verification: inventorySync.getStatus() });
+  }
+  const perStore = {};
+  for (const store of stores) {
+    perStore[store.id] = store.inventoryCache.getStatus();
+  }
+  res.json({ enabled: true, stores: perStore, verification: inventorySync.getStatus() });
+});
 
-// Main webhook handler - FIXED VERSION
-app.post('/webhook/inventory', async (req, res) => {
-  console.log('📥 Webhook received');
-  console.log('📋 Headers:', JSON.stringify(req.headers, null, 2));
-  console.log('📦 Body type:', typeof req.body);
-  console.log('📦 Raw body length:', req.rawBody?.length || 0);
-  
-  // Verify webhook is from Shopify
-  if (!verifyWebhook(req)) {
-    console.log('❌ Invalid webhook signature');
-    return res.status(401).send('Unauthorized');
+// Re-sync the cache from Shopify now (reports drift per brand)
+app.post('/admin/inventory-cache/sync', canTrigger, async (req, res) => {
+  if (!CONFIG.INVENTORY_CACHE) {
+    return res.status(400).json({ success: false, error: 'Inventory cache is disabled (INVENTORY_CACHE=false)' });
   }
-  
-  console.log('✅ Webhook verified');
-  
-  // Handle test webhooks (they often have empty bodies)
-  if (!req.body || Object.keys(req.body).length === 0) {
-    console.log('⚠️  Empty webhook body (likely a test webhook)');
-    console.log('✅ Test webhook received successfully');
-    return res.status(200).send('OK - Test webhook received');
+  if (inventorySync.getStatus().running) {
+    return res.status(409).json({ success: false, error: 'An inventory sync is already running' });
   }
-  
-  console.log('📄 Webhook body:', JSON.stringify(req.body, null, 2));
-  
-  // Respond immediately to Shopify
-  res.status(200).send('OK');
-  
-  // CRITICAL FIX: Wait for Shopify's database to update
-  // Shopify's inventory system needs a moment to propagate changes
-  console.log('⏳ Waiting 3 seconds for Shopify inventory to propagate...');
-  await new Promise(resolve => setTimeout(resolve, 3000));
-  console.log('✅ Proceeding with stock check');
-  
   try {
-    // Get the inventory item that changed from webhook
-    const inventoryItemId = req.body.inventory_item_id;
-    
-    if (!inventoryItemId) {
-      console.log('⚠️  No inventory_item_id in webhook, skipping');
-      return;
-    }
-    
-    console.log(`🔍 Looking up product for inventory item: ${inventoryItemId}`);
-    
-    // Use GraphQL to efficiently find the product by inventory_item_id
-    const graphqlQuery = `
-      query getInventoryItem($id: ID!) {
-        inventoryItem(id: $id) {
-          variant {
-            product {
-              vendor
-              title
-            }
-          }
-        }
-      }
-    `;
-    
-    const graphqlResponse = await fetch(
-      `${CONFIG.SHOPIFY_SHOP}/admin/api/2024-10/graphql.json`,
-      {
-        method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': CONFIG.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          query: graphqlQuery,
-          variables: {
-            id: `gid://shopify/InventoryItem/${inventoryItemId}`
-          }
-        })
-      }
-    );
-    
-    if (!graphqlResponse.ok) {
-      console.error('❌ GraphQL query failed');
-      return;
-    }
-    
-    const graphqlData = await graphqlResponse.json();
-    
-    if (graphqlData.errors) {
-      console.error('❌ GraphQL errors:', JSON.stringify(graphqlData.errors));
-      return;
-    }
-    
-    const vendor = graphqlData.data?.inventoryItem?.variant?.product?.vendor;
-    const productTitle = graphqlData.data?.inventoryItem?.variant?.product?.title;
-    
-    if (!vendor) {
-      console.log('❌ Could not find vendor for this inventory item');
-      return;
-    }
-    
-    console.log(`📦 Product: ${productTitle}`);
-    console.log(`📦 Brand that changed: ${vendor}`);
-    
-    // Check if this brand is in our monitoring list
-    if (!CONFIG.BRANDS_TO_MONITOR.includes(vendor)) {
-      console.log(`⏭️  Brand "${vendor}" is not in monitoring list, skipping`);
-      return;
-    }
-    
-    // Only check the brand that actually changed
-    console.log(`🔍 Checking stock for: ${vendor}`);
-    const stockStatus = await checkBrandStock(vendor);
-    const lastState = lastNotificationState[vendor];
-    
-    console.log(`📊 ${vendor}: ${stockStatus.inStockProducts}/${stockStatus.totalProducts} in stock`);
-    
-    // All products are OOS - send alert if state changed
-    if (stockStatus.allOOS && lastState !== 'OOS') {
-      console.log(`🚨 ${vendor} - ALL OUT OF STOCK`);
-      await sendEmail(
-        `🚨 ALL ${vendor} Products OUT OF STOCK`,
-        `All ${stockStatus.totalProducts} products for "${vendor}" are now out of stock.\n\n` +
-        `⚠️ ACTION REQUIRED: Hide this brand from your brand page.\n\n` +
-        `Brand: ${vendor}\n` +
-        `Total Products: ${stockStatus.totalProducts}\n` +
-        `Out of Stock: ${stockStatus.oosProducts}\n\n` +
-        `Timestamp: ${new Date().toISOString()}`
-      );
-      lastNotificationState[vendor] = 'OOS';
-    }
-    
-    // At least one product back in stock
-    else if (!stockStatus.allOOS && stockStatus.inStockProducts > 0 && lastState === 'OOS') {
-      console.log(`✅ ${vendor} - BACK IN STOCK`);
-      await sendEmail(
-        `✅ ${vendor} Products BACK IN STOCK`,
-        `Good news! ${stockStatus.inStockProducts} product(s) for "${vendor}" are back in stock.\n\n` +
-        `✅ ACTION REQUIRED: Show this brand on your brand page.\n\n` +
-        `Brand: ${vendor}\n` +
-        `Total Products: ${stockStatus.totalProducts}\n` +
-        `In Stock: ${stockStatus.inStockProducts}\n` +
-        `Out of Stock: ${stockStatus.oosProducts}\n\n` +
-        `Timestamp: ${new Date().toISOString()}`
-      );
-      lastNotificationState[vendor] = 'IN_STOCK';
-    }
-  } catch (error) {
-    console.error('❌ Error processing webhook:', error);
-  }
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok',
-    emailMethod: emailMethod,
-    monitoring: CONFIG.BRANDS_TO_MONITOR,
-    timestamp: new Date().toISOString()
-  });
+    const summary = await inventorySync.run('manual');
+    res.json({ success: true, summary: summary });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-// Manual trigger endpoint for testing
-app.get('/check-now', async (req, res) => {
+// Shopify API call counts, retries, errors and latency per operation (per store when there are several)
+app.get('/admin/shopify/metrics', canRead, (req, res) => {
+  if (stores.length === 1) {
+    return res.json(stores[0].shopify.getMetrics());
+  }
+  const perStore = {};
+  for (const store of stores) {
+    perStore[store.id] = store.shopify.getMetrics();
+  }
+  res.json({ stores: perStore });
+});
+
+// API keys (hashes are never returned)
+app.get('/admin/api-keys', canAdmin, (req, res) => {
+  res.json({ scopes: SCOPES, keys: apiKeys.list() });
+});
+
+// Create a key: { "name": "ops dashboard", "scopes": ["read"] }. The key is only shown in this response.
+app.post('/admin/api-keys', canAdmin, (req, res) => {
   try {
-    console.log('🔄 Manual check triggered');
-    const results = {};
-    const oosbrands = [];
-    
-    for (const brand of CONFIG.BRANDS_TO_MONITOR) {
-      const stockStatus = await checkBrandStock(brand);
-      results[brand] = stockStatus;
-      
-      // Collect brands that are completely out of stock
-      if (stockStatus.allOOS && stockStatus.totalProducts > 0) {
-        oosbrands.push({
-          brand: brand,
-          totalProducts: stockStatus.totalProducts
-        });
-      }
-    }
-    
-    // Send one consolidated email if any brands are OOS
-    if (oosbrands.length > 0) {
-      console.log(`📧 Found ${oosbrands.length} brand(s) out of stock, sending consolidated email`);
-      
-      // Build the email message
-      let emailMessage = `Manual inventory check completed. Found ${oosbrands.length} brand(s) completely out of stock:\n\n`;
-      emailMessage += `⚠️ BRANDS OUT OF STOCK:\n`;
-      emailMessage += `${'='.repeat(50)}\n\n`;
-      
-      oosbrands.forEach((item, index) => {
-        emailMessage += `${index + 1}. ${item.brand}\n`;
-        emailMessage += `   Total Products: ${item.totalProducts}\n`;
-        emailMessage += `   Status: ALL OUT OF STOCK\n\n`;
-      });
-      
-      emailMessage += `${'='.repeat(50)}\n`;
-      emailMessage += `Total Brands Monitored: ${CONFIG.BRANDS_TO_MONITOR.length}\n`;
-      emailMessage += `Brands Out of Stock: ${oosbrands.length}\n`;
-      emailMessage += `Brands In Stock: ${CONFIG.BRANDS_TO_MONITOR.length - oosbrands.length}\n\n`;
-      emailMessage += `⚠️ ACTION REQUIRED: Hide these brands from your brand page.\n\n`;
-      emailMessage += `Timestamp: ${new Date().toISOString()}`;
-      
-      // Send the email
-      const emailResult = await sendEmail(
-        `🚨 Manual Check: ${oosbrands.length} Brand(s) Out of Stock`,
-        emailMessage
-      );
-      
-      if (emailResult.success) {
-        console.log('✅ Consolidated OOS email sent successfully');
-      } else {
-        console.error('❌ Failed to send OOS email:', emailResult.error);
-      }
-      
-      // Add email status to response
-      res.json({
-        results: results,
-        summary: {
-          totalBrands: CONFIG.BRANDS_TO_MONITOR.length,
-          brandsOutOfStock: oosbrands.length,
-          brandsInStock: CONFIG.BRANDS_TO_MONITOR.length - oosbrands.length,
-          emailSent: emailResult.success,
-          oosBrands: oosbrands.map(item => item.brand)
-        }
-      });
-    } else {
-      console.log('✅ All monitored brands have stock, no email needed');
-      res.json({
-        results: results,
-        summary: {
-          totalBrands: CONFIG.BRANDS_TO_MONITOR.length,
-          brandsOutOfStock: 0,
-          brandsInStock: CONFIG.BRANDS_TO_MONITOR.length,
-          emailSent: false,
-          message: 'All brands have inventory in stock'
-        }
-      });
-    }
+    const { key, record } = apiKeys.create(req.body);
+    log.info(`🔑 API key created: ${record.name} [${record.scopes.join(', ')}] by ${req.apiKey.name}`);
+    res.status(201).json({ success: true, key: key, apiKey: record });
   } catch (error) {
-    console.error('❌ Error in manual check:', error);
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/admin/api-keys/:id', canAdmin, (req, res) => {
+  const record = apiKeys.revoke(req.params.id);
+  if (!record) {
+    return res.status(404).json({ success: false, error: 'API key not found' });
   }
+  log.info(`🔑 API key revoked: ${record.name} by ${req.apiKey.name}`);
+  res.json({ success: true, apiKey: record });
+});
+
+// Who called what (?keyId=...&limit=100)
+app.get('/admin/access-log', canAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json({ entries: auth.getAuditLog({ keyId: req.query.keyId, limit }) });
 });
 
 // NEW: Debug endpoint - check your configuration
-app.get('/debug-config', (req, res) => {
+app.get('/debug-config', canAdmin, (req, res) => {
+  // Only whether credentials are set - never any part of them
   res.json({
     shopifyShop: CONFIG.SHOPIFY_SHOP,
     hasAccessToken: !!CONFIG.SHOPIFY_ACCESS_TOKEN,
-    accessTokenLength: CONFIG.SHOPIFY_ACCESS_TOKEN?.length || 0,
     hasWebhookSecret: !!CONFIG.SHOPIFY_WEBHOOK_SECRET,
-    webhookSecretLength: CONFIG.SHOPIFY_WEBHOOK_SECRET?.length || 0,
-    webhookSecretPreview: CONFIG.SHOPIFY_WEBHOOK_SECRET ? 
-      CONFIG.SHOPIFY_WEBHOOK_SECRET.substring(0, 4) + '...' + CONFIG.SHOPIFY_WEBHOOK_SECRET.substring(CONFIG.SHOPIFY_WEBHOOK_SECRET.length - 4) : 
-      'NOT SET'
+    stores: stores.map(store => ({
+      id: store.id,
+      shop: store.shop,
+      domain: store.domain,
+      hasAccessToken: !!store.accessToken,
+      hasWebhookSecret: !!store.webhookSecret,
+      brands: store.brands || 'all'
+    }))
   });
 });
 
 // Test email endpoint
-app.get('/test-email', async (req, res) => {
-  try {
-    console.log('📧 Testing email...');
-    const result = await sendEmail(
-      '🧪 Test Email from Shopify Monitor',
-      `This is a test email to verify your email configuration is working.\n\n` +
-      `Method: ${emailMethod}\n` +
-      `From: ${CONFIG.EMAIL_FROM}\n` +
-      `To: ${CONFIG.EMAIL_TO}\n` +
-      `Timestamp: ${new Date().toISOString()}\n\n` +
-      `If you're seeing this, your email setup is working correctly! ✅`
-    );
+app.get('/test-email', canTrigger, async (req, res) => {
+  try {
+    log.info('📧 Testing email...');
+    const result = await notifier.notify('test', renderNotification('test', buildTestContext({
+      method: emailMethod,
+      from: CONFIG.EMAIL_FROM,
+      to: CONFIG.EMAIL_TO
+    })), { channels: ['email'] });
     
     if (result.success) {
       res.json({ 
         success: true, 
         message: 'Test email sent! Check your inbox at ' + CONFIG.EMAIL_TO,
-        method: result.method,
-        messageId: result.messageId 
+        method: emailMethod,
+        messageId: result.results[0].messageId,
+        deliveries: result.results
       });
     } else {
       res.status(500).json({ 
         success: false, 
         error: result.error,
+        deliveries: result.results,
         suggestion: 'Try using SendGrid instead - Gmail SMTP often gets blocked by hosting providers'
       });
     }
   } catch (error) {
-    console.error('❌ Test email failed:', error);
+    log.error('❌ Test email failed:', error);
     res.status(500).json({ 
       success: false, 
       error: error.message 
@@ -593,87 +2497,264 @@ app.get('/test-email', async (req, res) => {
   }
 });
 
-// NEW: List all registered webhooks
-app.get('/admin/webhooks', async (req, res) => {
+// Send the test notification to every channel, or only the named ones
+async function sendTestNotification(channels = null) {
+  log.info('📣 Testing notification channels...');
+  return notifier.notify('test', {
+    ...renderNotification('test', buildTestContext({
+      method: notifier.channels.map(channel => channel.name).join(', '),
+      from: CONFIG.EMAIL_FROM,
+      to: CONFIG.EMAIL_TO
+    })),
+    data: { test: true }
+  }, channels ? { channels } : {});
+}
+
+// Test every notification channel (or ?channels=slack,teams) and report per-channel results
+app.get('/test-notify', canTrigger, async (req, res) => {
   try {
-    const response = await fetch(
-      `${CONFIG.SHOPIFY_SHOP}/admin/api/2024-10/webhooks.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': CONFIG.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const channels = req.query.channels ? req.query.channels.split(',').map(name => name.trim()) : null;
+    const unknown = (channels || []).filter(name => !notifier.hasChannel(name));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, error: `Unknown or unconfigured channel(s): ${unknown.join(', ')}` });
+    }
+    
+    const result = await sendTestNotification(channels);
     
-    const data = await response.json();
-    res.json(data);
-    console.log('📋 Registered webhooks:', data.webhooks?.length || 0);
+    res.status(result.success ? 200 : 500).json({
+      success: result.success,
+      delivered: result.delivered,
+      failed: result.failed,
+      deliveries: result.results
+    });
+  } catch (error) {
+    log.error('❌ Test notification failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// NEW: List all registered webhooks (?shop= with several stores)
+app.get('/admin/webhooks', canRead, async (req, res) => {
+  const store = requestStore(req, res);
+  if (!store) {
+    return;
+  }
+  try {
+    const webhooks = await listWebhooks(store.shopify);
+    res.json({ webhooks });
+    log.info('📋 Registered webhooks:', webhooks.length);
   } catch (error) {
-    console.error('❌ Error fetching webhooks:', error);
+    log.error('❌ Error fetching webhooks:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// NEW: Register webhook programmatically
-app.post('/admin/register-webhook', async (req, res) => {
-  const webhookUrl = req.body.url || `https://${req.get('host')}/webhook/inventory`;
+// Planned webhook subscription changes, without applying them (?baseUrl= to check another host,
+// ?shop= with several stores)
+app.get('/admin/webhooks/reconcile', canRead, async (req, res) => {
+  const store = requestStore(req, res);
+  if (!store) {
+    return;
+  }
+  try {
+    const result = await store.webhookReconciler.reconcile({
+      dryRun: true,
+      baseUrl: req.query.baseUrl || CONFIG.PUBLIC_URL
+    });
+    res.json({ shop: store.id, ...result, scheduler: webhookSync.getStatus() });
+  } catch (error) {
+    log.error('❌ Error planning webhook reconciliation:', error.message);
+    res.status(500).json({ success: false, error: error.body || error.message });
+  }
+});
+
+// Apply the reconciliation for PUBLIC_URL now, in every store
+app.post('/admin/webhooks/reconcile', canAdmin, async (req, res) => {
+  if (!CONFIG.PUBLIC_URL) {
+    return res.status(400).json({ success: false, error: 'PUBLIC_URL is not set - use /admin/register-webhook with a baseUrl' });
+  }
+  if (webhookSync.getStatus().running) {
+    return res.status(409).json({ success: false, error: 'A webhook reconciliation is already running' });
+  }
+  try {
+    const result = await webhookSync.run('manual');
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.body || error.message });
+  }
+});
+
+// Register every webhook topic the monitor needs and clean up duplicates / old hosts.
+// Body: { "baseUrl": "https://monitor.example.com", "shop": "eu" }; baseUrl defaults to PUBLIC_URL,
+// then this server's host. shop is only needed with several stores.
+app.post('/admin/register-webhook', canAdmin, async (req, res) => {
+  const store = requestStore(req, res);
+  if (!store) {
+    return;
+  }
+  // Older clients send the full inventory webhook URL
+  const baseUrl = req.body.baseUrl ||
+    (req.body.url ? req.body.url.replace(/\/webhook\/inventory\/?$/, '') : null) ||
+    CONFIG.PUBLIC_URL ||
+    `https://${req.get('host')}`;
   
   try {
-    const response = await fetch(
-      `${CONFIG.SHOPIFY_SHOP}/admin/api/2024-10/webhooks.json`,
-      {
-        method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': CONFIG.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          webhook: {
-            topic: 'inventory_levels/update',
-            address: webhookUrl,
-            format: 'json'
-          }
-        })
-      }
-    );
-    
-    const data = await response.json();
-    
-    if (response.ok) {
-      res.json({ success: true, webhook: data.webhook });
-      console.log('✅ Webhook registered:', data.webhook.id);
-    } else {
-      res.status(500).json({ success: false, error: data });
-      console.error('❌ Webhook registration failed:', data);
-    }
+    const result = await store.webhookReconciler.reconcile({ baseUrl });
+    const failed = result.results.filter(entry => !entry.success);
+    log.info(`✅ Webhooks registered in ${store.id} for ${baseUrl}: ${result.plan.create.length} created, ` +
+      `${result.plan.keep.length} already present, ${result.plan.remove.length} removed`);
+    res.status(failed.length > 0 ? 500 : 200).json({ success: failed.length === 0, shop: store.id, ...result });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-    console.error('❌ Error registering webhook:', error);
+    // Shopify's validation errors (e.g. invalid address) come back in error.body
+    res.status(500).json({ success: false, error: error.body || error.message });
+    log.error('❌ Webhook registration failed:', error.body || error.message);
   }
 });
 
 // Root endpoint
-app.get('/', (req, res) => {
+app.get('/', canRead, (req, res) => {
   res.json({
     service: 'Shopify Brand Inventory Monitor',
     status: 'running',
     emailMethod: emailMethod,
-    monitoring: CONFIG.BRANDS_TO_MONITOR.length + ' brands',
+    monitoring: brandRegistry.monitoredBrands().length + ' brands',
+    stores: stores.map(store => store.id),
     endpoints: {
       health: '/health',
+      liveness: '/health/live',
+      metrics: '/metrics',
       webhook: '/webhook/inventory (POST)',
+      productWebhook: '/webhook/products (POST)',
       manualCheck: '/check-now',
       testEmail: '/test-email',
+      testNotify: '/test-notify',
       listWebhooks: '/admin/webhooks',
-      registerWebhook: '/admin/register-webhook (POST)'
+      registerWebhook: '/admin/register-webhook (POST)',
+      webhookReconcile: '/admin/webhooks/reconcile (GET = dry run, POST = apply)',
+      state: '/admin/state',
+      brandHistory: '/admin/state/:brand (?shop=)',
+      crossStoreRollup: '/admin/rollup',
+      stockHistory: '/admin/stock-history (?from=&to=&format=csv)',
+      brandStockHistory: '/admin/stock-history/:brand (?from=&to=&format=csv)',
+      reconcile: '/admin/reconcile',
+      runReconcile: '/admin/reconcile/run (POST)',
+      digest: '/admin/digest',
+      digestPreview: '/admin/digest/preview (?format=json|text|html)',
+      sendDigest: '/admin/digest/send (POST)',
+      jobs: '/admin/jobs',
+      replayDeadJobs: '/admin/jobs/dead/replay (POST)',
+      notifications: '/admin/notifications (?status=pending|held|batched|failed|delivered|superseded)',
+      resendNotifications: '/admin/notifications/resend (POST), /admin/notifications/:id/resend (POST)',
+      stockRules: '/admin/stock-rules',
+      actions: '/admin/actions',
+      undoAction: '/admin/actions/:brand/undo (POST)',
+      subscriptions: '/admin/subscriptions',
+      templates: '/admin/templates',
+      templatePreview: '/admin/templates/:name/preview',
+      brands: '/admin/brands',
+      snoozeBrand: '/admin/brands/:name/snooze (POST { until, reason }, DELETE)',
+      acknowledge: '/ack/:token (link in alert emails)',
+      acknowledgements: '/admin/acknowledgements (?brand=&shop=), /admin/acknowledgements/:brand (POST)',
+      vendors: '/admin/vendors',
+      inventoryCache: '/admin/inventory-cache',
+      shopifyMetrics: '/admin/shopify/metrics',
+      apiKeys: '/admin/api-keys',
+      accessLog: '/admin/access-log'
     }
   });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 Webhook server running on port ${PORT}`);
-  console.log(`📦 Monitoring ${CONFIG.BRANDS_TO_MONITOR.length} brands`);
-  console.log(`📧 Email method: ${emailMethod}`);
-});
+// How long shutdown waits for open requests before writing state and exiting
+const SHUTDOWN_TIMEOUT_MS = 5000;
+
+// Listen and start the background work (sweeps, queue, outbox, webhook sync). Only when
+// run as the server - the CLI (cli.js) requires this file for its functions.
+function startServer(port = process.env.PORT || 3000) {
+  const server = app.listen(port, () => {
+    log.info(`🚀 Webhook server running on port ${port}`);
+    log.info(`📦 Monitoring ${brandRegistry.monitoredBrands().length} brands`);
+    log.info(`📧 Email method: ${emailMethod}`);
+    if (!apiKeys.hasKeys()) {
+      log.warn('⚠️  No API keys configured - admin endpoints are locked. Set ADMIN_API_KEY to get started.');
+    }
+    reconciler.start();
+    digestTask.start();
+    jobQueue.start();
+    outbox.start();
+    if (CONFIG.PUBLIC_URL) {
+      webhookSync.start();
+      // Failures are logged by the scheduler and retried on the next tick
+      webhookSync.run('startup').catch(() => {});
+    } else {
+      log.warn('⚠️  PUBLIC_URL not set - webhook subscriptions are not reconciled automatically');
+    }
+    if (inventorySync) {
+      // Seed the cache; brands checked before this finishes load themselves on demand
+      inventorySync.start();
+      inventorySync.run('startup').catch(error => log.error('❌ Initial inventory sync failed:', error.message));
+    }
+  });
+
+  // On SIGTERM/SIGINT (deploys, restarts, Ctrl+C): stop the background work, let open requests
+  // finish, then write buffered stock history before exiting. Queued jobs and notifications
+  // are already on disk and pick up where they left off on the next start.
+  let shuttingDown = false;
+  function shutdown(signal) {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    log.info(`👋 ${signal} received, shutting down`);
+    for (const task of [reconciler, digestTask, webhookSync, inventorySync, jobQueue, outbox]) {
+      if (task) {
+        task.stop();
+      }
+    }
+
+    let closed = false;
+    const exit = () => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      try {
+        stateStore.close();
+      } catch (error) {
+        log.error('❌ Could not save state on shutdown:', error.message);
+        process.exit(1);
+      }
+      process.exit(0);
+    };
+    server.close(exit);
+    // Keep-alive connections can hold close() open - don't wait for them for long
+    setTimeout(exit, SHUTDOWN_TIMEOUT_MS).unref();
+  }
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+
+  return server;
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  CONFIG,
+  stores,
+  storeFor,
+  brandsFor,
+  brandLabel,
+  brandRegistry,
+  stateStore,
+  notifier,
+  outbox,
+  acks,
+  dwell,
+  checkBrandStock,
+  applyStockStatus,
+  describeVendors,
+  sendTestNotification,
+  startServer
+};
@@ -0,0 +1,63 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAcknowledgementStore } = require('../lib/acknowledgements');
+const { useTempDir } = require('./support/temp-dir');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ALERT = { key: 'main:Acme', brand: 'Acme', state: 'OOS' };
+
+describe('acknowledge link tokens', () => {
+  const tempPath = useTempDir('acknowledgements');
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  function store(options = {}) {
+    return createAcknowledgementStore({ filePath: tempPath('acknowledgements.json'), secret: 'link-secret', linkDays: 7, ...options });
+  }
+
+  it('verifies its own tokens', () => {
+    const acknowledgements = store();
+    const verified = acknowledgements.verifyToken(acknowledgements.createToken(ALERT));
+    assert.deepEqual({ key: verified.key, brand: verified.brand, state: verified.state }, ALERT);
+    assert.ok(verified.issuedAt);
+  });
+
+  it('rejects tokens whose payload was changed', () => {
+    const acknowledgements = store();
+    const [, signature] = acknowledgements.createToken(ALERT).split('.');
+    const forged = Buffer.from(JSON.stringify({ k: 'main:Other', b: 'Other', s: 'OOS', t: Date.now(), e: Date.now() + DAY_MS })).toString('base64url');
+    assert.throws(() => acknowledgements.verifyToken(`${forged}.${signature}`), /invalid/);
+  });
+
+  it('rejects tokens signed with another secret', () => {
+    const token = store({ secret: 'other-secret' }).createToken(ALERT);
+    assert.throws(() => store().verifyToken(token), /invalid/);
+  });
+
+  it('rejects malformed tokens', () => {
+    const acknowledgements = store();
+    for (const token of ['', 'no-signature', '.', 'abc.def', null]) {
+      assert.throws(() => acknowledgements.verifyToken(token), /invalid/, String(token));
+    }
+  });
+
+  it('rejects tokens after linkDays', () => {
+    const acknowledgements = store();
+    const issuedAt = Date.now();
+    const token = acknowledgements.createToken(ALERT);
+
+    mock.method(Date, 'now', () => issuedAt + 7 * DAY_MS);
+    assert.equal(acknowledgements.verifyToken(token).brand, 'Acme');
+    mock.method(Date, 'now', () => issuedAt + 7 * DAY_MS + 1);
+    assert.throws(() => acknowledgements.verifyToken(token), /expired/);
+  });
+
+  it('has no links without a secret', () => {
+    const acknowledgements = store({ secret: null });
+    assert.equal(acknowledgements.enabled, false);
+    assert.equal(acknowledgements.createToken(ALERT), null);
+    assert.throws(() => acknowledgements.verifyToken('abc.def'), /not enabled/);
+  });
+});
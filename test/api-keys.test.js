@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const express = require('express');
+const fetch = require('node-fetch');
+const { hasScope, createApiKeyStore } = require('../lib/api-keys');
+const { createAuth } = require('../lib/auth');
+const { useTempDir } = require('./support/temp-dir');
+
+describe('hasScope', () => {
+  it('lets each scope include the ones before it', () => {
+    assert.equal(hasScope(['admin'], 'read'), true);
+    assert.equal(hasScope(['admin'], 'trigger'), true);
+    assert.equal(hasScope(['trigger'], 'read'), true);
+    assert.equal(hasScope(['trigger'], 'admin'), false);
+    assert.equal(hasScope(['read'], 'trigger'), false);
+    assert.equal(hasScope([], 'read'), false);
+  });
+});
+
+describe('API key store', () => {
+  const tempPath = useTempDir('api-keys');
+
+  function store(options = {}) {
+    return createApiKeyStore({ filePath: tempPath('api-keys.json'), ...options });
+  }
+
+  it('verifies created keys and only stores their hash', () => {
+    const keys = store();
+    const { key, record } = keys.create({ name: ' ci ', scopes: ['trigger', 'trigger'] });
+    assert.equal(record.name, 'ci');
+    assert.deepEqual(record.scopes, ['trigger']);
+    assert.equal(record.hash, undefined);
+    assert.equal(fs.readFileSync(tempPath('api-keys.json'), 'utf8').includes(key), false);
+
+    const verified = store().verify(key);
+    assert.equal(verified.id, record.id);
+    assert.equal(verified.hash, undefined);
+    assert.equal(keys.verify(`${key}x`), null);
+    assert.equal(keys.verify(null), null);
+  });
+
+  it('stops accepting revoked keys', () => {
+    const keys = store();
+    const { key, record } = keys.create({ name: 'old', scopes: ['read'] });
+    assert.ok(keys.revoke(record.id).revokedAt);
+    assert.equal(keys.verify(key), null);
+    assert.equal(keys.revoke(record.id), null);
+    assert.equal(keys.hasKeys(), false);
+  });
+
+  it('accepts the bootstrap key as an admin key', () => {
+    const keys = store({ bootstrapKey: 'from-the-environment' });
+    assert.deepEqual(keys.verify('from-the-environment').scopes, ['admin']);
+    assert.equal(keys.hasKeys(), true);
+    assert.deepEqual(keys.list(), []);
+  });
+
+  it('rejects keys without a name or with unknown scopes', () => {
+    const keys = store();
+    assert.throws(() => keys.create({ name: ' ', scopes: ['read'] }), /name is required/);
+    assert.throws(() => keys.create({ name: 'ci', scopes: [] }), /non-empty array/);
+    assert.throws(() => keys.create({ name: 'ci', scopes: ['read', 'root'] }), /Unknown scope\(s\): root/);
+  });
+});
+
+// The middleware on a small app: one route per scope, plus a rate-limited one
+describe('auth middleware', () => {
+  const tempPath = useTempDir('auth', { perTest: false });
+  let server;
+  let url;
+  let keys;
+
+  before(async () => {
+    const keyStore = createApiKeyStore({ filePath: tempPath('api-keys.json') });
+    keys = {
+      read: keyStore.create({ name: 'reader', scopes: ['read'] }).key,
+      trigger: keyStore.create({ name: 'trigger', scopes: ['trigger'] }).key,
+      admin: keyStore.create({ name: 'admin', scopes: ['admin'] }).key
+    };
+    const auth = createAuth({
+      keyStore,
+      auditPath: tempPath('access-log.jsonl'),
+      isPublic: req => req.path === '/health',
+      rateLimit: { windowMs: 60 * 1000, max: 2 }
+    });
+
+    const app = express();
+    app.use(auth.authenticate);
+    app.get('/health', (req, res) => res.json({ success: true }));
+    app.get('/state', auth.requireScope('read'), (req, res) => res.json({ success: true }));
+    app.post('/check-now', auth.requireScope('trigger'), auth.limitRate, (req, res) => res.json({ success: true }));
+    app.post('/admin/keys', auth.requireScope('admin'), (req, res) => res.json({ success: true }));
+    app.get('/admin/access-log', auth.requireScope('admin'), (req, res) => res.json({ entries: auth.getAuditLog() }));
+
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  async function status(method, route, headers = {}) {
+    return (await fetch(`${url}${route}`, { method, headers })).status;
+  }
+
+  it('leaves public routes open', async () => {
+    assert.equal(await status('GET', '/health'), 200);
+  });
+
+  it('answers 401 without a valid key and 403 without the scope', async () => {
+    assert.equal(await status('GET', '/state'), 401);
+    assert.equal(await status('GET', '/state', { Authorization: 'Bearer imk_wrong' }), 401);
+    assert.equal(await status('GET', '/state', { Authorization: `Bearer ${keys.read}` }), 200);
+    assert.equal(await status('GET', '/state', { 'X-API-Key': keys.admin }), 200);
+    assert.equal(await status('POST', '/admin/keys', { 'X-API-Key': keys.trigger }), 403);
+    assert.equal(await status('POST', '/admin/keys', { 'X-API-Key': keys.admin }), 200);
+  });
+
+  it('rate limits each key separately', async () => {
+    const trigger = { 'X-API-Key': keys.trigger };
+    assert.equal(await status('POST', '/check-now', trigger), 200);
+    assert.equal(await status('POST', '/check-now', trigger), 200);
+    const limited = await fetch(`${url}/check-now`, { method: 'POST', headers: trigger });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal(await status('POST', '/check-now', { 'X-API-Key': keys.admin }), 200);
+  });
+
+  it('logs requests with the key that made them, but not public ones', async () => {
+    await status('GET', '/state', { 'X-API-Key': keys.read });
+    const { entries } = await (await fetch(`${url}/admin/access-log`, { headers: { 'X-API-Key': keys.admin } })).json();
+    assert.equal(entries.some(entry => entry.path === '/health'), false);
+    const latest = entries.find(entry => entry.path === '/state');
+    assert.equal(latest.keyName, 'reader');
+    assert.equal(latest.status, 200);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { createBrandRegistry, normalizeVendor } = require('../lib/brand-registry');
+const { useTempDir } = require('./support/temp-dir');
+const { startMonitor, waitFor, loadFixture } = require('./support/harness');
+
+const ADMIN_KEY = 'test-admin-key';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('brand registry', () => {
+  const tempPath = useTempDir('brand-registry');
+
+  function createRegistry(seedBrands = ['Nike', 'Adidas']) {
+    return createBrandRegistry({ filePath: tempPath('brands.json'), seedBrands });
+  }
+
+  it('normalizes vendor strings for matching', () => {
+    assert.equal(normalizeVendor('  NIKE   Inc. '), 'nike inc.');
+    assert.equal(normalizeVendor(null), '');
+  });
+
+  it('seeds from BRANDS_TO_MONITOR only on first run', () => {
+    createRegistry(['Nike', 'nike ', 'Adidas']);
+    assert.deepEqual(createRegistry(['Puma']).monitoredBrands(), ['Nike', 'Adidas']);
+  });
+
+  it('resolves aliases to their brand', () => {
+    const registry = createRegistry();
+    registry.update('nike', { aliases: ['NIKE Inc.', 'Nike', ' Nike  Sportswear '] });
+
+    assert.deepEqual(registry.get('Nike').aliases, ['NIKE Inc.', 'Nike Sportswear']);
+    assert.equal(registry.findByVendor('nike inc.').name, 'Nike');
+    assert.equal(registry.findByVendor('Puma'), null);
+    assert.deepEqual(registry.vendorsFor('Nike'), ['Nike', 'NIKE Inc.', 'Nike Sportswear']);
+    assert.deepEqual(registry.vendorsFor('Puma'), ['Puma']);
+    assert.equal(registry.canonicalName('nike sportswear'), 'Nike');
+    assert.equal(registry.canonicalName('Puma'), 'Puma');
+  });
+
+  it('keeps names and aliases unique across brands', () => {
+    const registry = createRegistry();
+    registry.update('Nike', { aliases: ['Nike Inc.'] });
+    assert.throws(() => registry.add({ name: 'nike inc.' }), /"nike inc\." already belongs to brand "Nike"/);
+    assert.throws(() => registry.update('Adidas', { aliases: ['NIKE'] }), /already belongs to brand "Nike"/);
+    assert.throws(() => registry.add({ name: '  ' }), /Brand name is required/);
+    assert.throws(() => registry.add({ name: 'Puma', aliases: 'PUMA SE' }), /aliases must be an array/);
+  });
+
+  it('leaves paused brands out of the monitored list', () => {
+    const registry = createRegistry();
+    registry.update('Adidas', { enabled: false });
+    assert.deepEqual(registry.monitoredBrands(), ['Nike']);
+    assert.equal(registry.list().length, 2);
+    assert.equal(registry.remove('Adidas'), true);
+    assert.equal(registry.remove('Adidas'), false);
+    assert.equal(registry.update('Adidas', { enabled: true }), null);
+  });
+
+  it('snoozes a brand until a date', () => {
+    const registry = createRegistry();
+    const until = new Date(Date.now() + DAY_MS).toISOString();
+    const brand = registry.snooze('nike', { until, reason: ' restock due ', by: 'ops' });
+    assert.equal(brand.snooze.until, until);
+    assert.equal(brand.snooze.reason, 'restock due');
+
+    assert.equal(registry.activeSnooze('Nike').by, 'ops');
+    assert.equal(registry.activeSnooze('Nike', new Date(Date.now() + 2 * DAY_MS)), null);
+    assert.equal(registry.activeSnooze('Adidas'), null);
+
+    // Kept across restarts, until it's lifted
+    assert.equal(createRegistry().activeSnooze('Nike').until, until);
+    registry.unsnooze('Nike');
+    assert.equal(registry.activeSnooze('Nike'), null);
+  });
+
+  it('rejects snoozes without a future date', () => {
+    const registry = createRegistry();
+    assert.throws(() => registry.snooze('Nike', {}), /until must be an ISO date/);
+    assert.throws(() => registry.snooze('Nike', { until: 'next week' }), /until must be an ISO date/);
+    assert.throws(() => registry.snooze('Nike', { until: '2020-01-01' }), /until must be in the future/);
+    assert.equal(registry.snooze('Puma', { until: '2999-01-01' }), null);
+  });
+});
+
+describe('brand aliases and snoozes in the monitor', () => {
+  let monitor;
+
+  before(async () => {
+    // A second Nike product listed under another vendor string
+    const shop = loadFixture('shop.json');
+    shop.products.push({
+      id: 7010,
+      title: 'Nike Crew Socks',
+      vendor: 'NIKE Inc.',
+      status: 'active',
+      variants: [{ id: 8010, inventory_item_id: 9010, inventory_quantity: 5, inventory_policy: 'deny', inventory_management: 'shopify' }]
+    });
+    shop.levels.push({ inventory_item_id: 9010, location_id: 5001, available: 5 });
+    monitor = await startMonitor({ shop, env: { ADMIN_API_KEY: ADMIN_KEY } });
+  });
+
+  after(async () => {
+    if (monitor) {
+      await monitor.stop();
+    }
+  });
+
+  async function api(method, route, body) {
+    const res = await fetch(`${monitor.url}${route}`, {
+      method,
+      headers: { 'X-API-Key': ADMIN_KEY, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('counts products listed under an alias', async () => {
+    assert.equal((await api('GET', '/check-now')).body.results.Nike.totalProducts, 2);
+
+    const { status } = await api('PATCH', '/admin/brands/Nike', { aliases: ['nike inc.'] });
+    assert.equal(status, 200);
+    assert.equal((await api('GET', '/check-now')).body.results.Nike.totalProducts, 3);
+  });
+
+  it('records the state of a snoozed brand without alerting', async () => {
+    const until = new Date(Date.now() + DAY_MS).toISOString();
+    assert.equal((await api('POST', '/admin/brands/Nike/snooze', { until: 'soon' })).status, 400);
+    assert.equal((await api('POST', '/admin/brands/Puma/snooze', { until })).status, 404);
+    const snoozed = await api('POST', '/admin/brands/Nike/snooze', { until, reason: 'restock due' });
+    assert.equal(snoozed.body.brand.snooze.by, 'ADMIN_API_KEY');
+
+    for (const itemId of [9001, 9002, 9003, 9010]) {
+      monitor.mock.setInventory(itemId, 0);
+    }
+    await monitor.sendWebhook('nike-air-zoom-sold-out.json');
+
+    const state = await waitFor(async () => {
+      const current = (await api('GET', '/admin/state/Nike')).body;
+      return current.currentState === 'OOS' && current;
+    }, { message: 'the OOS state' });
+    assert.equal(state.snooze.reason, 'restock due');
+    assert.deepEqual(monitor.captured(), []);
+  });
+});
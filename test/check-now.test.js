@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { startMonitor, waitFor } = require('./support/harness');
+
+const ADMIN_KEY = 'test-admin-key';
+const COLLECTION = 'gid://shopify/Collection/1';
+const FLAG = { type: 'metafield', ownerId: COLLECTION, namespace: 'custom', key: 'brand_hidden', valueType: 'boolean', hiddenValue: 'true', visibleValue: 'false' };
+
+describe('/check-now', () => {
+  let monitor;
+
+  before(async () => {
+    monitor = await startMonitor({
+      env: {
+        ADMIN_API_KEY: ADMIN_KEY,
+        BRAND_ACTIONS: JSON.stringify({ dryRun: false, brands: { Nike: [FLAG] } })
+      }
+    });
+  });
+
+  after(async () => {
+    if (monitor) {
+      await monitor.stop();
+    }
+  });
+
+  async function api(route) {
+    const res = await fetch(`${monitor.url}${route}`, { headers: { 'X-API-Key': ADMIN_KEY } });
+    return res.json();
+  }
+
+  const brandHidden = () => (monitor.mock.shop.metafields[COLLECTION] || {})['custom.brand_hidden'];
+
+  it('hides a brand that went out of stock and sends the summary', async () => {
+    for (const itemId of [9001, 9002, 9003]) {
+      monitor.mock.setInventory(itemId, 0);
+    }
+
+    const { summary } = await api('/check-now');
+    assert.deepEqual(summary.oosBrands, ['Nike']);
+    assert.deepEqual(summary.backInStock, []);
+    assert.equal(brandHidden(), 'true');
+    await waitFor(async () => (await api('/admin/state/Nike')).currentState === 'OOS', { message: 'the OOS state' });
+  });
+
+  it('shows a brand that came back and sends the back-in-stock alert', async () => {
+    monitor.mock.setInventory(9001, 18);
+
+    const { summary } = await api('/check-now');
+    assert.deepEqual(summary.oosBrands, []);
+    assert.deepEqual(summary.backInStock, ['Nike']);
+    assert.equal(brandHidden(), 'false');
+    await waitFor(async () => (await api('/admin/state/Nike')).currentState === 'IN_STOCK', { message: 'the IN_STOCK state' });
+    await waitFor(() => monitor.captured().some(notification => notification.event === 'back_in_stock'), { message: 'a back_in_stock alert' });
+
+    // Nothing changed since - a second check leaves the brand alone
+    const again = await api('/check-now');
+    assert.deepEqual(again.summary.backInStock, []);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startCli } = require('./support/harness');
+
+describe('cli.js', () => {
+  let cli;
+
+  before(async () => {
+    // A dwell time the CLI can't wait out - check --notify has to alert without it
+    cli = await startCli({ brands: ['Nike', 'Adidas'], env: { MIN_DWELL_MINUTES: '30', SHOPIFY_MAX_RETRIES: '0' } });
+  });
+
+  after(() => cli.stop());
+
+  it('prints every brand as JSON and exits 0', async () => {
+    const { code, stdout } = await cli.run(['check', '--json']);
+    assert.equal(code, 0);
+    const { brands } = JSON.parse(stdout);
+    assert.deepEqual(brands.map(brand => [brand.brand, brand.status, brand.inStockProducts, brand.totalProducts]), [
+      ['Nike', 'IN_STOCK', 2, 2],
+      ['Adidas', 'IN_STOCK', 1, 1]
+    ]);
+    assert.equal(brands[0].totalUnits, 95);
+    assert.equal(brands[0].error, null);
+  });
+
+  it('prints a table without --json', async () => {
+    const { code, stdout } = await cli.run(['check', 'Nike']);
+    assert.equal(code, 0);
+    assert.match(stdout, /^BRAND\s+STATUS\s+NOTIFIED/);
+    assert.match(stdout, /\nNike\s+IN_STOCK\s+-\s+2\/2\s+95/);
+  });
+
+  it('exits 2 on usage errors', async () => {
+    for (const args of [['check', '--bogus'], ['check', 'Puma'], ['state', 'reset'], ['frobnicate'], []]) {
+      const { code } = await cli.run(args);
+      assert.equal(code, 2, `cli.js ${args.join(' ')}`);
+    }
+    assert.equal((await cli.run(['--help'])).code, 0);
+  });
+
+  it('alerts on check --notify straight away, without leaving a dwell re-check behind', async () => {
+    cli.mock.setInventory(9001, 0);
+    cli.mock.setInventory(9002, 0);
+    cli.mock.setInventory(9003, 0);
+
+    const { code, stdout } = await cli.run(['check', 'Nike', '--notify', '--json']);
+    assert.equal(code, 0);
+    const [nike] = JSON.parse(stdout).brands;
+    assert.equal(nike.status, 'OOS');
+    assert.equal(nike.notifiedState, 'OOS');
+
+    assert.deepEqual(cli.captured().map(notification => notification.subject), ['🚨 ALL Nike Products OUT OF STOCK']);
+    const queuePath = path.join(cli.workDir, 'data', 'queue.json');
+    const jobs = fs.existsSync(queuePath) ? JSON.parse(fs.readFileSync(queuePath, 'utf8')).jobs : [];
+    assert.deepEqual(jobs, []);
+
+    const state = JSON.parse((await cli.run(['state', 'show', '--json'])).stdout);
+    assert.deepEqual(state.states.map(row => [row.key, row.state]), [['Nike', 'OOS']]);
+  });
+
+  it('exits 1 when a check fails', async () => {
+    await cli.mock.stop();
+    const { code, stdout } = await cli.run(['check', 'Adidas', '--json']);
+    assert.equal(code, 1);
+    const [adidas] = JSON.parse(stdout).brands;
+    assert.equal(adidas.status, 'ERROR');
+    assert.ok(adidas.error);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { brandStatus, buildDigest } = require('../lib/digest');
+
+const SINCE = '2024-05-01T00:00:00.000Z';
+
+function stock({ inStock, total, lowStock = false, lowStockReason = null, oosIds = [] }) {
+  return {
+    allOOS: inStock === 0 && total > 0,
+    inStockProducts: inStock,
+    totalProducts: total,
+    totalUnits: inStock * 5,
+    lowStock,
+    lowStockReason,
+    products: [
+      ...oosIds.map(id => ({ id, title: `Product ${id}`, inStock: false })),
+      ...Array.from({ length: inStock }, (unused, index) => ({ id: 100 + index, title: `Product ${100 + index}`, inStock: true }))
+    ]
+  };
+}
+
+describe('brandStatus', () => {
+  it('puts OOS ahead of low stock', () => {
+    assert.equal(brandStatus({ allOOS: true, lowStock: true }), 'OOS');
+    assert.equal(brandStatus({ allOOS: false, lowStock: true }), 'LOW_STOCK');
+    assert.equal(brandStatus({ allOOS: false, lowStock: false }), 'IN_STOCK');
+  });
+});
+
+describe('buildDigest', () => {
+  it("reports changes and newly OOS products against the last digest's snapshot", () => {
+    const previous = {
+      brands: {
+        Acme: { status: 'IN_STOCK', oosProductIds: [1] },
+        Bolt: { status: 'IN_STOCK', oosProductIds: [] }
+      }
+    };
+    const checks = [
+      { brand: 'Acme', shop: 'acme.myshopify.com', stockStatus: stock({ inStock: 2, total: 4, oosIds: [1, 2] }) },
+      { brand: 'Bolt', shop: 'acme.myshopify.com', stockStatus: stock({ inStock: 0, total: 1, oosIds: [7] }) }
+    ];
+    const digest = buildDigest(checks, { previous, since: SINCE });
+
+    assert.equal(digest.firstDigest, false);
+    assert.equal(digest.since, SINCE);
+    assert.deepEqual(digest.changed, [{ brand: 'Bolt', from: 'IN_STOCK', to: 'OOS' }]);
+    assert.deepEqual(digest.newlyOOSProducts.map(product => `${product.brand}:${product.id}`), ['Acme:2', 'Bolt:7']);
+    assert.deepEqual(digest.totals, { brands: 2, inStock: 1, lowStock: 0, outOfStock: 1, failed: 0 });
+    assert.deepEqual(digest.snapshot.Bolt, { status: 'OOS', oosProductIds: [7] });
+  });
+
+  it("doesn't call every OOS product new on the first digest", () => {
+    const digest = buildDigest([{ brand: 'Acme', stockStatus: stock({ inStock: 0, total: 2, oosIds: [1, 2] }) }], { since: SINCE });
+    assert.equal(digest.firstDigest, true);
+    assert.deepEqual(digest.newlyOOSProducts, []);
+    assert.deepEqual(digest.changed, []);
+  });
+
+  it('lists brands trending toward OOS, closest to running out first', () => {
+    const checks = [
+      { brand: 'Falling', stockStatus: stock({ inStock: 3, total: 4 }), startPoint: { inStockProducts: 4 } },
+      { brand: 'Low', stockStatus: stock({ inStock: 1, total: 4, lowStock: true, lowStockReason: '1 products in stock (warning below 2)' }) },
+      { brand: 'Steady', stockStatus: stock({ inStock: 4, total: 4 }), startPoint: { inStockProducts: 4 } },
+      { brand: 'Gone', stockStatus: stock({ inStock: 0, total: 4 }), startPoint: { inStockProducts: 4 } }
+    ];
+    const { trending } = buildDigest(checks, { since: SINCE });
+    assert.deepEqual(trending.map(item => item.brand), ['Low', 'Falling']);
+    assert.equal(trending[0].reason, 'low stock: 1 products in stock (warning below 2)');
+    assert.equal(trending[1].reason, 'products in stock fell from 4 to 3');
+  });
+
+  it('keeps the old baseline for brands that failed to check', () => {
+    const previous = { brands: { Acme: { status: 'OOS', oosProductIds: [1] } } };
+    const digest = buildDigest([{ brand: 'Acme', error: 'timeout' }], { previous, since: SINCE });
+    assert.deepEqual(digest.brands, [{ brand: 'Acme', status: 'ERROR', error: 'timeout' }]);
+    assert.equal(digest.totals.failed, 1);
+    assert.deepEqual(digest.snapshot.Acme, previous.brands.Acme);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDwellTracker } = require('../lib/dwell');
+const { useTempDir } = require('./support/temp-dir');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('dwell tracker', () => {
+  const tempPath = useTempDir('dwell');
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2024-05-01T12:00:00Z');
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  function tracker() {
+    return createDwellTracker({ filePath: tempPath('dwell.json'), dwellMs: 5 * MINUTE_MS });
+  }
+
+  it('is only ready once the same transition has held for the dwell time', () => {
+    const dwell = tracker();
+    const first = dwell.observe('Acme', 'oos');
+    assert.equal(first.isNew, true);
+    assert.equal(first.ready, false);
+    assert.equal(first.dueAt, now + 5 * MINUTE_MS);
+
+    now += 5 * MINUTE_MS - 1;
+    assert.equal(dwell.observe('Acme', 'oos').ready, false);
+    now += 1;
+    const due = dwell.observe('Acme', 'oos');
+    assert.equal(due.isNew, false);
+    assert.equal(due.ready, true);
+  });
+
+  it('restarts the clock when the transition changes', () => {
+    const dwell = tracker();
+    dwell.observe('Acme', 'oos');
+    now += 4 * MINUTE_MS;
+    assert.equal(dwell.observe('Acme', 'restock').isNew, true);
+    now += 4 * MINUTE_MS;
+    assert.equal(dwell.observe('Acme', 'oos').ready, false);
+  });
+
+  it('forgets cleared candidates', () => {
+    const dwell = tracker();
+    dwell.observe('Acme', 'oos');
+    assert.equal(dwell.clear('Acme').transition, 'oos');
+    assert.equal(dwell.clear('Acme'), null);
+    assert.deepEqual(dwell.list(), []);
+  });
+
+  it('keeps the clock running across restarts', () => {
+    tracker().observe('Acme', 'oos');
+    now += 5 * MINUTE_MS;
+    const restarted = tracker();
+    assert.deepEqual(restarted.list().map(candidate => candidate.key), ['Acme']);
+    assert.equal(restarted.observe('Acme', 'oos').ready, true);
+  });
+
+  it('is always ready when disabled', () => {
+    const dwell = createDwellTracker({ filePath: tempPath('off.json') });
+    assert.equal(dwell.enabled, false);
+    assert.equal(dwell.observe('Acme', 'oos').ready, true);
+  });
+});
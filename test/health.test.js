@@ -0,0 +1,64 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { startMonitor, WEBHOOK_SECRET } = require('./support/harness');
+
+// Two stores served by the same mock under different host names; `badTokens` lists
+// the ones whose access token the mock rejects
+function twoStores(badTokens) {
+  return ({ shopUrl }) => ({
+    SHOPIFY_STORES: JSON.stringify(['eu', 'us'].map(id => ({
+      id,
+      shop: id === 'eu' ? shopUrl : shopUrl.replace('127.0.0.1', 'localhost'),
+      accessToken: badTokens.includes(id) ? 'shpat_wrong' : 'shpat_test',
+      webhookSecret: WEBHOOK_SECRET
+    })))
+  });
+}
+
+describe('GET /health', () => {
+  let monitor;
+
+  afterEach(async () => {
+    if (monitor) {
+      await monitor.stop();
+      monitor = null;
+    }
+  });
+
+  async function health(query = '') {
+    const res = await fetch(`${monitor.url}/health${query}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('answers 200 when every check passes', async () => {
+    monitor = await startMonitor();
+    const { status, body } = await health();
+    assert.equal(status, 200);
+    assert.equal(body.status, 'ok');
+    assert.equal(body.checks.shopify.status, 'ok');
+  });
+
+  it('is degraded, not down, when one of several stores fails', async () => {
+    monitor = await startMonitor({ env: twoStores(['us']) });
+    const { status, body } = await health();
+    assert.equal(status, 200);
+    assert.equal(body.status, 'degraded');
+    assert.equal(body.checks.shopify.status, 'warn');
+    assert.equal(body.checks.shopify.stores.eu.status, 'ok');
+    assert.match(body.checks.shopify.stores.us.error, /Access token rejected \(401\)/);
+
+    // Strict readiness treats degraded as unavailable
+    const strict = await health('?strict=true');
+    assert.equal(strict.status, 503);
+    assert.equal(strict.body.status, 'degraded');
+  });
+
+  it('answers 503 when no store can be reached', async () => {
+    monitor = await startMonitor({ env: twoStores(['eu', 'us']) });
+    const { status, body } = await health();
+    assert.equal(status, 503);
+    assert.equal(body.status, 'down');
+    assert.equal(body.checks.shopify.status, 'fail');
+  });
+});
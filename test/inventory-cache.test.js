@@ -0,0 +1,154 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { createInventoryCache } = require('../lib/inventory-cache');
+const { useTempDir } = require('./support/temp-dir');
+const { startMonitor, waitFor } = require('./support/harness');
+
+const ADMIN_KEY = 'test-admin-key';
+
+function product(id, vendor, ...inventoryItemIds) {
+  return {
+    id,
+    title: `Product ${id}`,
+    vendor,
+    variants: inventoryItemIds.map(itemId => ({ id: itemId + 1000, inventory_item_id: itemId, inventory_quantity: 999, inventory_policy: 'deny', inventory_management: 'shopify' }))
+  };
+}
+
+describe('inventory cache', () => {
+  const tempPath = useTempDir('inventory-cache');
+
+  function loadedCache(options = {}) {
+    const cache = createInventoryCache(options);
+    cache.replaceVendorProducts(['Nike'], [product(1, 'Nike', 11, 12), product(2, 'NIKE', 21)], {
+      11: { 5001: 3, 5002: 2 },
+      12: { 5001: 0 },
+      21: { 5001: 7 }
+    });
+    return cache;
+  }
+
+  it('sums each variant\'s quantity over its cached locations', () => {
+    const cache = loadedCache();
+    assert.equal(cache.isSynced(['nike']), true);
+    assert.equal(cache.isSynced(['Nike', 'Adidas']), false);
+
+    const products = cache.getProductsForVendors(['Nike']);
+    assert.deepEqual(products.map(entry => entry.variants.map(variant => variant.inventory_quantity)), [[5, 0], [7]]);
+    assert.deepEqual(cache.getInventoryLevels([11, 99], [5002]), { 11: { 5002: 2 }, 99: {} });
+    assert.equal(cache.vendorOfProduct(2), 'NIKE');
+    assert.equal(cache.hasItem(21), true);
+  });
+
+  it('applies level updates, ignoring ones older than what it has', () => {
+    const cache = loadedCache();
+    const newer = new Date(Date.now() + 60000).toISOString();
+
+    assert.equal(cache.applyLevelUpdate({ inventoryItemId: 11, locationId: 5001, available: 0, updatedAt: newer }).id, 1);
+    assert.equal(cache.applyLevelUpdate({ inventoryItemId: 11, locationId: 5002, available: 0, updatedAt: newer }).id, 1);
+    cache.applyLevelUpdate({ inventoryItemId: 11, locationId: 5001, available: 40, updatedAt: '2020-01-01T00:00:00Z' });
+    assert.equal(cache.getProductsForVendors(['Nike'])[0].variants[0].inventory_quantity, 0);
+
+    assert.equal(cache.applyLevelUpdate({ inventoryItemId: 99, locationId: 5001, available: 1 }), null);
+  });
+
+  it('counts drift when a reload disagrees with the cache', () => {
+    const cache = loadedCache();
+    cache.applyLevelUpdate({ inventoryItemId: 21, locationId: 5001, available: 1, updatedAt: new Date(Date.now() + 60000).toISOString() });
+
+    const drift = cache.replaceVendorProducts(['Nike'], [product(1, 'Nike', 11, 12), product(2, 'Nike', 21)], {
+      11: { 5001: 3, 5002: 2 },
+      12: { 5001: 0 },
+      21: { 5001: 7 }
+    });
+    assert.equal(drift, 1);
+    assert.equal(cache.getProductsForVendors(['Nike'])[1].variants[0].inventory_quantity, 7);
+  });
+
+  it('updates and removes products from product webhooks', () => {
+    const cache = loadedCache();
+    cache.upsertProduct({ ...product(2, 'Nike', 21), title: 'Renamed' });
+    assert.equal(cache.getProductsForVendors(['Nike'])[1].title, 'Renamed');
+
+    // Vendors that were never loaded aren't cached
+    cache.upsertProduct(product(3, 'Adidas', 31));
+    assert.equal(cache.getStatus().products, 2);
+
+    // A variant without levels makes the vendor reload on its next check
+    cache.upsertProduct(product(2, 'Nike', 21, 22));
+    assert.equal(cache.isSynced(['Nike']), false);
+    assert.equal(cache.getStatus().products, 0);
+  });
+
+  it('forgets removed products and vendors', () => {
+    const cache = loadedCache();
+    assert.equal(cache.removeProduct(1).id, 1);
+    assert.equal(cache.removeProduct(1), null);
+    assert.equal(cache.hasItem(11), false);
+
+    cache.forgetVendors(['nike']);
+    assert.equal(cache.isSynced(['Nike']), false);
+    assert.deepEqual(cache.getProductsForVendors(['Nike']), []);
+  });
+
+  it('starts warm from its file', async () => {
+    const filePath = tempPath('inventory-cache.json');
+    loadedCache({ filePath });
+    // Writes are batched
+    await waitFor(() => fs.existsSync(filePath), { timeoutMs: 5000, message: 'the cache file' });
+
+    const restarted = createInventoryCache({ filePath });
+    assert.equal(restarted.isSynced(['Nike']), true);
+    assert.equal(restarted.getProductsForVendors(['Nike'])[0].variants[0].inventory_quantity, 5);
+  });
+});
+
+describe('inventory cache in the monitor', () => {
+  let monitor;
+
+  before(async () => {
+    monitor = await startMonitor({ env: { ADMIN_API_KEY: ADMIN_KEY, INVENTORY_CACHE: 'true' } });
+  });
+
+  after(async () => {
+    if (monitor) {
+      await monitor.stop();
+    }
+  });
+
+  async function api(method, route) {
+    const res = await fetch(`${monitor.url}${route}`, { method, headers: { 'X-API-Key': ADMIN_KEY } });
+    return res.json();
+  }
+
+  const inventoryQueries = () => monitor.mock.requests.filter(request => ['vendorInventory', 'inventoryLevels', 'getInventoryItem'].includes(request.operation)).length;
+
+  it('alerts from webhook payloads without asking Shopify again', async () => {
+    const status = await waitFor(async () => {
+      const current = await api('GET', '/admin/inventory-cache');
+      return current.products === 2 && current;
+    }, { message: 'the startup sync' });
+    assert.equal(status.enabled, true);
+    const queriesBefore = inventoryQueries();
+
+    // Shopify itself still has stock - only the payloads say otherwise
+    for (const itemId of [9001, 9002, 9003]) {
+      await monitor.sendWebhook({
+        topic: 'inventory_levels/update',
+        body: { inventory_item_id: itemId, location_id: 5001, available: 0, updated_at: new Date(Date.now() + 60000).toISOString() }
+      });
+    }
+
+    await waitFor(() => monitor.captured().some(notification => notification.event === 'oos'), { message: 'an oos alert' });
+    assert.equal(inventoryQueries(), queriesBefore);
+  });
+
+  it('corrects drift on a verification sync', async () => {
+    const { summary } = await api('POST', '/admin/inventory-cache/sync');
+    assert.equal(summary.synced, 1);
+    assert.equal(summary.drift, 3);
+    assert.equal((await api('GET', '/check-now')).results.Nike.inStockProducts, 2);
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createJobQueue } = require('../lib/job-queue');
+const { useTempDir } = require('./support/temp-dir');
+
+describe('job queue', () => {
+  const tempPath = useTempDir('job-queue');
+
+  it('drops redeliveries of a webhook that was queued', () => {
+    const queue = createJobQueue({ filePath: tempPath('queue.json') });
+    assert.equal(queue.enqueue('inventory', {}, { webhookId: 'webhook-1' }).duplicate, false);
+    assert.equal(queue.enqueue('inventory', {}, { webhookId: 'webhook-1' }).duplicate, true);
+  });
+
+  it("accepts a redelivery when the first delivery couldn't be saved", () => {
+    // The queue file's directory is a plain file, so saving fails until it's removed
+    const blocker = tempPath('data');
+    fs.writeFileSync(blocker, '');
+    const queue = createJobQueue({ filePath: path.join(blocker, 'queue.json') });
+
+    assert.throws(() => queue.enqueue('inventory', {}, { webhookId: 'webhook-1' }));
+    assert.equal(queue.getStatus().pending, 0);
+
+    fs.rmSync(blocker);
+    const retry = queue.enqueue('inventory', {}, { webhookId: 'webhook-1' });
+    assert.equal(retry.duplicate, false);
+    assert.ok(retry.job);
+  });
+
+  it("doesn't count a coalesced delivery that couldn't be saved", () => {
+    const filePath = tempPath('queue.json');
+    const queue = createJobQueue({ filePath });
+    const { job } = queue.enqueue('sync', {}, { webhookId: 'webhook-1', coalesceKey: 'brand' });
+
+    // Saving fails while the queue file is a directory
+    fs.rmSync(filePath);
+    fs.mkdirSync(filePath);
+    assert.throws(() => queue.enqueue('sync', {}, { webhookId: 'webhook-2', coalesceKey: 'brand' }));
+    assert.ok(!job.coalescedCount);
+
+    fs.rmdirSync(filePath);
+    const retry = queue.enqueue('sync', {}, { webhookId: 'webhook-2', coalesceKey: 'brand' });
+    assert.equal(retry.coalesced, true);
+    assert.equal(job.coalescedCount, 1);
+  });
+});
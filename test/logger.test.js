@@ -0,0 +1,107 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { log, configureLogger, redact } = require('../lib/logger');
+
+// Capture what the logger writes to stdout/stderr while fn runs, as parsed JSON lines
+async function captureLines(fn) {
+  const lines = [];
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+  // The test runner reports over stdout too - only take the logger's own lines
+  const capture = original => function(chunk, ...rest) {
+    if (typeof chunk === 'string' && chunk.startsWith('{"time":')) {
+      lines.push(JSON.parse(chunk));
+      return true;
+    }
+    return original.call(this, chunk, ...rest);
+  };
+  process.stdout.write = capture(originals.stdout);
+  process.stderr.write = capture(originals.stderr);
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+  }
+  return lines;
+}
+
+describe('logger', () => {
+  afterEach(() => configureLogger({ level: 'info', format: 'json' }));
+
+  it('masks credential keys at any depth', () => {
+    const masked = redact({
+      shop: 'example.myshopify.com',
+      accessToken: 'anything-at-all',
+      headers: { Authorization: 'Bearer abc.def', 'X-API-Key': 'imk_live_123', accept: 'application/json' },
+      stores: [{ name: 'EU', client: { api_key: 'k', password: 'p', nested: { webhookSecret: 's' } } }],
+      dryRun: true
+    });
+
+    assert.equal(masked.shop, 'example.myshopify.com');
+    assert.equal(masked.accessToken, '[REDACTED]');
+    assert.equal(masked.headers.Authorization, '[REDACTED]');
+    assert.equal(masked.headers['X-API-Key'], '[REDACTED]');
+    assert.equal(masked.headers.accept, 'application/json');
+    assert.equal(masked.stores[0].name, 'EU');
+    assert.equal(masked.stores[0].client.api_key, '[REDACTED]');
+    assert.equal(masked.stores[0].client.password, '[REDACTED]');
+    assert.equal(masked.stores[0].client.nested.webhookSecret, '[REDACTED]');
+    assert.equal(masked.dryRun, true);
+  });
+
+  it('masks token-shaped values wherever they appear', async () => {
+    const lines = await captureLines(() => {
+      log.info('Using shpat_abc123 for the request', { url: 'https://x.test/?key=imk_abc', note: 'header was Bearer eyJhbGci.x.y' });
+      log.error('❌ Failed:', new Error('401 for token shpss_secretvalue'), { body: { errors: ['SG.aaa.bbb is invalid'] } });
+    });
+
+    const written = JSON.stringify(lines);
+    for (const secret of ['shpat_abc123', 'imk_abc', 'eyJhbGci', 'shpss_secretvalue', 'SG.aaa.bbb']) {
+      assert.ok(!written.includes(secret), `${secret} was logged`);
+    }
+    assert.equal(lines[0].msg, 'Using [REDACTED] for the request');
+    assert.equal(lines[0].note, 'header was Bearer [REDACTED]');
+    assert.equal(lines[1].error.message, '401 for token [REDACTED]');
+    assert.deepEqual(lines[1].body, { errors: ['[REDACTED] is invalid'] });
+  });
+
+  it('masks fields given through withContext too', async () => {
+    const lines = await captureLines(() => log.withContext({ correlationId: 'c-1', accessToken: 'shpat_x' }, () => log.info('hello')));
+    assert.equal(lines[0].correlationId, 'c-1');
+    assert.equal(lines[0].accessToken, '[REDACTED]');
+  });
+
+  it('keeps the correlation id across await', async () => {
+    const lines = await captureLines(() => Promise.all([
+      log.withContext({ correlationId: 'first' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        log.info('first after wait');
+      }),
+      log.withContext({ correlationId: 'second' }, async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        log.info('second after wait');
+        await Promise.resolve();
+        log.withContext({ topic: 'inventory_levels/update' }, () => log.info('second nested'));
+      })
+    ]));
+
+    const byMessage = Object.fromEntries(lines.map(line => [line.msg, line]));
+    assert.equal(byMessage['first after wait'].correlationId, 'first');
+    assert.equal(byMessage['second after wait'].correlationId, 'second');
+    assert.equal(byMessage['second nested'].correlationId, 'second');
+    assert.equal(byMessage['second nested'].topic, 'inventory_levels/update');
+
+    const outside = await captureLines(() => log.info('no context'));
+    assert.equal(outside[0].correlationId, undefined);
+  });
+
+  it('drops lines below LOG_LEVEL and rejects unknown levels', async () => {
+    configureLogger({ level: 'warn' });
+    const lines = await captureLines(() => {
+      log.info('quiet');
+      log.warn('loud');
+    });
+    assert.deepEqual(lines.map(line => line.msg), ['loud']);
+    assert.throws(() => configureLogger({ level: 'verbose' }), /Invalid LOG_LEVEL/);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { startMonitor, waitFor } = require('./support/harness');
+
+const ADMIN_KEY = 'test-admin-key';
+
+// Nike starts with 95 units; it's low below 80 and recovers at 96 (20% hysteresis)
+describe('low-stock warnings', () => {
+  let monitor;
+
+  before(async () => {
+    monitor = await startMonitor({
+      env: {
+        ADMIN_API_KEY: ADMIN_KEY,
+        STOCK_RULES: JSON.stringify({ default: { lowStockUnits: 80 } })
+      }
+    });
+  });
+
+  after(async () => {
+    if (monitor) {
+      await monitor.stop();
+    }
+  });
+
+  async function api(method, route, body) {
+    const res = await fetch(`${monitor.url}${route}`, {
+      method,
+      headers: { 'X-API-Key': ADMIN_KEY, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return res.json();
+  }
+
+  async function nikeState() {
+    return api('GET', '/admin/state/Nike');
+  }
+
+  it('warns when stock falls below the threshold', async () => {
+    monitor.mock.setInventory(9001, 0);
+    monitor.mock.setInventory(9002, 0);
+    await monitor.sendWebhook('nike-air-zoom-sold-out.json');
+
+    await waitFor(() => monitor.captured().some(notification => notification.event === 'low_stock'), { message: 'a low_stock alert' });
+    await waitFor(async () => (await nikeState()).currentState === 'LOW_STOCK', { message: 'the LOW_STOCK state' });
+  });
+
+  it('clears the acknowledgement when stock recovers', async () => {
+    const { acknowledgement } = await api('POST', '/admin/acknowledgements/Nike', { note: 'reordering' });
+    assert.equal(acknowledgement.state, 'LOW_STOCK');
+    assert.equal((await nikeState()).acknowledgement.note, 'reordering');
+
+    monitor.mock.setInventory(9001, 60);
+    await monitor.sendWebhook('nike-air-zoom-restocked.json');
+
+    const state = await waitFor(async () => {
+      const current = await nikeState();
+      return current.currentState === 'IN_STOCK' && current;
+    }, { message: 'the IN_STOCK state' });
+    assert.equal(state.acknowledgement, null);
+    // Recovering is quiet - only the warning went out
+    assert.deepEqual(monitor.captured().map(notification => notification.event), ['low_stock']);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { createMetricsRegistry } = require('../lib/metrics');
+const { startMonitor, waitFor } = require('./support/harness');
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('metrics registry', () => {
+  it('renders counters with HELP and TYPE lines, one sample per label set', async () => {
+    const metrics = createMetricsRegistry({ prefix: 'test_' });
+    const received = metrics.counter('webhooks_received_total', 'Webhooks received');
+    received.inc({ endpoint: 'inventory' });
+    received.inc({ endpoint: 'inventory' }, 2);
+    received.inc({ endpoint: 'products' });
+
+    assert.equal(await metrics.render(), [
+      '# HELP test_webhooks_received_total Webhooks received',
+      '# TYPE test_webhooks_received_total counter',
+      'test_webhooks_received_total{endpoint="inventory"} 3',
+      'test_webhooks_received_total{endpoint="products"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders histograms as cumulative buckets with a sum and count', async () => {
+    const metrics = createMetricsRegistry();
+    const duration = metrics.histogram('job_duration_seconds', 'Job time', { buckets: [1, 0.5] });
+    duration.observe({ type: 'brand_check' }, 0.2);
+    duration.observe({ type: 'brand_check' }, 0.7);
+    duration.observe({ type: 'brand_check' }, 3);
+
+    const lines = (await metrics.render()).trim().split('\n');
+    assert.deepEqual(lines.slice(2), [
+      'job_duration_seconds_bucket{type="brand_check",le="0.5"} 1',
+      'job_duration_seconds_bucket{type="brand_check",le="1"} 2',
+      'job_duration_seconds_bucket{type="brand_check",le="+Inf"} 3',
+      'job_duration_seconds_sum{type="brand_check"} 3.9',
+      'job_duration_seconds_count{type="brand_check"} 3'
+    ]);
+  });
+
+  it('escapes label values and renders special numbers', async () => {
+    const metrics = createMetricsRegistry();
+    metrics.gauge('brand_units', 'Units').set({ brand: 'Say "Hi"\\\nCo' }, NaN);
+    metrics.collect(async () => [
+      { name: 'brand_products', help: 'Products\nper brand', type: 'gauge', samples: [{ value: Infinity }] }
+    ]);
+
+    const lines = (await metrics.render()).trim().split('\n');
+    assert.equal(lines[2], 'brand_units{brand="Say \\"Hi\\"\\\\\\nCo"} NaN');
+    assert.equal(lines[3], '# HELP brand_products Products\\nper brand');
+    assert.equal(lines[5], 'brand_products +Inf');
+  });
+
+  it('refuses to register a metric twice', () => {
+    const metrics = createMetricsRegistry();
+    metrics.counter('jobs_total', 'Jobs');
+    assert.throws(() => metrics.gauge('jobs_total', 'Jobs'), /Metric jobs_total is already registered/);
+  });
+});
+
+describe('GET /metrics', () => {
+  let monitor;
+
+  before(async () => {
+    monitor = await startMonitor({ env: { ADMIN_API_KEY: ADMIN_KEY } });
+  });
+
+  after(async () => {
+    if (monitor) {
+      await monitor.stop();
+    }
+  });
+
+  async function scrape() {
+    const res = await fetch(`${monitor.url}/metrics`, { headers: { 'X-API-Key': ADMIN_KEY } });
+    return { res, text: await res.text() };
+  }
+
+  it('needs an API key unless METRICS_PUBLIC is set', async () => {
+    assert.equal((await fetch(`${monitor.url}/metrics`)).status, 401);
+  });
+
+  it('serves the Prometheus text format with webhook, job and brand figures', async () => {
+    monitor.mock.setInventory(9001, 0);
+    await monitor.sendWebhook('nike-air-zoom-sold-out.json');
+    await monitor.sendWebhook({ topic: 'inventory_levels/update', body: { inventory_item_id: 9001 } }, { hmac: 'not-a-signature' });
+
+    const text = await waitFor(async () => {
+      const current = (await scrape()).text;
+      return /^inventory_monitor_jobs_processed_total\{type="[a-z_]+",result="success"\} 1$/m.test(current) && current;
+    }, { message: 'the webhook job' });
+
+    const { res } = await scrape();
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;/);
+    assert.match(res.headers.get('content-type'), /version=0\.0\.4/);
+
+    assert.match(text, /^# HELP inventory_monitor_webhooks_received_total .+$/m);
+    assert.match(text, /^# TYPE inventory_monitor_webhooks_received_total counter$/m);
+    assert.match(text, /^inventory_monitor_webhooks_received_total\{endpoint="inventory"\} 2$/m);
+    assert.match(text, /^inventory_monitor_webhooks_verified_total\{endpoint="inventory",store="default"\} 1$/m);
+    assert.match(text, /^inventory_monitor_webhooks_rejected_total\{endpoint="inventory"\} 1$/m);
+    assert.match(text, /^# TYPE inventory_monitor_job_duration_seconds histogram$/m);
+    assert.match(text, /^inventory_monitor_job_duration_seconds_bucket\{type="[a-z_]+",le="\+Inf"\} 1$/m);
+    assert.match(text, /^inventory_monitor_brand_products\{store="default",brand="Nike"\} 2$/m);
+    assert.match(text, /^inventory_monitor_brand_out_of_stock\{store="default",brand="Nike"\} 0$/m);
+
+    // Every sample line belongs to the family declared above it
+    let family = null;
+    for (const line of text.trim().split('\n')) {
+      const declared = line.match(/^# TYPE (\S+) (counter|gauge|histogram)$/);
+      if (declared) {
+        family = declared[1];
+      } else if (!line.startsWith('# HELP ')) {
+        assert.match(line, /^[a-z_]+(\{.*\})? (-?[0-9.e+-]+|NaN|\+Inf)$/);
+        assert.ok(line.startsWith(family), `${line} follows # TYPE ${family}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,187 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const { createNotifier } = require('../lib/notifier');
+const { createSlackChannel } = require('../lib/notifier/slack');
+const { createTeamsChannel } = require('../lib/notifier/teams');
+const { createWebhookChannel } = require('../lib/notifier/webhook');
+const { createCaptureChannel } = require('../lib/notifier/capture');
+const { useTempDir } = require('./support/temp-dir');
+
+// A channel that remembers what it was asked to send
+function fakeChannel(name, { isEmail = false, fail = false } = {}) {
+  const sent = [];
+  return {
+    name,
+    type: name,
+    isEmail,
+    sent,
+    async send(notification) {
+      sent.push(notification);
+      return fail ? { success: false, error: `${name} is down` } : { success: true };
+    }
+  };
+}
+
+describe('notifier routing', () => {
+  it('sends to the primary email and every other channel without routes', async () => {
+    const sendgrid = fakeChannel('sendgrid', { isEmail: true });
+    const smtp = fakeChannel('smtp', { isEmail: true });
+    const slack = fakeChannel('slack');
+    const notifier = createNotifier({ channels: [sendgrid, smtp, slack] });
+
+    const result = await notifier.notify('oos', { subject: 'Nike OOS', message: 'All out', recipients: ['buyer@example.com'] });
+    assert.equal(result.success, true);
+    assert.equal(result.delivered, 2);
+    assert.deepEqual(result.results.map(entry => entry.channel), ['sendgrid', 'slack']);
+    assert.equal(smtp.sent.length, 0);
+    assert.deepEqual(sendgrid.sent[0].recipients, ['buyer@example.com']);
+    assert.equal(sendgrid.sent[0].type, 'oos');
+  });
+
+  it('routes each event type to its own channels, narrowed by only', async () => {
+    const email = fakeChannel('smtp', { isEmail: true });
+    const slack = fakeChannel('slack');
+    const teams = fakeChannel('teams');
+    const notifier = createNotifier({
+      channels: [email, slack, teams],
+      routes: { default: ['email'], low_stock: ['slack', 'teams'], check_summary: ['email', 'slack'] }
+    });
+
+    assert.deepEqual(notifier.routeFor('oos'), ['smtp']);
+    assert.deepEqual(notifier.routeFor('low_stock'), ['slack', 'teams']);
+    assert.deepEqual(notifier.resolveChannels('check_summary', { only: 'email' }), ['smtp']);
+    assert.deepEqual(notifier.resolveChannels('check_summary', { only: 'other' }), ['slack']);
+    assert.deepEqual(notifier.resolveChannels('oos', { channels: ['teams', 'email'] }), ['teams', 'smtp']);
+
+    await notifier.notify('low_stock', { subject: 'Low', message: 'Low' });
+    assert.equal(email.sent.length, 0);
+    assert.equal(slack.sent.length, 1);
+    assert.equal(teams.sent.length, 1);
+  });
+
+  it('rejects unknown event types and channels in routes', () => {
+    const channels = [fakeChannel('slack')];
+    assert.throws(() => createNotifier({ channels, routes: { sold_out: ['slack'] } }), /Unknown event type "sold_out"/);
+    assert.throws(() => createNotifier({ channels, routes: { oos: ['teams'] } }), /unknown or unconfigured channel "teams"/);
+    assert.throws(() => createNotifier({ channels, routes: { oos: 'slack' } }), /must be an array/);
+  });
+
+  it('succeeds when any channel delivers, and counts deliveries per channel', async () => {
+    const slack = fakeChannel('slack');
+    const teams = fakeChannel('teams', { fail: true });
+    const notifier = createNotifier({ channels: [slack, teams] });
+
+    const result = await notifier.notify('oos', { subject: 'Nike OOS', message: 'All out' });
+    assert.equal(result.success, true);
+    assert.equal(result.failed, 1);
+    assert.equal(result.error, 'teams: teams is down');
+
+    const stats = Object.fromEntries(notifier.getStats().map(entry => [entry.name, entry]));
+    assert.deepEqual(stats.slack.sent, { oos: 1 });
+    assert.deepEqual(stats.teams.failed, { oos: 1 });
+    assert.equal(stats.teams.lastError, 'teams is down');
+
+    const health = Object.fromEntries((await notifier.checkChannels()).map(entry => [entry.name, entry]));
+    assert.equal(health.slack.reachable, true);
+    assert.equal(health.teams.reachable, false);
+  });
+
+  it('fails without channels', async () => {
+    const result = await createNotifier({ channels: [] }).notify('oos', { subject: 'Nike OOS', message: 'All out' });
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'No notification channels configured');
+  });
+});
+
+describe('notification channels', () => {
+  let server;
+  let url;
+  let received;
+  let status;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, raw: body, body: JSON.parse(body) });
+        res.statusCode = status;
+        res.end(status === 200 ? 'ok' : 'invalid_payload');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    status = 200;
+  });
+
+  const notification = { type: 'oos', subject: '🚨 ALL Nike Products OUT OF STOCK', message: 'Nike is out of stock.\nAll 2 products.', data: { brand: 'Nike' } };
+
+  it('posts Slack blocks with the subject as fallback text', async () => {
+    const result = await createSlackChannel({ webhookUrl: url }).send(notification);
+    assert.equal(result.success, true);
+    const [{ body }] = received;
+    assert.equal(body.text, notification.subject);
+    assert.equal(body.blocks[0].text.text, notification.subject);
+    assert.equal(body.blocks[1].text.text, '```' + notification.message + '```');
+  });
+
+  it('posts a Teams card coloured by event', async () => {
+    const result = await createTeamsChannel({ webhookUrl: url }).send(notification);
+    assert.equal(result.success, true);
+    const [{ body }] = received;
+    assert.equal(body['@type'], 'MessageCard');
+    assert.equal(body.themeColor, 'D9534F');
+    assert.equal(body.text, 'Nike is out of stock.<br>All 2 products.');
+  });
+
+  it('signs generic webhook bodies when a secret is set', async () => {
+    const result = await createWebhookChannel({ url, secret: 'shh' }).send(notification);
+    assert.equal(result.success, true);
+    const [{ headers, raw, body }] = received;
+    assert.equal(headers['x-inventory-monitor-event'], 'oos');
+    assert.equal(headers['x-inventory-monitor-signature'], `sha256=${crypto.createHmac('sha256', 'shh').update(raw).digest('hex')}`);
+    assert.equal(body.event, 'oos');
+    assert.deepEqual(body.data, { brand: 'Nike' });
+
+    await createWebhookChannel({ url }).send(notification);
+    assert.equal(received[1].headers['x-inventory-monitor-signature'], undefined);
+  });
+
+  it('reports the status and body of a rejected post', async () => {
+    status = 400;
+    const result = await createSlackChannel({ webhookUrl: url }).send(notification);
+    assert.equal(result.success, false);
+    assert.equal(result.error, '400 Bad Request: invalid_payload');
+  });
+
+  it('reports an unreachable endpoint', async () => {
+    const result = await createTeamsChannel({ webhookUrl: 'http://127.0.0.1:1/hook', timeoutMs: 2000 }).send(notification);
+    assert.equal(result.success, false);
+    assert.match(result.error, /ECONNREFUSED/);
+  });
+
+  describe('capture', () => {
+    const tempPath = useTempDir('notifier');
+
+    it('appends every notification as a JSON line', async () => {
+      const channel = createCaptureChannel({ filePath: tempPath('out', 'notifications.jsonl') });
+      await channel.send({ ...notification, recipients: ['buyer@example.com'] });
+      await channel.send({ ...notification, type: 'back_in_stock' });
+
+      const lines = fs.readFileSync(tempPath('out', 'notifications.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(lines.map(line => line.event), ['oos', 'back_in_stock']);
+      assert.deepEqual(lines[0].recipients, ['buyer@example.com']);
+      assert.deepEqual(lines[1].recipients, []);
+      assert.equal(lines[1].html, null);
+    });
+  });
+});
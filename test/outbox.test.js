@@ -0,0 +1,148 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createNotifier } = require('../lib/notifier');
+const { createOutbox } = require('../lib/outbox');
+const { useTempDir } = require('./support/temp-dir');
+
+const ALERT = { subject: 'Acme is out of stock', message: 'All 3 products are out of stock.', recipients: ['a@example.com', 'b@example.com'] };
+
+// A channel that answers with `respond(recipients)` and records what it was sent
+function fakeChannel(name, { isEmail = false, respond = () => ({ success: true }) } = {}) {
+  const channel = {
+    name,
+    type: name,
+    isEmail,
+    sent: [],
+    respond,
+    async send(notification) {
+      channel.sent.push(notification);
+      return channel.respond(notification.recipients || []);
+    }
+  };
+  return channel;
+}
+
+const fail = () => ({ success: false, error: 'unavailable' });
+
+describe('notification outbox', () => {
+  const tempPath = useTempDir('outbox');
+
+  function outboxFor(channels, options = {}) {
+    return createOutbox({
+      filePath: tempPath('outbox.json'),
+      notifier: createNotifier({ channels }),
+      baseDelayMs: 1,
+      maxDelayMs: 1,
+      ...options
+    });
+  }
+
+  async function retryDue(outbox, afterMs = 5) {
+    await new Promise(resolve => setTimeout(resolve, afterMs));
+    await outbox.processDue();
+  }
+
+  it('retries only the channels that failed, and reports the first delivery once', async () => {
+    const email = fakeChannel('smtp', { isEmail: true, respond: fail });
+    const slack = fakeChannel('slack');
+    const notified = [];
+    const outbox = outboxFor([email, slack], { onNotified: async entry => notified.push(entry.id) });
+
+    const entry = await outbox.send('oos', ALERT);
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.channels.slack.status, 'delivered');
+    assert.equal(entry.channels.smtp.lastError, 'unavailable');
+    assert.deepEqual(notified, [entry.id]);
+
+    email.respond = () => ({ success: true });
+    await retryDue(outbox);
+    assert.equal(outbox.get(entry.id).status, 'delivered');
+    assert.equal(email.sent.length, 2);
+    assert.equal(slack.sent.length, 1);
+    assert.deepEqual(notified, [entry.id]);
+  });
+
+  it('gives up after maxAttempts and can be resent by hand', async () => {
+    const email = fakeChannel('smtp', { isEmail: true, respond: fail });
+    const outbox = outboxFor([email], { maxAttempts: 2 });
+
+    const entry = await outbox.send('oos', ALERT);
+    await retryDue(outbox);
+    assert.equal(outbox.get(entry.id).status, 'failed');
+    assert.equal(outbox.get(entry.id).attempts, 2);
+    await retryDue(outbox);
+    assert.equal(email.sent.length, 2);
+
+    email.respond = () => ({ success: true });
+    const [resent] = await outbox.resendFailed();
+    assert.equal(resent.status, 'delivered');
+    assert.equal(resent.attempts, 1);
+  });
+
+  it('tries the fallback channel straight away', async () => {
+    const sendgrid = fakeChannel('sendgrid', { isEmail: true, respond: fail });
+    const smtp = fakeChannel('smtp', { isEmail: true });
+    const outbox = outboxFor([sendgrid, smtp], { fallbacks: { sendgrid: 'smtp' } });
+
+    const entry = await outbox.send('oos', ALERT, { channels: ['sendgrid'] });
+    assert.equal(entry.status, 'delivered');
+    assert.equal(entry.channels.sendgrid.via, 'smtp');
+    assert.deepEqual(smtp.sent[0].recipients, ALERT.recipients);
+  });
+
+  it('rejects fallbacks to channels that are not configured', () => {
+    assert.throws(() => outboxFor([fakeChannel('slack')], { fallbacks: { slack: 'teams' } }), /unconfigured channel/);
+  });
+
+  it('only sends a retry, and its fallback, to the recipients that did not get it', async () => {
+    const partly = recipients => ({ success: false, error: 'mailbox full', failedRecipients: recipients.filter(recipient => recipient === 'b@example.com') });
+    const sendgrid = fakeChannel('sendgrid', { isEmail: true, respond: partly });
+    const smtp = fakeChannel('smtp', { isEmail: true, respond: fail });
+    const outbox = outboxFor([sendgrid, smtp], { fallbacks: { sendgrid: 'smtp' } });
+
+    const entry = await outbox.send('oos', ALERT, { channels: ['sendgrid'] });
+    assert.equal(entry.status, 'pending');
+    assert.deepEqual(smtp.sent[0].recipients, ['b@example.com']);
+
+    sendgrid.respond = () => ({ success: true });
+    await retryDue(outbox);
+    assert.deepEqual(sendgrid.sent.map(notification => notification.recipients), [ALERT.recipients, ['b@example.com']]);
+    assert.equal(outbox.get(entry.id).status, 'delivered');
+  });
+
+  it('supersedes an undelivered alert with a newer one for the same key', async () => {
+    const email = fakeChannel('smtp', { isEmail: true, respond: fail });
+    const outbox = outboxFor([email]);
+
+    const first = await outbox.send('oos', ALERT, { dedupeKey: 'main:Acme' });
+    const second = await outbox.send('restock', { ...ALERT, subject: 'Acme is back in stock' }, { dedupeKey: 'main:Acme' });
+    assert.equal(outbox.get(first.id).status, 'superseded');
+    assert.equal(outbox.get(first.id).supersededBy, second.id);
+    assert.equal(outbox.pendingFor('main:Acme').id, second.id);
+  });
+
+  it('holds notifications during quiet hours and sends them as one batch afterwards', async () => {
+    const email = fakeChannel('smtp', { isEmail: true });
+    const notified = [];
+    let quietUntil = new Date(Date.now() + 20);
+    const outbox = outboxFor([email], {
+      holdUntil: () => quietUntil,
+      batch: entries => ({ subject: `${entries.length} alerts`, message: entries.map(entry => entry.notification.subject).join('\n') }),
+      onNotified: async entry => notified.push(entry.notification.subject)
+    });
+
+    const first = await outbox.send('oos', ALERT);
+    await outbox.send('oos', { ...ALERT, subject: 'Bolt is out of stock' });
+    assert.equal(first.status, 'held');
+    assert.equal(outbox.getStatus().held, 2);
+    assert.equal(email.sent.length, 0);
+
+    // Held until the quiet period ends
+    quietUntil = null;
+    await retryDue(outbox, 30);
+    assert.deepEqual(email.sent.map(notification => notification.subject), ['2 alerts']);
+    assert.deepEqual(email.sent[0].recipients, ALERT.recipients);
+    assert.equal(outbox.get(first.id).status, 'delivered');
+    assert.deepEqual(notified, [ALERT.subject, 'Bolt is out of stock']);
+  });
+});
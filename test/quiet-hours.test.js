@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createQuietHours } = require('../lib/quiet-hours');
+
+function at(time) {
+  return new Date(`2024-05-01T${time}Z`);
+}
+
+describe('quiet hours', () => {
+  it('is a no-op without a window', () => {
+    const quietHours = createQuietHours({});
+    assert.equal(quietHours.enabled, false);
+    assert.equal(quietHours.isActive(at('03:00:00')), false);
+    assert.equal(quietHours.endsAt(at('03:00:00')), null);
+  });
+
+  it('includes the start of the window and excludes the end', () => {
+    const quietHours = createQuietHours({ spec: '09:00-17:00', timezone: 'UTC' });
+    assert.equal(quietHours.isActive(at('08:59:59')), false);
+    assert.equal(quietHours.isActive(at('09:00:00')), true);
+    assert.equal(quietHours.isActive(at('16:59:59')), true);
+    assert.equal(quietHours.isActive(at('17:00:00')), false);
+  });
+
+  it('wraps past midnight', () => {
+    const quietHours = createQuietHours({ spec: '22:00-07:00', timezone: 'UTC' });
+    assert.equal(quietHours.isActive(at('21:59:00')), false);
+    assert.equal(quietHours.isActive(at('22:00:00')), true);
+    assert.equal(quietHours.isActive(at('00:00:00')), true);
+    assert.equal(quietHours.isActive(at('06:59:59')), true);
+    assert.equal(quietHours.isActive(at('07:00:00')), false);
+    assert.equal(quietHours.isActive(at('12:00:00')), false);
+  });
+
+  it('ends at the next end of the window, across midnight', () => {
+    const quietHours = createQuietHours({ spec: '22:00-07:00', timezone: 'UTC' });
+    assert.equal(quietHours.endsAt(at('23:30:00')).toISOString(), '2024-05-02T07:00:00.000Z');
+    assert.equal(quietHours.endsAt(at('06:59:30')).toISOString(), '2024-05-01T07:00:00.000Z');
+    assert.equal(quietHours.endsAt(at('07:00:00')), null);
+  });
+
+  it('reads the window in the configured timezone', () => {
+    // 22:00-07:00 in New York is 02:00-11:00 UTC during daylight saving time
+    const quietHours = createQuietHours({ spec: '22:00-07:00', timezone: 'America/New_York' });
+    assert.equal(quietHours.isActive(at('01:59:00')), false);
+    assert.equal(quietHours.isActive(at('02:00:00')), true);
+    assert.equal(quietHours.endsAt(at('10:00:00')).toISOString(), '2024-05-01T11:00:00.000Z');
+    assert.equal(quietHours.describe(), '22:00-07:00 (America/New_York)');
+  });
+
+  it('rejects invalid windows and timezones', () => {
+    assert.throws(() => createQuietHours({ spec: '22:00' }), /use HH:MM-HH:MM/);
+    assert.throws(() => createQuietHours({ spec: '24:00-07:00' }), /use HH:MM-HH:MM/);
+    assert.throws(() => createQuietHours({ spec: '07:00-07:00' }), /start and end are the same/);
+    assert.throws(() => createQuietHours({ spec: '22:00-07:00', timezone: 'Mars/Olympus' }), RangeError);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { createScheduledTask } = require('../lib/scheduler');
+const { log } = require('../lib/logger');
+const { startMonitor, waitFor } = require('./support/harness');
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('createScheduledTask', () => {
+  it('rejects an invalid cron expression', () => {
+    assert.throws(() => createScheduledTask({ name: 'Sweep', cronExpression: 'every day', task: async () => {} }), /Invalid cron expression for Sweep/);
+  });
+
+  it('records each run and never overlaps itself', async () => {
+    let release;
+    const task = createScheduledTask({ name: 'Sweep', task: () => new Promise(resolve => { release = resolve; }) });
+    assert.equal(task.getStatus().enabled, false);
+
+    const first = task.run();
+    assert.equal(task.getStatus().running, true);
+    assert.equal(await task.run(), null);
+    assert.equal(task.getStatus().skippedRuns, 1);
+
+    release({ checked: 2 });
+    assert.deepEqual(await first, { checked: 2 });
+    const status = task.getStatus();
+    assert.equal(status.running, false);
+    assert.equal(status.runCount, 1);
+    assert.deepEqual(status.lastResult, { checked: 2 });
+    assert.ok(status.lastRunFinishedAt);
+  });
+
+  it('keeps the last error until a run succeeds', async () => {
+    let fail = true;
+    const task = createScheduledTask({
+      name: 'Sweep',
+      task: async () => {
+        if (fail) {
+          throw new Error('Shopify is down');
+        }
+        return 'ok';
+      }
+    });
+
+    await assert.rejects(task.run(), /Shopify is down/);
+    assert.equal(task.getStatus().lastError, 'Shopify is down');
+    assert.equal(task.getStatus().running, false);
+
+    fail = false;
+    assert.equal(await task.run(), 'ok');
+    assert.equal(task.getStatus().lastError, null);
+    assert.equal(task.getStatus().runCount, 2);
+  });
+
+  it('logs runs under a correlation id, keeping the caller\'s for manual runs', async () => {
+    const task = createScheduledTask({ name: 'Sweep', task: async () => log.currentContext() });
+
+    const own = await task.run();
+    assert.ok(own.correlationId);
+    assert.equal(own.task, 'Sweep');
+
+    const inherited = await log.withContext({ correlationId: 'request-1' }, () => task.run());
+    assert.equal(inherited.correlationId, 'request-1');
+  });
+
+  it('runs on its schedule unless paused', async () => {
+    let runs = 0;
+    const task = createScheduledTask({ name: 'Sweep', cronExpression: '* * * * * *', task: async () => { runs++; } });
+    task.start();
+    try {
+      await waitFor(() => runs > 0, { timeoutMs: 3000, message: 'a scheduled run' });
+      assert.equal(task.getStatus().enabled, true);
+
+      task.pause();
+      const paused = runs;
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      assert.equal(runs, paused);
+      assert.equal(task.getStatus().paused, true);
+    } finally {
+      task.stop();
+    }
+  });
+});
+
+describe('reconciliation sweep', () => {
+  let monitor;
+
+  before(async () => {
+    monitor = await startMonitor({ brands: ['Nike', 'Adidas'], env: { ADMIN_API_KEY: ADMIN_KEY } });
+  });
+
+  after(async () => {
+    if (monitor) {
+      await monitor.stop();
+    }
+  });
+
+  async function api(method, route) {
+    const res = await fetch(`${monitor.url}${route}`, { method, headers: { 'X-API-Key': ADMIN_KEY } });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('alerts on stock changes no webhook reported', async () => {
+    for (const itemId of [9001, 9002, 9003]) {
+      monitor.mock.setInventory(itemId, 0);
+    }
+
+    const { status, body } = await api('POST', '/admin/reconcile/run');
+    assert.equal(status, 200);
+    assert.equal(body.summary.checked, 2);
+    assert.equal(body.summary.failed, 0);
+    assert.equal(body.summary.brands.Nike.allOOS, true);
+    assert.equal(body.summary.brands.Adidas.allOOS, false);
+
+    await waitFor(() => monitor.captured().some(notification => notification.event === 'oos'), { message: 'an oos alert' });
+
+    const { body: reconcile } = await api('GET', '/admin/reconcile');
+    assert.equal(reconcile.scheduler.runCount, 1);
+    assert.deepEqual(Object.keys(reconcile.brands).sort(), ['Adidas', 'Nike']);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createShopifyClient, ShopifyApiError } = require('../lib/shopify-client');
+
+// A GraphQL endpoint that answers with whatever `respond` says and counts the calls
+describe('Shopify client GraphQL', () => {
+  let server;
+  let shop;
+  let calls;
+  let respond;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        calls.push({ at: Date.now(), query: JSON.parse(body).query });
+        const { status = 200, json } = respond();
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(json || {}));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    shop = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    calls = [];
+  });
+
+  function client() {
+    return createShopifyClient({ shop, accessToken: 'test', maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5 });
+  }
+
+  it('retries queries on server errors', async () => {
+    let failures = 1;
+    respond = () => (failures-- > 0 ? { status: 503 } : { json: { data: { ok: true } } });
+    assert.deepEqual(await client().graphql('query check { shop { name } }'), { ok: true });
+    assert.equal(calls.length, 2);
+  });
+
+  it("doesn't retry mutations on server errors, which may have been applied", async () => {
+    respond = () => ({ status: 503 });
+    await assert.rejects(client().graphql('mutation hide($id: ID!) { collectionUpdate(id: $id) { id } }'), ShopifyApiError);
+    assert.equal(calls.length, 1);
+  });
+
+  it('takes points off the throttle bucket so concurrent queries wait their turn', async () => {
+    // 100 points, refilling at 1000/s; each query costs 60
+    const cost = available => ({
+      data: { ok: true },
+      extensions: { cost: { requestedQueryCost: 60, actualQueryCost: 60, throttleStatus: { maximumAvailable: 100, currentlyAvailable: available, restoreRate: 1000 } } }
+    });
+    respond = () => ({ json: cost(100) });
+    const shopify = client();
+    const query = 'query expensive { products(first: 250) { edges { node { id } } } }';
+    // Learn the cost and a full bucket
+    await shopify.graphql(query);
+
+    respond = () => ({ json: cost(40) });
+    calls = [];
+    const started = Date.now();
+    await Promise.all([shopify.graphql(query), shopify.graphql(query), shopify.graphql(query)]);
+    // The first fits straight away; the other two each wait for ~60 points to be restored
+    assert.equal(calls.length, 3);
+    assert.ok(calls[2].at - started >= 50, `third query went out after ${calls[2].at - started}ms`);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createShopifyClient } = require('../lib/shopify-client');
+const { createInventoryService, vendorSearch } = require('../lib/shopify-inventory');
+const { createInventoryCache } = require('../lib/inventory-cache');
+const { createMockShopify } = require('../tools/mock-shopify');
+
+function product(id, vendor, status, inventoryItemId, quantity) {
+  return {
+    id,
+    title: `Product ${id}`,
+    vendor,
+    status,
+    variants: [{ id: id * 10, inventory_item_id: inventoryItemId, inventory_quantity: quantity, inventory_policy: 'deny', inventory_management: 'shopify' }]
+  };
+}
+
+describe('vendorSearch', () => {
+  it('matches every status unless asked for active products only', () => {
+    assert.equal(vendorSearch(['Nike', 'Nike "Inc."']), '(vendor:"Nike" OR vendor:"Nike \\"Inc.\\"")');
+    assert.equal(vendorSearch(['Nike'], { activeOnly: true }), '(vendor:"Nike") AND status:active');
+  });
+});
+
+describe('inventory service', () => {
+  let mock;
+  let graphql;
+
+  before(async () => {
+    mock = createMockShopify({
+      products: [
+        product(1, 'Nike', 'active', 101, 0),
+        product(2, 'Nike', 'draft', 102, 4),
+        product(3, 'nike', 'archived', 103, 0),
+        product(4, 'Nike Kids', 'active', 104, 9)
+      ]
+    });
+    const shopify = createShopifyClient({ shop: await mock.start(), accessToken: 'test', maxRetries: 0 });
+    graphql = (query, variables) => shopify.graphql(query, variables);
+  });
+
+  after(() => mock.stop());
+
+  it('counts draft and archived products, like the REST vendor lookup did', async () => {
+    const products = await createInventoryService({ graphql }).getProductsForVendors(['Nike']);
+    assert.deepEqual(products.map(entry => entry.id).sort(), [1, 2, 3]);
+  });
+
+  it('only counts active products with activeOnly', async () => {
+    const products = await createInventoryService({ graphql, activeOnly: true }).getProductsForVendors(['Nike']);
+    assert.deepEqual(products.map(entry => entry.id), [1]);
+  });
+});
+
+describe('inventory cache product updates', () => {
+  const draft = product(2, 'Nike', 'draft', 102, 4);
+
+  function cacheWith(options) {
+    const cache = createInventoryCache(options);
+    cache.replaceVendorProducts(['Nike'], [product(2, 'Nike', 'active', 102, 4)], { 102: { 5001: 4 } });
+    return cache;
+  }
+
+  it('keeps products that become drafts, as the inventory service counts them', () => {
+    const cache = cacheWith({});
+    cache.upsertProduct(draft);
+    assert.deepEqual(cache.getProductsForVendors(['Nike']).map(entry => entry.id), [2]);
+  });
+
+  it('drops them with activeOnly', () => {
+    const cache = cacheWith({ activeOnly: true });
+    cache.upsertProduct(draft);
+    assert.deepEqual(cache.getProductsForVendors(['Nike']), []);
+  });
+});
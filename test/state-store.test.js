@@ -0,0 +1,73 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createStateStore } = require('../lib/state-store');
+const { startMonitor, waitFor } = require('./support/harness');
+const { useTempDir } = require('./support/temp-dir');
+
+describe('JSON state store', () => {
+  const tempPath = useTempDir('state-store');
+  let filePath;
+
+  beforeEach(() => {
+    filePath = tempPath('state.json');
+  });
+
+  const stockStatus = { allOOS: false, totalProducts: 4, inStockProducts: 3, oosProducts: 1, totalUnits: 12 };
+  const saved = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  it('saves transitions straight away', async () => {
+    const store = createStateStore({ type: 'json', path: filePath });
+    await store.recordTransition('Nike', 'OOS', stockStatus);
+    assert.equal(saved().brands.Nike.history[0].state, 'OOS');
+    assert.equal(await createStateStore({ type: 'json', path: filePath }).getState('Nike'), 'OOS');
+  });
+
+  it('batches stock point writes instead of rewriting the file for every point', async () => {
+    const store = createStateStore({ type: 'json', path: filePath });
+    for (let index = 0; index < 50; index++) {
+      await store.recordStockPoint('Nike', stockStatus, 'webhook');
+    }
+    assert.equal(fs.existsSync(filePath), false);
+    assert.equal((await store.getStockPoints('Nike')).length, 50);
+
+    store.flush();
+    assert.equal(saved().brands.Nike.points.length, 50);
+  });
+
+  it('writes pending points on close, without a process exit listener per store', async () => {
+    const listeners = process.listenerCount('exit');
+    const store = createStateStore({ type: 'json', path: filePath });
+    assert.equal(process.listenerCount('exit'), listeners);
+    await store.recordStockPoint('Nike', stockStatus, 'webhook');
+    store.close();
+    assert.equal(saved().brands.Nike.points.length, 1);
+  });
+
+  it('writes pending points along with the next transition', async () => {
+    const store = createStateStore({ type: 'json', path: filePath });
+    await store.recordStockPoint('Nike', stockStatus, 'webhook');
+    await store.recordTransition('Nike', 'IN_STOCK', stockStatus);
+    assert.equal(saved().brands.Nike.points.length, 1);
+  });
+});
+
+describe('server shutdown', () => {
+  it('writes buffered stock points when stopped with SIGTERM', async () => {
+    const monitor = await startMonitor();
+    try {
+      const response = await monitor.sendWebhook('nike-air-zoom-restocked.json');
+      assert.equal(response.status, 200);
+      // The check runs as a job and records a point, which isn't written yet
+      const queuePath = path.join(monitor.workDir, 'data', 'queue.json');
+      await waitFor(() => fs.existsSync(queuePath) && JSON.parse(fs.readFileSync(queuePath, 'utf8')).jobs.length === 0, { message: 'the webhook job' });
+
+      assert.equal(await monitor.kill('SIGTERM'), 0);
+      const state = JSON.parse(fs.readFileSync(path.join(monitor.workDir, 'data', 'state.json'), 'utf8'));
+      assert.equal(state.brands.Nike.points.length, 1);
+    } finally {
+      await monitor.stop();
+    }
+  });
+});
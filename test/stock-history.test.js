@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeStockHistory, toCsv, parseRange } = require('../lib/stock-history');
+
+const range = { from: '2024-05-01T00:00:00.000Z', to: '2024-05-02T00:00:00.000Z' };
+
+function point(time, allOOS) {
+  return { timestamp: `2024-05-01T${time}:00.000Z`, allOOS };
+}
+
+describe('summarizeStockHistory', () => {
+  it('counts OOS time, episodes and the longest episode', () => {
+    const points = [
+      point('00:00', false),
+      point('02:00', true),
+      point('03:00', true),
+      point('05:00', false),
+      point('12:00', true),
+      point('13:00', false)
+    ];
+    const summary = summarizeStockHistory(null, points, range);
+    assert.equal(summary.oosHours, 4);
+    assert.equal(summary.oosEpisodes, 2);
+    assert.equal(summary.longestEpisodeHours, 3);
+    assert.equal(summary.oosPercent, 16.67);
+    assert.equal(summary.currentlyOOS, false);
+    assert.equal(summary.lastEvaluatedAt, '2024-05-01T13:00:00.000Z');
+  });
+
+  it('carries the status from before the range into it', () => {
+    const before = { timestamp: '2024-04-30T20:00:00.000Z', allOOS: true };
+    const summary = summarizeStockHistory(before, [point('06:00', false)], range);
+    assert.equal(summary.oosHours, 6);
+    assert.equal(summary.oosEpisodes, 1);
+    assert.equal(summary.points, 1);
+  });
+
+  it('only reports the share of time there is data for', () => {
+    const summary = summarizeStockHistory(null, [point('12:00', true)], range);
+    assert.equal(summary.oosHours, 12);
+    assert.equal(summary.oosPercent, 100);
+  });
+
+  it("doesn't count time after now", () => {
+    const future = { from: new Date(Date.now() - 60 * 60 * 1000).toISOString(), to: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() };
+    const summary = summarizeStockHistory({ timestamp: future.from, allOOS: true }, [], future);
+    assert.ok(summary.oosHours <= 1.01, `${summary.oosHours} hours`);
+  });
+
+  it('has nothing to report without data', () => {
+    const summary = summarizeStockHistory(null, [], range);
+    assert.equal(summary.oosPercent, null);
+    assert.equal(summary.currentlyOOS, null);
+    assert.equal(summary.lastEvaluatedAt, null);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes values that need it', () => {
+    const csv = toCsv([{ brand: 'Acme, "Ltd"', units: 3, note: null }], ['brand', 'units', 'note']);
+    assert.equal(csv, 'brand,units,note\n"Acme, ""Ltd""",3,\n');
+  });
+});
+
+describe('parseRange', () => {
+  it('defaults to the last days before `to`', () => {
+    assert.deepEqual(parseRange({ to: '2024-05-31T00:00:00Z' }, { defaultDays: 30 }), {
+      from: '2024-05-01T00:00:00.000Z',
+      to: '2024-05-31T00:00:00.000Z'
+    });
+  });
+
+  it('rejects invalid and reversed ranges', () => {
+    assert.throws(() => parseRange({ from: 'yesterday' }), /must be ISO dates/);
+    assert.throws(() => parseRange({ from: '2024-05-02', to: '2024-05-01' }), /from must be before to/);
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RULE, loadStockRules, evaluateBrandStock } = require('../lib/stock-rules');
+const { createBrandRegistry } = require('../lib/brand-registry');
+const { useTempDir } = require('./support/temp-dir');
+
+function product(id, ...variants) {
+  return { id, title: `Product ${id}`, variants };
+}
+
+function variant(inventoryQuantity, extra = {}) {
+  return { inventory_quantity: inventoryQuantity, inventory_management: 'shopify', inventory_policy: 'deny', ...extra };
+}
+
+describe('evaluateBrandStock', () => {
+  it('is only OOS under the default rule when every product is at zero', () => {
+    const some = evaluateBrandStock([product(1, variant(0)), product(2, variant(3))], DEFAULT_RULE);
+    assert.equal(some.allOOS, false);
+    assert.equal(some.inStockProducts, 1);
+    assert.equal(some.totalUnits, 3);
+
+    const none = evaluateBrandStock([product(1, variant(0)), product(2, variant(0), variant(0))], DEFAULT_RULE);
+    assert.equal(none.allOOS, true);
+    assert.equal(none.ruleFired, 'all_products_oos');
+    assert.equal(none.reason, 'All 2 products are out of stock.');
+  });
+
+  it('counts a brand with no products as in stock', () => {
+    const result = evaluateBrandStock([], DEFAULT_RULE);
+    assert.equal(result.allOOS, false);
+    assert.equal(result.totalProducts, 0);
+  });
+
+  it('applies the minimum products and units per product', () => {
+    const rule = { ...DEFAULT_RULE, minInStockProducts: 2, minUnitsPerProduct: 5 };
+    const result = evaluateBrandStock([product(1, variant(10)), product(2, variant(4)), product(3, variant(0))], rule);
+    assert.equal(result.allOOS, true);
+    assert.equal(result.ruleFired, 'min_in_stock_products');
+    assert.equal(result.inStockProducts, 1);
+    assert.match(result.reason, /Only 1 of 3 products have at least 5 unit\(s\) \(minimum 2 required\)/);
+  });
+
+  it("doesn't let oversold products cancel out other stock", () => {
+    const result = evaluateBrandStock([product(1, variant(-4)), product(2, variant(2))], DEFAULT_RULE);
+    assert.equal(result.totalUnits, 2);
+    assert.deepEqual(result.products.map(entry => entry.units), [-4, 2]);
+  });
+
+  it('leaves out products whose variants are all ignored', () => {
+    const rule = { ...DEFAULT_RULE, ignoreContinueSelling: true, ignoreUntracked: true };
+    const products = [
+      product(1, variant(0, { inventory_policy: 'continue' })),
+      product(2, variant(0, { inventory_management: null })),
+      product(3, variant(0), variant(5, { inventory_policy: 'continue' }))
+    ];
+    const result = evaluateBrandStock(products, rule);
+    assert.equal(result.ignoredProducts, 2);
+    assert.equal(result.totalProducts, 1);
+    assert.equal(result.allOOS, true);
+  });
+
+  it('only counts the configured locations', () => {
+    const rule = { ...DEFAULT_RULE, locationIds: [11] };
+    const products = [product(1, variant(8, { inventory_item_id: 100 }))];
+    const levels = { 100: { 11: 0, 22: 8 } };
+    const result = evaluateBrandStock(products, rule, levels);
+    assert.equal(result.allOOS, true);
+    assert.equal(result.reason, 'All 1 products are out of stock at location(s) 11.');
+  });
+});
+
+describe('loadStockRules', () => {
+  it('merges brand rules over the default', () => {
+    const rules = loadStockRules({ json: JSON.stringify({ default: { minUnitsPerProduct: 2 }, brands: { Acme: { minInStockProducts: 3 } } }) });
+    assert.equal(rules.getRuleForBrand('Acme').minUnitsPerProduct, 2);
+    assert.equal(rules.getRuleForBrand('Acme').minInStockProducts, 3);
+    assert.equal(rules.getRuleForBrand('Other').minInStockProducts, 1);
+  });
+
+  describe('brand keys', () => {
+    const tempPath = useTempDir('stock-rules');
+
+    it('match the brand case-insensitively and by alias', () => {
+      const registry = createBrandRegistry({ filePath: tempPath('brands.json'), seedBrands: ['Nike'] });
+      registry.add({ name: 'Adidas', aliases: ['Adidas Originals'] });
+      const rules = loadStockRules({
+        json: JSON.stringify({ brands: { nike: { minInStockProducts: 2 }, 'ADIDAS ORIGINALS': { minInStockProducts: 4 }, Reebok: { minInStockProducts: 5 } } }),
+        canonicalName: registry.canonicalName
+      });
+
+      assert.equal(rules.getRuleForBrand('Nike').minInStockProducts, 2);
+      assert.equal(rules.getRuleForBrand('Adidas').minInStockProducts, 4);
+      assert.deepEqual(rules.unmatchedBrandKeys(registry.monitoredBrands()), ['Reebok']);
+    });
+
+    it('match case-insensitively without a registry', () => {
+      const rules = loadStockRules({ json: JSON.stringify({ brands: { ' acme  co ': { minInStockProducts: 3 } } }) });
+      assert.equal(rules.getRuleForBrand('Acme Co').minInStockProducts, 3);
+      assert.deepEqual(rules.unmatchedBrandKeys(['Acme Co']), []);
+    });
+  });
+
+  it('rejects unknown fields and bad values', () => {
+    assert.throws(() => loadStockRules({ json: '{"default":{"minStock":1}}' }), /Unknown stock rule field "minStock"/);
+    assert.throws(() => loadStockRules({ json: '{"brands":{"Acme":{"minUnitsPerProduct":0}}}' }), /must be a positive integer/);
+  });
+});
+
+describe('low-stock hysteresis', () => {
+  const rule = { ...DEFAULT_RULE, lowStockUnits: 10, lowStockHysteresis: 0.2 };
+
+  function atUnits(units) {
+    return evaluateBrandStock([product(1, variant(units))], rule);
+  }
+
+  it('warns below the threshold', () => {
+    const result = atUnits(9);
+    assert.equal(result.lowStock, true);
+    assert.equal(result.lowStockRecovered, false);
+    assert.equal(result.lowStockReason, '9 units in stock (warning below 10)');
+  });
+
+  it('neither warns nor recovers between the threshold and the hysteresis band', () => {
+    for (const units of [10, 11]) {
+      const result = atUnits(units);
+      assert.equal(result.lowStock, false, `${units} units`);
+      assert.equal(result.lowStockRecovered, false, `${units} units`);
+    }
+  });
+
+  it('recovers once stock clears the band', () => {
+    const result = atUnits(12);
+    assert.equal(result.lowStock, false);
+    assert.equal(result.lowStockRecovered, true);
+  });
+
+  it('needs every threshold cleared to recover', () => {
+    const both = { ...rule, lowStockProducts: 2 };
+    const result = evaluateBrandStock([product(1, variant(50)), product(2, variant(0))], both);
+    assert.equal(result.lowStock, true);
+    assert.equal(result.lowStockRecovered, false);
+    assert.equal(result.lowStockReason, '1 products in stock (warning below 2)');
+  });
+
+  it('is always recovered when no low-stock thresholds are set', () => {
+    const result = evaluateBrandStock([product(1, variant(1))], DEFAULT_RULE);
+    assert.equal(result.lowStock, false);
+    assert.equal(result.lowStockRecovered, true);
+  });
+});
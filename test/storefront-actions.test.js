@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadActionConfig, createStorefrontActions } = require('../lib/storefront-actions');
+const { createBrandRegistry } = require('../lib/brand-registry');
+const { useTempDir } = require('./support/temp-dir');
+
+const FLAG = { type: 'metafield', ownerId: 'gid://shopify/Collection/1', namespace: 'custom', key: 'brand_hidden', valueType: 'boolean', hiddenValue: 'true', visibleValue: 'false' };
+
+// Just enough of the Admin API for metafield actions: one owner, values keyed by namespace.key
+function fakeMetafields(initial = {}) {
+  const values = { ...initial };
+  const writes = [];
+  async function graphql(query, variables) {
+    if (query.includes('readMetafield')) {
+      const value = values[`${variables.namespace}.${variables.key}`];
+      return { node: { metafield: value === undefined ? null : { value } } };
+    }
+    if (query.includes('setMetafield')) {
+      for (const metafield of variables.metafields) {
+        values[`${metafield.namespace}.${metafield.key}`] = metafield.value;
+        writes.push(metafield.value);
+      }
+      return { metafieldsSet: { userErrors: [] } };
+    }
+    if (query.includes('deleteMetafield')) {
+      for (const metafield of variables.metafields) {
+        delete values[`${metafield.namespace}.${metafield.key}`];
+        writes.push(null);
+      }
+      return { metafieldsDelete: { userErrors: [] } };
+    }
+    throw new Error(`Unexpected query: ${query}`);
+  }
+  return { graphql, values, writes };
+}
+
+describe('storefront actions', () => {
+  const tempPath = useTempDir('storefront-actions');
+
+  function createActions({ brands, dryRun = false, shop = fakeMetafields(), canonicalName } = {}) {
+    const config = loadActionConfig({ json: JSON.stringify({ dryRun, brands }) });
+    return createStorefrontActions({ config, graphql: shop.graphql, auditPath: tempPath('audit.json'), canonicalName });
+  }
+
+  it('finds a brand\'s actions whatever the case of its config key, or by alias', async () => {
+    const registry = createBrandRegistry({ filePath: tempPath('brands.json'), seedBrands: [] });
+    registry.add({ name: 'Adidas', aliases: ['Adidas Originals'] });
+    const shop = fakeMetafields();
+    const actions = createActions({
+      brands: { nike: [FLAG], 'adidas originals': [FLAG], Reebok: [FLAG] },
+      shop,
+      canonicalName: registry.canonicalName
+    });
+
+    assert.equal(actions.isConfigured('Nike'), true);
+    assert.equal(actions.isConfigured('Adidas'), true);
+    assert.equal(actions.isConfigured('Puma'), false);
+    assert.deepEqual(actions.unmatchedBrandKeys(['Nike', 'Adidas']), ['Reebok']);
+
+    const result = await actions.apply('Adidas', 'hide', 'OOS');
+    assert.equal(result.configured, true);
+    assert.equal(result.success, true);
+    assert.deepEqual(shop.writes, ['true']);
+  });
+
+  it('undoes the last change by writing back the value it replaced', async () => {
+    const shop = fakeMetafields({ 'custom.brand_hidden': 'maybe' });
+    const actions = createActions({ brands: { Nike: [FLAG] }, shop });
+
+    const applied = await actions.apply('Nike', 'hide', 'OOS');
+    assert.equal(applied.results[0].previousValue, 'maybe');
+    assert.equal(shop.values['custom.brand_hidden'], 'true');
+
+    const undone = await actions.undoLast('Nike');
+    assert.equal(undone.success, true);
+    assert.equal(undone.undone, 'hide');
+    assert.equal(shop.values['custom.brand_hidden'], 'maybe');
+
+    // Each change is undone once; the undo itself isn't undone
+    assert.equal(await actions.undoLast('Nike'), null);
+    const log = actions.getAuditLog({ brand: 'Nike' });
+    assert.deepEqual(log.map(entry => entry.operation), ['undo', 'hide']);
+    assert.ok(log[1].undoneAt);
+  });
+
+  it('deletes a metafield on undo when there was none before', async () => {
+    const shop = fakeMetafields();
+    const actions = createActions({ brands: { Nike: [FLAG] }, shop });
+
+    await actions.apply('Nike', 'hide', 'OOS');
+    await actions.undoLast('Nike');
+    assert.deepEqual(shop.writes, ['true', null]);
+    assert.equal('custom.brand_hidden' in shop.values, false);
+  });
+
+  it('only records what it would change in a dry run, and has nothing to undo', async () => {
+    const shop = fakeMetafields({ 'custom.brand_hidden': 'false' });
+    const actions = createActions({ brands: { Nike: [FLAG] }, dryRun: true, shop });
+
+    const result = await actions.apply('Nike', 'hide', 'OOS');
+    assert.equal(result.dryRun, true);
+    assert.equal(result.success, true);
+    assert.deepEqual(shop.writes, []);
+    assert.equal(result.results[0].previousValue, 'false');
+    assert.equal(result.results[0].newValue, 'true');
+
+    assert.equal(await actions.undoLast('Nike'), null);
+    assert.equal(actions.getAuditLog().length, 1);
+  });
+
+  it('keeps the audit log across restarts', async () => {
+    const shop = fakeMetafields();
+    await createActions({ brands: { Nike: [FLAG] }, shop }).apply('Nike', 'hide', 'OOS');
+
+    const restarted = createActions({ brands: { Nike: [FLAG] }, shop });
+    assert.equal(restarted.getAuditLog({ brand: 'Nike' }).length, 1);
+    assert.equal((await restarted.undoLast('Nike')).success, true);
+    assert.equal(shop.values['custom.brand_hidden'], undefined);
+  });
+});
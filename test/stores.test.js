@@ -0,0 +1,17 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_STORE_ID, stateKey, splitStateKey } = require('../lib/stores');
+
+describe('state keys', () => {
+  const storeIds = [DEFAULT_STORE_ID, 'eu'];
+
+  it('splits a key back into the store and brand it was made from', () => {
+    for (const [storeId, brand] of [[DEFAULT_STORE_ID, 'Nike'], ['eu', 'Nike'], ['eu', 'Dr. Martens: Kids']]) {
+      assert.deepEqual(splitStateKey(stateKey(storeId, brand), storeIds), { storeId, brand });
+    }
+  });
+
+  it('treats a prefix that is not a configured store as part of the brand', () => {
+    assert.deepEqual(splitStateKey('Brand: Outlet', storeIds), { storeId: DEFAULT_STORE_ID, brand: 'Brand: Outlet' });
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { createSubscriptionStore } = require('../lib/subscriptions');
+const { useTempDir } = require('./support/temp-dir');
+const { startMonitor, waitFor } = require('./support/harness');
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('subscription store', () => {
+  const tempPath = useTempDir('subscriptions');
+
+  function createStore() {
+    return createSubscriptionStore({ filePath: tempPath('subscriptions.json'), defaultRecipients: ['team@example.com'] });
+  }
+
+  it('falls back to the default recipients for brands nobody subscribes to', () => {
+    const store = createStore();
+    store.subscribe('buyer@example.com', ['Nike']);
+    assert.deepEqual(store.recipientsFor('nike'), ['buyer@example.com']);
+    assert.deepEqual(store.recipientsFor('Adidas'), ['team@example.com']);
+  });
+
+  it('matches wildcards and groups', () => {
+    const store = createStore();
+    store.setGroup('outdoor', ['Patagonia', 'North Face*']);
+    store.subscribe('outdoor@example.com', ['group:outdoor']);
+    store.subscribe('adidas@example.com', ['Adidas*']);
+
+    assert.deepEqual(store.recipientsFor('The North Face'), ['team@example.com']);
+    assert.deepEqual(store.recipientsFor('North Face Kids'), ['outdoor@example.com']);
+    assert.deepEqual(store.recipientsFor('ADIDAS Originals'), ['adidas@example.com']);
+    // Patterns are anchored - "Adidas*" isn't "*Adidas*"
+    assert.deepEqual(store.recipientsFor('Not Adidas'), ['team@example.com']);
+  });
+
+  it('groups brands by recipient for the consolidated summary', () => {
+    const store = createStore();
+    store.subscribe('buyer@example.com', ['Nike', 'Adidas']);
+    store.subscribe('ops@example.com', ['*']);
+    assert.deepEqual(store.brandsByRecipient(['Nike', 'Puma']), {
+      'buyer@example.com': ['Nike'],
+      'ops@example.com': ['Nike', 'Puma']
+    });
+  });
+
+  it('reuses an identical subscription and keeps them across restarts', () => {
+    const store = createStore();
+    const [first] = store.subscribe('Buyer@example.com', ['Nike']);
+    const [again] = store.subscribe('buyer@example.com', [' nike ']);
+    assert.equal(again.id, first.id);
+
+    const reloaded = createStore();
+    assert.equal(reloaded.list().subscriptions.length, 1);
+    assert.equal(reloaded.unsubscribe(first.id), true);
+    assert.equal(reloaded.unsubscribe(first.id), false);
+    assert.deepEqual(reloaded.recipientsFor('Nike'), ['team@example.com']);
+  });
+
+  it('rejects bad recipients, unknown groups, and deleting a group in use', () => {
+    const store = createStore();
+    assert.throws(() => store.subscribe('not-an-email', ['Nike']), /Invalid recipient email/);
+    assert.throws(() => store.subscribe('buyer@example.com', ['']), /non-empty string/);
+    assert.throws(() => store.subscribe('buyer@example.com', ['group:missing']), /Unknown brand group "missing"/);
+    assert.throws(() => store.setGroup('nested', ['group:outdoor']), /array of brand names/);
+
+    store.setGroup('outdoor', ['Patagonia']);
+    store.subscribe('buyer@example.com', ['group:outdoor']);
+    assert.throws(() => store.deleteGroup('outdoor'), /still used by subscriptions/);
+    assert.equal(store.deleteGroup('missing'), false);
+  });
+});
+
+describe('subscribed alerts', () => {
+  let monitor;
+
+  before(async () => {
+    monitor = await startMonitor({ brands: ['Nike', 'Adidas'], env: { ADMIN_API_KEY: ADMIN_KEY } });
+  });
+
+  after(async () => {
+    if (monitor) {
+      await monitor.stop();
+    }
+  });
+
+  async function api(method, route, body) {
+    const res = await fetch(`${monitor.url}${route}`, {
+      method,
+      headers: { 'X-API-Key': ADMIN_KEY, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it('go to the brand\'s subscribers, others to the default recipients', async () => {
+    const created = await api('POST', '/admin/subscriptions', { recipient: 'buyer@example.com', brands: ['Nik*'] });
+    assert.equal(created.status, 201);
+    assert.equal((await api('POST', '/admin/subscriptions', { recipient: 'buyer@example.com' })).status, 400);
+    assert.deepEqual((await api('GET', '/admin/subscriptions/recipients/Nike')).body.recipients, ['buyer@example.com']);
+
+    monitor.mock.setInventory(9001, 0);
+    monitor.mock.setInventory(9002, 0);
+    monitor.mock.setInventory(9003, 0);
+    monitor.mock.setInventory(9004, 0);
+    await monitor.sendWebhook('nike-air-zoom-sold-out.json');
+    await monitor.sendWebhook('adidas-samba-sold-out.json');
+
+    const alerts = await waitFor(() => {
+      const oos = monitor.captured().filter(notification => notification.event === 'oos');
+      return oos.length === 2 && oos;
+    }, { message: 'two oos alerts' });
+    const recipients = Object.fromEntries(alerts.map(alert => [alert.data.brand, alert.recipients]));
+    assert.deepEqual(recipients, { Nike: ['buyer@example.com'], Adidas: ['team@example.com'] });
+  });
+});
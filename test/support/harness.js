@@ -0,0 +1,188 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const { createMockShopify } = require('../../tools/mock-shopify');
+const { replayWebhook } = require('../../tools/replay-webhook');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const ACCESS_TOKEN = 'shpat_test';
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Poll until fn() returns something truthy
+async function waitFor(fn, { timeoutMs = 10000, intervalMs = 100, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await fn();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+// Environment for server.js and cli.js against the mock, notifications captured to a file
+function monitorEnv({ shopUrl, capturePath, brands, env }) {
+  return {
+    PATH: process.env.PATH,
+    SHOPIFY_SHOP: shopUrl,
+    SHOPIFY_ACCESS_TOKEN: ACCESS_TOKEN,
+    SHOPIFY_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    EMAIL_FROM: 'monitor@example.com',
+    EMAIL_TO: 'team@example.com',
+    BRANDS_TO_MONITOR: brands.join(','),
+    NOTIFY_CAPTURE_PATH: capturePath,
+    INVENTORY_CACHE: 'false',
+    WEBHOOK_PROPAGATION_DELAY_MS: '0',
+    COALESCE_WINDOW_MS: '0',
+    LOG_LEVEL: 'warn',
+    ...(typeof env === 'function' ? env({ shopUrl }) : env)
+  };
+}
+
+function readCaptured(capturePath) {
+  if (!fs.existsSync(capturePath)) {
+    return [];
+  }
+  return fs.readFileSync(capturePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+// The monitor as it runs in production - server.js in its own process - against the mock
+// Shopify, with notifications captured to a file. It runs in a temporary directory, so
+// every ./data file it writes is thrown away afterwards.
+// `env` may be a function of { shopUrl } for settings that need the mock's address.
+async function startMonitor({ shop = loadFixture('shop.json'), brands = ['Nike'], env = {} } = {}) {
+  const mock = createMockShopify({ ...shop, accessToken: ACCESS_TOKEN });
+  const shopUrl = await mock.start();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-monitor-test-'));
+  const capturePath = path.join(workDir, 'notifications.jsonl');
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+
+  let output = '';
+  const child = spawn(process.execPath, [path.join(ROOT, 'server.js')], {
+    cwd: workDir,
+    env: { ...monitorEnv({ shopUrl, capturePath, brands, env }), PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  // Signal the monitor and wait for it to exit. Resolves with the exit code; the working
+  // directory stays until stop(), so tests can look at what was written on the way out.
+  async function kill(signal = 'SIGTERM') {
+    child.kill(signal);
+    return exited;
+  }
+
+  async function stop() {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill('SIGTERM');
+      await exited;
+    }
+    await mock.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  try {
+    await waitFor(async () => {
+      if (child.exitCode !== null) {
+        throw new Error(`Monitor exited with code ${child.exitCode}:\n${output}`);
+      }
+      try {
+        return (await fetch(`${url}/health/live`)).ok;
+      } catch (error) {
+        return false;
+      }
+    }, { message: 'the monitor to start' });
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  // Notifications captured so far, oldest first
+  function captured() {
+    return readCaptured(capturePath);
+  }
+
+  function sendWebhook(recording, options = {}) {
+    const { topic, body } = typeof recording === 'string' ? loadFixture(path.join('webhooks', recording)) : recording;
+    return replayWebhook({ url, secret: WEBHOOK_SECRET, topic, body, ...options });
+  }
+
+  return {
+    url,
+    mock,
+    workDir,
+    captured,
+    sendWebhook,
+    kill,
+    stop,
+    get output() {
+      return output;
+    }
+  };
+}
+
+// cli.js against the mock Shopify. Every run() shares one temporary directory, so later
+// commands see the data files earlier ones wrote.
+async function startCli({ shop = loadFixture('shop.json'), brands = ['Nike'], env = {} } = {}) {
+  const mock = createMockShopify({ ...shop, accessToken: ACCESS_TOKEN });
+  const shopUrl = await mock.start();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-monitor-cli-test-'));
+  const capturePath = path.join(workDir, 'notifications.jsonl');
+
+  // Resolves with { code, stdout, stderr } once the command exits
+  function run(args, { timeoutMs = 20000 } = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [path.join(ROOT, 'cli.js'), ...args], {
+        cwd: workDir,
+        env: monitorEnv({ shopUrl, capturePath, brands, env }),
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      let stdout = '';
+      let stderr = '';
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`cli.js ${args.join(' ')} did not exit within ${timeoutMs}ms:\n${stdout}${stderr}`));
+      }, timeoutMs);
+      child.once('exit', code => {
+        clearTimeout(timer);
+        resolve({ code, stdout, stderr });
+      });
+    });
+  }
+
+  async function stop() {
+    await mock.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  return { run, mock, workDir, captured: () => readCaptured(capturePath), stop };
+}
+
+module.exports = { startMonitor, startCli, waitFor, loadFixture, WEBHOOK_SECRET };
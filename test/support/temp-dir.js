@@ -0,0 +1,20 @@
+const { before, after, beforeEach, afterEach } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A temporary directory for the tests of the enclosing describe(), removed afterwards:
+// a fresh one for every test, or with { perTest: false } one shared by all of them.
+// Returns tempPath(...names), which resolves names inside the current directory.
+function useTempDir(prefix, { perTest = true } = {}) {
+  let dir = null;
+  (perTest ? beforeEach : before)(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-test-`));
+  });
+  (perTest ? afterEach : after)(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return (...names) => path.join(dir, ...names);
+}
+
+module.exports = { useTempDir };
@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TEMPLATE_NAMES,
+  createTemplateRenderer,
+  buildBrandAlertContext,
+  buildCheckSummaryContext,
+  buildDigestContext,
+  buildAllStoresOOSContext,
+  buildWebhookAlertContext,
+  buildAlertBatchContext,
+  buildTestContext
+} = require('../lib/templates');
+
+const BRAND = '<script>alert(1)</script>';
+const PRODUCT = '<img src=x onerror=alert(2)>';
+const SHOP = 'https://example.myshopify.com';
+
+function stockStatus(name) {
+  const oos = name === 'oos';
+  return {
+    totalProducts: 2,
+    inStockProducts: oos ? 0 : 1,
+    oosProducts: oos ? 2 : 1,
+    totalUnits: oos ? 0 : 3,
+    ruleFired: oos ? 'all_products_oos' : null,
+    reason: oos ? 'All 2 products are out of stock.' : null,
+    lowStockReason: oos ? null : '3 units in stock (warning below 10)',
+    products: [
+      { id: 1, title: PRODUCT, units: 0, inStock: false },
+      { id: 2, title: PRODUCT, units: oos ? 0 : 3, inStock: !oos }
+    ]
+  };
+}
+
+// Every template with the brand (or store) name and a product title set to markup
+function hostileContext(name) {
+  switch (name) {
+    case 'check_summary':
+      return buildCheckSummaryContext([{ brand: BRAND, totalProducts: 2, reason: 'All 2 products are out of stock.', autoActionNote: null }], { totalBrands: 1, brandsOutOfStock: 1 });
+    case 'digest':
+      return buildDigestContext({
+        generatedAt: new Date().toISOString(),
+        since: new Date().toISOString(),
+        firstDigest: false,
+        totals: { brands: 1, inStock: 0, lowStock: 0, outOfStock: 1, failed: 0 },
+        brands: [{ brand: BRAND, status: 'OOS', inStockProducts: 0, totalProducts: 2, totalUnits: 0 }],
+        changed: [{ brand: BRAND, from: 'IN_STOCK', to: 'OOS' }],
+        trending: [{ brand: BRAND, inStockProducts: 0, totalProducts: 2, totalUnits: 0, reason: 'products in stock fell from 2 to 0' }],
+        newlyOOSProducts: [{ brand: BRAND, id: 1, title: PRODUCT }]
+      }, { shop: SHOP });
+    case 'all_stores_oos':
+      return buildAllStoresOOSContext(BRAND, [BRAND]);
+    case 'webhook_alert':
+      return buildWebhookAlertContext({
+        recreated: [{ topic: 'inventory_levels/update', address: 'https://monitor.example.com/webhook/inventory' }],
+        removed: [],
+        baseUrl: 'https://monitor.example.com',
+        store: BRAND
+      });
+    case 'alert_batch':
+      return buildAlertBatchContext([{ subject: BRAND, text: BRAND, html: null, receivedAt: new Date().toISOString() }]);
+    case 'test':
+      return buildTestContext({ method: 'smtp', from: 'alerts@example.com', to: BRAND });
+    default:
+      return buildBrandAlertContext(name, BRAND, stockStatus(name), { shop: SHOP });
+  }
+}
+
+describe('templates', () => {
+  const renderer = createTemplateRenderer();
+
+  for (const name of TEMPLATE_NAMES) {
+    it(`escapes brand and product names in the ${name} email`, () => {
+      const rendered = renderer.render(name, hostileContext(name));
+
+      assert.ok(!rendered.html.includes('<script>'), `raw <script> in ${name} html`);
+      assert.ok(!rendered.html.includes('<img'), `raw <img> in ${name} html`);
+      assert.ok(rendered.html.includes('&lt;script&gt;'), `escaped name missing from ${name} html`);
+      // No double escaping through the layout's {{{body}}}
+      assert.ok(!rendered.html.includes('&amp;lt;'), `double-escaped name in ${name} html`);
+    });
+  }
+
+  it('keeps names as they are in the plain-text subject and body', () => {
+    const rendered = renderer.render('oos', hostileContext('oos'));
+    assert.ok(rendered.subject.includes(BRAND));
+    assert.ok(rendered.text.includes(BRAND));
+  });
+
+  it('nests already-escaped alert bodies in a quiet-hours batch without escaping them again', () => {
+    const alert = renderer.render('oos', hostileContext('oos'));
+    assert.ok(alert.body.includes('&lt;script&gt;'));
+
+    const batch = renderer.render('alert_batch', buildAlertBatchContext([
+      { subject: alert.subject, text: alert.text, html: alert.body, receivedAt: new Date().toISOString() },
+      { subject: BRAND, text: `${BRAND} ${PRODUCT}`, html: null, receivedAt: new Date().toISOString() }
+    ], { quietHours: '22:00-07:00' }));
+
+    assert.ok(!batch.html.includes('<script>'));
+    assert.ok(!batch.html.includes('<img'));
+    assert.ok(!batch.html.includes('&amp;lt;'));
+    // The first alert's body is nested as-is, the second falls back to its escaped text
+    assert.ok(batch.html.includes(alert.body));
+    assert.ok(batch.html.includes(`&lt;script&gt;alert(1)&lt;&#x2F;script&gt; &lt;img`));
+    // Only the batch's own layout - never a whole document inside it
+    assert.equal(batch.html.match(/<html/g).length, 1);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMonitor, waitFor } = require('./support/harness');
+
+// End to end: signed inventory_levels/update webhooks into a running monitor, which looks
+// the item up in the mock Shopify, checks the brand and alerts through the capture channel.
+describe('POST /webhook/inventory', () => {
+  let monitor;
+
+  before(async () => {
+    monitor = await startMonitor({ brands: ['Nike'] });
+  });
+
+  after(async () => {
+    if (monitor) {
+      await monitor.stop();
+    }
+  });
+
+  function alertsOf(event) {
+    return monitor.captured().filter(notification => notification.event === event);
+  }
+
+  function lookupsOf(operation) {
+    return monitor.mock.requests.filter(request => request.operation === operation).length;
+  }
+
+  it('sends an out-of-stock alert when a monitored brand sells out', async () => {
+    for (const inventoryItemId of [9001, 9002, 9003]) {
+      monitor.mock.setInventory(inventoryItemId, 0);
+    }
+
+    const response = await monitor.sendWebhook('nike-air-zoom-sold-out.json');
+    assert.equal(response.status, 200);
+
+    const [alert] = await waitFor(() => alertsOf('oos').length > 0 && alertsOf('oos'), { message: 'an oos alert' });
+    assert.equal(alert.data.brand, 'Nike');
+    assert.equal(alert.data.state, 'OOS');
+    assert.match(alert.subject, /Nike/);
+    assert.deepEqual(alert.recipients, ['team@example.com']);
+  });
+
+  it('sends a back-in-stock alert when the brand is restocked', async () => {
+    monitor.mock.setInventory(9001, 18);
+
+    const response = await monitor.sendWebhook('nike-air-zoom-restocked.json');
+    assert.equal(response.status, 200);
+
+    const [alert] = await waitFor(() => alertsOf('back_in_stock').length > 0 && alertsOf('back_in_stock'), { message: 'a back_in_stock alert' });
+    assert.equal(alert.data.brand, 'Nike');
+    assert.equal(alert.data.state, 'IN_STOCK');
+    assert.equal(alertsOf('oos').length, 1);
+  });
+
+  it('ignores brands that are not monitored', async () => {
+    const before = monitor.captured().length;
+    const lookups = lookupsOf('getInventoryItem');
+    monitor.mock.setInventory(9004, 0);
+
+    const response = await monitor.sendWebhook('adidas-samba-sold-out.json');
+    assert.equal(response.status, 200);
+
+    // The job has run once the vendor has been looked up; give it a moment to (not) alert
+    await waitFor(() => lookupsOf('getInventoryItem') > lookups, { message: 'the vendor lookup' });
+    await new Promise(resolve => setTimeout(resolve, 500));
+    assert.equal(monitor.captured().length, before);
+    assert.equal(monitor.mock.requests.some(request =>
+      request.operation === 'vendorInventory' && /Adidas/.test(request.variables.query)), false);
+  });
+
+  it('rejects webhooks with a bad signature', async () => {
+    const before = monitor.mock.requests.length;
+    const response = await monitor.sendWebhook('nike-air-zoom-sold-out.json', { hmac: 'bm90IGEgcmVhbCBzaWduYXR1cmU=' });
+    assert.equal(response.status, 401);
+    assert.equal(response.text, 'Unauthorized');
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(monitor.mock.requests.length, before);
+  });
+
+  it('rejects webhooks signed with a different secret', async () => {
+    const response = await monitor.sendWebhook('nike-air-zoom-sold-out.json', { secret: 'not-the-secret' });
+    assert.equal(response.status, 401);
+  });
+
+  it('acknowledges test webhooks with an empty body', async () => {
+    const response = await monitor.sendWebhook('test-webhook.json');
+    assert.equal(response.status, 200);
+    assert.equal(response.text, 'OK - Test webhook received');
+  });
+
+  it('acknowledges payloads without an inventory item', async () => {
+    const response = await monitor.sendWebhook({ topic: 'inventory_levels/update', body: { location_id: 5001 } });
+    assert.equal(response.status, 200);
+    assert.equal(response.text, 'OK');
+  });
+});
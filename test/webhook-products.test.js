@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { startMonitor, waitFor, loadFixture } = require('./support/harness');
+
+const ADMIN_KEY = 'test-admin-key';
+
+// A fixture product as Shopify's products/* payload (REST shape), with changes
+function productPayload(id, changes = {}) {
+  const product = loadFixture('shop.json').products.find(candidate => candidate.id === id);
+  return { ...product, ...changes };
+}
+
+async function checkNow(monitor) {
+  const res = await fetch(`${monitor.url}/check-now`, { headers: { 'X-API-Key': ADMIN_KEY } });
+  return (await res.json()).results;
+}
+
+describe('POST /webhook/products', () => {
+  let monitor;
+
+  before(async () => {
+    // /check-now is polled below, so it mustn't be rate limited
+    monitor = await startMonitor({
+      brands: ['Nike', 'Adidas'],
+      env: { ADMIN_API_KEY: ADMIN_KEY, INVENTORY_CACHE: 'true', TRIGGER_RATE_LIMIT: '1000' }
+    });
+    await waitFor(async () => {
+      const results = await checkNow(monitor);
+      return results.Nike.totalProducts === 2 && results.Adidas.totalProducts === 1;
+    }, { message: 'the startup sync' });
+  });
+
+  after(async () => {
+    if (monitor) {
+      await monitor.stop();
+    }
+  });
+
+  it('moves a product to its new brand when the vendor changes', async () => {
+    const { status } = await monitor.sendWebhook({ topic: 'products/update', body: productPayload(7002, { vendor: 'Adidas' }) });
+    assert.equal(status, 200);
+
+    await waitFor(async () => {
+      const results = await checkNow(monitor);
+      return results.Nike.totalProducts === 1 && results.Adidas.totalProducts === 2;
+    }, { message: 'the product to move to Adidas' });
+  });
+
+  it('drops a deleted product from its brand', async () => {
+    await monitor.sendWebhook({ topic: 'products/delete', body: { id: 7001 } });
+    await waitFor(async () => (await checkNow(monitor)).Nike.totalProducts === 0, { message: 'the product to be removed' });
+  });
+
+  it('acknowledges test webhooks and topics it doesn\'t handle', async () => {
+    const test = await monitor.sendWebhook({ topic: 'products/update', body: {} });
+    assert.equal(test.status, 200);
+    assert.equal(test.text, 'OK - Test webhook received');
+
+    const other = await monitor.sendWebhook({ topic: 'products/publish', body: productPayload(7003) });
+    assert.equal(other.status, 200);
+    assert.equal(other.text, 'OK - Ignored topic');
+  });
+
+  it('rejects webhooks with a bad signature', async () => {
+    const { status } = await monitor.sendWebhook({ topic: 'products/update', body: productPayload(7003) }, { hmac: 'not-a-signature' });
+    assert.equal(status, 401);
+  });
+
+  it('queues a repeated delivery once', async () => {
+    const delivery = { topic: 'products/update', body: productPayload(7003) };
+    const first = await monitor.sendWebhook(delivery, { webhookId: 'product-delivery-1' });
+    const again = await monitor.sendWebhook(delivery, { webhookId: 'product-delivery-1' });
+    assert.equal(first.text, 'OK');
+    assert.equal(again.text, 'OK - Duplicate');
+  });
+});
+
+describe('product webhooks without the inventory cache', () => {
+  let monitor;
+
+  before(async () => {
+    monitor = await startMonitor({ brands: ['Nike'] });
+  });
+
+  after(async () => {
+    if (monitor) {
+      await monitor.stop();
+    }
+  });
+
+  it('re-check the product\'s brand', async () => {
+    for (const itemId of [9001, 9002, 9003]) {
+      monitor.mock.setInventory(itemId, 0);
+    }
+    await monitor.sendWebhook({ topic: 'products/update', body: productPayload(7002) });
+
+    await waitFor(() => monitor.captured().some(notification => notification.event === 'oos'), { message: 'an oos alert' });
+  });
+});
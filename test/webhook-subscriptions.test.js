@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createShopifyClient } = require('../lib/shopify-client');
+const { REQUIRED_TOPICS, webhookAddress, listWebhooks, createWebhookReconciler } = require('../lib/webhook-subscriptions');
+const { createMockShopify } = require('../tools/mock-shopify');
+const { useTempDir } = require('./support/temp-dir');
+
+const BASE_URL = 'https://monitor.example.com';
+
+describe('webhook subscriptions', () => {
+  let mock;
+  let shopify;
+  const tempPath = useTempDir('webhook-subscriptions', { perTest: false });
+
+  before(async () => {
+    // More than one page of someone else's webhooks, then ours
+    const others = Array.from({ length: 260 }, (unused, index) => ({ id: index + 1, topic: 'orders/create', address: `https://other.example.com/${index}` }));
+    const ours = REQUIRED_TOPICS.map(({ topic, path: urlPath }, index) => ({ id: 1000 + index, topic, address: webhookAddress(BASE_URL, urlPath) }));
+    mock = createMockShopify({ webhooks: [...others, ...ours] });
+    shopify = createShopifyClient({ shop: await mock.start(), accessToken: 'test', maxRetries: 0 });
+  });
+
+  after(async () => {
+    await mock.stop();
+  });
+
+  it('lists every subscription, following the Link header', async () => {
+    const webhooks = await listWebhooks(shopify);
+    assert.equal(webhooks.length, 260 + REQUIRED_TOPICS.length);
+    const pages = mock.requests.filter(request => request.method === 'GET' && request.path === '/webhooks.json');
+    assert.equal(pages.length, 2);
+  });
+
+  it("doesn't recreate subscriptions that are past the first page", async () => {
+    const reconciler = createWebhookReconciler({ shopify, baseUrl: BASE_URL, statePath: tempPath('paged.json') });
+    const { plan } = await reconciler.reconcile({ dryRun: true });
+    assert.deepEqual(plan.create, []);
+    assert.equal(plan.keep.length, REQUIRED_TOPICS.length);
+  });
+
+  it('only remembers subscriptions that exist, so a failed create is not reported as dropped later', async () => {
+    const statePath = tempPath('failed.json');
+    const failing = {
+      rest: async (method, urlPath, body) => {
+        if (method === 'POST' && body.webhook.topic === 'products/delete') {
+          throw new Error('422 Unprocessable Entity');
+        }
+        return shopify.rest(method, urlPath, body);
+      }
+    };
+    const otherBaseUrl = 'https://new-host.example.com';
+    const reconciler = createWebhookReconciler({ shopify: failing, baseUrl: otherBaseUrl, statePath });
+    const first = await reconciler.reconcile();
+    assert.equal(first.results.filter(result => result.action === 'create' && !result.success).length, 1);
+
+    const registered = JSON.parse(fs.readFileSync(statePath, 'utf8')).registered;
+    assert.equal(registered.length, REQUIRED_TOPICS.length - 1);
+    assert.equal(registered.some(entry => entry.topic === 'products/delete'), false);
+
+    const second = await reconciler.reconcile({ dryRun: true });
+    assert.deepEqual(second.plan.create.map(webhook => webhook.topic), ['products/delete']);
+    assert.deepEqual(second.recreated, []);
+  });
+});
@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+const http = require('http');
+const fs = require('fs');
+
+// Offline stand-in for the Shopify Admin API, for the test suite and local development.
+// It serves what the monitor calls, from an in-memory shop:
+//
+//   GET    /admin/api/<version>/shop.json
+//   GET    /admin/api/<version>/products.json      ?vendor=&limit=, Link header pagination (page_info)
+//   GET    /admin/api/<version>/webhooks.json      ?limit=, Link header pagination
+//   POST   /admin/api/<version>/webhooks.json
+//   DELETE /admin/api/<version>/webhooks/<id>.json
+//   POST   /admin/api/<version>/graphql.json       vendorInventory, moreVariants, inventoryLevels,
+//                                                  getInventoryItem and productVendors queries, and
+//                                                  the metafield storefront actions
+//
+// The shop is REST-shaped: { products: [{ id, title, vendor, status, variants: [{ id,
+// inventory_item_id, inventory_quantity, inventory_policy, inventory_management }] }],
+// levels: [{ inventory_item_id, location_id, available }], webhooks: [],
+// metafields: { [ownerId]: { "namespace.key": value } } }.
+//
+// Run it on its own and point SHOPIFY_SHOP at it:
+//   node tools/mock-shopify.js --port 4001 --fixture test/fixtures/shop.json
+//   SHOPIFY_SHOP=http://localhost:4001 SHOPIFY_ACCESS_TOKEN=mock npm start
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 250;
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) {
+    return 0;
+  }
+  try {
+    return Number(JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')).offset) || 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+function legacyId(gid) {
+  return Number(String(gid).split('/').pop());
+}
+
+// Vendors named in a product search such as (vendor:"Nike" OR vendor:"Nike Inc."), optionally AND status:active
+function searchedVendors(search) {
+  return [...String(search).matchAll(/vendor:"((?:[^"\\]|\\.)*)"/g)]
+    .map(match => match[1].replace(/\\(.)/g, '$1').toLowerCase());
+}
+
+function pageOf(items, first, after) {
+  const offset = decodeCursor(after);
+  const slice = items.slice(offset, offset + first);
+  const hasNextPage = offset + first < items.length;
+  return { slice, pageInfo: { hasNextPage, endCursor: hasNextPage ? encodeCursor(offset + first) : null } };
+}
+
+function createMockShopify({ products = [], levels = [], webhooks = [], metafields = {}, accessToken = null } = {}) {
+  const shop = {
+    products: JSON.parse(JSON.stringify(products)),
+    levels: JSON.parse(JSON.stringify(levels)),
+    webhooks: JSON.parse(JSON.stringify(webhooks)),
+    metafields: JSON.parse(JSON.stringify(metafields))
+  };
+  // Every request, for assertions: { method, path, operation, variables }
+  const requests = [];
+  let nextWebhookId = Math.max(999, ...shop.webhooks.map(webhook => webhook.id)) + 1;
+  let server = null;
+  let baseUrl = null;
+
+  function variantNode(variant) {
+    return {
+      id: `gid://shopify/ProductVariant/${variant.id}`,
+      legacyResourceId: String(variant.id),
+      inventoryQuantity: variant.inventory_quantity || 0,
+      inventoryPolicy: String(variant.inventory_policy || 'deny').toUpperCase(),
+      inventoryItem: {
+        legacyResourceId: String(variant.inventory_item_id),
+        tracked: variant.inventory_management !== null
+      }
+    };
+  }
+
+  function variantsConnection(product, first, after) {
+    const { slice, pageInfo } = pageOf(product.variants || [], first, after);
+    return { edges: slice.map(variant => ({ node: variantNode(variant) })), pageInfo };
+  }
+
+  function firstArgument(query, field, fallback) {
+    const match = new RegExp(`${field}\\(first:\\s*(\\d+)`).exec(query);
+    return match ? Number(match[1]) : fallback;
+  }
+
+  const operations = {
+    vendorInventory(query, { query: search, after }) {
+      const vendors = searchedVendors(search);
+      const activeOnly = /status:active/.test(search);
+      const matching = shop.products.filter(product =>
+        vendors.includes(String(product.vendor).toLowerCase()) && (!activeOnly || (product.status || 'active') === 'active'));
+      const { slice, pageInfo } = pageOf(matching, firstArgument(query, 'products', 25), after);
+      const variantsFirst = firstArgument(query, 'variants', 25);
+      return {
+        products: {
+          edges: slice.map(product => ({
+            node: {
+              id: `gid://shopify/Product/${product.id}`,
+              legacyResourceId: String(product.id),
+              title: product.title,
+              vendor: product.vendor,
+              variants: variantsConnection(product, variantsFirst, null)
+            }
+          })),
+          pageInfo
+        }
+      };
+    },
+
+    moreVariants(query, { id, after }) {
+      const product = shop.products.find(candidate => candidate.id === legacyId(id));
+      return { product: product ? { variants: variantsConnection(product, firstArgument(query, 'variants', 25), after) } : null };
+    },
+
+    inventoryLevels(query, { ids }) {
+      return {
+        nodes: ids.map(id => {
+          const itemId = legacyId(id);
+          const itemLevels = shop.levels.filter(level => level.inventory_item_id === itemId);
+          return {
+            legacyResourceId: String(itemId),
+            inventoryLevels: {
+              edges: itemLevels.map(level => ({
+                node: {
+                  location: { legacyResourceId: String(level.location_id) },
+                  quantities: [{ name: 'available', quantity: level.available }]
+                }
+              }))
+            }
+          };
+        })
+      };
+    },
+
+    getInventoryItem(query, { id }) {
+      const itemId = legacyId(id);
+      for (const product of shop.products) {
+        if ((product.variants || []).some(variant => variant.inventory_item_id === itemId)) {
+          return { inventoryItem: { variant: { product: { vendor: product.vendor, title: product.title } } } };
+        }
+      }
+      return { inventoryItem: null };
+    },
+
+    // Any owner id exists; its metafields are created on first write
+    readMetafield(query, { id, namespace, key }) {
+      const value = (shop.metafields[id] || {})[`${namespace}.${key}`];
+      return { node: { metafield: value === undefined ? null : { value } } };
+    },
+
+    setMetafield(query, { metafields }) {
+      for (const { ownerId, namespace, key, value } of metafields) {
+        shop.metafields[ownerId] = { ...shop.metafields[ownerId], [`${namespace}.${key}`]: value };
+      }
+      return { metafieldsSet: { userErrors: [] } };
+    },
+
+    deleteMetafield(query, { metafields }) {
+      for (const { ownerId, namespace, key } of metafields) {
+        delete (shop.metafields[ownerId] || {})[`${namespace}.${key}`];
+      }
+      return { metafieldsDelete: { userErrors: [] } };
+    },
+
+    productVendors(query, { after }) {
+      const vendors = [...new Set(shop.products.map(product => product.vendor))].sort();
+      const { slice, pageInfo } = pageOf(vendors, firstArgument(query, 'productVendors', 250), after);
+      return { productVendors: { edges: slice.map(vendor => ({ node: vendor })), pageInfo } };
+    }
+  };
+
+  function graphql({ query, variables = {} }) {
+    const name = (/(?:query|mutation)\s+(\w+)/.exec(query || '') || [])[1];
+    if (!operations[name]) {
+      return { operation: name || 'anonymous', body: { errors: [{ message: `Mock Shopify doesn't support the ${name || 'anonymous'} operation` }] } };
+    }
+    return {
+      operation: name,
+      body: {
+        data: operations[name](query, variables),
+        extensions: { cost: { requestedQueryCost: 10, actualQueryCost: 5, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 990, restoreRate: 50 } } }
+      }
+    };
+  }
+
+  // One page of a REST list with Shopify's cursor pagination: a Link header with rel="next"/"previous".
+  // With page_info the filter comes from the cursor - Shopify rejects filters alongside it.
+  function restPage(url, res, items, filterName = null) {
+    const pageInfo = url.searchParams.get('page_info');
+    const limit = Math.min(Number(url.searchParams.get('limit')) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    let filter = filterName ? url.searchParams.get(filterName) : null;
+    let offset = 0;
+    if (pageInfo) {
+      const cursor = JSON.parse(Buffer.from(pageInfo, 'base64url').toString('utf8'));
+      filter = cursor.filter;
+      offset = cursor.offset;
+    }
+    const matching = items.filter(item => !filter || item[filterName] === filter);
+
+    const link = (linkOffset, rel) => {
+      const cursor = Buffer.from(JSON.stringify({ filter, offset: linkOffset })).toString('base64url');
+      return `<${baseUrl}${url.pathname}?limit=${limit}&page_info=${cursor}>; rel="${rel}"`;
+    };
+    const links = [];
+    if (offset > 0) {
+      links.push(link(Math.max(0, offset - limit), 'previous'));
+    }
+    if (offset + limit < matching.length) {
+      links.push(link(offset + limit, 'next'));
+    }
+    if (links.length > 0) {
+      res.setHeader('Link', links.join(', '));
+    }
+    return matching.slice(offset, offset + limit);
+  }
+
+  function handle(req, res, rawBody) {
+    const url = new URL(req.url, baseUrl);
+    const route = url.pathname.replace(/^\/admin\/api\/[^/]+/, '');
+    const send = (status, body) => {
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+    };
+    const request = { method: req.method, path: route };
+    requests.push(request);
+
+    if (accessToken && req.headers['x-shopify-access-token'] !== accessToken) {
+      return send(401, { errors: '[API] Invalid API key or access token (unrecognized login or wrong password)' });
+    }
+
+    let body = {};
+    try {
+      body = rawBody ? JSON.parse(rawBody) : {};
+    } catch (error) {
+      return send(400, { errors: 'Invalid JSON' });
+    }
+
+    if (req.method === 'GET' && route === '/shop.json') {
+      return send(200, { shop: { name: 'Mock Shop', domain: url.host } });
+    }
+    if (req.method === 'GET' && route === '/products.json') {
+      return send(200, { products: restPage(url, res, shop.products, 'vendor') });
+    }
+    if (route === '/webhooks.json') {
+      if (req.method === 'GET') {
+        return send(200, { webhooks: restPage(url, res, shop.webhooks) });
+      }
+      if (req.method === 'POST') {
+        const webhook = {
+          id: nextWebhookId++,
+          topic: body.webhook.topic,
+          address: body.webhook.address,
+          format: body.webhook.format || 'json',
+          created_at: new Date().toISOString()
+        };
+        shop.webhooks.push(webhook);
+        return send(201, { webhook });
+      }
+    }
+    const webhookMatch = /^\/webhooks\/(\d+)\.json$/.exec(route);
+    if (req.method === 'DELETE' && webhookMatch) {
+      const before = shop.webhooks.length;
+      shop.webhooks = shop.webhooks.filter(webhook => webhook.id !== Number(webhookMatch[1]));
+      return shop.webhooks.length < before ? send(200, {}) : send(404, { errors: 'Not Found' });
+    }
+    if (req.method === 'POST' && route === '/graphql.json') {
+      const result = graphql(body);
+      request.operation = result.operation;
+      request.variables = body.variables || {};
+      return send(200, result.body);
+    }
+    return send(404, { errors: 'Not Found' });
+  }
+
+  function start(port = 0) {
+    return new Promise((resolve, reject) => {
+      server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => handle(req, res, Buffer.concat(chunks).toString('utf8')));
+      });
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve(baseUrl);
+      });
+    });
+  }
+
+  function stop() {
+    return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  // Change stock the way a merchant would: every variant with this inventory item, and its levels
+  function setInventory(inventoryItemId, available, { locationId = null } = {}) {
+    for (const product of shop.products) {
+      for (const variant of product.variants || []) {
+        if (variant.inventory_item_id === inventoryItemId) {
+          variant.inventory_quantity = available;
+        }
+      }
+    }
+    for (const level of shop.levels) {
+      if (level.inventory_item_id === inventoryItemId && (locationId === null || level.location_id === locationId)) {
+        level.available = available;
+      }
+    }
+  }
+
+  return {
+    start,
+    stop,
+    setInventory,
+    shop,
+    requests,
+    get url() {
+      return baseUrl;
+    }
+  };
+}
+
+function readOption(argv, name, fallback) {
+  const index = argv.indexOf(`--${name}`);
+  return index >= 0 && argv[index + 1] ? argv[index + 1] : fallback;
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const fixture = readOption(argv, 'fixture', null);
+  const mock = createMockShopify({
+    ...(fixture ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : {}),
+    accessToken: readOption(argv, 'access-token', null)
+  });
+  mock.start(Number(readOption(argv, 'port', 4001))).then(url => {
+    process.stdout.write(`🧪 Mock Shopify listening on ${url} (${mock.shop.products.length} products)\n`);
+  });
+}
+
+module.exports = { createMockShopify };
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+// Sign and replay recorded Shopify webhooks against a running monitor, with a valid
+// X-Shopify-Hmac-Sha256 for the given secret:
+//   node tools/replay-webhook.js test/fixtures/webhooks/nike-out-of-stock.json \
+//     --url http://localhost:3000 --secret "$SHOPIFY_WEBHOOK_SECRET"
+//
+// A recording is { "topic": "inventory_levels/update", "body": { ... } }; any other JSON file
+// is sent as the raw body with --topic (inventory_levels/update by default). Directories are
+// replayed file by file, in name order.
+
+const TOPIC_PATHS = {
+  inventory_levels: '/webhook/inventory',
+  products: '/webhook/products'
+};
+
+// Shopify's signature: base64 HMAC-SHA256 of the raw request body
+function signWebhook(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body, 'utf8').digest('base64');
+}
+
+function pathForTopic(topic) {
+  const webhookPath = TOPIC_PATHS[String(topic).split('/')[0]];
+  if (!webhookPath) {
+    throw new Error(`No webhook endpoint for topic "${topic}"`);
+  }
+  return webhookPath;
+}
+
+// Send one webhook. `body` may be an object or a raw string (sent byte for byte, e.g. "" or "{}").
+// Pass `hmac` to send a specific signature instead of a valid one.
+async function replayWebhook({
+  url,
+  secret,
+  topic = 'inventory_levels/update',
+  shopDomain = null,
+  webhookId = crypto.randomUUID(),
+  body,
+  hmac = null
+}) {
+  const raw = typeof body === 'string' ? body : JSON.stringify(body);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Shopify-Topic': topic,
+    'X-Shopify-Webhook-Id': webhookId,
+    'X-Shopify-Hmac-Sha256': hmac || signWebhook(raw, secret)
+  };
+  if (shopDomain) {
+    headers['X-Shopify-Shop-Domain'] = shopDomain;
+  }
+
+  const response = await fetch(`${url.replace(/\/$/, '')}${pathForTopic(topic)}`, { method: 'POST', headers, body: raw });
+  return { status: response.status, text: await response.text(), webhookId };
+}
+
+function readRecordings(target) {
+  const stats = fs.statSync(target);
+  const files = stats.isDirectory() ?
+    fs.readdirSync(target).filter(name => name.endsWith('.json')).sort().map(name => path.join(target, name)) :
+    [target];
+  return files.map(file => {
+    const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const isRecording = recording && typeof recording.topic === 'string' && 'body' in recording;
+    return { file, topic: isRecording ? recording.topic : null, body: isRecording ? recording.body : recording };
+  });
+}
+
+function parseArgs(argv) {
+  const options = { files: [], url: 'http://localhost:3000', secret: process.env.SHOPIFY_WEBHOOK_SECRET, topic: null, shop: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (['--url', '--secret', '--topic', '--shop'].includes(arg)) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options.files.push(arg);
+    }
+  }
+  return options;
+}
+
+async function main(argv) {
+  const options = parseArgs(argv);
+  if (options.files.length === 0 || !options.secret) {
+    process.stderr.write('Usage: node tools/replay-webhook.js <file|dir...> [--url URL] [--secret SECRET] [--topic TOPIC] [--shop DOMAIN]\n' +
+      'The secret defaults to SHOPIFY_WEBHOOK_SECRET.\n');
+    return 2;
+  }
+
+  let failures = 0;
+  for (const recording of options.files.flatMap(readRecordings)) {
+    const topic = options.topic || recording.topic || 'inventory_levels/update';
+    try {
+      const result = await replayWebhook({ url: options.url, secret: options.secret, topic, shopDomain: options.shop, body: recording.body });
+      const ok = result.status >= 200 && result.status < 300;
+      failures += ok ? 0 : 1;
+      process.stdout.write(`${ok ? '✅' : '❌'} ${path.basename(recording.file)} (${topic}) → ${result.status} ${result.text}\n`);
+    } catch (error) {
+      failures++;
+      process.stdout.write(`❌ ${path.basename(recording.file)} (${topic}) → ${error.message}\n`);
+    }
+  }
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { signWebhook, replayWebhook, readRecordings };